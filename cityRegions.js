@@ -0,0 +1,48 @@
+// 縣市與地區（預設值，可在網頁的「管理縣市與地區」修改，修改後保存在工作區）
+// - regions：地區，依清單順序排列（圖表的地區順序），color 為圖表顏色
+// - cities：縣市，依所屬地區的順序排列，同地區內依清單順序
+//   - name：標準名稱（圖表和匯出顯示的名稱）
+//   - aliases：其他寫法；「臺」和「台」視為相同，不需要另外列出
+//   - region：所屬地區
+//   - color：圖表顏色，空白時依序使用調色盤的顏色
+// 「新竹」、「嘉義」同時是市和縣，不設為別名
+const cityRegions = {
+  regions: [
+    { name: "北部", color: "#8884d8" },
+    { name: "中部", color: "#82ca9d" },
+    { name: "南部", color: "#ffc658" },
+    { name: "東部", color: "#ff7300" },
+    { name: "離島", color: "#00c49f" },
+  ],
+  cities: [
+    // 北部
+    { name: "台北市", aliases: ["台北", "北市"], region: "北部", color: "" },
+    { name: "新北市", aliases: ["新北", "台北縣"], region: "北部", color: "" },
+    { name: "桃園市", aliases: ["桃園", "桃園縣"], region: "北部", color: "" },
+    { name: "新竹市", aliases: ["竹市"], region: "北部", color: "" },
+    { name: "新竹縣", aliases: ["竹縣"], region: "北部", color: "" },
+    { name: "基隆市", aliases: ["基隆"], region: "北部", color: "" },
+    { name: "宜蘭縣", aliases: ["宜蘭"], region: "北部", color: "" },
+    // 中部
+    { name: "台中市", aliases: ["台中", "中市", "台中縣"], region: "中部", color: "" },
+    { name: "苗栗縣", aliases: ["苗栗"], region: "中部", color: "" },
+    { name: "彰化縣", aliases: ["彰化"], region: "中部", color: "" },
+    { name: "南投縣", aliases: ["南投"], region: "中部", color: "" },
+    { name: "雲林縣", aliases: ["雲林"], region: "中部", color: "" },
+    // 南部
+    { name: "高雄市", aliases: ["高雄", "高市", "高雄縣"], region: "南部", color: "" },
+    { name: "台南市", aliases: ["台南", "南市", "台南縣"], region: "南部", color: "" },
+    { name: "嘉義市", aliases: [], region: "南部", color: "" },
+    { name: "嘉義縣", aliases: [], region: "南部", color: "" },
+    { name: "屏東縣", aliases: ["屏東"], region: "南部", color: "" },
+    { name: "澎湖縣", aliases: ["澎湖"], region: "南部", color: "" },
+    // 東部
+    { name: "花蓮縣", aliases: ["花蓮"], region: "東部", color: "" },
+    { name: "台東縣", aliases: ["台東"], region: "東部", color: "" },
+    // 離島
+    { name: "金門縣", aliases: ["金門"], region: "離島", color: "" },
+    { name: "連江縣", aliases: ["連江", "馬祖"], region: "離島", color: "" },
+  ],
+};
+
+export default cityRegions;
@@ -0,0 +1,27 @@
+// 各欄位可接受的標題文字（同義詞）
+// 解析器會依標題文字尋找欄位，插入或調整欄位順序不影響解析
+// 如果表格改用其他標題，將新的標題加入對應欄位的陣列即可
+const columnHeaders = {
+  // 人力需求表
+  manpower: {
+    date: ["日期", "活動日期"],
+    activityName: ["活動名稱", "活動主題"],
+    status: ["辦理情形", "辦理狀態", "狀態"],
+    days: ["天數", "活動天數"],
+    activityType: ["活動類型", "類型"],
+    city: ["縣市", "活動縣市"],
+    volunteerCount: ["志工人數", "助教人數", "需求人數"],
+    hours: ["可登錄時數", "登錄時數"],
+    participants: ["服勤區", "服勤人員", "出勤人員"],
+  },
+
+  // 時數登錄表
+  hourLog: {
+    name: ["志工姓名", "姓名"],
+    date: ["日期", "參與日期", "活動日期"],
+    content: ["參與內容", "服務內容"],
+    hours: ["參與時數", "服務時數"],
+  },
+};
+
+export default columnHeaders;
@@ -1,136 +1,208 @@
-import ExcelJS from 'exceljs';
 import fs from 'fs';
 import path from 'path';
+import { parseArgs } from 'util';
 import { fileURLToPath } from 'url';
+import { parseExcelFile } from './src/utils/excelParser.js';
+import { parseHourLogFile } from './src/utils/hourLogParser.js';
+import { filterCancelled, getParticipantNameCounts } from './src/utils/dataProcessor.js';
+import { serializeAliasMap } from './src/utils/aliasManager.js';
+import { setAliasMap, matchHourLogName } from './src/utils/nameAliases.js';
+import { readExcelFile, readAliasFile } from './src/utils/nodeFiles.js';
+import { groupDiagnosticsBySeverity } from './src/utils/diagnostics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// 沒有指定檔案時讀取的人力需求表
+const DEFAULT_MANPOWER_FILE = path.join(__dirname, '手作步道活動助教人力需求表.xlsx');
+const DEFAULT_ALIAS_FILE = path.join(__dirname, 'nameAliases.json');
+
+const USAGE = `用法：node extractNames.js [選項]
+
+從人力需求表的服勤區和時數登錄表的志工姓名提取人名，把新的人名加入別名映射檔案。
+已有的別名不會被修改或刪除。
+
+  --manpower <路徑>     人力需求表（可指定多次；沒有指定任何檔案時讀取 ${path.basename(DEFAULT_MANPOWER_FILE)}）
+  --hour-log <路徑>     時數登錄表（可指定多次）
+  --aliases <路徑>      別名映射檔案（預設為專案根目錄的 nameAliases.json，不存在時會建立）
+  --dry-run             只顯示報告，不寫入檔案
+  --help                顯示說明
+`;
+
+const OPTIONS = {
+  manpower: { type: 'string', multiple: true },
+  'hour-log': { type: 'string', multiple: true },
+  aliases: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  help: { type: 'boolean' },
+};
+
 /**
- * 解析服勤區欄位中的人名
- * @param {string|number} value - 服勤區欄位的值
- * @returns {string[]} 人名陣列
+ * 收集服勤區中的原始人名（與網頁相同：所有年份的工作表、不含取消的活動，已移除名字後面的日期和日期前綴）
+ * @param {string[]} filePaths - 人力需求表路徑
+ * @param {Array} diagnostics - 略過或可疑的資料列（見 src/utils/diagnostics.js）
+ * @returns {Promise<Map<string, number>>} 原始人名 -> 出現次數
  */
-function parseParticipants(value) {
-  if (!value) return [];
-  
-  let str = String(value).trim();
-  if (!str) return [];
-  
-  // 先處理換行符（可能是 \n 或 \r\n）
-  str = str.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-  
-  // 使用多種分隔符來分割：換行、頓號、逗號
-  let names = [];
-  
-  // 先按換行符分割
-  if (str.includes('\n')) {
-    names = str.split('\n').flatMap(line => {
-      line = line.trim();
-      if (!line) return [];
-      // 每行可能還包含頓號或逗號
-      if (line.includes('、')) {
-        return line.split('、');
-      } else if (line.includes(',')) {
-        return line.split(',');
-      } else if (line.includes('，')) {
-        return line.split('，');
-      }
-      return [line];
+async function collectManpowerNames(filePaths, diagnostics) {
+  const counts = new Map();
+  for (const filePath of filePaths) {
+    const data = filterCancelled(await parseExcelFile(readExcelFile(filePath), { diagnostics }));
+    getParticipantNameCounts(data).forEach((count, name) => {
+      counts.set(name, (counts.get(name) || 0) + count);
     });
-  } else {
-    // 沒有換行符，直接按分隔符分割
-    // 優先順序：頓號 > 中文逗號 > 英文逗號
-    if (str.includes('、')) {
-      names = str.split('、');
-    } else if (str.includes('，')) {
-      names = str.split('，');
-    } else if (str.includes(',')) {
-      names = str.split(',');
-    } else {
-      // 沒有分隔符，整個作為一個名字
-      names = [str];
-    }
+    console.log(`${filePath}：${data.length} 筆活動`);
   }
-  
-  // 清理每個名字（去除前後空格、移除空字串）
-  return names
-    .map(name => name.trim())
-    .filter(name => name.length > 0);
+  return counts;
 }
 
 /**
- * 從 Excel 檔案提取所有人名
+ * 收集時數登錄表中的志工姓名
+ * @param {string[]} filePaths - 時數登錄表路徑
+ * @param {Array} diagnostics - 略過或可疑的資料列（見 src/utils/diagnostics.js）
+ * @returns {Promise<Map<string, number>>} 原始姓名 -> 登錄筆數
  */
-async function extractAllNames() {
-  const excelPath = path.join(__dirname, '手作步道活動助教人力需求表.xlsx');
-  
-  if (!fs.existsSync(excelPath)) {
-    console.error('找不到 Excel 檔案:', excelPath);
-    process.exit(1);
-  }
-  
-  const workbook = new ExcelJS.Workbook();
-  const buffer = fs.readFileSync(excelPath);
-  await workbook.xlsx.load(buffer);
-  
-  // 尋找名為 "2025" 的 sheet
-  const sheet = workbook.getWorksheet('2025');
-  if (!sheet) {
-    console.error('找不到名為 "2025" 的工作表');
-    process.exit(1);
+async function collectHourLogNames(filePaths, diagnostics) {
+  const counts = new Map();
+  for (const filePath of filePaths) {
+    const records = await parseHourLogFile(readExcelFile(filePath), { diagnostics });
+    records.forEach(record => {
+      const name = String(record.name || '').trim();
+      if (name) counts.set(name, (counts.get(name) || 0) + 1);
+    });
+    console.log(`${filePath}：${records.length} 筆登錄`);
   }
-  
-  const nameSet = new Set();
-  let rowCount = 0;
-  
-  // 從第 2 行開始讀取（假設第 1 行是標題）
-  sheet.eachRow((row, rowNumber) => {
-    if (rowNumber === 1) return; // 跳過標題行
-    
-    try {
-      const participantsValue = row.getCell('Q').value;
-      const participants = parseParticipants(participantsValue);
-      
-      participants.forEach(name => {
-        if (name) {
-          nameSet.add(name);
-        }
-      });
-      
-      rowCount++;
-    } catch (error) {
-      console.warn(`第 ${rowNumber} 行解析錯誤:`, error.message);
+  return counts;
+}
+
+/**
+ * 將新的人名合併到別名映射（已有的項目和順序不變，新的人名接在最後）
+ * - 服勤區的新人名：標準名稱為自己
+ * - 時數登錄表的新姓名：標準名稱為網頁目前比對的結果（最後兩字對應的志工，找不到時為完整姓名），合併後統計不變；
+ *   無法確定是哪一位志工時（見 matchHourLogName）不加入，請在網頁的「姓名待確認」選擇
+ * @param {Object} aliasMap - 目前的別名映射
+ * @param {Map<string, number>} manpowerNames
+ * @param {Map<string, number>} hourLogNames
+ * @returns {{merged: Object, added: Array, ambiguous: Array<{name: string, candidates: string[], similarNames: string[]}>}}
+ */
+function mergeNames(aliasMap, manpowerNames, hourLogNames) {
+  const merged = { ...aliasMap };
+  const added = [];
+  const ambiguous = [];
+
+  manpowerNames.forEach((count, name) => {
+    if (name in merged) return;
+    merged[name] = name;
+    added.push({ name, canonical: name, source: `服勤區 ${count} 次` });
+  });
+
+  // 服勤區和時數登錄表出現的所有姓名，用來找出最後兩字相同的其他姓名
+  const knownNames = [...manpowerNames.keys(), ...hourLogNames.keys()];
+  // 服勤區的新人名加入後再比對，時數登錄表的姓名可以對應到這些人
+  //（setAliasMap 會複製映射表，迴圈中加入的姓名不影響同一次的比對）
+  setAliasMap(merged);
+  hourLogNames.forEach((count, name) => {
+    if (name in merged) return;
+    const match = matchHourLogName(name, { knownNames });
+    if (match.ambiguous) {
+      ambiguous.push({ name, candidates: match.candidates, similarNames: match.similarNames });
+      return;
     }
+    merged[name] = match.standardName;
+    added.push({ name, canonical: match.standardName, source: `時數登錄表 ${count} 筆` });
+  });
+  setAliasMap(merged);
+
+  return { merged, added, ambiguous };
+}
+
+/**
+ * 找出掃描的檔案中沒有出現的別名（只列出，不刪除）
+ * 標準名稱本身的項目（如 "宏構": "宏構"）只要還有出現的人名對應到它就不算
+ * @param {Object} aliasMap - 合併後的別名映射
+ * @param {Map<string, number>} manpowerNames
+ * @param {Map<string, number>} hourLogNames
+ * @returns {Array<{name: string, canonical: string}>}
+ */
+function findOrphanedAliases(aliasMap, manpowerNames, hourLogNames) {
+  const usedCanonicals = new Set();
+  manpowerNames.forEach((count, name) => usedCanonicals.add(aliasMap[name] || name));
+  const knownNames = [...manpowerNames.keys(), ...hourLogNames.keys()];
+  hourLogNames.forEach((count, name) => usedCanonicals.add(matchHourLogName(name, { knownNames }).standardName));
+
+  return Object.entries(aliasMap)
+    .filter(([name, canonical]) => {
+      if (manpowerNames.has(name) || hourLogNames.has(name)) return false;
+      return !(name === canonical && usedCanonicals.has(canonical));
+    })
+    .map(([name, canonical]) => ({ name, canonical }));
+}
+
+/**
+ * 從 Excel 檔案提取人名並合併到別名映射檔案
+ */
+async function extractAllNames() {
+  const { values } = parseArgs({ options: OPTIONS });
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const hourLogFiles = values['hour-log'] || [];
+  const manpowerFiles = values.manpower || (hourLogFiles.length === 0 ? [DEFAULT_MANPOWER_FILE] : []);
+  const aliasPath = path.resolve(values.aliases || DEFAULT_ALIAS_FILE);
+
+  const aliasMap = fs.existsSync(aliasPath) ? readAliasFile(aliasPath) : {};
+  console.log(`別名映射：${aliasPath}（${Object.keys(aliasMap).length} 筆）\n`);
+
+  // 比對時數登錄表姓名時使用檔案中的別名
+  setAliasMap(aliasMap);
+  const diagnostics = [];
+  const manpowerNames = await collectManpowerNames(manpowerFiles, diagnostics);
+  const hourLogNames = await collectHourLogNames(hourLogFiles, diagnostics);
+  // 被略過的資料列中的人名不會提取，詳細內容請在網頁的「匯入檢查結果」查看
+  groupDiagnosticsBySeverity(diagnostics).forEach(group => {
+    console.warn(`匯入檢查結果 ${group.label}：${group.items.length} 筆`);
   });
-  
-  // 轉換為陣列並排序
-  const names = Array.from(nameSet).sort();
-  
-  console.log(`總共處理 ${rowCount} 行資料`);
-  console.log(`找到 ${names.length} 個不重複的人名\n`);
-  
-  // 建立別名映射結構
-  const aliasMap = {};
-  names.forEach(name => {
-    aliasMap[name] = name; // 預設別名就是自己
+  console.log(`找到 ${manpowerNames.size} 個服勤區人名、${hourLogNames.size} 個時數登錄表姓名\n`);
+
+  const { merged, added, ambiguous } = mergeNames(aliasMap, manpowerNames, hourLogNames);
+  const orphaned = findOrphanedAliases(merged, manpowerNames, hourLogNames);
+
+  console.log(`新增的人名（${added.length}）：`);
+  added.forEach(({ name, canonical, source }) => {
+    console.log(`  ${name} → ${canonical}（${source}）`);
   });
-  
-  // 儲存為 JSON 檔案
-  const outputPath = path.join(__dirname, 'nameAliases.json');
-  fs.writeFileSync(
-    outputPath,
-    JSON.stringify(aliasMap, null, 2),
-    'utf8'
-  );
-  
-  console.log(`人名列表已儲存到: ${outputPath}`);
-  console.log('\n人名列表：');
-  names.forEach((name, index) => {
-    console.log(`${index + 1}. ${name}`);
+
+  if (ambiguous.length > 0) {
+    console.log(`\n需要確認的姓名（${ambiguous.length}，未加入）：`);
+    ambiguous.forEach(({ name, candidates, similarNames }) => {
+      const similar = similarNames.length > 0 ? `（最後兩字與 ${similarNames.join('、')} 相同）` : '';
+      console.log(`  ${name}：可能是 ${candidates.join('、')}${similar}`);
+    });
+    console.log('  請在網頁的「姓名待確認」選擇，或手動加入別名映射檔案');
+  }
+
+  console.log(`\n檔案中沒有出現的別名（${orphaned.length}，未刪除）：`);
+  orphaned.forEach(({ name, canonical }) => {
+    console.log(`  ${name} → ${canonical}`);
   });
-  
-  console.log('\n請編輯 nameAliases.json 檔案，將相同人員的別名設定為相同值。');
+  if (orphaned.length > 0) {
+    console.log('  可能是舊資料的人名或打錯的別名，確定不再使用時請手動移除');
+  }
+
+  if (values['dry-run']) {
+    console.log('\n--dry-run：未寫入檔案');
+    return;
+  }
+  if (added.length === 0) {
+    console.log('\n沒有新的人名，別名映射檔案未修改');
+    return;
+  }
+
+  // 原有項目保持檔案中的順序，新的人名依加入順序接在最後
+  fs.writeFileSync(aliasPath, serializeAliasMap(merged, { keepOrder: true }), 'utf8');
+  console.log(`\n已加入 ${added.length} 個人名到: ${aliasPath}`);
+  console.log('請確認新增的人名，將相同人員的別名設定為相同的標準名稱（或使用網頁的別名編輯器）。');
   console.log('例如：');
   console.log('  "張三": "張三",');
   console.log('  "張三三": "張三",  // 別名，會合併到張三');
@@ -139,7 +211,6 @@ async function extractAllNames() {
 
 // 執行提取
 extractAllNames().catch(error => {
-  console.error('發生錯誤:', error);
+  console.error('發生錯誤:', error.message || error);
   process.exit(1);
 });
-
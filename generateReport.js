@@ -0,0 +1,176 @@
+import path from 'path';
+import { parseArgs } from 'util';
+import { parseExcelFile } from './src/utils/excelParser.js';
+import { parseHourLogFile } from './src/utils/hourLogParser.js';
+import { processHourLogData, calculateHourLogChartData } from './src/utils/hourLogProcessor.js';
+import { filterCancelled, checkParticipants, getParticipantNameCounts } from './src/utils/dataProcessor.js';
+import { EMPTY_FILTERS, describeFilters, filterManpowerData, filterHourLogRecords } from './src/utils/filters.js';
+import { buildChartsWorkbook } from './src/utils/chartExcelExporter.js';
+import { groupDiagnosticsBySeverity } from './src/utils/diagnostics.js';
+import { checkVolunteerConflicts } from './src/utils/volunteerConflicts.js';
+import { readExcelFile, readAliasFile } from './src/utils/nodeFiles.js';
+import { setAliasMap } from './src/utils/nameAliases.js';
+import { getDefaultReportingYear } from './src/utils/dateParser.js';
+
+const USAGE = `用法：node generateReport.js [選項]
+
+不需要開啟瀏覽器，產生與「下載圖表資料」相同的圖表資料 Excel（篩選條件 + 圖表 1-23）。
+
+檔案：
+  --manpower <路徑>     人力需求表
+  --hour-log <路徑>     時數登錄表（至少需要其中一個檔案）
+  --output <路徑>       輸出的 Excel（預設為目前目錄的「圖表資料匯出_<統計年度>.xlsx」）
+  --aliases <路徑>      人名別名映射（nameAliases.json 格式，預設使用專案根目錄的 nameAliases.json）
+
+設定：
+  --year <年份>         統計年度（預設為今年）
+  --spread              跨月活動依日期分配天數（圖表 2、6、10、13）
+
+篩選（多個值以逗號分隔）：
+  --start <YYYY-MM-DD>  開始日期
+  --end <YYYY-MM-DD>    結束日期
+  --months <1,2,...>    月份（依活動開始日期）
+  --types <類型,...>    活動類型
+  --cities <縣市,...>   縣市
+  --regions <地區,...>  地區
+  --name <文字>         活動名稱包含的文字
+  --volunteers <姓名,...> 志工（標準名稱）
+
+  --help                顯示說明
+`;
+
+const OPTIONS = {
+  manpower: { type: 'string' },
+  'hour-log': { type: 'string' },
+  output: { type: 'string' },
+  aliases: { type: 'string' },
+  year: { type: 'string' },
+  spread: { type: 'boolean' },
+  start: { type: 'string' },
+  end: { type: 'string' },
+  months: { type: 'string' },
+  types: { type: 'string' },
+  cities: { type: 'string' },
+  regions: { type: 'string' },
+  name: { type: 'string' },
+  volunteers: { type: 'string' },
+  help: { type: 'boolean' },
+};
+
+/**
+ * 將逗號分隔的文字轉成陣列
+ * @param {string} [value]
+ * @returns {string[]}
+ */
+function splitList(value) {
+  if (!value) return [];
+  return value.split(/[,，、]/).map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * 將命令列選項轉成全域篩選條件（格式見 src/utils/filters.js）
+ * @param {Object} values - parseArgs 的結果
+ * @returns {Object} 篩選條件
+ */
+function parseFilters(values) {
+  ['start', 'end'].forEach(key => {
+    if (values[key] && !/^\d{4}-\d{2}-\d{2}$/.test(values[key])) {
+      throw new Error(`--${key} 的日期格式必須是 YYYY-MM-DD：${values[key]}`);
+    }
+  });
+  const months = splitList(values.months).map(Number);
+  const invalidMonth = months.find(month => !Number.isInteger(month) || month < 1 || month > 12);
+  if (invalidMonth !== undefined) {
+    throw new Error(`--months 必須是 1-12 的月份：${values.months}`);
+  }
+  return {
+    ...EMPTY_FILTERS,
+    startDate: values.start || '',
+    endDate: values.end || '',
+    months,
+    activityTypes: splitList(values.types),
+    cities: splitList(values.cities),
+    regions: splitList(values.regions),
+    activityName: values.name || '',
+    volunteers: splitList(values.volunteers),
+  };
+}
+
+/**
+ * 產生圖表資料 Excel（與網頁的資料處理流程相同）
+ */
+async function generateReport() {
+  const { values } = parseArgs({ options: OPTIONS });
+  if (values.help || (!values.manpower && !values['hour-log'])) {
+    console.log(USAGE);
+    if (!values.help) process.exitCode = 1;
+    return;
+  }
+
+  const reportingYear = values.year ? Number(values.year) : getDefaultReportingYear();
+  if (!Number.isInteger(reportingYear)) {
+    throw new Error(`--year 必須是年份：${values.year}`);
+  }
+  const settings = { reportingYear, spreadAcrossMonths: !!values.spread };
+  const filters = parseFilters(values);
+
+  // 別名映射要在解析前設定（服勤區人名和時數登錄表姓名都依此合併）
+  if (values.aliases) {
+    setAliasMap(readAliasFile(values.aliases));
+  }
+
+  const diagnostics = [];
+
+  let data = [];
+  // 服勤區中出現的原始人名（所有年度），時數登錄表比對姓名時用來找出最後兩字相同的姓名
+  let rosterNames = [];
+  if (values.manpower) {
+    const rawData = await parseExcelFile(readExcelFile(values.manpower), { diagnostics });
+    const validData = filterCancelled(rawData);
+    checkParticipants(validData, { diagnostics });
+    checkVolunteerConflicts(validData, { diagnostics });
+    data = validData.filter(record => record.year === reportingYear);
+    rosterNames = Array.from(getParticipantNameCounts(validData).keys());
+    console.log(`人力需求表：${validData.length} 筆有效資料，其中 ${reportingYear} 年 ${data.length} 筆`);
+  }
+
+  let hourLogRecords = null;
+  if (values['hour-log']) {
+    const rawRecords = await parseHourLogFile(readExcelFile(values['hour-log']), { year: reportingYear, diagnostics });
+    hourLogRecords = processHourLogData(rawRecords, { diagnostics, rosterNames });
+    console.log(`時數登錄表：${hourLogRecords.length} 筆資料`);
+  }
+
+  const filteredData = filterManpowerData(data, filters);
+  const filteredHourLogRecords = hourLogRecords ? filterHourLogRecords(hourLogRecords, filters) : null;
+  const hourLogData = filteredHourLogRecords
+    ? calculateHourLogChartData(filteredHourLogRecords, { year: reportingYear })
+    : null;
+
+  describeFilters(filters).forEach(item => {
+    console.log(`篩選 ${item.label}：${item.value}`);
+  });
+
+  const workbook = buildChartsWorkbook({
+    data: filteredData,
+    hourLogData,
+    hourLogRecords: filteredHourLogRecords,
+    settings,
+    filters,
+  });
+
+  const outputPath = path.resolve(values.output || `圖表資料匯出_${reportingYear}.xlsx`);
+  await workbook.xlsx.writeFile(outputPath);
+  console.log(`圖表資料已儲存到: ${outputPath}（${workbook.worksheets.length - 1} 張圖表）`);
+
+  // 略過或可疑的資料列只列出筆數，詳細內容請在網頁的「匯入檢查結果」查看
+  groupDiagnosticsBySeverity(diagnostics).forEach(group => {
+    console.warn(`匯入檢查結果 ${group.label}：${group.items.length} 筆`);
+  });
+}
+
+// 執行產生報表
+generateReport().catch(error => {
+  console.error('發生錯誤:', error.message || error);
+  process.exit(1);
+});
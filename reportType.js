@@ -1,18 +1,24 @@
+// 時數登錄表「參與內容」的分類（預設值，可在網頁的「管理參與內容分類」修改，修改後保存在工作區）
+// - name：分類名稱（圖表 21 的系列）
+// - keywords：參與內容包含任一關鍵字即歸入此分類；前後加上 / 的是正規表示式，例如 "/調查|勘查/"
+// - priority：同時符合多個分類時，數字大的優先；相同時依清單順序
+// - group："core"（核心）或 "exception"（例外情況）
+// - excludeFromTotals：true 時不計入時數統計（圖表 21-23、自訂圖表、志工檔案的時數合計），仍可在明細中查看
 const reportType = [
-  "步道調查、勘查",
-  "步道實作帶領",
-  "步道調查、勘查",
-  "走讀",
-  "回流訓練",
+  { name: "步道調查、勘查", keywords: ["步道調查、勘查"], priority: 10, group: "core", excludeFromTotals: false },
+  { name: "步道實作帶領", keywords: ["步道實作帶領"], priority: 10, group: "core", excludeFromTotals: false },
+  { name: "走讀", keywords: ["走讀"], priority: 10, group: "core", excludeFromTotals: false },
+  { name: "回流訓練", keywords: ["回流訓練"], priority: 10, group: "core", excludeFromTotals: false },
 
   // 例外情況
-  "參與相關會議",
-  "協助步道學課務天使",
-  "協助協會活動",
-  "備料",
-  "協助基隆社大接受採訪",
-  "步道助教",
-  "步道實作"
+  { name: "參與相關會議", keywords: ["參與相關會議"], priority: 10, group: "exception", excludeFromTotals: false },
+  { name: "協助步道學課務天使", keywords: ["協助步道學課務天使"], priority: 10, group: "exception", excludeFromTotals: false },
+  { name: "協助協會活動", keywords: ["協助協會活動"], priority: 10, group: "exception", excludeFromTotals: false },
+  { name: "備料", keywords: ["備料"], priority: 10, group: "exception", excludeFromTotals: false },
+  { name: "協助基隆社大接受採訪", keywords: ["協助基隆社大接受採訪"], priority: 10, group: "exception", excludeFromTotals: false },
+  // 較籠統的關鍵字放在較低的優先順序（「步道實作帶領」會先歸入上面的分類）
+  { name: "步道助教", keywords: ["步道助教"], priority: 0, group: "exception", excludeFromTotals: false },
+  { name: "步道實作", keywords: ["步道實作"], priority: 0, group: "exception", excludeFromTotals: false },
 ];
 
 export default reportType;
@@ -1,14 +1,62 @@
-import React, { useState } from 'react';
-import { Container, Typography, Box, Alert, CircularProgress } from '@mui/material';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Container, Typography, Box, Alert, Button, CircularProgress } from '@mui/material';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import ExcelUploader from './components/ExcelUploader';
+import SettingsPanel from './components/SettingsPanel';
 import StatisticsCharts from './components/StatisticsCharts';
+import CustomChartBuilder from './components/CustomChartBuilder';
+import YearComparisonCharts from './components/YearComparisonCharts';
+import ColumnMappingWizard from './components/ColumnMappingWizard';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import WorkspacePanel from './components/WorkspacePanel';
+import AliasEditor from './components/AliasEditor';
+import ContentTaxonomyEditor from './components/ContentTaxonomyEditor';
+import GeographyEditor from './components/GeographyEditor';
+import NameDisambiguationPanel from './components/NameDisambiguationPanel';
+import VolunteerProfileDialog from './components/VolunteerProfileDialog';
+import ReconciliationPanel from './components/ReconciliationPanel';
+import StaffingPanel from './components/StaffingPanel';
+import FilterBar from './components/FilterBar';
+import CityMapPanel from './components/CityMapPanel';
+import ActivityCalendarPanel from './components/ActivityCalendarPanel';
+import DrillDownDialog from './components/DrillDownDialog';
 import { parseExcelFile } from './utils/excelParser';
-import { filterCancelled } from './utils/dataProcessor';
+import { filterCancelled, getDataYears, checkParticipants, getParticipantNameCounts } from './utils/dataProcessor';
 import { parseHourLogFile } from './utils/hourLogParser';
-import { processHourLogData, calculateVolunteerHoursByContent, calculateVolunteerHoursForContentTypeByYear } from './utils/hourLogProcessor';
-import { exportCurrentChartsToExcel } from './utils/chartExcelExporter.js';
+import {
+  processHourLogData,
+  collectAmbiguousNames,
+  calculateHourLogChartData,
+} from './utils/hourLogProcessor';
+import { exportCurrentChartsToExcel, exportDiagnosticsToExcel } from './utils/chartExcelExporter.js';
+import { getDefaultReportingYear } from './utils/dateParser.js';
+import { setAlias } from './utils/aliasManager.js';
+import { getVolunteerNames } from './utils/volunteerProfile.js';
+import { checkVolunteerConflicts } from './utils/volunteerConflicts.js';
+import { getChartDrillDown } from './utils/drillDown.js';
+import {
+  EMPTY_FILTERS,
+  hasActiveFilters,
+  hasManpowerOnlyFilters,
+  getFilterOptions,
+  filterManpowerData,
+  filterHourLogRecords,
+} from './utils/filters.js';
+import { getAliasMap, getDefaultAliasMap, setAliasMap } from './utils/nameAliases.js';
+import { getContentTaxonomy, setContentTaxonomy } from './utils/contentTaxonomy.js';
+import { getGeography, setGeography, renormalizeCities } from './utils/geography.js';
+import { ColumnMappingError, loadSavedColumnMappings, saveColumnMapping } from './utils/columnMapping.js';
+import {
+  DEFAULT_WORKSPACE_NAME,
+  listWorkspaces,
+  loadWorkspace,
+  saveWorkspace,
+  deleteWorkspace,
+  createStoredFile,
+  getLastWorkspaceName,
+  setLastWorkspaceName,
+} from './utils/workspaceStore.js';
 
 const theme = createTheme({
   palette: {
@@ -23,87 +71,529 @@ const theme = createTheme({
 });
 
 function App() {
-  const [data, setData] = useState([]);
+  const [settings, setSettings] = useState({ reportingYear: getDefaultReportingYear(), spreadAcrossMonths: false });
+  const [manpowerFile, setManpowerFile] = useState(null);
+  const [allData, setAllData] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [hourLogData, setHourLogData] = useState(null);
+  const [hourLogFile, setHourLogFile] = useState(null);
+  // 時數登錄表原始資料（姓名比對在 hourLogRecords 中進行，修改別名後會立即重新比對）
+  const [hourLogRawRecords, setHourLogRawRecords] = useState(null);
   const [loadingHourLog, setLoadingHourLog] = useState(false);
   const [errorHourLog, setErrorHourLog] = useState(null);
   const [exporting, setExporting] = useState(false);
+  // 下載圖表資料或檢查結果失敗的訊息（與讀取檔案的錯誤分開顯示）
+  const [exportError, setExportError] = useState(null);
+  const [manpowerDiagnostics, setManpowerDiagnostics] = useState([]);
+  const [hourLogDiagnostics, setHourLogDiagnostics] = useState([]);
+  const [exportingDiagnostics, setExportingDiagnostics] = useState(false);
+  const [columnMappings, setColumnMappings] = useState(() => loadSavedColumnMappings());
+  // 解析失敗、需要欄位對應的檔案 { [kind]: { file, message, sheetName } }
+  const [mappingRequests, setMappingRequests] = useState({});
+  const [wizardKind, setWizardKind] = useState(null);
+  const [workspaceName, setWorkspaceName] = useState(() => getLastWorkspaceName());
+  const [workspaces, setWorkspaces] = useState([]);
+  const [restoreOffer, setRestoreOffer] = useState(null);
+  const [aliasMap, setAliasMapState] = useState(() => getAliasMap());
+  const [aliasEditorOpen, setAliasEditorOpen] = useState(false);
+  // 別名編輯器中已略過的合併建議
+  const [rejectedSuggestions, setRejectedSuggestions] = useState([]);
+  // 時數登錄表「參與內容」的分類（見 utils/contentTaxonomy.js）
+  const [contentTaxonomy, setContentTaxonomyState] = useState(() => getContentTaxonomy());
+  const [taxonomyEditorOpen, setTaxonomyEditorOpen] = useState(false);
+  // 縣市與地區的參考資料（見 utils/geography.js）
+  const [geography, setGeographyState] = useState(() => getGeography());
+  const [geographyEditorOpen, setGeographyEditorOpen] = useState(false);
+  // 使用者儲存的自訂圖表（見 utils/customCharts.js）
+  const [customCharts, setCustomCharts] = useState([]);
+  // 志工檔案顯示的志工（標準名稱）
+  const [profileName, setProfileName] = useState(null);
+  // 全域篩選條件（套用到統計圖表和圖表資料匯出）
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // 點選圖表後顯示的明細（getChartDrillDown 的結果）
+  const [drillDown, setDrillDown] = useState(null);
 
-  const handleManpowerUpload = async (file) => {
-    setLoading(true);
-    setError(null);
-    setData([]);
+  const { reportingYear } = settings;
 
-    try {
-      console.log('開始解析人力需求表...');
-      // 解析 Excel 檔案
-      const rawData = await parseExcelFile(file);
-      console.log(`解析完成，共 ${rawData.length} 筆原始資料`);
-      
-      // 過濾掉取消的活動
-      const filteredData = filterCancelled(rawData);
-      console.log(`過濾完成，共 ${filteredData.length} 筆有效資料`);
-      
-      if (filteredData.length === 0) {
-        setError('沒有找到有效的活動資料，請確認 Excel 檔案格式是否正確');
-      } else {
-        setData(filteredData);
-        console.log('資料載入完成');
+  // 欄位對應精靈儲存的對應（依表格種類分開）
+  const manpowerMappings = useMemo(
+    () => columnMappings.filter(mapping => mapping.kind === 'manpower'),
+    [columnMappings]
+  );
+  const hourLogMappings = useMemo(
+    () => columnMappings.filter(mapping => mapping.kind === 'hourLog'),
+    [columnMappings]
+  );
+
+  const refreshWorkspaces = async () => {
+    setWorkspaces(await listWorkspaces());
+  };
+
+  // 頁面載入時讀取工作區，有保存的檔案時詢問是否還原上次的工作階段
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadWorkspaces = async () => {
+      try {
+        const [list, last] = await Promise.all([listWorkspaces(), loadWorkspace(workspaceName)]);
+        if (cancelled) return;
+        setWorkspaces(list);
+        if (last && (last.manpower || last.hourLog)) {
+          setRestoreOffer(last);
+        }
+      } catch (err) {
+        console.error('讀取工作區失敗:', err);
       }
+    };
+
+    loadWorkspaces();
+    return () => {
+      cancelled = true;
+    };
+    // 只在頁面載入時執行
+  }, []);
+
+  // 保存到目前的工作區（失敗時不影響畫面，只在控制台顯示）
+  const persistWorkspace = async (patch) => {
+    try {
+      await saveWorkspace(workspaceName, patch);
+      setLastWorkspaceName(workspaceName);
+      await refreshWorkspaces();
     } catch (err) {
-      console.error('處理檔案時發生錯誤:', err);
-      setError(err.message || '處理檔案時發生錯誤，請確認檔案格式是否正確');
-    } finally {
-      setLoading(false);
+      console.error('保存工作區失敗:', err);
     }
   };
 
-  const handleHourLogUpload = async (file) => {
-    setLoadingHourLog(true);
+  // 清除目前載入的檔案和統計資料
+  const resetData = () => {
+    setManpowerFile(null);
+    setAllData([]);
+    setError(null);
+    setManpowerDiagnostics([]);
+    setHourLogFile(null);
+    setHourLogRawRecords(null);
     setErrorHourLog(null);
-    setHourLogData(null);
+    setHourLogDiagnostics([]);
+    setMappingRequests({});
+    setFilters(EMPTY_FILTERS);
+  };
 
-    try {
-      // 解析時數登錄表 Excel 檔案
-      const rawData = await parseHourLogFile(file);
-      
-      if (rawData.length === 0) {
-        setErrorHourLog('沒有找到有效的時數登錄資料，請確認 Excel 檔案格式是否正確');
-      } else {
-        // 處理數據（提取姓名最後兩字並比對）
-        const processedData = processHourLogData(rawData);
+  // 套用別名映射（所有統計立即使用新的映射）
+  const applyAliasMap = (map) => {
+    setAliasMap(map);
+    setAliasMapState(getAliasMap());
+  };
+
+  // 套用參與內容分類（時數登錄表立即重新分類）
+  const applyContentTaxonomy = (list) => {
+    setContentTaxonomy(list);
+    setContentTaxonomyState(getContentTaxonomy());
+  };
+
+  // 套用縣市與地區（已載入的人力需求表立即重新轉換縣市）
+  const applyGeography = (value) => {
+    setGeography(value);
+    setGeographyState(getGeography());
+    setAllData(prev => renormalizeCities(prev));
+  };
+
+  // 套用工作區保存的設定、別名和檔案（檔案會重新解析）
+  const applyWorkspace = (workspace) => {
+    resetData();
+    applyAliasMap(workspace?.aliases || null);
+    applyContentTaxonomy(workspace?.contentTaxonomy || null);
+    applyGeography(workspace?.geography || null);
+    setRejectedSuggestions(workspace?.rejectedSuggestions || []);
+    setCustomCharts(workspace?.customCharts || []);
+    if (!workspace) return;
+    if (workspace.settings) {
+      setSettings(prev => ({ ...prev, ...workspace.settings }));
+    }
+    if (workspace.manpower?.file) {
+      setManpowerFile(workspace.manpower.file);
+    }
+    if (workspace.hourLog?.file) {
+      setHourLogFile(workspace.hourLog.file);
+    }
+  };
+
+  // 上傳檔案時解析人力需求表（所有以年份命名的工作表）
+  useEffect(() => {
+    if (!manpowerFile) return undefined;
+    let cancelled = false;
+
+    const loadManpower = async () => {
+      setLoading(true);
+      setError(null);
+      setAllData([]);
+      setManpowerDiagnostics([]);
+      setMappingRequests(prev => ({ ...prev, manpower: null }));
+
+      try {
+        console.log('開始解析人力需求表...');
+        // 解析 Excel 檔案（略過或可疑的資料列記錄在 diagnostics）
+        const diagnostics = [];
+        const rawData = await parseExcelFile(manpowerFile, { mappings: manpowerMappings, diagnostics });
+        if (cancelled) return;
+        console.log(`解析完成，共 ${rawData.length} 筆原始資料`);
         
-        // 計算統計資料
-        const stats = calculateVolunteerHoursByContent(processedData); // 預設維持 2025 年行為（圖表 21）
-        const retrainingStats = calculateVolunteerHoursForContentTypeByYear(processedData, {
-          contentType: '回流訓練',
-          startYear: 2023,
-          endYear: 2025,
-        });
+        // 過濾掉取消的活動
+        const filteredData = filterCancelled(rawData);
+        console.log(`過濾完成，共 ${filteredData.length} 筆有效資料`);
+        
+        // 檢查服勤區人名格式
+        checkParticipants(filteredData, { diagnostics });
+        setManpowerDiagnostics(diagnostics);
+        
+        if (filteredData.length === 0) {
+          setError('沒有找到有效的活動資料，請確認 Excel 檔案格式是否正確');
+        } else {
+          setAllData(filteredData);
+          console.log('資料載入完成');
+        }
+      } catch (err) {
+        if (cancelled) return;
+        console.error('處理檔案時發生錯誤:', err);
+        setError(err.message || '處理檔案時發生錯誤，請確認檔案格式是否正確');
+        if (err instanceof ColumnMappingError) {
+          setMappingRequests(prev => ({
+            ...prev,
+            manpower: { file: manpowerFile, message: err.message, sheetName: err.sheetName },
+          }));
+          setWizardKind('manpower');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadManpower();
+    return () => {
+      cancelled = true;
+    };
+  }, [manpowerFile, manpowerMappings]);
+
+  // 人力需求表中的年份（工作表名稱）
+  const dataYears = useMemo(() => getDataYears(allData), [allData]);
+
+  // 圖表 1-20 只使用統計年度的資料
+  const data = useMemo(
+    () => allData.filter(record => record.year === reportingYear),
+    [allData, reportingYear]
+  );
+
+  // 上傳檔案或切換統計年度時重新解析時數登錄表
+  useEffect(() => {
+    if (!hourLogFile) return undefined;
+    let cancelled = false;
 
-        setHourLogData({
-          ...stats,
-          retraining: retrainingStats,
+    const loadHourLog = async () => {
+      setLoadingHourLog(true);
+      setErrorHourLog(null);
+      setHourLogRawRecords(null);
+      setHourLogDiagnostics([]);
+      setMappingRequests(prev => ({ ...prev, hourLog: null }));
+
+      try {
+        // 解析時數登錄表 Excel 檔案（略過或可疑的資料列記錄在 diagnostics）
+        const diagnostics = [];
+        const rawData = await parseHourLogFile(hourLogFile, {
+          year: reportingYear,
+          mappings: hourLogMappings,
+          diagnostics,
         });
+        if (cancelled) return;
+        
+        if (rawData.length === 0) {
+          setErrorHourLog('沒有找到有效的時數登錄資料，請確認 Excel 檔案格式是否正確');
+        } else {
+          setHourLogRawRecords(rawData);
+        }
+        setHourLogDiagnostics(diagnostics);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('處理時數登錄表時發生錯誤:', err);
+        setErrorHourLog(err.message || '處理時數登錄表時發生錯誤，請確認檔案格式是否正確');
+        if (err instanceof ColumnMappingError) {
+          setMappingRequests(prev => ({
+            ...prev,
+            hourLog: { file: hourLogFile, message: err.message, sheetName: err.sheetName },
+          }));
+          setWizardKind('hourLog');
+        }
+      } finally {
+        if (!cancelled) setLoadingHourLog(false);
       }
+    };
+
+    loadHourLog();
+    return () => {
+      cancelled = true;
+    };
+  }, [hourLogFile, reportingYear, hourLogMappings]);
+
+  // 服勤區中出現的原始人名（所有年度），時數登錄表比對姓名時用來找出最後兩字相同的姓名
+  const rosterNames = useMemo(() => Array.from(getParticipantNameCounts(allData).keys()), [allData]);
+
+  // 處理時數登錄表數據（依別名映射比對姓名、依參與內容分類歸類）
+  const { hourLogRecords, hourLogMatchDiagnostics } = useMemo(() => {
+    if (!hourLogRawRecords) return { hourLogRecords: null, hourLogMatchDiagnostics: [] };
+    const matchDiagnostics = [];
+    return {
+      hourLogRecords: processHourLogData(hourLogRawRecords, {
+        diagnostics: matchDiagnostics,
+        rosterNames,
+        aliasMap,
+        taxonomy: contentTaxonomy,
+      }),
+      hourLogMatchDiagnostics: matchDiagnostics,
+    };
+  }, [hourLogRawRecords, rosterNames, aliasMap, contentTaxonomy]);
+
+  // 志工重複排班（所有年度），依別名映射合併志工
+  const { volunteerConflicts, volunteerConflictDiagnostics } = useMemo(() => {
+    const conflictDiagnostics = [];
+    return {
+      volunteerConflicts: checkVolunteerConflicts(allData, { diagnostics: conflictDiagnostics, aliasMap }),
+      volunteerConflictDiagnostics: conflictDiagnostics,
+    };
+  }, [allData, aliasMap]);
+
+  // 志工檔案可切換的志工（所有年度）
+  const volunteerNames = useMemo(
+    () => getVolunteerNames({ manpowerData: allData, hourLogRecords: hourLogRecords || [], aliasMap }),
+    [allData, hourLogRecords, aliasMap]
+  );
+
+  // 姓名最後兩字對應到多位志工、需要確認的時數登錄表姓名
+  const ambiguousNames = useMemo(() => collectAmbiguousNames(hourLogRecords || []), [hourLogRecords]);
+
+  // 計算時數登錄表統計資料（圖表 21 只統計統計年度，圖表 22 為近三年回流訓練）
+  const hourLogData = useMemo(
+    () => (hourLogRecords ? calculateHourLogChartData(hourLogRecords, { year: reportingYear }) : null),
+    [hourLogRecords, reportingYear]
+  );
+
+  // 套用全域篩選後的資料（圖表 1-23 和圖表資料匯出），志工條件依別名映射比對、地區條件依縣市參考資料判斷
+  const filtersActive = hasActiveFilters(filters);
+  const filterOptions = useMemo(
+    () => getFilterOptions({ manpowerData: data, hourLogRecords: hourLogRecords || [], aliasMap, geography }),
+    [data, hourLogRecords, aliasMap, geography]
+  );
+  const filteredData = useMemo(
+    () => (filtersActive ? filterManpowerData(data, filters, { aliasMap, geography }) : data),
+    [data, filters, filtersActive, aliasMap, geography]
+  );
+  // 人力需求與排班要比較完整的服勤區人數，不套用志工條件（志工條件會只保留所選志工）
+  const staffingData = useMemo(
+    () => (filtersActive ? filterManpowerData(data, { ...filters, volunteers: [] }, { aliasMap, geography }) : data),
+    [data, filters, filtersActive, aliasMap, geography]
+  );
+  // 年度比較使用所有年度的資料，不套用日期區間（日期區間只在統計年度內選擇）
+  const yearComparisonData = useMemo(
+    () => (filtersActive
+      ? filterManpowerData(allData, { ...filters, startDate: '', endDate: '' }, { aliasMap, geography })
+      : allData),
+    [allData, filters, filtersActive, aliasMap, geography]
+  );
+  // 縣市地圖使用縣市以外的篩選條件（點選縣市會改變縣市篩選，地圖仍顯示所有縣市）
+  const cityMapData = useMemo(
+    () => filterManpowerData(data, { ...filters, cities: [] }, { aliasMap, geography }),
+    [data, filters, aliasMap, geography]
+  );
+  const filteredHourLogRecords = useMemo(
+    () => (filtersActive && hourLogRecords ? filterHourLogRecords(hourLogRecords, filters) : hourLogRecords),
+    [hourLogRecords, filters, filtersActive]
+  );
+  const filteredHourLogData = useMemo(() => {
+    if (!filtersActive || !filteredHourLogRecords) return hourLogData;
+    return calculateHourLogChartData(filteredHourLogRecords, { year: reportingYear });
+  }, [filteredHourLogRecords, filtersActive, hourLogData, reportingYear]);
+  // 活動類型、縣市、地區、活動名稱無法篩選時數登錄表：設定時不顯示使用時數登錄表的圖表（21-23、依參與內容的自訂圖表）
+  const hourLogChartsDisabled = hasManpowerOnlyFilters(filters);
+  const chartHourLogData = hourLogChartsDisabled ? null : filteredHourLogData;
+  const hasFilteredResults = filteredData.length > 0
+    || !!(chartHourLogData && chartHourLogData.data.length > 0);
+
+  // 點選圖表的長條區段、圓餅切片或人名長條時，列出構成該數值的原始資料列（與圖表使用相同的篩選後資料）
+  const handleDrillDown = (chart, selection) => {
+    setDrillDown(getChartDrillDown(
+      chart,
+      selection,
+      { manpowerData: filteredData, hourLogRecords: filteredHourLogRecords || [] },
+      { spreadAcrossMonths: !!settings.spreadAcrossMonths, reportingYear, customCharts }
+    ));
+  };
+
+  const handleDrillDownVolunteerClick = (name) => {
+    setDrillDown(null);
+    setProfileName(name);
+  };
+
+  const handleManpowerUpload = (file) => {
+    setManpowerFile(file);
+    persistWorkspace({ manpower: createStoredFile(file) });
+  };
+
+  const handleHourLogUpload = (file) => {
+    setHourLogFile(file);
+    persistWorkspace({ hourLog: createStoredFile(file) });
+  };
+
+  const handleSettingsChange = (nextSettings) => {
+    setSettings(nextSettings);
+    persistWorkspace({ settings: nextSettings });
+  };
+
+  const handleAliasChange = (map) => {
+    applyAliasMap(map);
+    persistWorkspace({ aliases: map });
+  };
+
+  const handleAliasReset = () => {
+    applyAliasMap(null);
+    persistWorkspace({ aliases: null });
+  };
+
+  const handleContentTaxonomyChange = (list) => {
+    applyContentTaxonomy(list);
+    persistWorkspace({ contentTaxonomy: list });
+  };
+
+  const handleContentTaxonomyReset = () => {
+    applyContentTaxonomy(null);
+    persistWorkspace({ contentTaxonomy: null });
+  };
+
+  const handleGeographyChange = (value) => {
+    applyGeography(value);
+    persistWorkspace({ geography: value });
+  };
+
+  const handleGeographyReset = () => {
+    applyGeography(null);
+    persistWorkspace({ geography: null });
+  };
+
+  // 點選地圖上的縣市：加入或移除縣市篩選
+  const handleToggleCityFilter = (city) => {
+    setFilters(prev => ({
+      ...prev,
+      cities: prev.cities.includes(city) ? prev.cities.filter(item => item !== city) : [...prev.cities, city],
+    }));
+  };
+
+  // 確認時數登錄表姓名是哪一位志工（以完整姓名保存到別名映射）
+  const handleResolveAmbiguousName = (name, canonical) => {
+    handleAliasChange(setAlias(aliasMap, name, canonical));
+  };
+
+  const handleRejectSuggestion = (key) => {
+    const next = [...rejectedSuggestions, key];
+    setRejectedSuggestions(next);
+    persistWorkspace({ rejectedSuggestions: next });
+  };
+
+  const handleClearRejectedSuggestions = () => {
+    setRejectedSuggestions([]);
+    persistWorkspace({ rejectedSuggestions: [] });
+  };
+
+  const handleCustomChartsChange = (next) => {
+    setCustomCharts(next);
+    persistWorkspace({ customCharts: next });
+  };
+
+  const handleRestore = () => {
+    applyWorkspace(restoreOffer);
+    setRestoreOffer(null);
+  };
+
+  const handleSwitchWorkspace = async (name) => {
+    setWorkspaceName(name);
+    setLastWorkspaceName(name);
+    setRestoreOffer(null);
+    try {
+      applyWorkspace(await loadWorkspace(name));
+    } catch (err) {
+      console.error('讀取工作區失敗:', err);
+      resetData();
+    }
+  };
+
+  const handleCreateWorkspace = async (name) => {
+    try {
+      await saveWorkspace(name, {
+        settings,
+        aliases: aliasMap,
+        rejectedSuggestions,
+        customCharts,
+        contentTaxonomy,
+        geography,
+      });
+      await refreshWorkspaces();
+    } catch (err) {
+      console.error('建立工作區失敗:', err);
+    }
+    setWorkspaceName(name);
+    setLastWorkspaceName(name);
+    setRestoreOffer(null);
+    resetData();
+  };
+
+  const handleDeleteWorkspace = async (name) => {
+    try {
+      await deleteWorkspace(name);
+      const remaining = await listWorkspaces();
+      setWorkspaces(remaining);
+      if (name === workspaceName) {
+        await handleSwitchWorkspace(remaining[0]?.name || DEFAULT_WORKSPACE_NAME);
+      }
+    } catch (err) {
+      console.error('刪除工作區失敗:', err);
+    }
+  };
+
+  // 儲存欄位對應後，對應的表格會依新的對應重新解析
+  const handleMappingConfirm = (mapping) => {
+    setColumnMappings(saveColumnMapping(mapping));
+    setWizardKind(null);
+  };
+
+  // 匯入檢查結果（人力需求表 + 志工重複排班 + 時數登錄表）
+  const diagnostics = useMemo(
+    () => [...manpowerDiagnostics, ...volunteerConflictDiagnostics, ...hourLogDiagnostics, ...hourLogMatchDiagnostics],
+    [manpowerDiagnostics, volunteerConflictDiagnostics, hourLogDiagnostics, hourLogMatchDiagnostics]
+  );
+
+  const handleDownloadDiagnostics = async () => {
+    try {
+      setExportingDiagnostics(true);
+      setExportError(null);
+      await exportDiagnosticsToExcel(diagnostics, { volunteerConflicts });
     } catch (err) {
-      console.error('處理時數登錄表時發生錯誤:', err);
-      setErrorHourLog(err.message || '處理時數登錄表時發生錯誤，請確認檔案格式是否正確');
+      console.error('匯出檢查結果失敗:', err);
+      setExportError(`匯出檢查結果失敗：${err?.message || '未知錯誤'}`);
     } finally {
-      setLoadingHourLog(false);
+      setExportingDiagnostics(false);
     }
   };
 
   const handleDownload = async () => {
     try {
       setExporting(true);
-      await exportCurrentChartsToExcel({ data, hourLogData });
+      setExportError(null);
+      await exportCurrentChartsToExcel({
+        data: filteredData,
+        hourLogData: filteredHourLogData,
+        hourLogRecords: filteredHourLogRecords,
+        settings,
+        filters,
+        customCharts,
+      });
     } catch (err) {
       console.error('匯出 Excel 失敗:', err);
-      // 直接沿用現有錯誤顯示區塊（避免再做新的 UI）
-      setErrorHourLog(err?.message || '匯出 Excel 失敗');
+      setExportError(`匯出 Excel 失敗：${err?.message || '未知錯誤'}`);
     } finally {
       setExporting(false);
     }
@@ -117,6 +607,28 @@ function App() {
           活動統計儀表板
         </Typography>
 
+        <WorkspacePanel
+          workspaceName={workspaceName}
+          workspaces={workspaces}
+          restoreOffer={restoreOffer}
+          onRestore={handleRestore}
+          onDismissRestore={() => setRestoreOffer(null)}
+          onSwitch={handleSwitchWorkspace}
+          onCreate={handleCreateWorkspace}
+          onDelete={handleDeleteWorkspace}
+          disabled={loading || loadingHourLog}
+        />
+
+        <SettingsPanel
+          settings={settings}
+          onChange={handleSettingsChange}
+          availableYears={dataYears}
+          disabled={loading || loadingHourLog}
+          onOpenAliasEditor={() => setAliasEditorOpen(true)}
+          onOpenContentTaxonomyEditor={() => setTaxonomyEditorOpen(true)}
+          onOpenGeographyEditor={() => setGeographyEditorOpen(true)}
+        />
+
         <ExcelUploader 
           onHourLogUpload={handleHourLogUpload}
           onManpowerUpload={handleManpowerUpload}
@@ -134,25 +646,54 @@ function App() {
         )}
 
         {error && (
-          <Alert severity="error" sx={{ mb: 3 }}>
+          <Alert
+            severity="error"
+            sx={{ mb: 3 }}
+            action={mappingRequests.manpower && (
+              <Button color="inherit" size="small" onClick={() => setWizardKind('manpower')}>
+                指定欄位
+              </Button>
+            )}
+          >
             人力需求表：{error}
           </Alert>
         )}
 
         {errorHourLog && (
-          <Alert severity="error" sx={{ mb: 3 }}>
+          <Alert
+            severity="error"
+            sx={{ mb: 3 }}
+            action={mappingRequests.hourLog && (
+              <Button color="inherit" size="small" onClick={() => setWizardKind('hourLog')}>
+                指定欄位
+              </Button>
+            )}
+          >
             時數登錄表：{errorHourLog}
           </Alert>
         )}
 
+        {exportError && (
+          <Alert severity="error" sx={{ mb: 3 }} onClose={() => setExportError(null)}>
+            {exportError}
+          </Alert>
+        )}
+
         {!loading && data.length > 0 && (
           <Box sx={{ mt: 2 }}>
             <Alert severity="success" sx={{ mb: 3 }}>
-              成功載入 {data.length} 筆活動資料
+              成功載入 {data.length} 筆 {reportingYear} 年活動資料
+              {dataYears.length > 1 && `（工作表：${dataYears.join('、')}，共 ${allData.length} 筆）`}
             </Alert>
           </Box>
         )}
 
+        {!loading && allData.length > 0 && data.length === 0 && (
+          <Alert severity="warning" sx={{ mb: 3 }}>
+            人力需求表沒有 {reportingYear} 年的資料（工作表：{dataYears.join('、')}），請切換統計年度
+          </Alert>
+        )}
+
         {!loadingHourLog && hourLogData && (
           <Box sx={{ mt: 2 }}>
             <Alert severity="success" sx={{ mb: 3 }}>
@@ -161,11 +702,173 @@ function App() {
           </Box>
         )}
 
+        {!loading && !loadingHourLog && (
+          <DiagnosticsPanel
+            diagnostics={diagnostics}
+            onDownload={handleDownloadDiagnostics}
+            isDownloading={exportingDiagnostics}
+          />
+        )}
+
+        {!loadingHourLog && (
+          <NameDisambiguationPanel items={ambiguousNames} onResolve={handleResolveAmbiguousName} />
+        )}
+
         {(!loading && data.length > 0) || (!loadingHourLog && hourLogData) ? (
           <Box sx={{ mt: 2 }}>
-            <StatisticsCharts data={data} hourLogData={hourLogData} />
+            <FilterBar
+              filters={filters}
+              options={filterOptions}
+              onChange={setFilters}
+              counts={{
+                manpower: filteredData.length,
+                manpowerTotal: data.length,
+                hourLog: filteredHourLogRecords ? filteredHourLogRecords.length : 0,
+                hourLogTotal: hourLogRecords ? hourLogRecords.length : 0,
+              }}
+              disabled={loading || loadingHourLog}
+            />
+            {!loading && data.length > 0 && (
+              <CityMapPanel
+                data={cityMapData}
+                selectedCities={filters.cities}
+                onToggleCity={handleToggleCityFilter}
+                onClearCities={() => setFilters(prev => ({ ...prev, cities: [] }))}
+              />
+            )}
+            {hourLogChartsDisabled && hourLogData && (
+              <Alert severity="info" sx={{ mb: 3 }}>
+                時數登錄表沒有活動類型、縣市、地區和活動名稱，無法套用這些篩選條件：
+                圖表 21-23 和依參與內容的自訂圖表暫不顯示，也不會匯出（清除這些條件後恢復）
+              </Alert>
+            )}
+            {hasFilteredResults ? (
+              <>
+                <StatisticsCharts
+                  data={filteredData}
+                  hourLogData={chartHourLogData}
+                  hourLogRecords={filteredHourLogRecords}
+                  settings={settings}
+                  customCharts={customCharts}
+                  aliasMap={aliasMap}
+                  onDrillDown={handleDrillDown}
+                />
+                <CustomChartBuilder
+                  data={filteredData}
+                  hourLogData={chartHourLogData}
+                  hourLogRecords={filteredHourLogRecords}
+                  settings={settings}
+                  customCharts={customCharts}
+                  onChange={handleCustomChartsChange}
+                  aliasMap={aliasMap}
+                />
+                {filteredData.length > 0 && (
+                  <ActivityCalendarPanel
+                    data={filteredData}
+                    reportingYear={reportingYear}
+                    aliasMap={aliasMap}
+                    onVolunteerClick={setProfileName}
+                  />
+                )}
+              </>
+            ) : (
+              <Alert severity="info" sx={{ mb: 3 }}>
+                沒有符合篩選條件的資料，請調整或清除篩選條件
+              </Alert>
+            )}
           </Box>
         ) : null}
+
+        {!loading && !loadingHourLog && data.length > 0 && hourLogRecords && (
+          <Box sx={{ mt: 4 }}>
+            <ReconciliationPanel
+              data={filteredData}
+              hourLogRecords={filteredHourLogRecords}
+              reportingYear={reportingYear}
+              filtered={filtersActive}
+              onVolunteerClick={setProfileName}
+            />
+          </Box>
+        )}
+
+        {!loading && data.length > 0 && (
+          <Box sx={{ mt: 4 }}>
+            <StaffingPanel
+              data={staffingData}
+              reportingYear={reportingYear}
+              aliasMap={aliasMap}
+              filtered={filtersActive}
+            />
+          </Box>
+        )}
+
+        {!loading && dataYears.length > 1 && (
+          <Box sx={{ mt: 4 }}>
+            <YearComparisonCharts
+              data={yearComparisonData}
+              settings={settings}
+              aliasMap={aliasMap}
+              filtered={filtersActive}
+            />
+          </Box>
+        )}
+
+        <ColumnMappingWizard
+          open={!!wizardKind && !!mappingRequests[wizardKind]}
+          kind={wizardKind}
+          file={mappingRequests[wizardKind]?.file}
+          message={mappingRequests[wizardKind]?.message}
+          sheetName={mappingRequests[wizardKind]?.sheetName}
+          reportingYear={reportingYear}
+          onCancel={() => setWizardKind(null)}
+          onConfirm={handleMappingConfirm}
+        />
+
+        <DrillDownDialog
+          drillDown={drillDown}
+          onClose={() => setDrillDown(null)}
+          onVolunteerClick={handleDrillDownVolunteerClick}
+        />
+
+        <VolunteerProfileDialog
+          name={profileName}
+          volunteerNames={volunteerNames}
+          manpowerData={allData}
+          hourLogRecords={hourLogRecords}
+          onSelect={setProfileName}
+          onClose={() => setProfileName(null)}
+        />
+
+        <AliasEditor
+          open={aliasEditorOpen}
+          aliasMap={aliasMap}
+          manpowerData={allData}
+          hourLogRecords={hourLogRawRecords}
+          onChange={handleAliasChange}
+          onReset={handleAliasReset}
+          rejectedSuggestions={rejectedSuggestions}
+          onRejectSuggestion={handleRejectSuggestion}
+          onClearRejected={handleClearRejectedSuggestions}
+          onClose={() => setAliasEditorOpen(false)}
+        />
+
+        <ContentTaxonomyEditor
+          open={taxonomyEditorOpen}
+          taxonomy={contentTaxonomy}
+          hourLogRecords={hourLogRecords}
+          onChange={handleContentTaxonomyChange}
+          onReset={handleContentTaxonomyReset}
+          onClose={() => setTaxonomyEditorOpen(false)}
+        />
+
+        <GeographyEditor
+          open={geographyEditorOpen}
+          geography={geography}
+          manpowerData={allData}
+          onChange={handleGeographyChange}
+          onReset={handleGeographyReset}
+          onClose={() => setGeographyEditorOpen(false)}
+        />
       </Container>
     </ThemeProvider>
   );
@@ -0,0 +1,429 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Chip,
+  Alert,
+  Tabs,
+  Tab,
+  TextField,
+  MenuItem,
+  Tooltip,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from '@mui/material';
+import {
+  CALENDAR_MEASURES,
+  calculateDailyLoad,
+  buildCalendarWeeks,
+  findActivityConflicts,
+  buildActivityTimeline,
+} from '../utils/activityCalendar.js';
+import { buildMapColorScale, MAP_EMPTY_COLOR } from '../utils/cityMap.js';
+import { getActivityTypeColors } from '../utils/chartRegistry.js';
+import { formatDate, toDateKey } from '../utils/dateParser.js';
+
+// 畫面上最多顯示的筆數
+const MAX_VISIBLE_ROWS = 300;
+
+// 日曆熱圖的格子大小
+const CELL_SIZE = 12;
+const CELL_GAP = 2;
+const CALENDAR_LEFT = 24;
+const CALENDAR_TOP = 16;
+const WEEKDAY_LABELS = ['一', '', '三', '', '五', '', '日'];
+
+// 時間軸的尺寸
+const TIMELINE_WIDTH = 1000;
+const TIMELINE_LEFT = 90;
+const TIMELINE_TOP = 20;
+const LANE_HEIGHT = 14;
+const GROUP_GAP = 8;
+const CONFLICT_COLOR = '#d32f2f';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 活動列表（點選日曆的某一天時顯示）
+ * @param {Object} props
+ * @param {Array} props.records - 人力需求表資料列
+ */
+function ActivityTable({ records }) {
+  return (
+    <TableContainer sx={{ maxHeight: 400 }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            <TableCell>日期</TableCell>
+            <TableCell>活動名稱</TableCell>
+            <TableCell>活動類型</TableCell>
+            <TableCell>縣市</TableCell>
+            <TableCell align="right">志工人數</TableCell>
+            <TableCell align="right">服勤區人數</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {records.map((record, index) => (
+            <TableRow key={`${record.sheetName}-${record.rowNumber}-${index}`} hover>
+              <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(record.date, record.endDate)}</TableCell>
+              <TableCell>{record.activityName}</TableCell>
+              <TableCell>{record.activityType}</TableCell>
+              <TableCell>{record.city}</TableCell>
+              <TableCell align="right">{record.volunteerCount || '-'}</TableCell>
+              <TableCell align="right">{record.participants.length}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+/**
+ * 日曆熱圖：每一格為一天，依所選統計量著色，點選某一天列出當天的活動
+ * @param {Object} props
+ * @param {Array} props.data - 人力需求表資料
+ * @param {number} props.year - 統計年度
+ * @param {Object} [props.aliasMap] - 目前的別名對照表（服勤區人數依標準名稱去除重複）
+ */
+function CalendarHeatmap({ data, year, aliasMap }) {
+  const [measure, setMeasure] = useState('activityCount');
+  const [selectedKey, setSelectedKey] = useState(null);
+
+  const dailyLoad = useMemo(() => calculateDailyLoad(data, { aliasMap }), [data, aliasMap]);
+  const { weeks, months } = useMemo(() => buildCalendarWeeks(year), [year]);
+
+  const yearDays = Array.from(dailyLoad.values()).filter(day => day.date.getFullYear() === year);
+  const max = Math.max(0, ...yearDays.map(day => day[measure]));
+  const { getColor, legend } = buildMapColorScale(max);
+  const measureInfo = CALENDAR_MEASURES.find(item => item.key === measure);
+  const selected = selectedKey ? dailyLoad.get(selectedKey) : null;
+  const step = CELL_SIZE + CELL_GAP;
+
+  return (
+    <>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mb: 1 }}>
+        <TextField
+          select
+          size="small"
+          label="統計量"
+          value={measure}
+          onChange={(event) => setMeasure(event.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          {CALENDAR_MEASURES.map(item => (
+            <MenuItem key={item.key} value={item.key}>
+              {item.label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Typography variant="body2" color="text.secondary">
+          {measureInfo.description}。點選日期可以列出當天的活動。
+        </Typography>
+      </Box>
+
+      <Box sx={{ overflowX: 'auto' }}>
+        <svg
+          viewBox={`0 0 ${CALENDAR_LEFT + weeks.length * step} ${CALENDAR_TOP + 7 * step}`}
+          style={{ width: '100%', minWidth: 640, height: 'auto' }}
+          role="img"
+          aria-label="日曆熱圖"
+        >
+          {months.map(({ month, week }) => (
+            <text key={month} x={CALENDAR_LEFT + week * step} y={CALENDAR_TOP - 4} fontSize={9} fill="#616161">
+              {month}月
+            </text>
+          ))}
+          {WEEKDAY_LABELS.map((label, weekday) => (
+            <text key={weekday} x={0} y={CALENDAR_TOP + weekday * step + CELL_SIZE - 2} fontSize={9} fill="#616161">
+              {label}
+            </text>
+          ))}
+          {weeks.map((week, weekIndex) => week.map((date, weekday) => {
+            if (!date) return null;
+            const key = toDateKey(date);
+            const day = dailyLoad.get(key);
+            return (
+              <Tooltip
+                key={key}
+                title={(
+                  <Box>
+                    <Typography variant="subtitle2">{date.toLocaleDateString('zh-TW')}</Typography>
+                    {CALENDAR_MEASURES.map(item => (
+                      <Typography key={item.key} variant="body2">
+                        {item.label}：{day?.[item.key] || 0}
+                      </Typography>
+                    ))}
+                  </Box>
+                )}
+              >
+                <rect
+                  x={CALENDAR_LEFT + weekIndex * step}
+                  y={CALENDAR_TOP + weekday * step}
+                  width={CELL_SIZE}
+                  height={CELL_SIZE}
+                  rx={2}
+                  fill={day ? getColor(day[measure]) : MAP_EMPTY_COLOR}
+                  stroke={key === selectedKey ? CONFLICT_COLOR : '#e0e0e0'}
+                  strokeWidth={key === selectedKey ? 1.5 : 0.5}
+                  style={{ cursor: day ? 'pointer' : 'default' }}
+                  onClick={() => setSelectedKey(day && key !== selectedKey ? key : null)}
+                />
+              </Tooltip>
+            );
+          }))}
+        </svg>
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center', mt: 1, mb: 2 }}>
+        {legend.map(item => (
+          <Box key={item.color} sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+            <Box sx={{ width: 12, height: 12, bgcolor: item.color, border: '1px solid #bdbdbd' }} />
+            <Typography variant="caption">
+              {item.from} - {item.to}
+            </Typography>
+          </Box>
+        ))}
+      </Box>
+
+      {selected && (
+        <>
+          <Typography variant="subtitle2" gutterBottom>
+            {selected.date.toLocaleDateString('zh-TW')}：{selected.activityCount} 場活動，
+            需求 {selected.demand} 人，服勤區 {selected.assigned} 人
+          </Typography>
+          <ActivityTable records={selected.activities} />
+        </>
+      )}
+    </>
+  );
+}
+
+/**
+ * 滑鼠移到時間軸長條上顯示的內容
+ * @param {Object} props
+ * @param {Object} props.item - buildActivityTimeline 的活動
+ */
+function TimelineTooltip({ item }) {
+  const { record } = item;
+  return (
+    <Box>
+      <Typography variant="subtitle2">{record.activityName}</Typography>
+      <Typography variant="body2">{formatDate(record.date, record.endDate)}</Typography>
+      <Typography variant="body2">
+        {record.activityType}／{record.city}
+      </Typography>
+      <Typography variant="body2">
+        志工人數 {record.volunteerCount || '-'}，服勤區 {record.participants.length} 人
+      </Typography>
+      {item.conflict && (
+        <Typography variant="caption">與同時進行的活動有相同志工</Typography>
+      )}
+    </Box>
+  );
+}
+
+/**
+ * 時間軸：每場活動為一條從開始到結束日期的長條，依活動類型著色、依縣市分組，
+ * 和同時進行的活動有相同志工時以紅框標示
+ * @param {Object} props
+ * @param {Array} props.data - 人力需求表資料
+ * @param {number} props.year - 統計年度
+ * @param {Array} props.conflicts - findActivityConflicts 的結果
+ */
+function ActivityTimeline({ data, year, conflicts }) {
+  const groups = useMemo(() => buildActivityTimeline(data, conflicts), [data, conflicts]);
+  const colors = useMemo(() => getActivityTypeColors(data), [data]);
+
+  const yearStart = new Date(year, 0, 1);
+  const yearDays = Math.round((new Date(year + 1, 0, 1) - yearStart) / DAY_MS);
+  const dayWidth = (TIMELINE_WIDTH - TIMELINE_LEFT) / yearDays;
+  const getDayIndex = (date) => Math.round((date - yearStart) / DAY_MS);
+
+  // 各縣市的起始位置
+  let y = TIMELINE_TOP;
+  const rows = groups.map(group => {
+    const top = y;
+    y += group.lanes.length * LANE_HEIGHT + GROUP_GAP;
+    return { ...group, top };
+  });
+  const height = y;
+
+  return (
+    <>
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+        {Object.entries(colors).map(([activityType, color]) => (
+          <Chip
+            key={activityType}
+            size="small"
+            label={activityType || '未填類型'}
+            sx={{ bgcolor: color, color: '#fff' }}
+          />
+        ))}
+        <Chip size="small" variant="outlined" label="志工重疊" sx={{ borderColor: CONFLICT_COLOR, color: CONFLICT_COLOR }} />
+      </Box>
+      <Box sx={{ overflowX: 'auto' }}>
+        <svg
+          viewBox={`0 0 ${TIMELINE_WIDTH} ${height}`}
+          style={{ width: '100%', minWidth: 800, height: 'auto' }}
+          role="img"
+          aria-label="活動時間軸"
+        >
+          {Array.from({ length: 12 }, (_, month) => {
+            const x = TIMELINE_LEFT + getDayIndex(new Date(year, month, 1)) * dayWidth;
+            return (
+              <g key={month}>
+                <line x1={x} x2={x} y1={TIMELINE_TOP - 4} y2={height} stroke="#eeeeee" />
+                <text x={x + 2} y={TIMELINE_TOP - 8} fontSize={10} fill="#616161">
+                  {month + 1}月
+                </text>
+              </g>
+            );
+          })}
+          {rows.map(group => (
+            <g key={group.city}>
+              <text x={0} y={group.top + LANE_HEIGHT - 4} fontSize={10} fill="#424242">
+                {group.city}
+              </text>
+              <line
+                x1={0}
+                x2={TIMELINE_WIDTH}
+                y1={group.top + group.lanes.length * LANE_HEIGHT + GROUP_GAP / 2}
+                y2={group.top + group.lanes.length * LANE_HEIGHT + GROUP_GAP / 2}
+                stroke="#e0e0e0"
+              />
+              {group.lanes.map((lane, laneIndex) => lane.map((item, index) => {
+                // 只畫統計年度內的部分
+                const start = Math.max(0, getDayIndex(item.start));
+                const end = Math.min(yearDays - 1, getDayIndex(item.end));
+                if (end < start) return null;
+                return (
+                  <Tooltip key={`${laneIndex}-${index}`} title={<TimelineTooltip item={item} />} followCursor>
+                    <rect
+                      x={TIMELINE_LEFT + start * dayWidth}
+                      y={group.top + laneIndex * LANE_HEIGHT + 2}
+                      width={Math.max(2, (end - start + 1) * dayWidth)}
+                      height={LANE_HEIGHT - 4}
+                      rx={2}
+                      fill={colors[item.record.activityType] || '#9e9e9e'}
+                      stroke={item.conflict ? CONFLICT_COLOR : 'none'}
+                      strokeWidth={item.conflict ? 1.5 : 0}
+                    />
+                  </Tooltip>
+                );
+              }))}
+            </g>
+          ))}
+        </svg>
+      </Box>
+    </>
+  );
+}
+
+/**
+ * 志工重疊的活動列表
+ * @param {Object} props
+ * @param {Array} props.conflicts - findActivityConflicts 的結果
+ * @param {Function} [props.onVolunteerClick] - 點選志工名字，參數為標準名稱
+ */
+function ConflictTable({ conflicts, onVolunteerClick }) {
+  if (conflicts.length === 0) {
+    return <Typography color="text.secondary">沒有日期重疊且有相同志工的活動</Typography>;
+  }
+
+  return (
+    <>
+      <TableContainer sx={{ maxHeight: 500 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>重疊日期</TableCell>
+              <TableCell>活動</TableCell>
+              <TableCell>同時進行的活動</TableCell>
+              <TableCell>相同的志工</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {conflicts.slice(0, MAX_VISIBLE_ROWS).map((conflict, index) => (
+              <TableRow key={index} hover>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(conflict.start, conflict.end)}</TableCell>
+                {conflict.records.map((record, recordIndex) => (
+                  <TableCell key={recordIndex}>
+                    {record.activityName}（{record.city}，{formatDate(record.date, record.endDate)}）
+                  </TableCell>
+                ))}
+                <TableCell>
+                  <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                    {conflict.volunteers.map(name => (
+                      <Chip
+                        key={name}
+                        size="small"
+                        label={name}
+                        onClick={onVolunteerClick ? () => onVolunteerClick(name) : undefined}
+                      />
+                    ))}
+                  </Box>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      {conflicts.length > MAX_VISIBLE_ROWS && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          僅顯示前 {MAX_VISIBLE_ROWS} 筆，請使用上方的篩選條件
+        </Typography>
+      )}
+    </>
+  );
+}
+
+/**
+ * 活動日曆：日曆熱圖顯示每天的活動量和志工需求，時間軸顯示每場活動的起訖日期，
+ * 並列出日期重疊且服勤區有相同志工的活動
+ * @param {Object} props
+ * @param {Array} props.data - 人力需求表資料（統計年度，已套用篩選）
+ * @param {number} props.reportingYear - 統計年度
+ * @param {Object} [props.aliasMap] - 目前的別名對照表（依標準名稱比對志工）
+ * @param {Function} [props.onVolunteerClick] - 點選志工名字，參數為標準名稱
+ */
+export default function ActivityCalendarPanel({ data, reportingYear, aliasMap, onVolunteerClick }) {
+  const [tab, setTab] = useState('calendar');
+
+  const conflicts = useMemo(() => findActivityConflicts(data, { aliasMap }), [data, aliasMap]);
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        活動日曆（{reportingYear} 年）
+      </Typography>
+
+      {conflicts.length > 0 && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 2, cursor: 'pointer' }}
+          onClick={() => setTab('conflicts')}
+        >
+          有 {conflicts.length} 組日期重疊的活動排入了相同的志工，時間軸以紅框標示，點選查看列表
+        </Alert>
+      )}
+
+      <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ mb: 2 }}>
+        <Tab value="calendar" label="日曆熱圖" />
+        <Tab value="timeline" label="時間軸" />
+        <Tab value="conflicts" label={`志工重疊（${conflicts.length}）`} />
+      </Tabs>
+
+      {tab === 'calendar' && <CalendarHeatmap data={data} year={reportingYear} aliasMap={aliasMap} />}
+
+      {tab === 'timeline' && <ActivityTimeline data={data} year={reportingYear} conflicts={conflicts} />}
+
+      {tab === 'conflicts' && <ConflictTable conflicts={conflicts} onVolunteerClick={onVolunteerClick} />}
+    </Paper>
+  );
+}
@@ -0,0 +1,377 @@
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Alert,
+  Autocomplete,
+  Checkbox,
+  Chip,
+  MenuItem,
+  Paper,
+  Tabs,
+  Tab,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from '@mui/material';
+import MergeIcon from '@mui/icons-material/CallMerge';
+import SplitIcon from '@mui/icons-material/CallSplit';
+import UploadIcon from '@mui/icons-material/Upload';
+import DownloadIcon from '@mui/icons-material/Download';
+import {
+  buildAliasRows,
+  setAlias,
+  mergeAliases,
+  splitAliases,
+  validateAliasMap,
+  serializeAliasMap,
+} from '../utils/aliasManager.js';
+import { suggestAliases, acceptAliasSuggestion } from '../utils/aliasSuggestions.js';
+
+/**
+ * 下載文字檔
+ * @param {string} content - 檔案內容
+ * @param {string} fileName - 檔名
+ */
+function downloadTextFile(content, fileName) {
+  const blob = new Blob([content], { type: 'application/json;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 一筆別名建議：顯示比對依據，選擇合併後的名稱後接受或略過
+ * @param {Object} props
+ * @param {Object} props.suggestion - suggestAliases 的結果
+ * @param {Function} props.onAccept - 接受，參數為合併後的標準名稱
+ * @param {Function} props.onReject - 略過
+ */
+function SuggestionItem({ suggestion, onAccept, onReject }) {
+  const [target, setTarget] = useState(suggestion.target);
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 1 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        {suggestion.rawNames.map(name => (
+          <Chip key={name} size="small" label={name} />
+        ))}
+        <Typography variant="body2" color="text.secondary">
+          可信度 {Math.round(suggestion.score * 100)}%
+        </Typography>
+        <Box sx={{ flexGrow: 1 }} />
+        <TextField
+          select
+          size="small"
+          label="合併為"
+          value={target}
+          onChange={(event) => setTarget(event.target.value)}
+          sx={{ minWidth: 140 }}
+        >
+          {suggestion.names.map(name => (
+            <MenuItem key={name} value={name}>
+              {name}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Button variant="contained" size="small" onClick={() => onAccept(target)}>
+          接受
+        </Button>
+        <Button size="small" onClick={onReject}>
+          略過
+        </Button>
+      </Box>
+      {suggestion.reasons.map(reason => (
+        <Typography key={reason} variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
+          ・{reason}
+        </Typography>
+      ))}
+    </Paper>
+  );
+}
+
+/**
+ * 人名別名編輯器：列出服勤區與時數登錄表中出現的所有原始人名及其標準名稱，
+ * 可以修改標準名稱、合併或拆分人員、處理可能重複的人名建議，並匯出／匯入 nameAliases.json
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Object} props.aliasMap - 目前套用的別名映射物件
+ * @param {Array} props.manpowerData - 人力需求表資料（所有年度）
+ * @param {Array|null} props.hourLogRecords - 時數登錄表原始資料
+ * @param {Function} props.onChange - 別名映射變更，參數為新的映射物件（立即套用到圖表）
+ * @param {Function} props.onReset - 還原為內建的 nameAliases.json
+ * @param {string[]} props.rejectedSuggestions - 已略過的建議
+ * @param {Function} props.onRejectSuggestion - 略過建議，參數為建議的 key
+ * @param {Function} props.onClearRejected - 重新顯示所有略過的建議
+ * @param {Function} props.onClose
+ */
+export default function AliasEditor({
+  open,
+  aliasMap,
+  manpowerData,
+  hourLogRecords,
+  onChange,
+  onReset,
+  rejectedSuggestions,
+  onRejectSuggestion,
+  onClearRejected,
+  onClose,
+}) {
+  const [tab, setTab] = useState('names');
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [importError, setImportError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const rows = useMemo(
+    () => buildAliasRows({ manpowerData, hourLogRecords: hourLogRecords || [], aliasMap }),
+    [aliasMap, manpowerData, hourLogRecords]
+  );
+
+  // 建議只在開啟編輯器時計算
+  const suggestions = useMemo(
+    () => (open ? suggestAliases({ manpowerData, hourLogRecords: hourLogRecords || [], aliasMap }, { rejected: rejectedSuggestions }) : []),
+    [open, aliasMap, manpowerData, hourLogRecords, rejectedSuggestions]
+  );
+
+  const canonicalOptions = useMemo(
+    () => Array.from(new Set(rows.map(row => row.canonical))),
+    [rows]
+  );
+
+  const keyword = search.trim();
+  const visibleRows = keyword
+    ? rows.filter(row => row.rawName.includes(keyword) || row.canonical.includes(keyword))
+    : rows;
+  const selectedRows = rows.filter(row => selected.includes(row.rawName));
+  const allVisibleSelected = visibleRows.length > 0 && visibleRows.every(row => selected.includes(row.rawName));
+
+  const toggleRow = (rawName) => {
+    setSelected(prev => (prev.includes(rawName) ? prev.filter(name => name !== rawName) : [...prev, rawName]));
+  };
+
+  const toggleAllVisible = () => {
+    const visibleNames = visibleRows.map(row => row.rawName);
+    setSelected(prev => (allVisibleSelected
+      ? prev.filter(name => !visibleNames.includes(name))
+      : Array.from(new Set([...prev, ...visibleNames]))));
+  };
+
+  // 標準名稱欄位在離開或按 Enter 時才套用（避免每打一個字就重新計算圖表）
+  const commitDraft = (row) => {
+    const value = drafts[row.rawName];
+    setDrafts(prev => {
+      const next = { ...prev };
+      delete next[row.rawName];
+      return next;
+    });
+    if (value === undefined || value.trim() === row.canonical) return;
+    onChange(setAlias(aliasMap, row.rawName, value));
+  };
+
+  const handleMerge = () => {
+    onChange(mergeAliases(aliasMap, selectedRows, mergeTarget));
+    setSelected([]);
+    setMergeTarget('');
+  };
+
+  const handleSplit = () => {
+    onChange(splitAliases(aliasMap, selected));
+    setSelected([]);
+  };
+
+  const handleAcceptSuggestion = (suggestion, target) => {
+    onChange(acceptAliasSuggestion(aliasMap, suggestion, target));
+  };
+
+  const handleExport = () => {
+    downloadTextFile(serializeAliasMap(aliasMap), 'nameAliases.json');
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const map = validateAliasMap(JSON.parse(await file.text()));
+      setImportError(null);
+      setSelected([]);
+      onChange(map);
+    } catch (err) {
+      setImportError(err instanceof SyntaxError ? `無法讀取 JSON：${err.message}` : err.message);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>管理人名別名</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          標準名稱相同的原始人名會合併為同一位志工統計。修改後圖表會立即重新計算，並保存在目前的工作區；
+          匯出的 nameAliases.json 可以放到專案根目錄作為內建的別名映射。
+        </Typography>
+
+        {importError && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setImportError(null)}>
+            {importError}
+          </Alert>
+        )}
+
+        <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ mb: 2 }}>
+          <Tab value="names" label="人名列表" />
+          <Tab value="suggestions" label={`建議合併（${suggestions.length}）`} />
+        </Tabs>
+
+        {tab === 'suggestions' && (
+          <Box>
+            {suggestions.length === 0 ? (
+              <Typography color="text.secondary">
+                目前沒有可能重複的人名
+              </Typography>
+            ) : (
+              suggestions.map(suggestion => (
+                <SuggestionItem
+                  key={suggestion.key}
+                  suggestion={suggestion}
+                  onAccept={(target) => handleAcceptSuggestion(suggestion, target)}
+                  onReject={() => onRejectSuggestion(suggestion.key)}
+                />
+              ))
+            )}
+            {rejectedSuggestions.length > 0 && (
+              <Button size="small" sx={{ mt: 1 }} onClick={onClearRejected}>
+                重新顯示已略過的 {rejectedSuggestions.length} 筆建議
+              </Button>
+            )}
+          </Box>
+        )}
+
+        {tab === 'names' && (
+          <>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+              <TextField
+                size="small"
+                label="搜尋人名"
+                value={search}
+                onChange={(event) => setSearch(event.target.value)}
+                sx={{ minWidth: 180 }}
+              />
+              <Autocomplete
+                freeSolo
+                size="small"
+                options={canonicalOptions}
+                inputValue={mergeTarget}
+                onInputChange={(event, value) => setMergeTarget(value)}
+                renderInput={(params) => <TextField {...params} label="合併後的標準名稱" />}
+                sx={{ minWidth: 200 }}
+              />
+              <Button
+                startIcon={<MergeIcon />}
+                onClick={handleMerge}
+                disabled={selectedRows.length === 0 || !mergeTarget.trim()}
+              >
+                合併所選
+              </Button>
+              <Button startIcon={<SplitIcon />} onClick={handleSplit} disabled={selected.length === 0}>
+                拆分所選
+              </Button>
+            </Box>
+
+            {rows.length === 0 ? (
+              <Typography color="text.secondary">
+                尚未載入任何資料，請先上傳人力需求表或時數登錄表，或匯入 nameAliases.json
+              </Typography>
+            ) : (
+              <TableContainer sx={{ maxHeight: 440 }}>
+                <Table size="small" stickyHeader>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell padding="checkbox">
+                        <Checkbox
+                          checked={allVisibleSelected}
+                          indeterminate={!allVisibleSelected && visibleRows.some(row => selected.includes(row.rawName))}
+                          onChange={toggleAllVisible}
+                        />
+                      </TableCell>
+                      <TableCell>原始人名</TableCell>
+                      <TableCell align="right">服勤區</TableCell>
+                      <TableCell align="right">時數登錄</TableCell>
+                      <TableCell>標準名稱</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {visibleRows.map(row => (
+                      <TableRow key={row.rawName} hover selected={selected.includes(row.rawName)}>
+                        <TableCell padding="checkbox">
+                          <Checkbox checked={selected.includes(row.rawName)} onChange={() => toggleRow(row.rawName)} />
+                        </TableCell>
+                        <TableCell>
+                          {row.rawName}
+                          {!row.inMap && (
+                            <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                              未設定
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell align="right">{row.manpowerCount || ''}</TableCell>
+                        <TableCell align="right">{row.hourLogCount || ''}</TableCell>
+                        <TableCell>
+                          <TextField
+                            size="small"
+                            variant="standard"
+                            value={drafts[row.rawName] ?? row.canonical}
+                            onChange={(event) => setDrafts(prev => ({ ...prev, [row.rawName]: event.target.value }))}
+                            onBlur={() => commitDraft(row)}
+                            onKeyDown={(event) => {
+                              if (event.key === 'Enter') event.target.blur();
+                            }}
+                          />
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          hidden
+          onChange={handleImport}
+        />
+        <Button startIcon={<UploadIcon />} onClick={() => fileInputRef.current?.click()}>
+          匯入 JSON
+        </Button>
+        <Button startIcon={<DownloadIcon />} onClick={handleExport}>
+          匯出 nameAliases.json
+        </Button>
+        <Button color="warning" onClick={onReset}>
+          還原預設
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button variant="contained" onClick={onClose}>
+          關閉
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
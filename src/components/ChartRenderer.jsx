@@ -0,0 +1,305 @@
+import React from 'react';
+import { Paper, Typography, Box, Grid } from '@mui/material';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+  PieChart,
+  Pie,
+  Cell,
+} from 'recharts';
+
+// 人名圖表每張最多顯示的人數，超過時分成上下兩張
+const MAX_PERSONS_PER_CHART = 30;
+
+// 差值長條圖的正負值顏色
+const POSITIVE_COLOR = '#1976d2';
+const NEGATIVE_COLOR = '#dc004e';
+
+/**
+ * 預設 Tooltip：列出每個系列的數值
+ */
+function ValueTooltip({ active, payload, label }) {
+  if (!active || !payload || payload.length === 0) return null;
+  return (
+    <Paper sx={{ p: 1.5, bgcolor: 'rgba(255, 255, 255, 0.95)' }}>
+      <Typography variant="body2" sx={{ fontWeight: 'bold', mb: 0.5 }}>
+        {label}
+      </Typography>
+      {payload.map((entry, index) => (
+        <Typography key={index} variant="body2" sx={{ color: entry.color }}>
+          {`${entry.name}: ${entry.value}`}
+        </Typography>
+      ))}
+    </Paper>
+  );
+}
+
+/**
+ * 時數 Tooltip：總時數顯示在人名上面，略過時數為 0 的系列
+ */
+function HoursTooltip({ active, payload, label }) {
+  if (!active || !payload || payload.length === 0) return null;
+  const total = payload.reduce((sum, entry) => sum + (typeof entry.value === 'number' ? entry.value : 0), 0);
+  return (
+    <Paper sx={{ p: 1.5, bgcolor: 'rgba(255, 255, 255, 0.95)' }}>
+      <Typography variant="body2" sx={{ fontWeight: 'bold', mb: 0.5, color: '#1976d2' }}>
+        總時數: {total} 小時
+      </Typography>
+      <Typography variant="body2" sx={{ fontWeight: 'bold', mb: 0.5 }}>
+        {label}
+      </Typography>
+      {payload
+        .filter(entry => typeof entry.value === 'number' && entry.value > 0)
+        .map((entry, index) => (
+          <Typography key={index} variant="body2" sx={{ color: entry.color }}>
+            {`${entry.name}: ${entry.value} 小時`}
+          </Typography>
+        ))}
+    </Paper>
+  );
+}
+
+/**
+ * 差值 Tooltip（圖表 23）：差值和兩邊的時數
+ */
+function DifferenceTooltip({ active, payload, label }) {
+  if (!active || !payload || payload.length === 0) return null;
+  const row = payload[0].payload;
+  return (
+    <Paper sx={{ p: 1.5, bgcolor: 'rgba(255, 255, 255, 0.95)' }}>
+      <Typography variant="body2" sx={{ fontWeight: 'bold', mb: 0.5 }}>
+        {label}
+      </Typography>
+      <Typography variant="body2" sx={{ color: '#1976d2' }}>
+        差值: {row.difference} 小時
+      </Typography>
+      <Typography variant="body2" sx={{ color: '#8884d8' }}>
+        手作時數: {row.handcraftHours} 小時
+      </Typography>
+      <Typography variant="body2" sx={{ color: '#82ca9d' }}>
+        步道實作帶領時數: {row.trailLeadingHours} 小時
+      </Typography>
+    </Paper>
+  );
+}
+
+/**
+ * 人名圖表分段：最大值超過前 25% 門檻的 2 倍時分為高值組和其餘組（各自的 Y 軸範圍），
+ * 每組超過 30 人再分成上下兩張；不分組時依 splitAt 分成上下兩張
+ * @param {Object} chart - 圖表定義
+ * @param {Array} rows - 已排序的資料列
+ * @param {Function} getValue - 每列的數值（堆疊總和或差值）
+ * @returns {Array<{label: string|null, color: string, parts: Array[]}>}
+ */
+function getPersonSections(chart, rows, getValue) {
+  const halves = (group) => {
+    const middle = Math.ceil(group.length / 2);
+    return [group.slice(0, middle), group.slice(middle)].filter(part => part.length > 0);
+  };
+
+  const sortedValues = rows.map(row => Math.abs(getValue(row))).sort((a, b) => b - a);
+  const q75 = sortedValues[Math.floor(sortedValues.length * 0.25)] || 0; // 75分位數（前25%）
+  const maxValue = sortedValues[0] || 0;
+
+  if (!(maxValue > 0 && maxValue > q75 * 2)) {
+    const splitAt = chart.splitAt ?? 0;
+    return [{ label: null, parts: rows.length >= splitAt ? halves(rows) : [rows] }];
+  }
+
+  let highGroup;
+  let otherGroup;
+  if (chart.grouping === 'rank') {
+    const highCount = Math.max(1, Math.floor(rows.length * 0.25));
+    highGroup = rows.slice(0, highCount);
+    otherGroup = rows.slice(highCount);
+  } else {
+    highGroup = rows.filter(row => getValue(row) >= q75);
+    otherGroup = rows.filter(row => getValue(row) < q75);
+  }
+  const split = (group) => (group.length > MAX_PERSONS_PER_CHART ? halves(group) : [group]);
+  return [
+    { label: `高值組（前 ${highGroup.length} 位）`, color: 'primary.main', group: highGroup },
+    { label: `其餘組（${otherGroup.length} 位）`, color: 'secondary.main', group: otherGroup },
+  ]
+    .filter(section => section.group.length > 0)
+    .map(({ group, ...section }) => ({ ...section, parts: split(group), domainRows: group }));
+}
+
+/**
+ * Y 軸範圍（正負值分開計算，各留 10%）
+ * @param {Array} rows
+ * @param {Function} getValue
+ * @returns {number[]}
+ */
+function getDomain(rows, getValue) {
+  const values = rows.map(getValue);
+  const max = Math.max(...values, 0);
+  const min = Math.min(...values, 0);
+  return [min < 0 ? Math.ceil(min * 1.1) : 0, Math.ceil(max * 1.1)];
+}
+
+/**
+ * 人名長條圖（圖表 19-23）
+ */
+function PersonBarChart({ resolved, onBarClick, cursor }) {
+  const { chart, rows, seriesKeys, colors } = resolved;
+  const isDifference = chart.kind === 'differenceBar';
+  const getValue = isDifference
+    ? (row) => row[chart.valueKey] || 0
+    : (row) => seriesKeys.reduce((sum, key) => sum + (row[key] || 0), 0);
+  const sections = getPersonSections(chart, rows, getValue);
+  const TooltipContent = isDifference ? DifferenceTooltip : chart.tooltip === 'hours' ? HoursTooltip : ValueTooltip;
+
+  return sections.map((section, sectionIndex) => {
+    const domain = getDomain(section.domainRows || rows, getValue);
+    return (
+      <React.Fragment key={sectionIndex}>
+        {section.label && (
+          <Typography variant="subtitle1" sx={{ mt: 2, mb: 1, fontWeight: 'bold', color: section.color }}>
+            {section.label}
+          </Typography>
+        )}
+        {section.parts.map((part, partIndex) => (
+          <Box key={partIndex} sx={{ width: '100%', height: 400, mt: 2, mb: partIndex < section.parts.length - 1 ? 4 : 0 }}>
+            <ResponsiveContainer>
+              <BarChart data={part} margin={{ top: 20, right: 30, left: 20, bottom: 100 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey={chart.x} angle={-45} textAnchor="end" height={120} interval={0} />
+                <YAxis domain={domain} />
+                <Tooltip content={<TooltipContent />} />
+                {!isDifference && <Legend />}
+                {isDifference ? (
+                  <Bar dataKey={chart.valueKey} onClick={onBarClick()} cursor={cursor}>
+                    {part.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={entry[chart.valueKey] >= 0 ? POSITIVE_COLOR : NEGATIVE_COLOR} />
+                    ))}
+                  </Bar>
+                ) : (
+                  seriesKeys.map(key => (
+                    <Bar
+                      key={key}
+                      dataKey={key}
+                      onClick={onBarClick(key)}
+                      cursor={cursor}
+                      stackId="a"
+                      fill={colors[key]}
+                    />
+                  ))
+                )}
+              </BarChart>
+            </ResponsiveContainer>
+          </Box>
+        ))}
+      </React.Fragment>
+    );
+  });
+}
+
+/**
+ * 堆疊長條圖（月份、縣市、地區）
+ */
+function StackedBarChart({ resolved, onBarClick, cursor }) {
+  const { chart, rows, seriesKeys, colors } = resolved;
+  return (
+    <Box sx={{ width: '100%', height: 400, mt: 2 }}>
+      <ResponsiveContainer>
+        <BarChart data={rows} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey={chart.x} angle={-45} textAnchor="end" height={100} interval={0} />
+          <YAxis />
+          <Tooltip content={<ValueTooltip />} />
+          <Legend />
+          {seriesKeys.map(key => (
+            <Bar
+              key={key}
+              dataKey={key}
+              onClick={onBarClick(key)}
+              cursor={cursor}
+              stackId="a"
+              fill={colors[key]}
+            />
+          ))}
+        </BarChart>
+      </ResponsiveContainer>
+    </Box>
+  );
+}
+
+/**
+ * 圓餅圖
+ */
+function PieChartView({ resolved, onPieClick, cursor }) {
+  const { rows, colors } = resolved;
+  return (
+    <Box sx={{ width: '100%', height: 400, mt: 2 }}>
+      <ResponsiveContainer>
+        <PieChart>
+          <Pie
+            data={rows}
+            cx="50%"
+            cy="50%"
+            labelLine={false}
+            label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(0)}%`}
+            outerRadius={120}
+            fill="#8884d8"
+            dataKey="value"
+            onClick={onPieClick}
+            cursor={cursor}
+          >
+            {rows.map(entry => (
+              <Cell key={`cell-${entry.name}`} fill={colors[entry.name] || '#cccccc'} />
+            ))}
+          </Pie>
+          <Tooltip />
+          <Legend />
+        </PieChart>
+      </ResponsiveContainer>
+    </Box>
+  );
+}
+
+/**
+ * 依圖表定義（utils/chartRegistry.js）繪製一張圖表
+ * @param {Object} props
+ * @param {Object} props.resolved - resolveCharts 的一個項目（chart、title、rows、seriesKeys、colors）
+ * @param {Function} [props.onDrillDown] - 點選長條區段、圓餅切片或人名長條，參數為 (圖表編號, { xValue, seriesKey })
+ */
+export default function ChartRenderer({ resolved, onDrillDown }) {
+  const { chart, title } = resolved;
+  const cursor = onDrillDown ? 'pointer' : undefined;
+
+  // 點選長條區段時顯示構成該數值的原始資料列（payload 為該 X 軸項目的資料）
+  const onBarClick = (seriesKey) => (entry) => {
+    if (onDrillDown && entry?.payload) {
+      onDrillDown(chart.id, { xValue: entry.payload[chart.x], seriesKey });
+    }
+  };
+
+  // 點選圓餅切片時顯示構成該數值的原始資料列
+  const onPieClick = (entry) => {
+    if (onDrillDown && entry?.name !== undefined) {
+      onDrillDown(chart.id, { xValue: entry.name });
+    }
+  };
+
+  return (
+    <Grid item xs={12} md={chart.md}>
+      <Paper elevation={2} sx={{ p: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          {title}
+        </Typography>
+        {chart.kind === 'stackedBar' && <StackedBarChart resolved={resolved} onBarClick={onBarClick} cursor={cursor} />}
+        {chart.kind === 'pie' && <PieChartView resolved={resolved} onPieClick={onPieClick} cursor={cursor} />}
+        {(chart.kind === 'personBar' || chart.kind === 'differenceBar') && (
+          <PersonBarChart resolved={resolved} onBarClick={onBarClick} cursor={cursor} />
+        )}
+      </Paper>
+    </Grid>
+  );
+}
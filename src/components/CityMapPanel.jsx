@@ -0,0 +1,158 @@
+import React, { useMemo, useState } from 'react';
+import { Paper, Typography, Box, TextField, MenuItem, Chip, Button, Tooltip } from '@mui/material';
+import { feature } from 'topojson-client';
+import { geoPath } from 'd3-geo';
+import counties from 'taiwan-atlas/counties-mercator-10t.json';
+import { CITY_MAP_MEASURES, calculateCityMapValues, buildMapColorScale } from '../utils/cityMap.js';
+import { normalizeCity, getRegion } from '../utils/geography.js';
+
+// 縣市邊界（內政部直轄市、縣市界線，已投影；金門、連江縣以內嵌方框顯示）
+const COUNTY_FEATURES = feature(counties, counties.objects.counties).features;
+const INSET_BORDERS = feature(counties, counties.objects.compBorders);
+const path = geoPath();
+const [[minX, minY], [maxX, maxY]] = path.bounds({
+  type: 'FeatureCollection',
+  features: [...COUNTY_FEATURES, ...INSET_BORDERS.features],
+});
+const VIEW_BOX = `${Math.floor(minX) - 1} ${Math.floor(minY) - 1} ${Math.ceil(maxX - minX) + 2} ${Math.ceil(maxY - minY) + 2}`;
+const COUNTY_PATHS = COUNTY_FEATURES.map(county => ({
+  name: county.properties.COUNTYNAME,
+  d: path(county),
+}));
+
+/**
+ * 滑鼠移到縣市上顯示的內容
+ * @param {Object} props
+ * @param {string} props.city
+ * @param {Object} [props.values] - calculateCityMapValues 的結果
+ * @param {boolean} props.selected
+ */
+function CountyTooltip({ city, values, selected }) {
+  return (
+    <Box>
+      <Typography variant="subtitle2">
+        {city}（{getRegion(city)}）
+      </Typography>
+      {CITY_MAP_MEASURES.map(measure => (
+        <Typography key={measure.key} variant="body2">
+          {measure.label}：{values?.[measure.key] || 0}
+        </Typography>
+      ))}
+      <Typography variant="caption">
+        {selected ? '點選以取消篩選' : '點選以篩選此縣市'}
+      </Typography>
+    </Box>
+  );
+}
+
+/**
+ * 縣市地圖：依所選統計量的大小為各縣市著色，點選縣市會加入（或移除）全域篩選的縣市條件
+ * @param {Object} props
+ * @param {Array} props.data - 人力需求表資料（已套用縣市以外的篩選條件）
+ * @param {string[]} props.selectedCities - 目前篩選的縣市
+ * @param {Function} props.onToggleCity - 點選縣市，參數為縣市標準名稱
+ * @param {Function} props.onClearCities - 清除縣市篩選
+ */
+export default function CityMapPanel({ data, selectedCities, onToggleCity, onClearCities }) {
+  const [measure, setMeasure] = useState('count');
+
+  const values = useMemo(() => calculateCityMapValues(data), [data]);
+
+  // 地圖上的縣市名稱轉成標準名稱（參考資料改名時仍可對應）
+  const countyNames = COUNTY_PATHS.map(county => normalizeCity(county.name));
+  const unmapped = Array.from(values.keys()).filter(city => !countyNames.includes(city));
+
+  const max = Math.max(0, ...Array.from(values.values()).map(item => item[measure] || 0));
+  const { getColor, legend } = buildMapColorScale(max);
+  const measureInfo = CITY_MAP_MEASURES.find(item => item.key === measure);
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mb: 1 }}>
+        <Typography variant="h6">
+          縣市地圖
+        </Typography>
+        <TextField
+          select
+          size="small"
+          label="統計量"
+          value={measure}
+          onChange={(event) => setMeasure(event.target.value)}
+          sx={{ minWidth: 140 }}
+        >
+          {CITY_MAP_MEASURES.map(item => (
+            <MenuItem key={item.key} value={item.key}>
+              {item.label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Box sx={{ flexGrow: 1 }} />
+        {selectedCities.map(city => (
+          <Chip key={city} size="small" color="primary" label={city} onDelete={() => onToggleCity(city)} />
+        ))}
+        {selectedCities.length > 0 && (
+          <Button size="small" onClick={onClearCities}>
+            清除縣市篩選
+          </Button>
+        )}
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {measureInfo.description}。點選縣市可以篩選其他圖表，地圖本身不套用縣市篩選。
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap', alignItems: 'flex-start' }}>
+        <Box sx={{ flex: '1 1 360px', maxWidth: 520 }}>
+          <svg viewBox={VIEW_BOX} style={{ width: '100%', height: 'auto' }} role="img" aria-label="縣市地圖">
+            {COUNTY_PATHS.map((county, index) => {
+              const city = countyNames[index];
+              const selected = selectedCities.includes(city);
+              return (
+                <Tooltip
+                  key={county.name}
+                  title={<CountyTooltip city={city} values={values.get(city)} selected={selected} />}
+                  followCursor
+                >
+                  <path
+                    d={county.d}
+                    fill={getColor(values.get(city)?.[measure])}
+                    stroke={selected ? '#d32f2f' : '#757575'}
+                    strokeWidth={selected ? 2 : 0.5}
+                    style={{ cursor: 'pointer' }}
+                    onClick={() => onToggleCity(city)}
+                  />
+                </Tooltip>
+              );
+            })}
+            <path d={path(INSET_BORDERS)} fill="none" stroke="#9e9e9e" strokeWidth={0.5} />
+          </svg>
+        </Box>
+
+        <Box>
+          <Typography variant="subtitle2" gutterBottom>
+            {measureInfo.label}
+          </Typography>
+          {legend.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">
+              沒有資料
+            </Typography>
+          ) : (
+            legend.map(item => (
+              <Box key={item.color} sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                <Box sx={{ width: 16, height: 16, bgcolor: item.color, border: '1px solid #bdbdbd' }} />
+                <Typography variant="body2">
+                  {item.from} - {item.to}
+                </Typography>
+              </Box>
+            ))
+          )}
+          {unmapped.length > 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2, maxWidth: 220 }}>
+              不在地圖上的縣市：
+              {unmapped.map(city => `${city}（${values.get(city)[measure] || 0}）`).join('、')}
+            </Typography>
+          )}
+        </Box>
+      </Box>
+    </Paper>
+  );
+}
@@ -0,0 +1,320 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Box,
+  Grid,
+  TextField,
+  MenuItem,
+  Alert,
+  CircularProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  Paper,
+} from '@mui/material';
+import {
+  MANPOWER_FIELDS,
+  HOUR_LOG_FIELDS,
+  suggestColumns,
+  getHeaderSignature,
+} from '../utils/columnMapping.js';
+import { readWorkbookPreview, getColumnLetter } from '../utils/workbookPreview.js';
+import { getSheetYear } from '../utils/excelParser.js';
+
+// 預覽表格顯示的列數
+const PREVIEW_ROWS = 8;
+
+const kindLabels = {
+  manpower: '人力需求表',
+  hourLog: '時數登錄表',
+};
+
+/**
+ * 欄位對應精靈
+ * 上傳的檔案找不到工作表或必要欄位時開啟，讓使用者選擇工作表、標題列，並指定每個欄位對應的欄
+ * @param {Object} props
+ * @param {boolean} props.open - 是否開啟
+ * @param {string} props.kind - 'manpower' | 'hourLog'
+ * @param {File} props.file - 上傳的 Excel 檔案
+ * @param {string} [props.message] - 解析失敗的錯誤訊息
+ * @param {string} [props.sheetName] - 解析失敗的工作表（預設選取）
+ * @param {number} props.reportingYear - 統計年度（工作表名稱不是年份時的預設年份）
+ * @param {Function} props.onCancel
+ * @param {Function} props.onConfirm - 參數為 { kind, signature, sheetName, headerRow, columns, year? }
+ */
+export default function ColumnMappingWizard({
+  open,
+  kind,
+  file,
+  message,
+  sheetName: initialSheetName,
+  reportingYear,
+  onCancel,
+  onConfirm,
+}) {
+  const fields = kind === 'hourLog' ? HOUR_LOG_FIELDS : MANPOWER_FIELDS;
+  const [sheets, setSheets] = useState([]);
+  const [loadingPreview, setLoadingPreview] = useState(false);
+  const [previewError, setPreviewError] = useState(null);
+  const [sheetName, setSheetName] = useState('');
+  const [headerRow, setHeaderRow] = useState(1);
+  const [columns, setColumns] = useState({});
+  const [year, setYear] = useState(reportingYear);
+
+  // 開啟時讀取每個工作表的前幾列
+  useEffect(() => {
+    if (!open || !file) return undefined;
+    let cancelled = false;
+
+    const loadPreview = async () => {
+      setLoadingPreview(true);
+      setPreviewError(null);
+      try {
+        const preview = await readWorkbookPreview(file, { maxRows: PREVIEW_ROWS });
+        if (cancelled) return;
+        setSheets(preview);
+        const initial = preview.find(sheet => sheet.name === initialSheetName) || preview[0];
+        setSheetName(initial ? initial.name : '');
+      } catch (err) {
+        if (cancelled) return;
+        console.error('讀取工作表預覽失敗:', err);
+        setPreviewError(err.message || '讀取工作表預覽失敗');
+      } finally {
+        if (!cancelled) setLoadingPreview(false);
+      }
+    };
+
+    loadPreview();
+    return () => {
+      cancelled = true;
+    };
+  }, [open, file, initialSheetName]);
+
+  const sheet = useMemo(
+    () => sheets.find(item => item.name === sheetName) || null,
+    [sheets, sheetName]
+  );
+
+  // 切換工作表時，自動選擇最像標題列的一列
+  useEffect(() => {
+    if (!sheet) return;
+    let bestRow = 1;
+    let bestCount = -1;
+    sheet.rows.forEach((texts, index) => {
+      const count = Object.keys(suggestColumns(texts, fields, { kind })).length;
+      if (count > bestCount) {
+        bestRow = index + 1;
+        bestCount = count;
+      }
+    });
+    setHeaderRow(bestRow);
+    setYear(getSheetYear(sheet.name) ?? reportingYear);
+  }, [sheet, fields, kind, reportingYear]);
+
+  const headerTexts = useMemo(
+    () => (sheet && sheet.rows[headerRow - 1]) || [],
+    [sheet, headerRow]
+  );
+
+  // 切換標題列時，依標題文字預先填入欄位對應
+  useEffect(() => {
+    setColumns(suggestColumns(headerTexts, fields, { kind }));
+  }, [headerTexts, fields, kind]);
+
+  const columnOptions = useMemo(() => {
+    const count = sheet ? sheet.columnCount : 0;
+    return Array.from({ length: count }, (_, index) => {
+      const col = index + 1;
+      const text = headerTexts[index];
+      return { col, label: text ? `${getColumnLetter(col)}：${text}` : getColumnLetter(col) };
+    });
+  }, [sheet, headerTexts]);
+
+  const missingFields = fields.filter(field => field.required && !columns[field.key]);
+  const isYearValid = kind !== 'manpower' || (Number.isInteger(year) && year >= 1900 && year <= 2100);
+  const canConfirm = !!sheet && missingFields.length === 0 && isYearValid;
+
+  const handleColumnChange = (key) => (event) => {
+    const col = Number(event.target.value);
+    setColumns(prev => {
+      const next = { ...prev };
+      if (col) {
+        next[key] = col;
+      } else {
+        delete next[key];
+      }
+      return next;
+    });
+  };
+
+  const handleConfirm = () => {
+    const mapping = {
+      kind,
+      signature: getHeaderSignature(headerTexts),
+      sheetName,
+      headerRow,
+      columns,
+    };
+    if (kind === 'manpower') {
+      mapping.year = year;
+    }
+    onConfirm(mapping);
+  };
+
+  return (
+    <Dialog open={open} onClose={onCancel} maxWidth="lg" fullWidth>
+      <DialogTitle>欄位對應（{kindLabels[kind] || kind}）</DialogTitle>
+      <DialogContent dividers>
+        {message && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            {message}
+          </Alert>
+        )}
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          請選擇資料所在的工作表與標題列，並指定每個欄位對應的欄。確認後會記住這份範本的對應，之後上傳相同標題的檔案會自動套用。
+        </Typography>
+
+        {loadingPreview && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 4 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {previewError && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {previewError}
+          </Alert>
+        )}
+
+        {!loadingPreview && sheet && (
+          <>
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+              <TextField
+                select
+                size="small"
+                label="工作表"
+                value={sheetName}
+                onChange={(event) => setSheetName(event.target.value)}
+                sx={{ minWidth: 180 }}
+              >
+                {sheets.map(item => (
+                  <MenuItem key={item.name} value={item.name}>
+                    {item.name}（{item.rowCount} 列）
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                size="small"
+                label="標題列"
+                value={headerRow}
+                onChange={(event) => setHeaderRow(Number(event.target.value))}
+                sx={{ minWidth: 120 }}
+              >
+                {sheet.rows.map((_, index) => (
+                  <MenuItem key={index + 1} value={index + 1}>
+                    第 {index + 1} 列
+                  </MenuItem>
+                ))}
+              </TextField>
+              {kind === 'manpower' && (
+                <TextField
+                  size="small"
+                  type="number"
+                  label="資料年份"
+                  value={year}
+                  onChange={(event) => setYear(Number(event.target.value))}
+                  error={!isYearValid}
+                  helperText="只有月/日的日期會歸入此年份"
+                  sx={{ width: 160 }}
+                />
+              )}
+            </Box>
+
+            <TableContainer component={Paper} variant="outlined" sx={{ mb: 3, maxHeight: 320 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell />
+                    {columnOptions.map(option => (
+                      <TableCell key={option.col} sx={{ fontWeight: 'bold' }}>
+                        {getColumnLetter(option.col)}
+                      </TableCell>
+                    ))}
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {sheet.rows.map((texts, index) => (
+                    <TableRow
+                      key={index}
+                      selected={index + 1 === headerRow}
+                      hover
+                      onClick={() => setHeaderRow(index + 1)}
+                      sx={{ cursor: 'pointer' }}
+                    >
+                      <TableCell sx={{ color: 'text.secondary' }}>{index + 1}</TableCell>
+                      {texts.map((text, col) => (
+                        <TableCell
+                          key={col}
+                          sx={{ maxWidth: 200, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}
+                          title={text}
+                        >
+                          {text}
+                        </TableCell>
+                      ))}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+
+            <Grid container spacing={2}>
+              {fields.map(field => (
+                <Grid item xs={12} sm={6} md={4} key={field.key}>
+                  <TextField
+                    select
+                    fullWidth
+                    size="small"
+                    label={field.required ? `${field.label} *` : field.label}
+                    value={columns[field.key] || ''}
+                    onChange={handleColumnChange(field.key)}
+                    error={field.required && !columns[field.key]}
+                  >
+                    <MenuItem value="">
+                      <em>（未指定）</em>
+                    </MenuItem>
+                    {columnOptions.map(option => (
+                      <MenuItem key={option.col} value={option.col}>
+                        {option.label}
+                      </MenuItem>
+                    ))}
+                  </TextField>
+                </Grid>
+              ))}
+            </Grid>
+
+            {missingFields.length > 0 && (
+              <Typography variant="body2" color="error" sx={{ mt: 2 }}>
+                尚未指定：{missingFields.map(field => field.label).join('、')}
+              </Typography>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onCancel}>取消</Button>
+        <Button variant="contained" onClick={handleConfirm} disabled={!canConfirm}>
+          套用並記住對應
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,365 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Alert,
+  Autocomplete,
+  Checkbox,
+  Chip,
+  FormControlLabel,
+  IconButton,
+  MenuItem,
+  Paper,
+  Tabs,
+  Tab,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import {
+  CONTENT_GROUPS,
+  EMPTY_CONTENT_TYPE,
+  getDefaultContentTaxonomy,
+  validateKeyword,
+  validateContentTaxonomy,
+  addContentTypeKeyword,
+  collectUncategorizedContents,
+} from '../utils/contentTaxonomy.js';
+
+/**
+ * 一個分類的編輯欄位
+ * @param {Object} props
+ * @param {Object} props.category - 編輯中的分類
+ * @param {{count: number, hours: number}} [props.usage] - 目前套用的分類下的登錄筆數和時數
+ * @param {Function} props.onChange - 參數為修改後的分類
+ * @param {Function} props.onDelete
+ */
+function CategoryItem({ category, usage, onChange, onDelete }) {
+  const update = (patch) => onChange({ ...category, ...patch });
+  const invalidKeywords = category.keywords.filter(keyword => validateKeyword(keyword));
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 1 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <TextField
+          size="small"
+          label="分類名稱"
+          value={category.name}
+          onChange={(event) => update({ name: event.target.value })}
+          sx={{ minWidth: 180 }}
+        />
+        <TextField
+          size="small"
+          type="number"
+          label="優先順序"
+          value={category.priority}
+          onChange={(event) => update({ priority: event.target.value })}
+          sx={{ width: 110 }}
+        />
+        <TextField
+          select
+          size="small"
+          label="群組"
+          value={category.group}
+          onChange={(event) => update({ group: event.target.value })}
+          sx={{ minWidth: 120 }}
+        >
+          {CONTENT_GROUPS.map(group => (
+            <MenuItem key={group.key} value={group.key}>
+              {group.label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={!!category.excludeFromTotals}
+              onChange={(event) => update({ excludeFromTotals: event.target.checked })}
+            />
+          }
+          label="不計入時數統計"
+        />
+        <Box sx={{ flexGrow: 1 }} />
+        {usage && (
+          <Typography variant="body2" color="text.secondary">
+            {usage.count} 筆、{Math.round(usage.hours * 10) / 10} 小時
+          </Typography>
+        )}
+        <IconButton size="small" aria-label="刪除分類" onClick={onDelete}>
+          <DeleteIcon fontSize="small" />
+        </IconButton>
+      </Box>
+      <Autocomplete
+        multiple
+        freeSolo
+        size="small"
+        options={[]}
+        value={category.keywords}
+        onChange={(event, value) => update({ keywords: value.map(keyword => keyword.trim()).filter(Boolean) })}
+        renderTags={(value, getTagProps) => value.map((keyword, index) => (
+          <Chip
+            {...getTagProps({ index })}
+            key={keyword}
+            size="small"
+            label={keyword}
+            color={invalidKeywords.includes(keyword) ? 'error' : 'default'}
+          />
+        ))}
+        renderInput={(params) => (
+          <TextField
+            {...params}
+            label="關鍵字"
+            placeholder="輸入後按 Enter；/.../ 為正規表示式"
+            error={invalidKeywords.length > 0}
+            helperText={invalidKeywords.length > 0 ? validateKeyword(invalidKeywords[0]) : undefined}
+          />
+        )}
+        sx={{ mt: 1.5 }}
+      />
+    </Paper>
+  );
+}
+
+/**
+ * 一種未分類的參與內容：顯示登錄筆數和資料列，選擇分類後加入該分類的關鍵字
+ * @param {Object} props
+ * @param {Object} props.item - collectUncategorizedContents 的結果
+ * @param {string[]} props.categoryNames - 可選擇的分類
+ * @param {Function} props.onAssign - 參數為分類名稱
+ */
+function UncategorizedItem({ item, categoryNames, onAssign }) {
+  const [target, setTarget] = useState('');
+  const rows = item.records.slice(0, 5).map(record => `${record.sheetName} 第 ${record.rowNumber} 列`);
+
+  return (
+    <TableRow hover>
+      <TableCell>
+        {item.content || (
+          <Typography component="span" variant="body2" color="text.secondary">
+            （空白）
+          </Typography>
+        )}
+        <Typography variant="caption" color="text.secondary" display="block">
+          {rows.join('、')}
+          {item.records.length > rows.length && ` 等 ${item.records.length} 列`}
+        </Typography>
+      </TableCell>
+      <TableCell align="right">{item.count}</TableCell>
+      <TableCell align="right">{Math.round(item.hours * 10) / 10}</TableCell>
+      <TableCell>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="分類"
+            value={target}
+            onChange={(event) => setTarget(event.target.value)}
+            disabled={!item.content}
+            sx={{ minWidth: 160 }}
+          >
+            {categoryNames.map(name => (
+              <MenuItem key={name} value={name}>
+                {name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button size="small" onClick={() => onAssign(target)} disabled={!item.content || !target}>
+            加入
+          </Button>
+        </Box>
+      </TableCell>
+    </TableRow>
+  );
+}
+
+/**
+ * 參與內容分類編輯器：設定每個分類的關鍵字（或正規表示式）、優先順序、群組和是否計入時數統計，
+ * 並檢視「未分類」的登錄，將參與內容加入指定分類的關鍵字
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Array} props.taxonomy - 目前套用的分類
+ * @param {Array|null} props.hourLogRecords - 處理後的時數登錄表數據（用目前套用的分類比對）
+ * @param {Function} props.onChange - 套用分類，參數為新的分類清單（立即重新分類並保存在工作區）
+ * @param {Function} props.onReset - 還原為內建的 reportType.js
+ * @param {Function} props.onClose
+ */
+export default function ContentTaxonomyEditor({ open, taxonomy, hourLogRecords, onChange, onReset, onClose }) {
+  const [tab, setTab] = useState('categories');
+  const [draft, setDraft] = useState(taxonomy);
+  const [error, setError] = useState(null);
+
+  // 開啟編輯器時，以目前套用的分類開始編輯
+  useEffect(() => {
+    if (open) {
+      setDraft(taxonomy);
+      setError(null);
+    }
+  }, [open]);
+
+  const usage = useMemo(() => {
+    const result = new Map();
+    (hourLogRecords || []).forEach(record => {
+      const item = result.get(record.matchedContentType) || { count: 0, hours: 0 };
+      item.count++;
+      item.hours += record.hours || 0;
+      result.set(record.matchedContentType, item);
+    });
+    return result;
+  }, [hourLogRecords]);
+
+  const uncategorized = useMemo(
+    () => collectUncategorizedContents(hourLogRecords || []),
+    [hourLogRecords]
+  );
+
+  const dirty = JSON.stringify(draft) !== JSON.stringify(taxonomy);
+  const categoryNames = taxonomy.map(category => category.name);
+
+  /**
+   * 檢查並套用分類
+   * @param {Array} list
+   * @returns {Array|null} 套用的分類，格式錯誤時返回 null（顯示錯誤訊息）
+   */
+  const apply = (list) => {
+    try {
+      const validated = validateContentTaxonomy(list);
+      onChange(validated);
+      setError(null);
+      return validated;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handleApply = () => {
+    const applied = apply(draft);
+    if (applied) setDraft(applied);
+  };
+
+  const handleReset = () => {
+    onReset();
+    setDraft(getDefaultContentTaxonomy());
+    setError(null);
+  };
+
+  const updateCategory = (index, category) => {
+    setDraft(prev => prev.map((item, i) => (i === index ? category : item)));
+  };
+
+  const deleteCategory = (index) => {
+    setDraft(prev => prev.filter((item, i) => i !== index));
+  };
+
+  // 未分類的參與內容加入目前套用的分類（編輯中尚未套用的修改會保留）
+  const handleAssign = (content, name) => {
+    const applied = apply(addContentTypeKeyword(taxonomy, name, content));
+    if (!applied) return;
+    setDraft(prev => (dirty ? addContentTypeKeyword(prev, name, content) : applied));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>管理參與內容分類</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          時數登錄表的「參與內容」包含分類的任一關鍵字即歸入該分類；同時符合多個分類時，優先順序數字大的優先，
+          相同時依清單順序。不計入時數統計的分類不列入圖表 21-23、自訂圖表和志工檔案的時數合計。
+          套用後圖表會立即重新計算，並保存在目前的工作區。
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ mb: 2 }}>
+          <Tab value="categories" label="分類" />
+          <Tab value="uncategorized" label={`未分類（${uncategorized.length}）`} />
+        </Tabs>
+
+        {tab === 'categories' && (
+          <Box>
+            {draft.map((category, index) => (
+              <CategoryItem
+                key={index}
+                category={category}
+                usage={usage.get(category.name)}
+                onChange={(next) => updateCategory(index, next)}
+                onDelete={() => deleteCategory(index)}
+              />
+            ))}
+            <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+              <Button startIcon={<AddIcon />} onClick={() => setDraft(prev => [...prev, { ...EMPTY_CONTENT_TYPE }])}>
+                新增分類
+              </Button>
+              <Box sx={{ flexGrow: 1 }} />
+              <Button onClick={() => setDraft(taxonomy)} disabled={!dirty}>
+                取消修改
+              </Button>
+              <Button variant="contained" onClick={handleApply} disabled={!dirty}>
+                套用
+              </Button>
+            </Box>
+          </Box>
+        )}
+
+        {tab === 'uncategorized' && (
+          !hourLogRecords ? (
+            <Typography color="text.secondary">
+              尚未載入時數登錄表
+            </Typography>
+          ) : uncategorized.length === 0 ? (
+            <Typography color="text.secondary">
+              所有登錄都已歸入分類
+            </Typography>
+          ) : (
+            <TableContainer sx={{ maxHeight: 440 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>參與內容</TableCell>
+                    <TableCell align="right">筆數</TableCell>
+                    <TableCell align="right">時數</TableCell>
+                    <TableCell>加入分類的關鍵字</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {uncategorized.map(item => (
+                    <UncategorizedItem
+                      key={item.content}
+                      item={item}
+                      categoryNames={categoryNames}
+                      onAssign={(name) => handleAssign(item.content, name)}
+                    />
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button color="warning" onClick={handleReset}>
+          還原預設
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button variant="contained" onClick={onClose}>
+          關閉
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
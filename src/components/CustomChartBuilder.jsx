@@ -0,0 +1,177 @@
+import React, { useMemo, useState } from 'react';
+import { Paper, Typography, Box, TextField, MenuItem, Button, Chip, Grid, Alert } from '@mui/material';
+import SaveIcon from '@mui/icons-material/Save';
+import AddIcon from '@mui/icons-material/Add';
+import ChartRenderer from './ChartRenderer';
+import { buildChartContext, resolveChart } from '../utils/chartRegistry.js';
+import {
+  CUSTOM_CHART_DIMENSIONS,
+  CUSTOM_CHART_MEASURES,
+  EMPTY_CUSTOM_CHART,
+  validateCustomChart,
+  getCustomChartSource,
+  getCustomChartTitle,
+  getCustomChartDefinitions,
+  createCustomChartId,
+} from '../utils/customCharts.js';
+
+/**
+ * 下拉選單：選了之後圖表設定不正確的選項不能選（例如人力需求表欄位和「參與內容」）
+ * @param {Object} props
+ * @param {string} props.label
+ * @param {string} props.field - 自訂圖表的欄位（x、series、measure）
+ * @param {Array} props.options - CUSTOM_CHART_DIMENSIONS 或 CUSTOM_CHART_MEASURES
+ * @param {Object} props.draft - 編輯中的自訂圖表
+ * @param {Function} props.onChange - 參數為新的自訂圖表
+ * @param {boolean} [props.allowEmpty] - 是否有「無」選項
+ */
+function OptionSelect({ label, field, options, draft, onChange, allowEmpty }) {
+  const items = allowEmpty ? [{ key: '', label: '無' }, ...options] : options;
+  return (
+    <TextField
+      select
+      size="small"
+      label={label}
+      value={draft[field]}
+      onChange={(event) => onChange({ ...draft, [field]: event.target.value })}
+      sx={{ minWidth: 180 }}
+    >
+      {items.map(item => (
+        <MenuItem
+          key={item.key}
+          value={item.key}
+          disabled={item.key !== draft[field] && !!validateCustomChart({ ...draft, [field]: item.key })}
+        >
+          {item.label}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+}
+
+/**
+ * 自訂圖表：選擇 X 軸、堆疊系列和統計量，依目前篩選後的資料預覽，
+ * 儲存後顯示在統計圖表中，也會匯出到「下載圖表資料」（計算方式見 utils/customCharts.js）
+ * @param {Object} props
+ * @param {Array} props.data - 人力需求表資料（統計年度，已套用篩選）
+ * @param {Object|null} props.hourLogData - 時數登錄表統計資料（已套用篩選）
+ * @param {Array|null} props.hourLogRecords - 時數登錄表資料（已套用篩選）
+ * @param {Object} props.settings
+ * @param {Array} props.customCharts - 儲存的自訂圖表
+ * @param {Function} props.onChange - 參數為新的自訂圖表清單
+ * @param {Object} [props.aliasMap] - 目前的別名對照表（依志工的預覽依此合併志工）
+ */
+export default function CustomChartBuilder({ data, hourLogData, hourLogRecords, settings, customCharts, onChange, aliasMap }) {
+  const [draft, setDraft] = useState(EMPTY_CUSTOM_CHART);
+
+  const error = validateCustomChart(draft);
+  const source = getCustomChartSource(draft);
+  const hasSourceData = source === 'hourLog'
+    ? !!(hourLogData && hourLogData.data.length > 0)
+    : data.length > 0;
+  const editing = customCharts.some(chart => chart.id === draft.id);
+
+  // 預覽只計算編輯中的圖表
+  const preview = useMemo(() => {
+    if (error || !hasSourceData) return null;
+    const [chart] = getCustomChartDefinitions([draft]);
+    const context = buildChartContext({ data, hourLogData, hourLogRecords, settings, aliasMap });
+    return resolveChart({ ...chart, id: '預覽' }, context);
+  }, [draft, error, hasSourceData, data, hourLogData, hourLogRecords, settings, aliasMap]);
+
+  const handleSave = () => {
+    if (editing) {
+      onChange(customCharts.map(chart => (chart.id === draft.id ? draft : chart)));
+    } else {
+      const saved = { ...draft, id: createCustomChartId() };
+      onChange([...customCharts, saved]);
+      setDraft(saved);
+    }
+  };
+
+  const handleDelete = (id) => {
+    onChange(customCharts.filter(chart => chart.id !== id));
+    if (draft.id === id) setDraft(EMPTY_CUSTOM_CHART);
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mt: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        自訂圖表
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        選擇 X 軸、堆疊系列和統計量建立圖表，儲存後會顯示在統計圖表最後（編號「自訂1」、「自訂2」…），
+        並一起匯出到「下載圖表資料」。選了「參與內容」時使用時數登錄表（統計年度），否則使用人力需求表。
+      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        <OptionSelect label="X 軸" field="x" options={CUSTOM_CHART_DIMENSIONS} draft={draft} onChange={setDraft} />
+        <OptionSelect
+          label="堆疊系列"
+          field="series"
+          options={CUSTOM_CHART_DIMENSIONS}
+          draft={draft}
+          onChange={setDraft}
+          allowEmpty
+        />
+        <OptionSelect label="統計量" field="measure" options={CUSTOM_CHART_MEASURES} draft={draft} onChange={setDraft} />
+        <TextField
+          size="small"
+          label="標題"
+          placeholder={getCustomChartTitle({ ...draft, title: '' })}
+          value={draft.title}
+          onChange={(event) => setDraft({ ...draft, title: event.target.value })}
+          InputLabelProps={{ shrink: true }}
+          sx={{ minWidth: 260 }}
+        />
+        <Button variant="contained" startIcon={<SaveIcon />} onClick={handleSave} disabled={!!error}>
+          {editing ? '更新圖表' : '儲存到統計圖表'}
+        </Button>
+        {draft.id && (
+          <Button startIcon={<AddIcon />} onClick={() => setDraft(EMPTY_CUSTOM_CHART)}>
+            新增另一張
+          </Button>
+        )}
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+        {CUSTOM_CHART_MEASURES.find(item => item.key === draft.measure)?.description}
+      </Typography>
+
+      {customCharts.length > 0 && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mt: 2 }}>
+          <Typography variant="body2">已儲存：</Typography>
+          {getCustomChartDefinitions(customCharts).map(chart => (
+            <Chip
+              key={chart.custom.id}
+              label={`${chart.id}. ${chart.title}`}
+              color={chart.custom.id === draft.id ? 'primary' : 'default'}
+              onClick={() => setDraft(chart.custom)}
+              onDelete={() => handleDelete(chart.custom.id)}
+            />
+          ))}
+        </Box>
+      )}
+
+      {error && (
+        <Alert severity="warning" sx={{ mt: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {!error && !hasSourceData && (
+        <Alert severity="info" sx={{ mt: 2 }}>
+          {source === 'hourLog' ? '請先上傳時數登錄表' : '請先上傳人力需求表'}
+        </Alert>
+      )}
+      {preview && (
+        preview.rows.length > 0 ? (
+          <Grid container spacing={3} sx={{ mt: 0 }}>
+            <ChartRenderer resolved={preview} />
+          </Grid>
+        ) : (
+          <Typography color="text.secondary" sx={{ mt: 2 }}>
+            目前的資料沒有可顯示的數值
+          </Typography>
+        )
+      )}
+    </Paper>
+  );
+}
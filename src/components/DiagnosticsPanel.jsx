@@ -0,0 +1,117 @@
+import React, { useMemo } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  Chip,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from '@mui/material';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import DownloadIcon from '@mui/icons-material/Download';
+import { DIAGNOSTIC_SOURCES, groupDiagnosticsBySeverity } from '../utils/diagnostics.js';
+
+// 每個分組在畫面上最多顯示的筆數（完整清單請下載 Excel）
+const MAX_VISIBLE_ROWS = 200;
+
+const severityColors = {
+  error: 'error',
+  warning: 'warning',
+  info: 'info',
+};
+
+/**
+ * 匯入檢查結果：列出解析時被略過或內容可疑的資料列，依嚴重程度分組
+ * @param {Object} props
+ * @param {Array} props.diagnostics - 診斷訊息陣列（見 utils/diagnostics.js）
+ * @param {Function} props.onDownload - 下載 Excel
+ * @param {boolean} [props.isDownloading]
+ */
+export default function DiagnosticsPanel({ diagnostics, onDownload, isDownloading }) {
+  const groups = useMemo(() => groupDiagnosticsBySeverity(diagnostics || []), [diagnostics]);
+
+  if (groups.length === 0) {
+    return null;
+  }
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+        <Typography variant="h6">
+          匯入檢查結果
+        </Typography>
+        {groups.map(group => (
+          <Chip
+            key={group.severity}
+            size="small"
+            color={severityColors[group.severity]}
+            label={`${group.label} ${group.items.length}`}
+          />
+        ))}
+        <Box sx={{ flexGrow: 1 }} />
+        <Button
+          variant="outlined"
+          startIcon={<DownloadIcon />}
+          onClick={onDownload}
+          disabled={!!isDownloading}
+        >
+          {isDownloading ? '產生中...' : '下載檢查結果（Excel）'}
+        </Button>
+      </Box>
+
+      {groups.map(group => (
+        <Accordion key={group.severity} defaultExpanded={group.severity === 'error'} disableGutters>
+          <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+            <Typography sx={{ fontWeight: 'bold', mr: 2 }}>
+              {group.label}（{group.items.length} 筆）
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {group.description}
+            </Typography>
+          </AccordionSummary>
+          <AccordionDetails>
+            <TableContainer sx={{ maxHeight: 400 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>來源</TableCell>
+                    <TableCell>工作表</TableCell>
+                    <TableCell>列號</TableCell>
+                    <TableCell>欄位</TableCell>
+                    <TableCell>原始內容</TableCell>
+                    <TableCell>原因</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {group.items.slice(0, MAX_VISIBLE_ROWS).map((item, index) => (
+                    <TableRow key={index} hover>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>{DIAGNOSTIC_SOURCES[item.source] || item.source}</TableCell>
+                      <TableCell>{item.sheetName}</TableCell>
+                      <TableCell>{item.rowNumber ?? ''}</TableCell>
+                      <TableCell sx={{ whiteSpace: 'nowrap' }}>{item.field}</TableCell>
+                      <TableCell sx={{ whiteSpace: 'pre-wrap', maxWidth: 280 }}>{item.value}</TableCell>
+                      <TableCell>{item.reason}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+            {group.items.length > MAX_VISIBLE_ROWS && (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                僅顯示前 {MAX_VISIBLE_ROWS} 筆，完整清單請下載 Excel
+              </Typography>
+            )}
+          </AccordionDetails>
+        </Accordion>
+      ))}
+    </Paper>
+  );
+}
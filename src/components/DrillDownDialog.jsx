@@ -0,0 +1,204 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+  TableSortLabel,
+  CircularProgress,
+  Alert,
+} from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import PersonIcon from '@mui/icons-material/Person';
+import { sortDrillDownRows } from '../utils/drillDown.js';
+import { exportDrillDownToExcel } from '../utils/chartExcelExporter.js';
+
+/**
+ * 顯示儲存格內容
+ * @param {*} value
+ * @param {Object} column
+ * @returns {string|number}
+ */
+function formatCell(value, column) {
+  if (column.type === 'date') {
+    return value instanceof Date && !isNaN(value.getTime()) ? value.toLocaleDateString('zh-TW') : '';
+  }
+  return value ?? '';
+}
+
+/**
+ * 可排序的明細表格
+ * @param {Object} props
+ * @param {Array} props.columns - 欄位定義（key、label、type）
+ * @param {Array} props.rows - 已排序的資料列
+ * @param {{key: string, direction: string}} props.sort
+ * @param {Function} props.onSort - 參數為欄位 key
+ */
+function DrillDownTable({ columns, rows, sort, onSort }) {
+  return (
+    <TableContainer sx={{ maxHeight: 420, mb: 3 }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            {columns.map(column => (
+              <TableCell
+                key={column.key}
+                align={column.type === 'number' ? 'right' : undefined}
+                sortDirection={sort.key === column.key ? sort.direction : false}
+                sx={{ whiteSpace: 'nowrap' }}
+              >
+                <TableSortLabel
+                  active={sort.key === column.key}
+                  direction={sort.key === column.key ? sort.direction : 'asc'}
+                  onClick={() => onSort(column.key)}
+                >
+                  {column.label}
+                </TableSortLabel>
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map((row, index) => (
+            <TableRow key={`${row.sheetName}-${row.rowNumber}-${index}`} hover>
+              {columns.map(column => (
+                <TableCell key={column.key} align={column.type === 'number' ? 'right' : undefined}>
+                  {formatCell(row[column.key], column)}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+/**
+ * 切換排序：同一欄位再點一次改為反向
+ * @param {{key: string, direction: string}} sort
+ * @param {string} key
+ * @returns {{key: string, direction: string}}
+ */
+function toggleSort(sort, key) {
+  if (sort.key !== key) return { key, direction: 'asc' };
+  return { key, direction: sort.direction === 'asc' ? 'desc' : 'asc' };
+}
+
+const DEFAULT_SORT = { key: 'date', direction: 'asc' };
+
+/**
+ * 圖表明細：列出構成點選的長條區段、圓餅切片或人名長條的原始資料列（含工作表和列號），
+ * 可依欄位排序並匯出成 Excel
+ * @param {Object} props
+ * @param {Object|null} props.drillDown - getChartDrillDown 的結果，null 時不顯示
+ * @param {Function} props.onClose
+ * @param {Function} [props.onVolunteerClick] - 開啟志工檔案，參數為標準名稱（人名圖表）
+ */
+export default function DrillDownDialog({ drillDown, onClose, onVolunteerClick }) {
+  const [manpowerSort, setManpowerSort] = useState(DEFAULT_SORT);
+  const [hourLogSort, setHourLogSort] = useState(DEFAULT_SORT);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  // 開啟新的明細時回到預設排序
+  useEffect(() => {
+    setManpowerSort(DEFAULT_SORT);
+    setHourLogSort(DEFAULT_SORT);
+    setExportError(null);
+  }, [drillDown]);
+
+  const manpowerRows = useMemo(() => {
+    if (!drillDown) return [];
+    const column = drillDown.manpowerColumns.find(item => item.key === manpowerSort.key);
+    return column ? sortDrillDownRows(drillDown.manpowerRows, column, manpowerSort.direction) : drillDown.manpowerRows;
+  }, [drillDown, manpowerSort]);
+
+  const hourLogRows = useMemo(() => {
+    if (!drillDown) return [];
+    const column = drillDown.hourLogColumns.find(item => item.key === hourLogSort.key);
+    return column ? sortDrillDownRows(drillDown.hourLogRows, column, hourLogSort.direction) : drillDown.hourLogRows;
+  }, [drillDown, hourLogSort]);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setExportError(null);
+      await exportDrillDownToExcel(drillDown, { manpowerRows, hourLogRows });
+    } catch (err) {
+      console.error('匯出明細失敗:', err);
+      setExportError(err?.message || '匯出明細失敗');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const isEmpty = manpowerRows.length === 0 && hourLogRows.length === 0;
+
+  return (
+    <Dialog open={!!drillDown} onClose={onClose} maxWidth="xl" fullWidth>
+      <DialogTitle>{drillDown?.title}</DialogTitle>
+      {drillDown && (
+        <DialogContent dividers>
+          {exportError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {exportError}
+            </Alert>
+          )}
+          {isEmpty && (
+            <Typography color="text.secondary">沒有對應的資料列</Typography>
+          )}
+          {manpowerRows.length > 0 && (
+            <>
+              <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+                人力需求表（{manpowerRows.length} 筆）
+              </Typography>
+              <DrillDownTable
+                columns={drillDown.manpowerColumns}
+                rows={manpowerRows}
+                sort={manpowerSort}
+                onSort={(key) => setManpowerSort(toggleSort(manpowerSort, key))}
+              />
+            </>
+          )}
+          {hourLogRows.length > 0 && (
+            <>
+              <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+                時數登錄表（{hourLogRows.length} 筆）
+              </Typography>
+              <DrillDownTable
+                columns={drillDown.hourLogColumns}
+                rows={hourLogRows}
+                sort={hourLogSort}
+                onSort={(key) => setHourLogSort(toggleSort(hourLogSort, key))}
+              />
+            </>
+          )}
+        </DialogContent>
+      )}
+      <DialogActions>
+        {drillDown?.volunteer && onVolunteerClick && (
+          <Button startIcon={<PersonIcon />} onClick={() => onVolunteerClick(drillDown.volunteer)}>
+            開啟志工檔案
+          </Button>
+        )}
+        <Button
+          startIcon={exporting ? <CircularProgress size={16} /> : <DownloadIcon />}
+          onClick={handleExport}
+          disabled={exporting || isEmpty}
+        >
+          匯出 Excel
+        </Button>
+        <Button onClick={onClose}>關閉</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
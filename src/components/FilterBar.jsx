@@ -0,0 +1,140 @@
+import React from 'react';
+import { Paper, Typography, Box, TextField, Autocomplete, Button } from '@mui/material';
+import FilterAltOffIcon from '@mui/icons-material/FilterAltOff';
+import { EMPTY_FILTERS, FILTER_MONTHS, hasActiveFilters } from '../utils/filters.js';
+
+/**
+ * 多選下拉選單
+ * @param {Object} props
+ * @param {string} props.label
+ * @param {Array} props.options
+ * @param {Array} props.value
+ * @param {Function} props.onChange - 參數為選取的值
+ * @param {Function} [props.getOptionLabel]
+ * @param {number} [props.minWidth]
+ * @param {boolean} [props.disabled]
+ */
+function MultiSelect({ label, options, value, onChange, getOptionLabel, minWidth = 180, disabled }) {
+  return (
+    <Autocomplete
+      multiple
+      size="small"
+      options={options}
+      value={value}
+      onChange={(event, next) => onChange(next)}
+      getOptionLabel={getOptionLabel}
+      filterSelectedOptions
+      limitTags={2}
+      disabled={disabled}
+      renderInput={(params) => <TextField {...params} label={label} />}
+      sx={{ minWidth }}
+    />
+  );
+}
+
+/**
+ * 全域篩選列：日期區間、月份、活動類型、縣市、地區、活動名稱和志工，
+ * 篩選後的資料用於所有統計圖表和圖表資料匯出（條件格式見 utils/filters.js）
+ * @param {Object} props
+ * @param {Object} props.filters - 目前的篩選條件
+ * @param {Object} props.options - getFilterOptions 的結果
+ * @param {Function} props.onChange - 參數為新的篩選條件
+ * @param {{manpower: number, manpowerTotal: number, hourLog: number, hourLogTotal: number}} props.counts - 篩選前後的筆數
+ * @param {boolean} [props.disabled]
+ */
+export default function FilterBar({ filters, options, onChange, counts, disabled }) {
+  const update = (key, value) => {
+    onChange({ ...filters, [key]: value });
+  };
+
+  const active = hasActiveFilters(filters);
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        篩選
+      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        <TextField
+          type="date"
+          size="small"
+          label="開始日期"
+          value={filters.startDate}
+          onChange={(event) => update('startDate', event.target.value)}
+          InputLabelProps={{ shrink: true }}
+          disabled={disabled}
+        />
+        <TextField
+          type="date"
+          size="small"
+          label="結束日期"
+          value={filters.endDate}
+          onChange={(event) => update('endDate', event.target.value)}
+          InputLabelProps={{ shrink: true }}
+          disabled={disabled}
+        />
+        <MultiSelect
+          label="月份"
+          options={FILTER_MONTHS}
+          value={filters.months}
+          onChange={(value) => update('months', value)}
+          disabled={disabled}
+          getOptionLabel={(month) => `${month}月`}
+          minWidth={140}
+        />
+        <TextField
+          size="small"
+          label="活動名稱包含"
+          value={filters.activityName}
+          onChange={(event) => update('activityName', event.target.value)}
+          disabled={disabled}
+        />
+      </Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mt: 2 }}>
+        <MultiSelect
+          label="活動類型"
+          options={options.activityTypes}
+          value={filters.activityTypes}
+          onChange={(value) => update('activityTypes', value)}
+          disabled={disabled}
+        />
+        <MultiSelect
+          label="縣市"
+          options={options.cities}
+          value={filters.cities}
+          onChange={(value) => update('cities', value)}
+          disabled={disabled}
+        />
+        <MultiSelect
+          label="地區"
+          options={options.regions}
+          value={filters.regions}
+          onChange={(value) => update('regions', value)}
+          disabled={disabled}
+          minWidth={140}
+        />
+        <MultiSelect
+          label="志工"
+          options={options.volunteers}
+          value={filters.volunteers}
+          onChange={(value) => update('volunteers', value)}
+          disabled={disabled}
+          minWidth={220}
+        />
+        <Button
+          startIcon={<FilterAltOffIcon />}
+          onClick={() => onChange(EMPTY_FILTERS)}
+          disabled={disabled || !active}
+        >
+          清除篩選
+        </Button>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+        {active
+          ? `篩選後：人力需求表 ${counts.manpower} / ${counts.manpowerTotal} 筆，時數登錄表 ${counts.hourLog} / ${counts.hourLogTotal} 筆。`
+          : '未設定篩選條件，圖表顯示統計年度的全部資料。'}
+        活動類型、縣市、地區、活動名稱只套用於人力需求表；月份依活動開始日期；選擇志工時只保留其參與的活動和時數登錄。
+      </Typography>
+    </Paper>
+  );
+}
@@ -0,0 +1,452 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  TextField,
+  Typography,
+  Alert,
+  Autocomplete,
+  Chip,
+  IconButton,
+  MenuItem,
+  Tabs,
+  Tab,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ArrowUpwardIcon from '@mui/icons-material/ArrowUpward';
+import ArrowDownwardIcon from '@mui/icons-material/ArrowDownward';
+import {
+  EMPTY_CITY,
+  getDefaultGeography,
+  validateGeography,
+  collectUnknownCities,
+  addCityAlias,
+} from '../utils/geography.js';
+
+/**
+ * 將清單中的一項往前或往後移動
+ * @param {Array} list
+ * @param {number} index
+ * @param {number} offset - -1 往前，1 往後
+ * @returns {Array} 新的清單
+ */
+function moveItem(list, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= list.length) return list;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+/**
+ * 顏色欄位：選擇顏色，或清除後使用預設顏色
+ * @param {Object} props
+ * @param {string} props.value - #rrggbb 或空白
+ * @param {Function} props.onChange
+ * @param {boolean} [props.clearable] - 可以清除（縣市）
+ */
+function ColorField({ value, onChange, clearable }) {
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+      <input
+        type="color"
+        value={value || '#cccccc'}
+        onChange={(event) => onChange(event.target.value)}
+        style={{ width: 32, height: 24, padding: 0, border: 'none', opacity: value ? 1 : 0.4 }}
+      />
+      {clearable && value && (
+        <Button size="small" onClick={() => onChange('')}>
+          預設
+        </Button>
+      )}
+    </Box>
+  );
+}
+
+/**
+ * 排序和刪除按鈕
+ * @param {Object} props
+ * @param {Function} props.onMove - 參數為 -1 或 1
+ * @param {Function} props.onDelete
+ * @param {string} props.label - 刪除按鈕的說明
+ */
+function RowActions({ onMove, onDelete, label }) {
+  return (
+    <Box sx={{ display: 'flex', whiteSpace: 'nowrap' }}>
+      <IconButton size="small" aria-label="往前" onClick={() => onMove(-1)}>
+        <ArrowUpwardIcon fontSize="small" />
+      </IconButton>
+      <IconButton size="small" aria-label="往後" onClick={() => onMove(1)}>
+        <ArrowDownwardIcon fontSize="small" />
+      </IconButton>
+      <IconButton size="small" aria-label={label} onClick={onDelete}>
+        <DeleteIcon fontSize="small" />
+      </IconButton>
+    </Box>
+  );
+}
+
+/**
+ * 一種不在參考資料中的縣市寫法：顯示活動筆數和資料列，選擇縣市後加入該縣市的別名
+ * @param {Object} props
+ * @param {Object} props.item - collectUnknownCities 的結果
+ * @param {string[]} props.cityNames - 可選擇的縣市
+ * @param {Function} props.onAssign - 參數為縣市標準名稱
+ */
+function UnknownCityItem({ item, cityNames, onAssign }) {
+  const [target, setTarget] = useState('');
+  const rows = item.records.slice(0, 5).map(record => `${record.sheetName} 第 ${record.rowNumber} 列`);
+
+  return (
+    <TableRow hover>
+      <TableCell>
+        {item.city}
+        <Typography variant="caption" color="text.secondary" display="block">
+          {rows.join('、')}
+          {item.records.length > rows.length && ` 等 ${item.records.length} 列`}
+        </Typography>
+      </TableCell>
+      <TableCell align="right">{item.count}</TableCell>
+      <TableCell>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <TextField
+            select
+            size="small"
+            label="縣市"
+            value={target}
+            onChange={(event) => setTarget(event.target.value)}
+            sx={{ minWidth: 140 }}
+          >
+            {cityNames.map(name => (
+              <MenuItem key={name} value={name}>
+                {name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button size="small" onClick={() => onAssign(target)} disabled={!target}>
+            加入
+          </Button>
+        </Box>
+      </TableCell>
+    </TableRow>
+  );
+}
+
+/**
+ * 縣市與地區編輯器：設定每個縣市的標準名稱、其他寫法、所屬地區、排列順序和顏色，
+ * 以及地區的順序和顏色；並列出人力需求表中不在參考資料內的縣市寫法，可以加入指定縣市的別名
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Object} props.geography - 目前套用的參考資料
+ * @param {Array} props.manpowerData - 人力需求表資料（所有年度）
+ * @param {Function} props.onChange - 套用參考資料，參數為新的參考資料（立即重新計算圖表並保存在工作區）
+ * @param {Function} props.onReset - 還原為內建的 cityRegions.js
+ * @param {Function} props.onClose
+ */
+export default function GeographyEditor({ open, geography, manpowerData, onChange, onReset, onClose }) {
+  const [tab, setTab] = useState('cities');
+  const [draft, setDraft] = useState(geography);
+  const [error, setError] = useState(null);
+
+  // 開啟編輯器時，以目前套用的參考資料開始編輯
+  useEffect(() => {
+    if (open) {
+      setDraft(geography);
+      setError(null);
+    }
+  }, [open]);
+
+  // 依目前套用的參考資料（不是編輯中的草稿）找出不在參考資料中的縣市
+  const unknownCities = useMemo(
+    () => collectUnknownCities(manpowerData || [], geography),
+    [geography, manpowerData]
+  );
+
+  const cityCounts = useMemo(() => {
+    const counts = new Map();
+    (manpowerData || []).forEach(record => {
+      if (record.city) counts.set(record.city, (counts.get(record.city) || 0) + 1);
+    });
+    return counts;
+  }, [manpowerData]);
+
+  const dirty = JSON.stringify(draft) !== JSON.stringify(geography);
+  const regionNames = draft.regions.map(region => region.name);
+
+  /**
+   * 檢查並套用參考資料
+   * @param {Object} value
+   * @returns {Object|null} 套用的參考資料，格式錯誤時返回 null（顯示錯誤訊息）
+   */
+  const apply = (value) => {
+    try {
+      const validated = validateGeography(value);
+      onChange(validated);
+      setError(null);
+      return validated;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handleApply = () => {
+    const applied = apply(draft);
+    if (applied) setDraft(applied);
+  };
+
+  const handleReset = () => {
+    onReset();
+    setDraft(getDefaultGeography());
+    setError(null);
+  };
+
+  // 不在參考資料中的寫法加入目前套用的縣市別名（編輯中尚未套用的修改會保留）
+  const handleAssign = (alias, name) => {
+    const applied = apply(addCityAlias(geography, name, alias));
+    if (!applied) return;
+    setDraft(prev => (dirty ? addCityAlias(prev, name, alias) : applied));
+  };
+
+  const updateCity = (index, patch) => {
+    setDraft(prev => ({
+      ...prev,
+      cities: prev.cities.map((city, i) => (i === index ? { ...city, ...patch } : city)),
+    }));
+  };
+
+  // 地區改名時，所屬的縣市一起更新
+  const updateRegion = (index, patch) => {
+    setDraft(prev => {
+      const oldName = prev.regions[index].name;
+      const renamed = patch.name !== undefined && patch.name !== oldName;
+      return {
+        regions: prev.regions.map((region, i) => (i === index ? { ...region, ...patch } : region)),
+        cities: renamed
+          ? prev.cities.map(city => (city.region === oldName ? { ...city, region: patch.name } : city))
+          : prev.cities,
+      };
+    });
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>管理縣市與地區</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          人力需求表的縣市會轉成標準名稱（「臺」和「台」視為相同），依所屬地區統計。圖表和匯出的地區依清單順序排列，
+          縣市依地區順序和地區內的清單順序排列。套用後圖表會立即重新計算，並保存在目前的工作區。
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ mb: 2 }}>
+          <Tab value="cities" label="縣市" />
+          <Tab value="regions" label="地區" />
+          <Tab value="unknown" label={`未登錄的寫法（${unknownCities.length}）`} />
+        </Tabs>
+
+        {tab === 'cities' && (
+          <TableContainer sx={{ maxHeight: 440 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell>標準名稱</TableCell>
+                  <TableCell>其他寫法</TableCell>
+                  <TableCell>地區</TableCell>
+                  <TableCell>顏色</TableCell>
+                  <TableCell align="right">活動</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {draft.cities.map((city, index) => (
+                  <TableRow key={index} hover>
+                    <TableCell>
+                      <TextField
+                        size="small"
+                        variant="standard"
+                        value={city.name}
+                        onChange={(event) => updateCity(index, { name: event.target.value })}
+                        sx={{ width: 90 }}
+                      />
+                    </TableCell>
+                    <TableCell sx={{ minWidth: 220 }}>
+                      <Autocomplete
+                        multiple
+                        freeSolo
+                        size="small"
+                        options={[]}
+                        value={city.aliases}
+                        onChange={(event, value) => updateCity(index, {
+                          aliases: value.map(alias => alias.trim()).filter(Boolean),
+                        })}
+                        renderTags={(value, getTagProps) => value.map((alias, aliasIndex) => (
+                          <Chip {...getTagProps({ index: aliasIndex })} key={alias} size="small" label={alias} />
+                        ))}
+                        renderInput={(params) => <TextField {...params} variant="standard" placeholder="輸入後按 Enter" />}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <TextField
+                        select
+                        size="small"
+                        variant="standard"
+                        value={regionNames.includes(city.region) ? city.region : ''}
+                        onChange={(event) => updateCity(index, { region: event.target.value })}
+                        sx={{ minWidth: 80 }}
+                      >
+                        {regionNames.map(name => (
+                          <MenuItem key={name} value={name}>
+                            {name}
+                          </MenuItem>
+                        ))}
+                      </TextField>
+                    </TableCell>
+                    <TableCell>
+                      <ColorField value={city.color} onChange={(color) => updateCity(index, { color })} clearable />
+                    </TableCell>
+                    <TableCell align="right">{cityCounts.get(city.name) || ''}</TableCell>
+                    <TableCell>
+                      <RowActions
+                        label="刪除縣市"
+                        onMove={(offset) => setDraft(prev => ({ ...prev, cities: moveItem(prev.cities, index, offset) }))}
+                        onDelete={() => setDraft(prev => ({ ...prev, cities: prev.cities.filter((item, i) => i !== index) }))}
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        {tab === 'regions' && (
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>地區</TableCell>
+                  <TableCell>顏色</TableCell>
+                  <TableCell align="right">縣市</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {draft.regions.map((region, index) => (
+                  <TableRow key={index} hover>
+                    <TableCell>
+                      <TextField
+                        size="small"
+                        variant="standard"
+                        value={region.name}
+                        onChange={(event) => updateRegion(index, { name: event.target.value })}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      <ColorField value={region.color} onChange={(color) => updateRegion(index, { color })} />
+                    </TableCell>
+                    <TableCell align="right">
+                      {draft.cities.filter(city => city.region === region.name).length}
+                    </TableCell>
+                    <TableCell>
+                      <RowActions
+                        label="刪除地區"
+                        onMove={(offset) => setDraft(prev => ({ ...prev, regions: moveItem(prev.regions, index, offset) }))}
+                        onDelete={() => setDraft(prev => ({ ...prev, regions: prev.regions.filter((item, i) => i !== index) }))}
+                      />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        {tab === 'unknown' && (
+          unknownCities.length === 0 ? (
+            <Typography color="text.secondary">
+              {manpowerData?.length > 0 ? '人力需求表的縣市都在參考資料中' : '尚未載入人力需求表'}
+            </Typography>
+          ) : (
+            <TableContainer sx={{ maxHeight: 440 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell>縣市寫法</TableCell>
+                    <TableCell align="right">活動</TableCell>
+                    <TableCell>加入縣市的其他寫法</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {unknownCities.map(item => (
+                    <UnknownCityItem
+                      key={item.city}
+                      item={item}
+                      cityNames={geography.cities.map(city => city.name)}
+                      onAssign={(name) => handleAssign(item.city, name)}
+                    />
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )
+        )}
+
+        {tab !== 'unknown' && (
+          <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+            {tab === 'cities' ? (
+              <Button
+                startIcon={<AddIcon />}
+                onClick={() => setDraft(prev => ({
+                  ...prev,
+                  cities: [...prev.cities, { ...EMPTY_CITY, region: prev.regions[0]?.name || '' }],
+                }))}
+              >
+                新增縣市
+              </Button>
+            ) : (
+              <Button
+                startIcon={<AddIcon />}
+                onClick={() => setDraft(prev => ({ ...prev, regions: [...prev.regions, { name: '', color: '#cccccc' }] }))}
+              >
+                新增地區
+              </Button>
+            )}
+            <Box sx={{ flexGrow: 1 }} />
+            <Button onClick={() => setDraft(geography)} disabled={!dirty}>
+              取消修改
+            </Button>
+            <Button variant="contained" onClick={handleApply} disabled={!dirty}>
+              套用
+            </Button>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button color="warning" onClick={handleReset}>
+          還原預設
+        </Button>
+        <Box sx={{ flexGrow: 1 }} />
+        <Button variant="contained" onClick={onClose}>
+          關閉
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import {
+  Paper,
+  Typography,
+  Button,
+  TextField,
+  MenuItem,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from '@mui/material';
+
+// 選擇「另一位志工」時使用的值（以完整姓名作為新的標準名稱）
+const SEPARATE_PERSON = '__separate__';
+
+// 每個姓名最多顯示的登錄日期數
+const MAX_VISIBLE_DATES = 3;
+
+/**
+ * 顯示登錄日期和參與內容（前幾筆）
+ * @param {Array} records - 時數登錄表資料
+ * @returns {string}
+ */
+function formatRecordSamples(records) {
+  const samples = records.slice(0, MAX_VISIBLE_DATES).map(record => {
+    const date = record.date instanceof Date ? record.date.toLocaleDateString('zh-TW') : '';
+    return [date, record.content].filter(Boolean).join(' ');
+  });
+  if (records.length > MAX_VISIBLE_DATES) samples.push(`等 ${records.length} 筆`);
+  return samples.join('；');
+}
+
+/**
+ * 一個待確認的姓名
+ * @param {Object} props
+ * @param {Object} props.item - collectAmbiguousNames 的結果
+ * @param {Function} props.onResolve - 確認，參數為 (姓名, 標準名稱)
+ */
+function AmbiguousNameRow({ item, onResolve }) {
+  const [choice, setChoice] = useState('');
+
+  const handleConfirm = () => {
+    onResolve(item.name, choice === SEPARATE_PERSON ? item.name : choice);
+  };
+
+  return (
+    <TableRow hover>
+      <TableCell sx={{ whiteSpace: 'nowrap' }}>{item.name}</TableCell>
+      <TableCell align="right">{item.count}</TableCell>
+      <TableCell align="right">{Math.round(item.hours * 100) / 100}</TableCell>
+      <TableCell sx={{ maxWidth: 320 }}>{formatRecordSamples(item.records)}</TableCell>
+      <TableCell>
+        <TextField
+          select
+          size="small"
+          value={choice}
+          onChange={(event) => setChoice(event.target.value)}
+          sx={{ minWidth: 200 }}
+          SelectProps={{ displayEmpty: true }}
+        >
+          <MenuItem value="" disabled>
+            請選擇
+          </MenuItem>
+          {item.candidates.map(candidate => (
+            <MenuItem key={candidate} value={candidate}>
+              {candidate}
+            </MenuItem>
+          ))}
+          <MenuItem value={SEPARATE_PERSON}>都不是（另一位志工「{item.name}」）</MenuItem>
+        </TextField>
+      </TableCell>
+      <TableCell>
+        <Button variant="contained" size="small" onClick={handleConfirm} disabled={!choice}>
+          確認
+        </Button>
+      </TableCell>
+    </TableRow>
+  );
+}
+
+/**
+ * 姓名待確認：時數登錄表的姓名最後兩字對應到多位志工（如林志明、王志明），
+ * 或有其他姓名的最後兩字相同（如林一荷、王一荷）時，
+ * 由使用者選擇是哪一位，選擇結果以完整姓名保存到人名別名映射
+ * @param {Object} props
+ * @param {Array} props.items - 待確認的姓名（見 utils/hourLogProcessor.js 的 collectAmbiguousNames）
+ * @param {Function} props.onResolve - 確認，參數為 (姓名, 標準名稱)
+ */
+export default function NameDisambiguationPanel({ items, onResolve }) {
+  if (!items || items.length === 0) {
+    return null;
+  }
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        姓名待確認（{items.length} 位）
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        以下時數登錄表的姓名，最後兩字對應到多位志工或與其他姓名相同，目前暫以完整姓名統計（圖表 21、22）。
+        選擇後會保存在人名別名映射中，之後上傳的時數登錄表會直接使用。
+      </Typography>
+      <TableContainer sx={{ maxHeight: 400 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>姓名</TableCell>
+              <TableCell align="right">筆數</TableCell>
+              <TableCell align="right">時數</TableCell>
+              <TableCell>登錄資料</TableCell>
+              <TableCell>是哪一位志工</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {items.map(item => (
+              <AmbiguousNameRow key={item.name} item={item} onResolve={onResolve} />
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+}
@@ -0,0 +1,267 @@
+import React, { Fragment, useMemo, useState } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Chip,
+  TextField,
+  MenuItem,
+  IconButton,
+  Link,
+  Collapse,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from '@mui/material';
+import KeyboardArrowDownIcon from '@mui/icons-material/KeyboardArrowDown';
+import KeyboardArrowUpIcon from '@mui/icons-material/KeyboardArrowUp';
+import {
+  RECONCILIATION_STATUSES,
+  DEFAULT_RECONCILIATION_OPTIONS,
+  reconcileActivities,
+  countReconciliationStatuses,
+} from '../utils/reconciliation.js';
+import { formatDate } from '../utils/dateParser.js';
+
+// 畫面上最多顯示的筆數
+const MAX_VISIBLE_ROWS = 300;
+
+const statusColors = {
+  hoursMismatch: 'warning',
+  missingReport: 'error',
+  unrostered: 'info',
+  matched: 'success',
+};
+
+const statusLabels = Object.fromEntries(RECONCILIATION_STATUSES.map(({ key, label }) => [key, label]));
+
+/**
+ * 一筆核對結果，展開後顯示兩邊的原始資料列
+ * @param {Object} props
+ * @param {Object} props.result - reconcileActivities 的結果
+ * @param {Function} [props.onVolunteerClick] - 點選人名，參數為標準名稱
+ */
+function ReconciliationRow({ result, onVolunteerClick }) {
+  const [open, setOpen] = useState(false);
+  const { activity } = result;
+
+  return (
+    <Fragment>
+      <TableRow hover>
+        <TableCell padding="checkbox">
+          <IconButton size="small" onClick={() => setOpen(!open)}>
+            {open ? <KeyboardArrowUpIcon /> : <KeyboardArrowDownIcon />}
+          </IconButton>
+        </TableCell>
+        <TableCell>
+          <Chip size="small" color={statusColors[result.status]} label={statusLabels[result.status]} />
+        </TableCell>
+        <TableCell sx={{ whiteSpace: 'nowrap' }}>
+          {onVolunteerClick ? (
+            <Link component="button" variant="body2" onClick={() => onVolunteerClick(result.name)}>
+              {result.name}
+            </Link>
+          ) : result.name}
+        </TableCell>
+        <TableCell sx={{ whiteSpace: 'nowrap' }}>
+          {activity ? formatDate(activity.date, activity.endDate) : formatDate(result.date)}
+        </TableCell>
+        <TableCell>{activity ? activity.activityName : ''}</TableCell>
+        <TableCell align="right">{result.rosterHours}</TableCell>
+        <TableCell align="right">{result.reportedHours}</TableCell>
+        <TableCell align="right">{result.difference}</TableCell>
+      </TableRow>
+      <TableRow>
+        <TableCell sx={{ py: 0 }} colSpan={8}>
+          <Collapse in={open} timeout="auto" unmountOnExit>
+            <Box sx={{ my: 1 }}>
+              <Typography variant="subtitle2">人力需求表（服勤區）</Typography>
+              {activity ? (
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                  工作表 {activity.sheetName} 第 {activity.rowNumber} 行：{formatDate(activity.date, activity.endDate)}
+                  {' '}{activity.activityName}（{activity.activityType}，{activity.city}），服勤區寫法「{activity.rawName}」，
+                  計入 {activity.days} 天、{activity.hours} 小時
+                </Typography>
+              ) : (
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                  服勤區沒有對應日期的活動
+                </Typography>
+              )}
+              <Typography variant="subtitle2">時數登錄表</Typography>
+              {result.entries.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  沒有對應日期的登錄
+                </Typography>
+              ) : (
+                result.entries.map((entry, index) => (
+                  <Typography key={index} variant="body2" color="text.secondary">
+                    工作表 {entry.sheetName} 第 {entry.rowNumber} 行：{formatDate(entry.date)} {entry.content}
+                    （登錄姓名「{entry.name}」），{entry.hours} 小時
+                  </Typography>
+                ))
+              )}
+            </Box>
+          </Collapse>
+        </TableCell>
+      </TableRow>
+    </Fragment>
+  );
+}
+
+/**
+ * 出勤與時數登錄核對：將服勤區的每一筆出勤與時數登錄表依標準名稱和日期配對，
+ * 分為相符、時數不符、未回報、服勤區無此人，可展開查看兩邊的原始資料列
+ * @param {Object} props
+ * @param {Array} props.data - 人力需求表資料（統計年度）
+ * @param {Array} props.hourLogRecords - 處理後的時數登錄表資料
+ * @param {number} props.reportingYear - 統計年度
+ * @param {boolean} [props.filtered] - 是否已套用全域篩選
+ * @param {Function} [props.onVolunteerClick] - 點選人名，參數為標準名稱
+ */
+export default function ReconciliationPanel({ data, hourLogRecords, reportingYear, filtered, onVolunteerClick }) {
+  const [options, setOptions] = useState(DEFAULT_RECONCILIATION_OPTIONS);
+  const [statusFilter, setStatusFilter] = useState(null);
+
+  const activityTypes = useMemo(
+    () => Array.from(new Set(data.map(record => record.activityType || '未分類'))).sort(),
+    [data]
+  );
+  const contentTypes = useMemo(
+    () => Array.from(new Set(hourLogRecords.map(record => record.matchedContentType || '未分類'))).sort(),
+    [hourLogRecords]
+  );
+
+  const results = useMemo(
+    () => reconcileActivities({ manpowerData: data, hourLogRecords }, { ...options, year: reportingYear }),
+    [data, hourLogRecords, options, reportingYear]
+  );
+  const counts = useMemo(() => countReconciliationStatuses(results), [results]);
+
+  const visibleResults = statusFilter ? results.filter(result => result.status === statusFilter) : results;
+
+  const updateOption = (key, value) => {
+    setOptions(prev => ({ ...prev, [key]: value }));
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        出勤與時數登錄核對（{reportingYear} 年）
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        將服勤區的每一筆出勤與時數登錄表依標準名稱和日期配對（預設與圖表 23 相同：手作活動對應步道實作帶領），
+        找出造成時數差異的活動。出勤時數的計算方式與圖表 20 相同。
+        {filtered && '已套用上方的篩選條件；時數登錄表沒有縣市、地區、活動類型和活動名稱，依這些條件篩選時，其他活動的登錄會列為「服勤區無此人」。'}
+      </Typography>
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+        <TextField
+          select
+          size="small"
+          label="出勤活動類型"
+          value={options.activityType}
+          onChange={(event) => updateOption('activityType', event.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="">全部</MenuItem>
+          {activityTypes.map(type => (
+            <MenuItem key={type} value={type}>{type}</MenuItem>
+          ))}
+          {options.activityType && !activityTypes.includes(options.activityType) && (
+            <MenuItem value={options.activityType}>{options.activityType}</MenuItem>
+          )}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="登錄參與內容"
+          value={options.contentType}
+          onChange={(event) => updateOption('contentType', event.target.value)}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="">全部</MenuItem>
+          {contentTypes.map(type => (
+            <MenuItem key={type} value={type}>{type}</MenuItem>
+          ))}
+          {options.contentType && !contentTypes.includes(options.contentType) && (
+            <MenuItem value={options.contentType}>{options.contentType}</MenuItem>
+          )}
+        </TextField>
+        <TextField
+          type="number"
+          size="small"
+          label="日期容許誤差（天）"
+          value={options.toleranceDays}
+          onChange={(event) => updateOption('toleranceDays', Math.max(0, Number(event.target.value) || 0))}
+          inputProps={{ min: 0, max: 30 }}
+          sx={{ width: 160 }}
+        />
+        <TextField
+          type="number"
+          size="small"
+          label="時數容許誤差（小時）"
+          value={options.hoursTolerance}
+          onChange={(event) => updateOption('hoursTolerance', Math.max(0, Number(event.target.value) || 0))}
+          inputProps={{ min: 0, step: 0.5 }}
+          sx={{ width: 160 }}
+        />
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+        <Chip
+          label={`全部 ${results.length}`}
+          variant={statusFilter ? 'outlined' : 'filled'}
+          onClick={() => setStatusFilter(null)}
+        />
+        {RECONCILIATION_STATUSES.map(({ key, label, description }) => (
+          <Chip
+            key={key}
+            title={description}
+            color={statusColors[key]}
+            variant={statusFilter === key ? 'filled' : 'outlined'}
+            label={`${label} ${counts[key]}`}
+            onClick={() => setStatusFilter(statusFilter === key ? null : key)}
+          />
+        ))}
+      </Box>
+
+      {visibleResults.length === 0 ? (
+        <Typography color="text.secondary">沒有符合條件的資料</Typography>
+      ) : (
+        <TableContainer sx={{ maxHeight: 500 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell padding="checkbox" />
+                <TableCell>結果</TableCell>
+                <TableCell>姓名</TableCell>
+                <TableCell>日期</TableCell>
+                <TableCell>活動名稱</TableCell>
+                <TableCell align="right">出勤時數</TableCell>
+                <TableCell align="right">登錄時數</TableCell>
+                <TableCell align="right">差值</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {visibleResults.slice(0, MAX_VISIBLE_ROWS).map((result, index) => (
+                <ReconciliationRow
+                  key={`${result.status}-${result.name}-${index}`}
+                  result={result}
+                  onVolunteerClick={onVolunteerClick}
+                />
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+      {visibleResults.length > MAX_VISIBLE_ROWS && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          僅顯示前 {MAX_VISIBLE_ROWS} 筆，請使用上方的分類篩選
+        </Typography>
+      )}
+    </Paper>
+  );
+}
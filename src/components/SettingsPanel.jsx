@@ -0,0 +1,104 @@
+import React from 'react';
+import { Paper, Typography, Box, TextField, MenuItem, FormControlLabel, Switch, Button } from '@mui/material';
+import PeopleIcon from '@mui/icons-material/People';
+import CategoryIcon from '@mui/icons-material/Category';
+import MapIcon from '@mui/icons-material/Map';
+
+/**
+ * 產生統計年度選項（今年往前 5 年、往後 1 年、人力需求表中的年份，並確保目前選擇的年度在清單中）
+ * @param {number} selectedYear
+ * @param {number[]} availableYears - 人力需求表中的年份
+ * @returns {number[]}
+ */
+function getYearOptions(selectedYear, availableYears = []) {
+  const currentYear = new Date().getFullYear();
+  const years = new Set(availableYears);
+  for (let y = currentYear - 5; y <= currentYear + 1; y++) years.add(y);
+  if (typeof selectedYear === 'number') years.add(selectedYear);
+  return Array.from(years).sort((a, b) => b - a);
+}
+
+export default function SettingsPanel({ settings, onChange, disabled, availableYears, onOpenAliasEditor, onOpenContentTaxonomyEditor, onOpenGeographyEditor }) {
+  const yearOptions = getYearOptions(settings.reportingYear, availableYears);
+
+  const handleYearChange = (event) => {
+    onChange({ ...settings, reportingYear: Number(event.target.value) });
+  };
+
+  const handleSpreadChange = (event) => {
+    onChange({ ...settings, spreadAcrossMonths: event.target.checked });
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        設定
+      </Typography>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        <TextField
+          select
+          size="small"
+          label="統計年度"
+          value={settings.reportingYear}
+          onChange={handleYearChange}
+          disabled={disabled}
+          sx={{ minWidth: 140 }}
+        >
+          {yearOptions.map((year) => (
+            <MenuItem key={year} value={year}>
+              {year}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Typography variant="body2" color="text.secondary">
+          圖表 1-20 顯示與統計年度同名工作表的資料，只有月/日的日期（如 11/29）會歸入此年度
+        </Typography>
+      </Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mt: 2 }}>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={!!settings.spreadAcrossMonths}
+              onChange={handleSpreadChange}
+              disabled={disabled}
+            />
+          }
+          label="跨月活動依日期分配天數"
+        />
+        <Typography variant="body2" color="text.secondary">
+          開啟後，跨月活動（如 6/30-7/1）的天數和志工人數會依實際日期分配到各月份（圖表 2、6、10、13），否則全部計入開始月份
+        </Typography>
+      </Box>
+      {onOpenAliasEditor && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mt: 2 }}>
+          <Button variant="outlined" startIcon={<PeopleIcon />} onClick={onOpenAliasEditor} disabled={disabled}>
+            管理人名別名
+          </Button>
+          <Typography variant="body2" color="text.secondary">
+            檢視服勤區與時數登錄表中的人名，合併或拆分同一位志工的不同寫法
+          </Typography>
+        </Box>
+      )}
+      {onOpenContentTaxonomyEditor && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mt: 2 }}>
+          <Button variant="outlined" startIcon={<CategoryIcon />} onClick={onOpenContentTaxonomyEditor} disabled={disabled}>
+            管理參與內容分類
+          </Button>
+          <Typography variant="body2" color="text.secondary">
+            設定時數登錄表「參與內容」的分類關鍵字和優先順序，檢視並指定未分類的登錄
+          </Typography>
+        </Box>
+      )}
+      {onOpenGeographyEditor && (
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mt: 2 }}>
+          <Button variant="outlined" startIcon={<MapIcon />} onClick={onOpenGeographyEditor} disabled={disabled}>
+            管理縣市與地區
+          </Button>
+          <Typography variant="body2" color="text.secondary">
+            設定縣市的其他寫法（如臺北市、台北）、所屬地區、排列順序和圖表顏色
+          </Typography>
+        </Box>
+      )}
+    </Paper>
+  );
+}
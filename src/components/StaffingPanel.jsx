@@ -0,0 +1,269 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Chip,
+  Alert,
+  AlertTitle,
+  Tabs,
+  Tab,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from '@mui/material';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ResponsiveContainer,
+} from 'recharts';
+import { STAFFING_STATUSES, analyzeStaffing } from '../utils/staffing.js';
+import { formatDate } from '../utils/dateParser.js';
+
+// 畫面上最多顯示的筆數
+const MAX_VISIBLE_ROWS = 300;
+
+const statusColors = {
+  understaffed: 'error',
+  overstaffed: 'warning',
+  filled: 'success',
+  noPlan: 'default',
+};
+
+const statusLabels = Object.fromEntries(STAFFING_STATUSES.map(({ key, label }) => [key, label]));
+
+/**
+ * 顯示補足率
+ * @param {number|null} fillRate
+ * @returns {string}
+ */
+function formatFillRate(fillRate) {
+  return fillRate === null ? '-' : `${fillRate}%`;
+}
+
+/**
+ * 各活動的需求人數與服勤區人數
+ * @param {Object} props
+ * @param {Array} props.activities - analyzeStaffing 的 activities
+ */
+function ActivityTable({ activities }) {
+  if (activities.length === 0) {
+    return <Typography color="text.secondary">沒有符合條件的活動</Typography>;
+  }
+
+  return (
+    <>
+      <TableContainer sx={{ maxHeight: 500 }}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>狀態</TableCell>
+              <TableCell>日期</TableCell>
+              <TableCell>活動名稱</TableCell>
+              <TableCell>活動類型</TableCell>
+              <TableCell>縣市</TableCell>
+              <TableCell align="right">需求人數</TableCell>
+              <TableCell align="right">服勤區人數</TableCell>
+              <TableCell align="right">尚缺</TableCell>
+              <TableCell align="right">補足率</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {activities.slice(0, MAX_VISIBLE_ROWS).map((activity, index) => (
+              <TableRow
+                key={`${activity.record.sheetName}-${activity.record.rowNumber}-${index}`}
+                hover
+                sx={activity.upcoming && activity.status === 'understaffed' ? { bgcolor: '#fdecea' } : undefined}
+              >
+                <TableCell>
+                  <Chip size="small" color={statusColors[activity.status]} label={statusLabels[activity.status]} />
+                </TableCell>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>{formatDate(activity.date, activity.endDate)}</TableCell>
+                <TableCell>{activity.activityName}</TableCell>
+                <TableCell>{activity.activityType}</TableCell>
+                <TableCell>{activity.city}</TableCell>
+                <TableCell align="right">{activity.planned || '-'}</TableCell>
+                <TableCell align="right">{activity.assigned}</TableCell>
+                <TableCell align="right">{activity.gap > 0 ? activity.gap : ''}</TableCell>
+                <TableCell align="right">{formatFillRate(activity.fillRate)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      {activities.length > MAX_VISIBLE_ROWS && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          僅顯示前 {MAX_VISIBLE_ROWS} 筆，請使用上方的分類篩選
+        </Typography>
+      )}
+    </>
+  );
+}
+
+/**
+ * 依月份、縣市或活動類型彙總的人力
+ * @param {Object} props
+ * @param {string} props.groupLabel - 分組欄位名稱
+ * @param {Array} props.rows - analyzeStaffing 的 byMonth、byCity 或 byActivityType
+ */
+function SummaryTable({ groupLabel, rows }) {
+  if (rows.length === 0) {
+    return <Typography color="text.secondary">沒有資料</Typography>;
+  }
+
+  return (
+    <TableContainer sx={{ maxHeight: 500 }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            <TableCell>{groupLabel}</TableCell>
+            <TableCell align="right">活動數</TableCell>
+            <TableCell align="right">需求人數</TableCell>
+            <TableCell align="right">服勤區人數</TableCell>
+            <TableCell align="right">尚缺</TableCell>
+            <TableCell align="right">補足率</TableCell>
+            <TableCell align="right">人力不足</TableCell>
+            <TableCell align="right">人力超額</TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map(row => (
+            <TableRow key={row.key} hover>
+              <TableCell>{row.label}</TableCell>
+              <TableCell align="right">{row.activityCount}</TableCell>
+              <TableCell align="right">{row.planned}</TableCell>
+              <TableCell align="right">{row.assigned}</TableCell>
+              <TableCell align="right">{row.shortage}</TableCell>
+              <TableCell align="right">{formatFillRate(row.fillRate)}</TableCell>
+              <TableCell align="right">{row.understaffed}</TableCell>
+              <TableCell align="right">{row.overstaffed}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+/**
+ * 人力需求與排班：比較每場活動的「志工人數」（需求人數）與服勤區實際排入的人數，
+ * 依月份、縣市、活動類型彙總補足率，並列出尚未結束但仍缺志工的活動
+ * @param {Object} props
+ * @param {Array} props.data - 人力需求表資料（統計年度）
+ * @param {number} props.reportingYear - 統計年度
+ * @param {Object} [props.aliasMap] - 目前的別名對照表（服勤區人數依標準名稱去除重複）
+ * @param {boolean} [props.filtered] - 是否已套用全域篩選（志工條件除外）
+ */
+export default function StaffingPanel({ data, reportingYear, aliasMap, filtered }) {
+  const [tab, setTab] = useState('activities');
+  const [statusFilter, setStatusFilter] = useState(null);
+
+  const staffing = useMemo(() => analyzeStaffing(data, { aliasMap }), [data, aliasMap]);
+  const { activities, openActivities, byMonth, byCity, byActivityType, totals } = staffing;
+
+  const visibleActivities = statusFilter
+    ? activities.filter(activity => activity.status === statusFilter)
+    : activities;
+  const fillRateData = byMonth.filter(row => row.fillRate !== null);
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        人力需求與排班（{reportingYear} 年）
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        比較人力需求表的「志工人數」（需求人數）與「服勤區」實際排入的人數（依標準名稱去除重複）。
+        補足率只計算有填需求人數的活動。
+        {filtered && '已套用上方的篩選條件，但不套用志工條件（服勤區人數需要完整的名單）。'}
+      </Typography>
+
+      {openActivities.length > 0 ? (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          <AlertTitle>尚缺志工的活動（{openActivities.length} 場）</AlertTitle>
+          {openActivities.slice(0, 20).map((activity, index) => (
+            <Typography key={index} variant="body2">
+              {formatDate(activity.date, activity.endDate)} {activity.activityName}（{activity.city}）：
+              需求 {activity.planned} 人，已排 {activity.assigned} 人，尚缺 {activity.gap} 人
+            </Typography>
+          ))}
+          {openActivities.length > 20 && (
+            <Typography variant="body2">…其餘 {openActivities.length - 20} 場請見下方列表</Typography>
+          )}
+        </Alert>
+      ) : (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          尚未結束的活動人力都已補足
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+        <Chip
+          color="primary"
+          label={`需求 ${totals.planned} 人／已排 ${totals.assigned} 人，補足率 ${formatFillRate(totals.fillRate)}`}
+        />
+      </Box>
+
+      <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ mb: 2 }}>
+        <Tab value="activities" label={`依活動（${activities.length}）`} />
+        <Tab value="month" label="依月份" />
+        <Tab value="city" label="依縣市" />
+        <Tab value="activityType" label="依活動類型" />
+      </Tabs>
+
+      {tab === 'activities' && (
+        <>
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+            <Chip
+              label={`全部 ${activities.length}`}
+              variant={statusFilter ? 'outlined' : 'filled'}
+              onClick={() => setStatusFilter(null)}
+            />
+            {STAFFING_STATUSES.map(({ key, label, description }) => (
+              <Chip
+                key={key}
+                title={description}
+                color={statusColors[key]}
+                variant={statusFilter === key ? 'filled' : 'outlined'}
+                label={`${label} ${totals.counts[key]}`}
+                onClick={() => setStatusFilter(statusFilter === key ? null : key)}
+              />
+            ))}
+          </Box>
+          <ActivityTable activities={visibleActivities} />
+        </>
+      )}
+
+      {tab === 'month' && (
+        <>
+          {fillRateData.length > 0 && (
+            <Box sx={{ width: '100%', height: 300, mb: 2 }}>
+              <ResponsiveContainer>
+                <LineChart data={fillRateData} margin={{ top: 20, right: 30, left: 20, bottom: 20 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" />
+                  <YAxis unit="%" />
+                  <Tooltip formatter={(value) => [`${value}%`, '補足率']} />
+                  <ReferenceLine y={100} stroke="#4caf50" strokeDasharray="4 4" />
+                  <Line type="monotone" dataKey="fillRate" name="補足率" stroke="#1976d2" strokeWidth={2} />
+                </LineChart>
+              </ResponsiveContainer>
+            </Box>
+          )}
+          <SummaryTable groupLabel="月份" rows={byMonth} />
+        </>
+      )}
+
+      {tab === 'city' && <SummaryTable groupLabel="縣市" rows={byCity} />}
+
+      {tab === 'activityType' && <SummaryTable groupLabel="活動類型" rows={byActivityType} />}
+    </Paper>
+  );
+}
@@ -0,0 +1,203 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  Chip,
+  TextField,
+  Typography,
+  Autocomplete,
+  Tabs,
+  Tab,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TableContainer,
+} from '@mui/material';
+import { buildVolunteerProfile } from '../utils/volunteerProfile.js';
+import { formatDate } from '../utils/dateParser.js';
+
+/**
+ * 顯示參與內容分類（不計入時數統計的分類加上註記）
+ * @param {string} type
+ * @param {boolean} excludedFromTotals
+ * @returns {string}
+ */
+function formatContentType(type, excludedFromTotals) {
+  return excludedFromTotals ? `${type}（不計入時數）` : type;
+}
+
+/**
+ * 簡單表格
+ * @param {Object} props
+ * @param {Array<{key: string, label: string, align?: string, format?: Function}>} props.columns
+ * @param {Array} props.rows
+ * @param {string} props.emptyText - 沒有資料時顯示的文字
+ */
+function ProfileTable({ columns, rows, emptyText }) {
+  if (rows.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {emptyText}
+      </Typography>
+    );
+  }
+
+  return (
+    <TableContainer sx={{ maxHeight: 360, mb: 3 }}>
+      <Table size="small" stickyHeader>
+        <TableHead>
+          <TableRow>
+            {columns.map(column => (
+              <TableCell key={column.key} align={column.align}>{column.label}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map((row, index) => (
+            <TableRow key={index} hover>
+              {columns.map(column => (
+                <TableCell key={column.key} align={column.align}>
+                  {column.format ? column.format(row) : row[column.key]}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+const yearColumns = [
+  { key: 'year', label: '年度' },
+  { key: 'activityCount', label: '出勤次數', align: 'right' },
+  { key: 'activityDays', label: '出勤天數', align: 'right' },
+  { key: 'activityHours', label: '出勤時數', align: 'right' },
+  { key: 'hourLogHours', label: '登錄時數', align: 'right' },
+];
+
+const monthColumns = [
+  { key: 'label', label: '月份' },
+  { key: 'activityCount', label: '出勤次數', align: 'right' },
+  { key: 'activityHours', label: '出勤時數', align: 'right' },
+  { key: 'hourLogHours', label: '登錄時數', align: 'right' },
+];
+
+const activityTypeColumns = [
+  { key: 'type', label: '活動類型' },
+  { key: 'count', label: '次數', align: 'right' },
+  { key: 'days', label: '天數', align: 'right' },
+  { key: 'hours', label: '時數', align: 'right' },
+];
+
+const contentTypeColumns = [
+  { key: 'type', label: '參與內容', format: row => formatContentType(row.type, row.excludedFromTotals) },
+  { key: 'count', label: '筆數', align: 'right' },
+  { key: 'hours', label: '時數', align: 'right' },
+];
+
+const activityColumns = [
+  { key: 'date', label: '日期', format: row => formatDate(row.date, row.endDate) },
+  { key: 'activityName', label: '活動名稱' },
+  { key: 'activityType', label: '活動類型' },
+  { key: 'city', label: '縣市' },
+  { key: 'rawName', label: '服勤區寫法' },
+  { key: 'days', label: '天數', align: 'right' },
+  { key: 'hours', label: '時數', align: 'right' },
+];
+
+const hourLogColumns = [
+  { key: 'date', label: '日期', format: row => formatDate(row.date) },
+  { key: 'content', label: '參與內容' },
+  { key: 'contentType', label: '分類', format: row => formatContentType(row.contentType, row.excludedFromTotals) },
+  { key: 'rawName', label: '登錄姓名' },
+  { key: 'hours', label: '時數', align: 'right' },
+];
+
+/**
+ * 志工檔案：列出志工參與的所有活動（人力需求表）和時數登錄資料，以及依年度、月份、類型的統計
+ * @param {Object} props
+ * @param {string|null} props.name - 志工標準名稱，null 時不顯示
+ * @param {string[]} props.volunteerNames - 所有志工（切換志工用）
+ * @param {Array} props.manpowerData - 人力需求表資料（所有年度）
+ * @param {Array|null} props.hourLogRecords - 處理後的時數登錄表資料
+ * @param {Function} props.onSelect - 切換志工，參數為標準名稱
+ * @param {Function} props.onClose
+ */
+export default function VolunteerProfileDialog({ name, volunteerNames, manpowerData, hourLogRecords, onSelect, onClose }) {
+  const [tab, setTab] = useState('summary');
+
+  const profile = useMemo(
+    () => (name ? buildVolunteerProfile(name, { manpowerData, hourLogRecords: hourLogRecords || [] }) : null),
+    [name, manpowerData, hourLogRecords]
+  );
+
+  return (
+    <Dialog open={!!profile} onClose={onClose} maxWidth="lg" fullWidth>
+      <DialogTitle sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        志工檔案
+        <Autocomplete
+          size="small"
+          options={volunteerNames}
+          value={name}
+          onChange={(event, value) => value && onSelect(value)}
+          disableClearable
+          renderInput={(params) => <TextField {...params} label="志工" />}
+          sx={{ minWidth: 220 }}
+        />
+      </DialogTitle>
+      {profile && (
+        <DialogContent dividers>
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+            <Chip label={`首次參與：${profile.firstDate ? profile.firstDate.toLocaleDateString('zh-TW') : '無'}`} />
+            <Chip label={`最近參與：${profile.lastDate ? profile.lastDate.toLocaleDateString('zh-TW') : '無'}`} />
+            <Chip
+              color="primary"
+              label={`出勤 ${profile.totals.activityCount} 次／${profile.totals.activityDays} 天／${profile.totals.activityHours} 小時`}
+            />
+            <Chip
+              color="secondary"
+              label={`時數登錄 ${profile.totals.hourLogCount} 筆／${profile.totals.hourLogHours} 小時`}
+            />
+          </Box>
+
+          <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ mb: 2 }}>
+            <Tab value="summary" label="統計" />
+            <Tab value="activities" label={`出勤活動（${profile.activities.length}）`} />
+            <Tab value="hourLog" label={`時數登錄（${profile.hourLogEntries.length}）`} />
+          </Tabs>
+
+          {tab === 'summary' && (
+            <>
+              <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>依年度</Typography>
+              <ProfileTable columns={yearColumns} rows={profile.byYear} emptyText="沒有資料" />
+              <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>依活動類型（人力需求表）</Typography>
+              <ProfileTable columns={activityTypeColumns} rows={profile.byActivityType} emptyText="沒有出勤活動" />
+              <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>依參與內容（時數登錄表）</Typography>
+              <ProfileTable columns={contentTypeColumns} rows={profile.byContentType} emptyText="沒有時數登錄資料" />
+              <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>依月份</Typography>
+              <ProfileTable columns={monthColumns} rows={profile.byMonth} emptyText="沒有資料" />
+            </>
+          )}
+
+          {tab === 'activities' && (
+            <ProfileTable columns={activityColumns} rows={profile.activities} emptyText="沒有出勤活動" />
+          )}
+
+          {tab === 'hourLog' && (
+            <ProfileTable columns={hourLogColumns} rows={profile.hourLogEntries} emptyText="沒有時數登錄資料" />
+          )}
+        </DialogContent>
+      )}
+      <DialogActions>
+        <Button onClick={onClose}>關閉</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import {
+  Paper,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  MenuItem,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+/**
+ * 顯示保存的檔案名稱和上傳時間
+ * @param {Object|null} stored - { fileName, uploadedAt }
+ * @returns {string}
+ */
+function formatStoredFile(stored) {
+  if (!stored) return '未上傳';
+  const uploadedAt = stored.uploadedAt ? new Date(stored.uploadedAt).toLocaleString('zh-TW') : '';
+  return uploadedAt ? `${stored.fileName}（上傳於 ${uploadedAt}）` : stored.fileName;
+}
+
+/**
+ * 工作區：切換、新增、刪除工作區，以及還原上次的工作階段
+ * @param {Object} props
+ * @param {string} props.workspaceName - 目前的工作區名稱
+ * @param {Array} props.workspaces - 所有工作區（見 utils/workspaceStore.js）
+ * @param {Object|null} props.restoreOffer - 可還原的工作區（頁面載入時找到上次的工作階段）
+ * @param {Function} props.onRestore - 還原上次的工作階段
+ * @param {Function} props.onDismissRestore - 不還原
+ * @param {Function} props.onSwitch - 切換工作區，參數為名稱
+ * @param {Function} props.onCreate - 新增工作區，參數為名稱
+ * @param {Function} props.onDelete - 刪除工作區，參數為名稱
+ * @param {boolean} [props.disabled]
+ */
+export default function WorkspacePanel({
+  workspaceName,
+  workspaces,
+  restoreOffer,
+  onRestore,
+  onDismissRestore,
+  onSwitch,
+  onCreate,
+  onDelete,
+  disabled,
+}) {
+  const [creating, setCreating] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  const names = workspaces.map(workspace => workspace.name);
+  if (!names.includes(workspaceName)) names.unshift(workspaceName);
+  const current = workspaces.find(workspace => workspace.name === workspaceName) || null;
+
+  const trimmedName = newName.trim();
+  const nameError = trimmedName && names.includes(trimmedName) ? '已有相同名稱的工作區' : '';
+
+  const handleCreate = () => {
+    onCreate(trimmedName);
+    setCreating(false);
+    setNewName('');
+  };
+
+  const handleDelete = () => {
+    onDelete(workspaceName);
+    setConfirmingDelete(false);
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 4 }}>
+      <Typography variant="h6" gutterBottom>
+        工作區
+      </Typography>
+
+      {restoreOffer && (
+        <Alert
+          severity="info"
+          sx={{ mb: 2 }}
+          action={
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button color="inherit" size="small" onClick={onRestore}>
+                還原
+              </Button>
+              <Button color="inherit" size="small" onClick={onDismissRestore}>
+                略過
+              </Button>
+            </Box>
+          }
+        >
+          要還原上次的工作階段（{restoreOffer.name}）嗎？
+          <br />
+          人力需求表：{formatStoredFile(restoreOffer.manpower)}
+          <br />
+          時數登錄表：{formatStoredFile(restoreOffer.hourLog)}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+        <TextField
+          select
+          size="small"
+          label="目前的工作區"
+          value={workspaceName}
+          onChange={(event) => onSwitch(event.target.value)}
+          disabled={disabled}
+          sx={{ minWidth: 200 }}
+        >
+          {names.map(name => (
+            <MenuItem key={name} value={name}>
+              {name}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Button startIcon={<AddIcon />} onClick={() => setCreating(true)} disabled={disabled}>
+          新增工作區
+        </Button>
+        <Button
+          color="error"
+          startIcon={<DeleteIcon />}
+          onClick={() => setConfirmingDelete(true)}
+          disabled={disabled || !current}
+        >
+          刪除
+        </Button>
+      </Box>
+
+      {!restoreOffer && current && (
+        <Box sx={{ mt: 2 }}>
+          <Typography variant="body2" color="text.secondary">
+            人力需求表：{formatStoredFile(current.manpower)}
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            時數登錄表：{formatStoredFile(current.hourLog)}
+          </Typography>
+        </Box>
+      )}
+
+      <Dialog open={creating} onClose={() => setCreating(false)}>
+        <DialogTitle>新增工作區</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="工作區名稱"
+            value={newName}
+            onChange={(event) => setNewName(event.target.value)}
+            error={!!nameError}
+            helperText={nameError || '例如使用者名稱或專案名稱'}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreating(false)}>取消</Button>
+          <Button variant="contained" onClick={handleCreate} disabled={!trimmedName || !!nameError}>
+            新增
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={confirmingDelete} onClose={() => setConfirmingDelete(false)}>
+        <DialogTitle>刪除工作區</DialogTitle>
+        <DialogContent>
+          <Typography>
+            確定要刪除工作區「{workspaceName}」嗎？保存的檔案和設定會一併刪除，無法復原。
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmingDelete(false)}>取消</Button>
+          <Button variant="contained" color="error" onClick={handleDelete}>
+            刪除
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+}
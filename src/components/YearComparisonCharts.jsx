@@ -0,0 +1,102 @@
+import React, { useMemo } from 'react';
+import { Paper, Typography, Box, Grid } from '@mui/material';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import {
+  calculateYearComparison,
+  calculateParticipantYearComparison,
+} from '../utils/dataProcessor.js';
+import { getYearComparisonCharts } from '../utils/chartRegistry.js';
+
+// 年份顏色（依年份順序循環使用）
+const yearColors = ['#8884d8', '#82ca9d', '#ffc658', '#ff7300', '#0088fe', '#00c49f', '#ff8042', '#d084d0'];
+
+// 人名圖表最多顯示的人數（依總和排序）
+const MAX_PARTICIPANTS = 30;
+
+/**
+ * 年度比較圖表（人力需求表有兩個以上年度時顯示）
+ * @param {Object} props
+ * @param {Array} props.data - 人力需求表資料（所有年度）
+ * @param {Object} props.settings - App 的 settings
+ * @param {Object} [props.aliasMap] - 目前的別名對照表（人名的年度比較依此合併志工）
+ * @param {boolean} [props.filtered] - 是否已套用全域篩選（日期區間除外）
+ */
+export default function YearComparisonCharts({ data, settings, aliasMap, filtered }) {
+  const spreadAcrossMonths = !!settings?.spreadAcrossMonths;
+  const charts = useMemo(() => {
+    if (!data || data.length === 0) return [];
+    return getYearComparisonCharts().map(chart => {
+      const result = chart.participantMeasure
+        ? calculateParticipantYearComparison(data, { measure: chart.participantMeasure, aliasMap })
+        : calculateYearComparison(data, { groupBy: chart.groupBy, measure: chart.measure, spreadAcrossMonths });
+      return { ...chart, ...result };
+    });
+  }, [data, spreadAcrossMonths, aliasMap]);
+
+  if (charts.length === 0 || charts[0].years.length < 2) {
+    return null;
+  }
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12}>
+        <Typography variant="h5" sx={{ mt: 2, fontWeight: 'bold' }}>
+          年度比較（{charts[0].years.join('、')}）
+        </Typography>
+        {filtered && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            已套用上方的篩選條件，但不套用日期區間（年度比較涵蓋所有年度）
+          </Typography>
+        )}
+      </Grid>
+      {charts.map(chart => {
+        const isParticipantChart = !!chart.participantMeasure;
+        const chartData = isParticipantChart ? chart.data.slice(0, MAX_PARTICIPANTS) : chart.data;
+        return (
+          <Grid item xs={12} key={chart.id}>
+            <Paper elevation={2} sx={{ p: 3 }}>
+              <Typography variant="h6" gutterBottom>
+                {chart.title}（年度比較，對應圖表 {chart.refs}）
+                {isParticipantChart && chart.data.length > MAX_PARTICIPANTS && `（前 ${MAX_PARTICIPANTS} 位，共 ${chart.data.length} 位）`}
+              </Typography>
+              <Box sx={{ width: '100%', height: 400, mt: 2 }}>
+                <ResponsiveContainer>
+                  <BarChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 60 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis
+                      dataKey="name"
+                      angle={-45}
+                      textAnchor="end"
+                      height={100}
+                      interval={0}
+                    />
+                    <YAxis />
+                    <Tooltip />
+                    <Legend />
+                    {chart.years.map((year, index) => (
+                      <Bar
+                        key={year}
+                        dataKey={year}
+                        name={`${year} 年`}
+                        fill={yearColors[index % yearColors.length]}
+                      />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              </Box>
+            </Paper>
+          </Grid>
+        );
+      })}
+    </Grid>
+  );
+}
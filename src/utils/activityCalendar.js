@@ -0,0 +1,149 @@
+import { getActivityDates, getParticipantCredits } from './dataProcessor.js';
+import { compareCities, UNCLASSIFIED } from './geography.js';
+import { findVolunteerConflicts } from './volunteerConflicts.js';
+import { toDateKey } from './dateParser.js';
+
+/**
+ * 活動日曆與時間軸
+ *
+ * 日曆熱圖統計每天進行中的活動和志工人數；時間軸把每場活動畫成從開始到結束日期的長條，
+ * 並找出服勤區有相同志工、且該志工出勤日期重疊的活動（見 volunteerConflicts.js）。
+ */
+
+/**
+ * 日曆熱圖可選的統計量
+ */
+export const CALENDAR_MEASURES = [
+  { key: 'activityCount', label: '活動數', description: '當天進行中的活動場次' },
+  { key: 'demand', label: '志工需求人數', description: '當天進行中活動的「志工人數」合計' },
+  { key: 'assigned', label: '服勤區人數', description: '當天出勤的服勤區志工（依標準名稱去除重複，只參加部分日期的人員只計入出勤的日期）' },
+];
+
+/**
+ * 活動的結束日期（沒有結束日期或早於開始日期時為開始日期）
+ * @param {Object} record
+ * @returns {Date}
+ */
+function getEndDate(record) {
+  return record.endDate && record.endDate > record.date ? record.endDate : record.date;
+}
+
+/**
+ * 計算每天的活動負荷
+ * @param {Array} data - 人力需求表資料
+ * @param {Object} [options]
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {Map<string, {date: Date, activities: Array, activityCount: number, demand: number, assigned: number}>}
+ *   日期鍵（toDateKey）-> 當天的活動和統計量
+ */
+export function calculateDailyLoad(data, options = {}) {
+  const days = new Map();
+  data.forEach(record => {
+    const credits = getParticipantCredits(record, { aliasMap: options.aliasMap });
+    getActivityDates(record).forEach(date => {
+      const key = toDateKey(date);
+      if (!days.has(key)) {
+        days.set(key, { date, activities: [], demand: 0, names: new Set() });
+      }
+      const day = days.get(key);
+      day.activities.push(record);
+      day.demand += record.volunteerCount || 0;
+      // 只計入當天有出勤的志工（日期前綴或名字後面的日期）
+      credits.forEach(credit => {
+        if (credit.startDate <= date && date <= credit.endDate) day.names.add(credit.name);
+      });
+    });
+  });
+
+  const result = new Map();
+  days.forEach(({ names, ...day }, key) => {
+    result.set(key, { ...day, activityCount: day.activities.length, assigned: names.size });
+  });
+  return result;
+}
+
+/**
+ * 建立一年的日曆格（每欄一週，週一為一週的開始）
+ * @param {number} year
+ * @returns {{weeks: Array<Array<Date|null>>, months: Array<{month: number, week: number}>}}
+ *   weeks 的每一週有 7 格，不屬於該年的格子為 null；months 為每個月第一天所在的週
+ */
+export function buildCalendarWeeks(year) {
+  const weeks = [];
+  const months = [];
+  let week = new Array(7).fill(null);
+  for (let date = new Date(year, 0, 1); date.getFullYear() === year; date = new Date(year, date.getMonth(), date.getDate() + 1)) {
+    const weekday = (date.getDay() + 6) % 7;
+    if (weekday === 0 && week.some(Boolean)) {
+      weeks.push(week);
+      week = new Array(7).fill(null);
+    }
+    if (date.getDate() === 1) {
+      months.push({ month: date.getMonth() + 1, week: weeks.length });
+    }
+    week[weekday] = date;
+  }
+  weeks.push(week);
+  return { weeks, months };
+}
+
+/**
+ * 找出服勤區有相同志工、且該志工出勤日期重疊的活動
+ * @param {Array} data - 人力需求表資料
+ * @param {Object} [options]
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {Array<{records: Array, start: Date, end: Date, volunteers: string[]}>}
+ *   records 為兩場活動（開始日期較早的在前），start、end 為各志工重疊日期的範圍，依重疊開始日期排序
+ */
+export function findActivityConflicts(data, options = {}) {
+  // 兩場活動 -> 重疊的志工（同一組活動只列一次）
+  const pairs = new Map();
+  findVolunteerConflicts(data, { aliasMap: options.aliasMap }).forEach(({ name, start, end, assignments }) => {
+    const records = assignments.map(assignment => assignment.record).sort((a, b) => a.date - b.date);
+    if (!pairs.has(records[0])) pairs.set(records[0], new Map());
+    const byRecord = pairs.get(records[0]);
+    const pair = byRecord.get(records[1]);
+    if (!pair) {
+      byRecord.set(records[1], { records, start, end, volunteers: [name] });
+      return;
+    }
+    if (start < pair.start) pair.start = start;
+    if (end > pair.end) pair.end = end;
+    pair.volunteers.push(name);
+  });
+
+  return Array.from(pairs.values())
+    .flatMap(byRecord => Array.from(byRecord.values()))
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 建立時間軸：依縣市分組，同縣市內日期重疊的活動排在不同列
+ * @param {Array} data - 人力需求表資料
+ * @param {Array} [conflicts] - findActivityConflicts 的結果，有志工重疊的活動標記 conflict
+ * @returns {Array<{city: string, lanes: Array<Array<{record: Object, start: Date, end: Date, conflict: boolean}>>}>}
+ *   依縣市順序排列（見 geography.js）
+ */
+export function buildActivityTimeline(data, conflicts = []) {
+  const conflicted = new Set(conflicts.flatMap(conflict => conflict.records));
+  const groups = new Map();
+  [...data]
+    .sort((a, b) => a.date - b.date || getEndDate(a) - getEndDate(b))
+    .forEach(record => {
+      const city = record.city || UNCLASSIFIED;
+      if (!groups.has(city)) groups.set(city, []);
+      const lanes = groups.get(city);
+      const item = { record, start: record.date, end: getEndDate(record), conflict: conflicted.has(record) };
+      // 放在第一個已經空出來的列（前一場活動在開始日期之前結束）
+      const lane = lanes.find(items => items[items.length - 1].end < item.start);
+      if (lane) {
+        lane.push(item);
+      } else {
+        lanes.push([item]);
+      }
+    });
+
+  return Array.from(groups.keys())
+    .sort(compareCities)
+    .map(city => ({ city, lanes: groups.get(city) }));
+}
@@ -0,0 +1,139 @@
+import { getAliasMap, normalizeName, matchHourLogName } from './nameAliases.js';
+import { getParticipantNameCounts } from './dataProcessor.js';
+
+/**
+ * 列出別名編輯器的所有人名：服勤區與時數登錄表中出現的原始人名，加上映射表中的所有 key
+ * 標準名稱依別名映射計算，與圖表相同
+ * @param {Object} sources
+ * @param {Array} [sources.manpowerData] - 人力需求表資料
+ * @param {Array} [sources.hourLogRecords] - 時數登錄表原始資料（parseHourLogFile 的結果）
+ * @param {Object} [sources.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {Array<{rawName: string, canonical: string, manpowerCount: number, hourLogCount: number, inMap: boolean}>}
+ *   依標準名稱、原始名稱排序
+ */
+export function buildAliasRows({ manpowerData = [], hourLogRecords = [], aliasMap = getAliasMap() } = {}) {
+  const rows = new Map();
+  const getRow = (rawName) => {
+    if (!rows.has(rawName)) {
+      rows.set(rawName, { rawName, canonical: '', manpowerCount: 0, hourLogCount: 0, inMap: rawName in aliasMap });
+    }
+    return rows.get(rawName);
+  };
+
+  getParticipantNameCounts(manpowerData).forEach((count, rawName) => {
+    const row = getRow(rawName);
+    row.manpowerCount += count;
+    row.canonical = normalizeName(rawName, aliasMap);
+  });
+
+  // 與 processHourLogData 相同：完整姓名優先，其次以最後兩字比對（最後兩字相同的其他姓名也一起考慮）
+  const knownNames = [...rows.keys(), ...hourLogRecords.map(record => String(record.name || '').trim())];
+  hourLogRecords.forEach(record => {
+    const rawName = String(record.name || '').trim();
+    if (!rawName) return;
+    const row = getRow(rawName);
+    row.hourLogCount++;
+    if (!row.canonical) {
+      row.canonical = matchHourLogName(rawName, { knownNames, aliasMap }).standardName;
+    }
+  });
+
+  Object.entries(aliasMap).forEach(([rawName, canonical]) => {
+    const row = getRow(rawName);
+    row.canonical = canonical;
+  });
+
+  return Array.from(rows.values()).sort((a, b) =>
+    a.canonical.localeCompare(b.canonical, 'zh-TW') || a.rawName.localeCompare(b.rawName, 'zh-TW')
+  );
+}
+
+/**
+ * 設定單一原始人名的標準名稱
+ * @param {Object} aliasMap - 別名映射物件
+ * @param {string} rawName - 原始人名
+ * @param {string} canonical - 標準名稱
+ * @returns {Object} 新的別名映射物件
+ */
+export function setAlias(aliasMap, rawName, canonical) {
+  const target = String(canonical || '').trim() || rawName;
+  const next = { ...aliasMap, [rawName]: target };
+  // 標準名稱本身也加入映射表（時數登錄表以最後兩字比對時需要）
+  if (!(target in next)) next[target] = target;
+  return next;
+}
+
+/**
+ * 合併多個人：所選人名及所屬的整組（標準名稱相同的所有原始人名）都改為同一個標準名稱
+ * @param {Object} aliasMap - 別名映射物件
+ * @param {Array<{rawName: string, canonical: string}>} rows - 要合併的人名
+ * @param {string} canonical - 合併後的標準名稱
+ * @returns {Object} 新的別名映射物件
+ */
+export function mergeAliases(aliasMap, rows, canonical) {
+  const target = String(canonical || '').trim();
+  if (!target) return aliasMap;
+
+  const mergedCanonicals = new Set(rows.map(row => row.canonical));
+  const next = {};
+  Object.entries(aliasMap).forEach(([rawName, value]) => {
+    next[rawName] = mergedCanonicals.has(value) ? target : value;
+  });
+  rows.forEach(row => {
+    next[row.rawName] = target;
+  });
+  if (!(target in next)) next[target] = target;
+  return next;
+}
+
+/**
+ * 拆分：所選原始人名各自獨立為一個人（標準名稱等於原始人名）
+ * @param {Object} aliasMap - 別名映射物件
+ * @param {string[]} rawNames - 要拆分的原始人名
+ * @returns {Object} 新的別名映射物件
+ */
+export function splitAliases(aliasMap, rawNames) {
+  const next = { ...aliasMap };
+  rawNames.forEach(rawName => {
+    next[rawName] = rawName;
+  });
+  return next;
+}
+
+/**
+ * 驗證匯入的 nameAliases.json 內容
+ * @param {*} json - JSON.parse 的結果
+ * @returns {Object} 別名映射物件
+ * @throws {Error} 格式錯誤時
+ */
+export function validateAliasMap(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('別名檔案格式錯誤：必須是 { "原始名稱": "標準名稱" } 格式的物件');
+  }
+  const map = {};
+  Object.entries(json).forEach(([rawName, canonical]) => {
+    if (typeof canonical !== 'string' || !canonical.trim()) {
+      throw new Error(`別名檔案格式錯誤：「${rawName}」的標準名稱必須是文字`);
+    }
+    map[rawName.trim()] = canonical.trim();
+  });
+  return map;
+}
+
+/**
+ * 將別名映射表輸出為 nameAliases.json 的內容（與 extractNames.js 的輸出相同格式）
+ * @param {Object} aliasMap - 別名映射物件
+ * @param {Object} [options]
+ * @param {boolean} [options.keepOrder] - 保留映射物件的順序（extractNames.js 把新的人名接在原有項目後面，
+ *   手動編輯的檔案不會整個重新排列）；否則依標準名稱排序
+ * @returns {string} JSON 文字
+ */
+export function serializeAliasMap(aliasMap, options = {}) {
+  const entries = Object.entries(aliasMap);
+  if (!options.keepOrder) {
+    entries.sort(([rawA, canonicalA], [rawB, canonicalB]) =>
+      canonicalA.localeCompare(canonicalB, 'zh-TW') || rawA.localeCompare(rawB, 'zh-TW')
+    );
+  }
+  return `${JSON.stringify(Object.fromEntries(entries), null, 2)}\n`;
+}
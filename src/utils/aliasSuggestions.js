@@ -0,0 +1,374 @@
+import { getAliasMap, normalizeName, getLastNameTwoChars } from './nameAliases.js';
+import { getParticipantNames } from './dataProcessor.js';
+import { buildAliasRows, mergeAliases } from './aliasManager.js';
+import { toDateKey } from './dateParser.js';
+
+/**
+ * 人名別名建議：找出可能是同一人的不同寫法，供別名編輯器逐筆接受或略過
+ *
+ * 比對依據：
+ * - 姓名最後兩字（如「陳宏構」與「宏構」）
+ * - 只差一個字（編輯距離）
+ * - 簡體／繁體、異體字（如「陈宏构」與「陳宏構」）
+ * - 英文暱稱（大小寫、空白不同，如「Lingo」與「lingo」）
+ * - 出現在相同的活動：時數登錄表登錄的日期，剛好是另一個名字在服勤區的活動日期
+ *
+ * 兩個名字曾同時出現在同一筆活動的服勤區時，表示是不同的人，不會建議合併。
+ */
+
+// 人名常用字的簡體 -> 繁體對照（兩個字串逐字對應）
+const SIMPLIFIED_CHARACTERS = '构国华伟杰刚军龙凤丽红兰庆东宁乐书云亚仪优传伦贤贵宝宾实宽岚岭帅师广庄张强归忆怀恒悦爱晓晖杨标树桥欢汉泽洁涛润渊温湾满灵炜烨焕玮环琼电畅发礼祯禄种积稳竞笔节类纪约纯纳纶纹练细经绍绮维绵缘罗义联聪胜艺苏荣莲萤营萧蓝谊谢谦贞贺赵轩辉达远连邓郑钟钰钱铭锋锦镇长闵阳陈陆静韩顺颖风飞马骏鸣鸿鹏黄齐万丰乔亲刘协卫叶吕吴圣坚梦孙学宫寿尧岛彦总恋扬护晋杂权栋汤涂浓灿热玛瑶珑琏璎秃简紧缤职听虾装誉赏赖跃车轮农迈选释钢铁银锐间阁际颜鲁鲍鹤麦冯卢双团圆声复头娴婵将帮库应弹懒枫楼樱欧毕气沧泷浑涟渔滢潇烟独献玺绣绿继续荫蕴觉诗诚语贝资铃闻隽韦顾馆骆鸥鹃龄';
+const TRADITIONAL_CHARACTERS = '構國華偉傑剛軍龍鳳麗紅蘭慶東寧樂書雲亞儀優傳倫賢貴寶賓實寬嵐嶺帥師廣莊張強歸憶懷恆悅愛曉暉楊標樹橋歡漢澤潔濤潤淵溫灣滿靈煒燁煥瑋環瓊電暢發禮禎祿種積穩競筆節類紀約純納綸紋練細經紹綺維綿緣羅義聯聰勝藝蘇榮蓮螢營蕭藍誼謝謙貞賀趙軒輝達遠連鄧鄭鍾鈺錢銘鋒錦鎮長閔陽陳陸靜韓順穎風飛馬駿鳴鴻鵬黃齊萬豐喬親劉協衛葉呂吳聖堅夢孫學宮壽堯島彥總戀揚護晉雜權棟湯塗濃燦熱瑪瑤瓏璉瓔禿簡緊繽職聽蝦裝譽賞賴躍車輪農邁選釋鋼鐵銀銳間閣際顏魯鮑鶴麥馮盧雙團圓聲復頭嫻嬋將幫庫應彈懶楓樓櫻歐畢氣滄瀧渾漣漁瀅瀟煙獨獻璽繡綠繼續蔭蘊覺詩誠語貝資鈴聞雋韋顧館駱鷗鵑齡';
+
+// 異體字 -> 常用寫法
+const VARIANT_CHARACTERS = { 臺: '台', 峯: '峰', 羣: '群', 綫: '線', 裏: '裡' };
+
+const CHARACTER_MAP = (() => {
+  const map = { ...VARIANT_CHARACTERS };
+  Array.from(SIMPLIFIED_CHARACTERS).forEach((char, index) => {
+    map[char] = TRADITIONAL_CHARACTERS[index];
+  });
+  return map;
+})();
+
+// 各比對依據的分數，總分達到 SUGGESTION_THRESHOLD 才會建議
+const SIGNAL_WEIGHTS = {
+  variant: 0.9,
+  latin: 0.9,
+  lastTwoChars: 0.6,
+  editDistance: 0.5,
+  coOccurrence: 0.4,
+  nickname: 0.2,
+};
+const SUGGESTION_THRESHOLD = 0.5;
+
+// 出現在相同活動的判斷：時數登錄日期中至少有幾天、多少比例落在另一個名字的活動期間
+const MIN_SHARED_DAYS = 2;
+const MIN_SHARED_RATIO = 0.6;
+
+// 活動期間最多展開的天數（避免日期錯誤造成過長的期間）
+const MAX_ACTIVITY_DAYS = 31;
+
+const LATIN_NAME_PATTERN = /^[A-Za-z][A-Za-z\s.'-]*$/;
+
+/**
+ * 將簡體字、異體字轉為繁體常用寫法
+ * @param {string} name
+ * @returns {string}
+ */
+export function toTraditionalName(name) {
+  return Array.from(name).map(char => CHARACTER_MAP[char] || char).join('');
+}
+
+/**
+ * 是否為英文名字（暱稱）
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isLatinName(name) {
+  return LATIN_NAME_PATTERN.test(name);
+}
+
+/**
+ * 英文名字比對用的格式（小寫、移除空白和標點）
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeLatinName(name) {
+  return name.toLowerCase().replace(/[\s.'-]/g, '');
+}
+
+/**
+ * 計算編輯距離（Levenshtein distance）
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+  const left = Array.from(a);
+  const right = Array.from(b);
+  let previous = right.map((_, index) => index + 1);
+  previous.unshift(0);
+  left.forEach((leftChar, i) => {
+    const current = [i + 1];
+    right.forEach((rightChar, j) => {
+      current.push(Math.min(
+        previous[j + 1] + 1,
+        current[j] + 1,
+        previous[j] + (leftChar === rightChar ? 0 : 1)
+      ));
+    });
+    previous = current;
+  });
+  return previous[right.length];
+}
+
+/**
+ * 比對兩個原始人名的文字，返回符合的依據
+ * @param {string} a
+ * @param {string} b
+ * @returns {Array<{type: string, label: string}>}
+ */
+function compareNames(a, b) {
+  const signals = [];
+  if (a === b) return signals;
+
+  if (isLatinName(a) && isLatinName(b)) {
+    const left = normalizeLatinName(a);
+    const right = normalizeLatinName(b);
+    if (left === right) {
+      signals.push({ type: 'latin', label: `英文名字相同（${a}／${b}）` });
+    } else if (Math.min(left.length, right.length) >= 4 && getEditDistance(left, right) === 1) {
+      signals.push({ type: 'editDistance', label: `英文名字只差一個字母（${a}／${b}）` });
+    }
+    return signals;
+  }
+  if (isLatinName(a) || isLatinName(b)) return signals;
+
+  const traditionalA = toTraditionalName(a);
+  const traditionalB = toTraditionalName(b);
+  if (traditionalA === traditionalB) {
+    signals.push({ type: 'variant', label: `簡繁體或異體字（${a}／${b}）` });
+    return signals;
+  }
+
+  // 名字（兩字）與全名：全名的最後兩字就是名字
+  const [shorter, longer] = traditionalA.length <= traditionalB.length
+    ? [traditionalA, traditionalB]
+    : [traditionalB, traditionalA];
+  if (shorter.length === 2 && longer.length > 2 && getLastNameTwoChars(longer) === shorter) {
+    signals.push({ type: 'lastTwoChars', label: `姓名最後兩字相同（${a}／${b}）` });
+  } else if (
+    // 姓氏不同、名字相同（如「王小明」與「李小明」）通常是不同的人，只比對同姓
+    traditionalA.length === traditionalB.length &&
+    traditionalA.length >= 3 &&
+    traditionalA[0] === traditionalB[0] &&
+    getEditDistance(traditionalA, traditionalB) === 1
+  ) {
+    signals.push({ type: 'editDistance', label: `只差一個字（${a}／${b}）` });
+  }
+  return signals;
+}
+
+/**
+ * 活動期間的每一天
+ * @param {Object} record - 活動資料（date、endDate）
+ * @returns {string[]} YYYY-MM-DD 陣列
+ */
+function getActivityDayKeys(record) {
+  if (!(record.date instanceof Date) || isNaN(record.date.getTime())) return [];
+  const keys = [toDateKey(record.date)];
+  const end = record.endDate instanceof Date && !isNaN(record.endDate.getTime()) ? record.endDate : record.date;
+  const current = new Date(record.date);
+  while (keys.length < MAX_ACTIVITY_DAYS) {
+    current.setDate(current.getDate() + 1);
+    if (current > end) break;
+    keys.push(toDateKey(current));
+  }
+  return keys;
+}
+
+/**
+ * 取得 Map 中的 Set（不存在則建立）
+ * @param {Map} map
+ * @param {string} key
+ * @returns {Set}
+ */
+function getSet(map, key) {
+  if (!map.has(key)) map.set(key, new Set());
+  return map.get(key);
+}
+
+/**
+ * 收集各標準名稱的活動資訊
+ * @param {Array} manpowerData - 人力需求表資料
+ * @param {Array} hourLogRecords - 時數登錄表原始資料
+ * @param {Map<string, string>} hourLogCanonicals - 時數登錄表原始人名 -> 標準名稱
+ * @param {Object} aliasMap - 別名映射物件
+ * @returns {{activities: Map, activityDays: Map, hourLogDays: Map}}
+ */
+function collectActivityUsage(manpowerData, hourLogRecords, hourLogCanonicals, aliasMap) {
+  const activities = new Map();
+  const activityDays = new Map();
+  const hourLogDays = new Map();
+
+  manpowerData.forEach((record, index) => {
+    const dayKeys = getActivityDayKeys(record);
+    new Set(getParticipantNames(record).map(name => normalizeName(name, aliasMap))).forEach(canonical => {
+      getSet(activities, canonical).add(index);
+      const days = getSet(activityDays, canonical);
+      dayKeys.forEach(key => days.add(key));
+    });
+  });
+
+  hourLogRecords.forEach(record => {
+    const canonical = hourLogCanonicals.get(String(record.name || '').trim());
+    if (!canonical || !(record.date instanceof Date) || isNaN(record.date.getTime())) return;
+    getSet(hourLogDays, canonical).add(toDateKey(record.date));
+  });
+
+  return { activities, activityDays, hourLogDays };
+}
+
+/**
+ * 計算 A 的時數登錄日期中，有幾天是 B 在服勤區的活動日期（且 A 自己不在該活動服勤區）
+ * @returns {{shared: number, total: number}}
+ */
+function countSharedDays(usage, a, b) {
+  const days = usage.hourLogDays.get(a);
+  const otherDays = usage.activityDays.get(b);
+  if (!days || !otherDays) return { shared: 0, total: 0 };
+  const ownDays = usage.activityDays.get(a) || new Set();
+  let shared = 0;
+  days.forEach(day => {
+    if (otherDays.has(day) && !ownDays.has(day)) shared++;
+  });
+  return { shared, total: days.size };
+}
+
+/**
+ * 兩個名字是否曾同時出現在同一筆活動的服勤區
+ * @returns {boolean}
+ */
+function appearTogether(usage, a, b) {
+  const left = usage.activities.get(a);
+  const right = usage.activities.get(b);
+  if (!left || !right) return false;
+  for (const index of left) {
+    if (right.has(index)) return true;
+  }
+  return false;
+}
+
+/**
+ * 建議的標準名稱：中文優先於英文暱稱、繁體優先於簡體，其次是已被其他寫法對應的名稱、出現次數較多的名稱、較短的名字
+ * @param {Object} a - 人員分組
+ * @param {Object} b - 人員分組
+ * @param {Object} aliasMap - 別名映射物件
+ * @returns {string}
+ */
+function chooseTarget(a, b, aliasMap) {
+  const targetCount = new Map();
+  Object.values(aliasMap).forEach(value => targetCount.set(value, (targetCount.get(value) || 0) + 1));
+  const rank = group => [
+    isLatinName(group.canonical) ? 0 : 1,
+    toTraditionalName(group.canonical) === group.canonical ? 1 : 0,
+    targetCount.get(group.canonical) || 0,
+    group.count,
+    -Array.from(group.canonical).length,
+  ];
+  const rankA = rank(a);
+  const rankB = rank(b);
+  for (let i = 0; i < rankA.length; i++) {
+    if (rankA[i] !== rankB[i]) return rankA[i] > rankB[i] ? a.canonical : b.canonical;
+  }
+  return a.canonical.localeCompare(b.canonical, 'zh-TW') <= 0 ? a.canonical : b.canonical;
+}
+
+/**
+ * 建議的識別碼（兩個標準名稱排序後組合，用來記錄略過的建議）
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+export function getSuggestionKey(a, b) {
+  return [a, b].sort().join('|');
+}
+
+/**
+ * 找出可能是同一人的名字
+ * @param {Object} sources
+ * @param {Array} [sources.manpowerData] - 人力需求表資料
+ * @param {Array} [sources.hourLogRecords] - 時數登錄表原始資料
+ * @param {Object} [sources.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @param {Object} [options]
+ * @param {string[]} [options.rejected] - 已略過的建議（getSuggestionKey 的結果）
+ * @returns {Array<{key: string, names: string[], rawNames: string[], target: string, score: number, reasons: string[]}>}
+ *   依分數由高到低排序；names 是兩個標準名稱
+ */
+export function suggestAliases({ manpowerData = [], hourLogRecords = [], aliasMap = getAliasMap() } = {}, options = {}) {
+  const rejected = new Set(options.rejected || []);
+  const rows = buildAliasRows({ manpowerData, hourLogRecords, aliasMap });
+
+  // 依標準名稱分組
+  const groupMap = new Map();
+  const hourLogCanonicals = new Map();
+  rows.forEach(row => {
+    if (!groupMap.has(row.canonical)) {
+      groupMap.set(row.canonical, { canonical: row.canonical, rawNames: new Set([row.canonical]), count: 0 });
+    }
+    const group = groupMap.get(row.canonical);
+    group.rawNames.add(row.rawName);
+    group.count += row.manpowerCount + row.hourLogCount;
+    if (row.hourLogCount > 0) hourLogCanonicals.set(row.rawName, row.canonical);
+  });
+  // 只比對資料中實際出現的人
+  const groups = Array.from(groupMap.values()).filter(group => group.count > 0);
+  const usage = collectActivityUsage(manpowerData, hourLogRecords, hourLogCanonicals, aliasMap);
+
+  const suggestions = [];
+  for (let i = 0; i < groups.length; i++) {
+    for (let j = i + 1; j < groups.length; j++) {
+      const a = groups[i];
+      const b = groups[j];
+      const key = getSuggestionKey(a.canonical, b.canonical);
+      if (rejected.has(key) || appearTogether(usage, a.canonical, b.canonical)) continue;
+
+      // 文字比對：任一組原始人名符合即可（同一種依據只計一次）
+      const signals = new Map();
+      a.rawNames.forEach(left => {
+        b.rawNames.forEach(right => {
+          compareNames(left, right).forEach(signal => {
+            if (!signals.has(signal.type)) signals.set(signal.type, signal.label);
+          });
+        });
+      });
+
+      [[a, b], [b, a]].forEach(([left, right]) => {
+        const { shared, total } = countSharedDays(usage, left.canonical, right.canonical);
+        if (shared >= MIN_SHARED_DAYS && shared / total >= MIN_SHARED_RATIO && !signals.has('coOccurrence')) {
+          signals.set(
+            'coOccurrence',
+            `「${left.canonical}」登錄時數的 ${total} 天中有 ${shared} 天是「${right.canonical}」的活動日期`
+          );
+        }
+      });
+      if (signals.has('coOccurrence') && isLatinName(a.canonical) !== isLatinName(b.canonical)) {
+        signals.set('nickname', '英文暱稱與中文名字');
+      }
+
+      const score = Math.min(
+        1,
+        Array.from(signals.keys()).reduce((sum, type) => sum + SIGNAL_WEIGHTS[type], 0)
+      );
+      if (score < SUGGESTION_THRESHOLD) continue;
+
+      suggestions.push({
+        key,
+        names: [a.canonical, b.canonical],
+        rawNames: Array.from(new Set([...a.rawNames, ...b.rawNames])),
+        target: chooseTarget(a, b, aliasMap),
+        score: Math.round(score * 100) / 100,
+        reasons: Array.from(signals.values()),
+      });
+    }
+  }
+
+  return suggestions.sort((x, y) => y.score - x.score || x.key.localeCompare(y.key, 'zh-TW'));
+}
+
+/**
+ * 接受建議：將兩個名字（及各自的所有寫法）合併到指定的標準名稱
+ * @param {Object} aliasMap - 別名映射物件
+ * @param {Object} suggestion - suggestAliases 的結果
+ * @param {string} [target] - 合併後的標準名稱（預設為建議的名稱）
+ * @returns {Object} 新的別名映射物件
+ */
+export function acceptAliasSuggestion(aliasMap, suggestion, target = suggestion.target) {
+  const rows = suggestion.names.map(canonical => ({ rawName: canonical, canonical }));
+  const next = mergeAliases(aliasMap, rows, target);
+  suggestion.rawNames.forEach(rawName => {
+    next[rawName] = target;
+  });
+  return next;
+}
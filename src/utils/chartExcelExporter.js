@@ -1,77 +1,15 @@
 import ExcelJS from 'exceljs';
-import {
-  calculateMonthlyActivityTypeCount,
-  calculateMonthlyActivityTypeDays,
-  calculateMonthlyCityCount,
-  calculateMonthlyCityDays,
-  calculateMonthlyRegionCount,
-  calculateMonthlyRegionDays,
-  calculateActivityTypeTotalCount,
-  calculateActivityTypeTotalDays,
-  calculateCityTotalCount,
-  calculateCityTotalDays,
-  calculateRegionTotalCount,
-  calculateRegionTotalDays,
-  calculateParticipantCount,
-  calculateParticipantHours,
-  getActivityTypes,
-  getCities,
-  calculateMonthlyVolunteerCountByType,
-  calculateCityVolunteerCountByType,
-  calculateRegionVolunteerCountByType,
-  calculateVolunteerCountByActivityType,
-  calculateVolunteerCountByRegion,
-  calculateVolunteerCountByCity,
-} from './dataProcessor.js';
+import { buildChartContext, resolveCharts, DIMENSION_LABELS } from './chartRegistry.js';
+import { getCustomChartDefinitions } from './customCharts.js';
+import { DIAGNOSTIC_SOURCES, groupDiagnosticsBySeverity } from './diagnostics.js';
+import { formatDayRange } from './volunteerConflicts.js';
+import { describeFilters, hasManpowerOnlyFilters } from './filters.js';
 
 function safeNumber(value) {
   const n = typeof value === 'number' ? value : Number(value);
   return Number.isFinite(n) ? n : 0;
 }
 
-function sortCitiesLikeCharts(citiesRaw) {
-  // 與 StatisticsCharts.jsx 的排序規則一致：北中南東、區域內固定順序、未分類最後
-  const cityRegionsForSort = {
-    // 北部
-    '台北市': 1, '新北市': 1, '桃園市': 1, '新竹市': 1, '新竹縣': 1,
-    '基隆市': 1, '宜蘭縣': 1,
-    // 中部
-    '台中市': 2, '苗栗縣': 2, '彰化縣': 2, '南投縣': 2, '雲林縣': 2,
-    // 南部
-    '高雄市': 3, '台南市': 3, '嘉義市': 3, '嘉義縣': 3, '屏東縣': 3, '澎湖縣': 3,
-    // 東部
-    '花蓮縣': 4, '台東縣': 4,
-  };
-
-  const cityOrderForSort = {
-    // 北部
-    '台北市': 1, '新北市': 2, '桃園市': 3, '新竹市': 4, '新竹縣': 5,
-    '基隆市': 6, '宜蘭縣': 7,
-    // 中部
-    '台中市': 1, '苗栗縣': 2, '彰化縣': 3, '南投縣': 4, '雲林縣': 5,
-    // 南部
-    '高雄市': 1, '台南市': 2, '嘉義市': 3, '嘉義縣': 4, '屏東縣': 5, '澎湖縣': 6,
-    // 東部
-    '花蓮縣': 1, '台東縣': 2,
-  };
-
-  return [...citiesRaw].sort((a, b) => {
-    if (a === '未分類' && b !== '未分類') return 1;
-    if (a !== '未分類' && b === '未分類') return -1;
-    if (a === '未分類' && b === '未分類') return 0;
-
-    const regionA = cityRegionsForSort[a] || 99;
-    const regionB = cityRegionsForSort[b] || 99;
-    if (regionA !== regionB) return regionA - regionB;
-
-    const orderA = cityOrderForSort[a] || 999;
-    const orderB = cityOrderForSort[b] || 999;
-    if (orderA !== orderB) return orderA - orderB;
-
-    return a.localeCompare(b, 'zh-TW');
-  });
-}
-
 function autoFitColumns(worksheet) {
   worksheet.columns.forEach((col) => {
     let maxLength = 10;
@@ -150,45 +88,6 @@ function addTableSheet(workbook, sheetName, headers, rows) {
   autoFitColumns(ws);
 }
 
-function normalizeStackedRows(rows, xKey, seriesKeys) {
-  return rows.map((r) => {
-    const out = { ...r };
-    seriesKeys.forEach((k) => {
-      if (out[k] === undefined) out[k] = 0;
-    });
-    // 確保 xKey 存在（避免 undefined）
-    if (out[xKey] === undefined) out[xKey] = '';
-    return out;
-  });
-}
-
-function getRegionOrderKey(region) {
-  const order = { '北部': 1, '中部': 2, '南部': 3, '東部': 4, '未分類': 5 };
-  return order[region] || 99;
-}
-
-function getRegionSeriesKeysFromRows(rows) {
-  const keys = new Set();
-  rows.forEach((r) => {
-    Object.keys(r).forEach((k) => {
-      if (k !== 'month' && k !== 'year' && k !== 'monthNum') keys.add(k);
-    });
-  });
-  const ordered = ['北部', '中部', '南部', '東部', '未分類'];
-  const rest = Array.from(keys).filter(k => !ordered.includes(k)).sort();
-  return [...ordered.filter(k => keys.has(k)), ...rest];
-}
-
-function getSeriesKeysFromRows(rows, excludeKeys) {
-  const keys = new Set();
-  rows.forEach((r) => {
-    Object.keys(r).forEach((k) => {
-      if (!excludeKeys.includes(k)) keys.add(k);
-    });
-  });
-  return Array.from(keys).sort((a, b) => a.localeCompare(b, 'zh-TW'));
-}
-
 function formatDateForFilename(d) {
   const pad = (n) => String(n).padStart(2, '0');
   return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}_${pad(d.getHours())}${pad(d.getMinutes())}`;
@@ -209,238 +108,199 @@ function downloadBufferAsFile(buffer, filename) {
 }
 
 /**
- * 將目前畫面會出現的圖表資料匯出成 Excel
+ * 加入「篩選條件」工作表：記錄匯出時間、統計年度和全域篩選條件，方便日後對照資料範圍
+ * @param {ExcelJS.Workbook} workbook
+ * @param {Object} params
+ * @param {Array} params.data - 篩選後的人力需求表資料
+ * @param {Object|null} params.hourLogData - 篩選後的時數登錄表統計資料
+ * @param {Object} params.settings
+ * @param {Object} [params.filters] - 全域篩選條件（見 filters.js）
+ */
+function addFilterSheet(workbook, { data, hourLogData, settings, filters }) {
+  const filterRows = describeFilters(filters).map(item => [item.label, item.value]);
+  addTableSheet(workbook, '篩選條件', ['項目', '內容'], [
+    ['匯出時間', new Date().toLocaleString('zh-TW')],
+    ['統計年度', settings?.reportingYear ?? ''],
+    ['跨月活動依日期分配天數', settings?.spreadAcrossMonths ? '是' : '否'],
+    ...(filterRows.length > 0 ? filterRows : [['篩選條件', '無（統計年度的全部資料）']]),
+    ['人力需求表活動筆數', Array.isArray(data) ? data.length : 0],
+    ['時數登錄表志工人數', hourLogData?.data ? hourLogData.data.length : 0],
+    ...(hasManpowerOnlyFilters(filters)
+      ? [['時數登錄表圖表', '未輸出：時數登錄表沒有活動類型、縣市、地區和活動名稱，無法套用這些篩選條件（圖表 21-23、依參與內容的自訂圖表）']]
+      : []),
+  ]);
+}
+
+/**
+ * 建立圖表資料的 Excel 活頁簿（瀏覽器下載和命令列 generateReport.js 共用）
+ * - 圖表和資料列來自 chartRegistry.js 的圖表定義（與畫面相同）
  * - 每個圖表一個 sheet，sheet name 為圖表編號
  * - 柱狀圖：Header = stack/系列分類，最後加「總和」欄；每個 x 軸項目一個 row
+ * - 有 columns 定義的圖表（23）：輸出明細欄位
+ * - customCharts：使用者儲存的自訂圖表接在圖表 23 之後（sheet name 為「自訂1」、「自訂2」…）
  * - 圓餅圖：Header =「數量」「百分比」；每個分類一個 row；最後一列「總和」
+ * - settings.spreadAcrossMonths：圖表 2、6、10、13 的跨月活動依實際日期分配到各月份（與畫面一致）
+ * - data、hourLogData、hourLogRecords 為套用全域篩選後的資料；第一個 sheet「篩選條件」記錄 filters 和統計年度
+ * - 設定了只有人力需求表有的篩選條件時（見 filters.js 的 hasManpowerOnlyFilters），不輸出使用時數登錄表的圖表
+ * @param {Object} params
+ * @returns {ExcelJS.Workbook}
+ * @throws {Error} 沒有可匯出的圖表資料時
  */
-export async function exportCurrentChartsToExcel({ data, hourLogData }) {
+export function buildChartsWorkbook({ data, hourLogData: filteredHourLogData, hourLogRecords, settings, filters, customCharts }) {
+  const hourLogData = hasManpowerOnlyFilters(filters) ? null : filteredHourLogData;
   const workbook = new ExcelJS.Workbook();
   workbook.creator = 'activityStatistics';
   workbook.created = new Date();
 
   const hasManpower = Array.isArray(data) && data.length > 0;
   const hasHourLog = !!(hourLogData && hourLogData.data && hourLogData.data.length > 0);
-  let participantHoursForDifference = null;
 
   if (!hasManpower && !hasHourLog) {
-    throw new Error('目前沒有可匯出的圖表資料，請先上傳檔案');
+    throw new Error(describeFilters(filters).length > 0
+      ? '篩選後沒有可匯出的圖表資料，請調整篩選條件'
+      : '目前沒有可匯出的圖表資料，請先上傳檔案');
   }
 
-  if (hasManpower) {
-    const monthlyActivityTypeCount = calculateMonthlyActivityTypeCount(data);
-    const monthlyActivityTypeDays = calculateMonthlyActivityTypeDays(data);
-    const monthlyCityCount = calculateMonthlyCityCount(data);
-    const monthlyCityDays = calculateMonthlyCityDays(data);
-    const monthlyRegionCount = calculateMonthlyRegionCount(data);
-    const monthlyRegionDays = calculateMonthlyRegionDays(data);
-
-    const activityTypeTotalCount = calculateActivityTypeTotalCount(data);
-    const activityTypeTotalDays = calculateActivityTypeTotalDays(data);
-    const cityTotalCount = calculateCityTotalCount(data);
-    const cityTotalDays = calculateCityTotalDays(data);
-    const regionTotalCount = calculateRegionTotalCount(data);
-    const regionTotalDays = calculateRegionTotalDays(data);
-
-    const participantCount = calculateParticipantCount(data);
-    const participantHours = calculateParticipantHours(data);
-    participantHoursForDifference = participantHours;
-
-    const monthlyVolunteerCountByType = calculateMonthlyVolunteerCountByType(data);
-    const cityVolunteerCountByType = calculateCityVolunteerCountByType(data);
-    const regionVolunteerCountByType = calculateRegionVolunteerCountByType(data);
-    const volunteerCountByActivityType = calculateVolunteerCountByActivityType(data);
-    const volunteerCountByRegion = calculateVolunteerCountByRegion(data);
-    const volunteerCountByCity = calculateVolunteerCountByCity(data);
-
-    const activityTypes = getActivityTypes(monthlyActivityTypeCount);
-    const cities = sortCitiesLikeCharts(getCities(monthlyCityCount));
-
-    // 1-2
-    addStackedBarSheet(
-      workbook,
-      1,
-      '月份',
-      'month',
-      normalizeStackedRows(monthlyActivityTypeCount, 'month', activityTypes),
-      activityTypes
-    );
-    addStackedBarSheet(
-      workbook,
-      2,
-      '月份',
-      'month',
-      normalizeStackedRows(monthlyActivityTypeDays, 'month', activityTypes),
-      activityTypes
-    );
-
-    // 3-4
-    addPieSheet(workbook, 3, '活動類型', activityTypeTotalCount);
-    addPieSheet(workbook, 4, '活動類型', activityTypeTotalDays);
-
-    // 5-6（依縣市）
-    addStackedBarSheet(
-      workbook,
-      5,
-      '月份',
-      'month',
-      normalizeStackedRows(monthlyCityCount, 'month', cities),
-      cities
-    );
-    addStackedBarSheet(
-      workbook,
-      6,
-      '月份',
-      'month',
-      normalizeStackedRows(monthlyCityDays, 'month', cities),
-      cities
-    );
-
-    // 7-8
-    addPieSheet(workbook, 7, '縣市', cityTotalCount);
-    addPieSheet(workbook, 8, '縣市', cityTotalDays);
+  addFilterSheet(workbook, { data, hourLogData, settings, filters });
 
-    // 9-10（依地區）
-    {
-      const regionSeries = getRegionSeriesKeysFromRows(monthlyRegionCount);
-      const regionSeriesDays = getRegionSeriesKeysFromRows(monthlyRegionDays);
-      addStackedBarSheet(
-        workbook,
-        9,
-        '月份',
-        'month',
-        normalizeStackedRows(monthlyRegionCount, 'month', regionSeries),
-        regionSeries
-      );
-      addStackedBarSheet(
+  // 與畫面相同的圖表定義（chartRegistry.js），sheet 依圖表編號排列
+  const context = buildChartContext({ data, hourLogData, hourLogRecords, settings });
+  resolveCharts(context, getCustomChartDefinitions(customCharts)).forEach(({ chart, rows, seriesKeys }) => {
+    if (chart.kind === 'pie') {
+      addPieSheet(workbook, chart.id, DIMENSION_LABELS[chart.x], rows);
+    } else if (chart.columns) {
+      addTableSheet(
         workbook,
-        10,
-        '月份',
-        'month',
-        normalizeStackedRows(monthlyRegionDays, 'month', regionSeriesDays),
-        regionSeriesDays
+        chart.id,
+        chart.columns.map(column => column.label),
+        rows.map(row => chart.columns.map(column => row[column.key]))
       );
+    } else {
+      addStackedBarSheet(workbook, chart.id, DIMENSION_LABELS[chart.x], chart.x, rows, seriesKeys, {
+        addTotalRow: chart.exportTotalRow,
+      });
     }
+  });
 
-    // 11-12
-    addPieSheet(workbook, 11, '地區', regionTotalCount);
-    addPieSheet(workbook, 12, '地區', regionTotalDays);
+  return workbook;
+}
 
-    // 13-15（志工人數堆疊）
-    addStackedBarSheet(
+/**
+ * 將目前畫面會出現的圖表資料匯出成 Excel 並下載（內容見 buildChartsWorkbook）
+ * @param {Object} params - 同 buildChartsWorkbook
+ */
+export async function exportCurrentChartsToExcel(params) {
+  const workbook = buildChartsWorkbook(params);
+  const filename = `圖表資料匯出_${formatDateForFilename(new Date())}.xlsx`;
+  const buffer = await workbook.xlsx.writeBuffer();
+  downloadBufferAsFile(buffer, filename);
+}
+
+/**
+ * 將匯入檢查結果（診斷訊息）匯出成 Excel，方便回頭修正原始資料
+ * - 每個嚴重程度一個 sheet（錯誤、警告、提示）
+ * - 欄位：來源、工作表、列號、欄位、原始內容、原因
+ * - 有志工重複排班時另外建立「志工重複排班」sheet，每組重疊的出勤一列，列出兩筆資料列
+ * @param {Array} diagnostics - 診斷訊息陣列（見 diagnostics.js）
+ * @param {Object} [options]
+ * @param {Array} [options.volunteerConflicts] - findVolunteerConflicts 的結果（見 volunteerConflicts.js）
+ */
+export async function exportDiagnosticsToExcel(diagnostics, options = {}) {
+  const { volunteerConflicts = [] } = options;
+  const groups = groupDiagnosticsBySeverity(diagnostics || []);
+  if (groups.length === 0) {
+    throw new Error('目前沒有可匯出的檢查結果');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'activityStatistics';
+  workbook.created = new Date();
+
+  groups.forEach((group) => {
+    addTableSheet(
       workbook,
-      13,
-      '月份',
-      'month',
-      normalizeStackedRows(monthlyVolunteerCountByType, 'month', activityTypes),
-      activityTypes
+      group.label,
+      ['來源', '工作表', '列號', '欄位', '原始內容', '原因'],
+      group.items.map(item => [
+        DIAGNOSTIC_SOURCES[item.source] || item.source,
+        item.sheetName,
+        item.rowNumber ?? '',
+        item.field,
+        item.value,
+        item.reason,
+      ])
     );
+  });
 
-    // 14：依縣市（補齊 activityTypes）
-    {
-      const normalized = normalizeStackedRows(cityVolunteerCountByType, 'city', activityTypes);
-      // 盡量讓列順序跟圖表一致（依 getCities 的排序）
-      const map = new Map(normalized.map(r => [r.city, r]));
-      const orderedRows = cities.map(city => map.get(city) || { city, ...Object.fromEntries(activityTypes.map(t => [t, 0])) });
-      addStackedBarSheet(workbook, 14, '縣市', 'city', orderedRows, activityTypes);
-    }
-
-    // 15：依地區（補齊 activityTypes + 排序）
-    {
-      const normalized = normalizeStackedRows(regionVolunteerCountByType, 'region', activityTypes)
-        .slice()
-        .sort((a, b) => getRegionOrderKey(a.region) - getRegionOrderKey(b.region));
-      addStackedBarSheet(workbook, 15, '地區', 'region', normalized, activityTypes);
-    }
+  if (volunteerConflicts.length > 0) {
+    const assignmentHeaders = (label) => [
+      `工作表（${label}）`, `列號（${label}）`, `活動名稱（${label}）`, `縣市（${label}）`, `出勤日期（${label}）`,
+    ];
+    addTableSheet(
+      workbook,
+      '志工重複排班',
+      ['志工', '重疊日期', '同一縣市', ...assignmentHeaders('一'), ...assignmentHeaders('二')],
+      volunteerConflicts.map(conflict => [
+        conflict.name,
+        formatDayRange(conflict.start, conflict.end),
+        conflict.sameCity ? '是' : '否',
+        ...conflict.assignments.flatMap(({ record, startDate, endDate }) => [
+          record.sheetName,
+          record.rowNumber ?? '',
+          record.activityName,
+          record.city,
+          formatDayRange(startDate, endDate),
+        ]),
+      ])
+    );
+  }
 
-    // 16-18（圓餅）
-    addPieSheet(workbook, 16, '活動類型', volunteerCountByActivityType);
-    addPieSheet(workbook, 17, '地區', volunteerCountByRegion);
-    addPieSheet(workbook, 18, '縣市', volunteerCountByCity);
+  const filename = `匯入檢查結果_${formatDateForFilename(new Date())}.xlsx`;
+  const buffer = await workbook.xlsx.writeBuffer();
+  downloadBufferAsFile(buffer, filename);
+}
 
-    // 19-20（人名堆疊）
-    {
-      // legend 順序使用 activityTypes（與圖表 19 一致）
-      addStackedBarSheet(workbook, 19, '人名', 'name', normalizeStackedRows(participantCount, 'name', activityTypes), activityTypes);
-    }
-    {
-      // legend 順序使用 activityTypes（與圖表 20 一致）
-      addStackedBarSheet(workbook, 20, '人名', 'name', normalizeStackedRows(participantHours, 'name', activityTypes), activityTypes);
-    }
+/**
+ * 將圖表明細（點選圖表後顯示的原始資料列）匯出成 Excel
+ * - 人力需求表、時數登錄表各一個 sheet（有資料才建立），欄位與畫面相同
+ * @param {Object} drillDown - getChartDrillDown 的結果
+ * @param {Object} [sorted] - 畫面上排序後的資料列 { manpowerRows, hourLogRows }
+ */
+export async function exportDrillDownToExcel(drillDown, sorted = {}) {
+  const manpowerRows = sorted.manpowerRows || drillDown?.manpowerRows || [];
+  const hourLogRows = sorted.hourLogRows || drillDown?.hourLogRows || [];
+  if (manpowerRows.length === 0 && hourLogRows.length === 0) {
+    throw new Error('目前沒有可匯出的明細資料');
   }
 
-  if (hasHourLog) {
-    // 21：回報時數統計（堆疊）
-    const contentTypes = Array.isArray(hourLogData.contentTypes) ? hourLogData.contentTypes : getSeriesKeysFromRows(hourLogData.data, ['name']);
-    addStackedBarSheet(
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'activityStatistics';
+  workbook.created = new Date();
+
+  // 日期以文字輸出，避免 Excel 依時區顯示成前一天
+  const toCells = (columns, rows) => rows.map(row => columns.map(column => {
+    const value = row[column.key];
+    if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toLocaleDateString('zh-TW');
+    return value ?? '';
+  }));
+  if (manpowerRows.length > 0) {
+    addTableSheet(
       workbook,
-      21,
-      '人名',
-      'name',
-      normalizeStackedRows(hourLogData.data, 'name', contentTypes),
-      contentTypes
+      '人力需求表',
+      drillDown.manpowerColumns.map(column => column.label),
+      toCells(drillDown.manpowerColumns, manpowerRows)
     );
-
-    // 22：回流訓練（單一系列）
-    if (hourLogData?.retraining?.data && hourLogData.retraining.data.length > 0) {
-      const years = hourLogData?.retraining?.years && hourLogData.retraining.years.length > 0
-        ? hourLogData.retraining.years.map(y => String(y))
-        : ['2023', '2024', '2025'];
-      addStackedBarSheet(
-        workbook,
-        22,
-        '人名',
-        'name',
-        normalizeStackedRows(hourLogData.retraining.data, 'name', years),
-        years,
-        { addTotalRow: true }
-      );
-    }
   }
-
-  // 23（需要同時有人力需求表 + 時數登錄表）—放在最後，確保 sheet 依編號順序（...21,22,23）
-  if (hasManpower && hasHourLog && Array.isArray(participantHoursForDifference)) {
-    const differenceRows = [];
-    const participantHoursMap = {};
-    participantHoursForDifference.forEach(item => {
-      participantHoursMap[item.name] = safeNumber(item['手作']);
-    });
-    const hourLogMap = {};
-    hourLogData.data.forEach(item => {
-      hourLogMap[item.name] = safeNumber(item['步道實作帶領']);
-    });
-    const allNames = new Set([
-      ...participantHoursForDifference.map(item => item.name),
-      ...hourLogData.data.map(item => item.name),
-    ]);
-    allNames.forEach(name => {
-      const handcraftHours = participantHoursMap[name] || 0;
-      const trailLeadingHours = hourLogMap[name] || 0;
-      const difference = handcraftHours - trailLeadingHours;
-      if (difference !== 0) {
-        differenceRows.push({
-          name,
-          handcraftHours,
-          trailLeadingHours,
-          difference,
-        });
-      }
-    });
-    differenceRows.sort((a, b) => safeNumber(b.difference) - safeNumber(a.difference));
-    if (differenceRows.length > 0) {
-      // 依需求：23 不需要「總和」欄，改輸出明細欄位（與圖表 tooltip 一致）
-      addTableSheet(
-        workbook,
-        23,
-        ['人名', '出勤手作時數', '回報步道實作帶領時數', '差值'],
-        differenceRows.map(r => [r.name, r.handcraftHours, r.trailLeadingHours, r.difference])
-      );
-    }
+  if (hourLogRows.length > 0) {
+    addTableSheet(
+      workbook,
+      '時數登錄表',
+      drillDown.hourLogColumns.map(column => column.label),
+      toCells(drillDown.hourLogColumns, hourLogRows)
+    );
   }
 
-  const filename = `圖表資料匯出_${formatDateForFilename(new Date())}.xlsx`;
+  const filename = `圖表${drillDown.chart}明細_${formatDateForFilename(new Date())}.xlsx`;
   const buffer = await workbook.xlsx.writeBuffer();
   downloadBufferAsFile(buffer, filename);
 }
-
-
@@ -0,0 +1,600 @@
+import {
+  calculateMonthlyActivityTypeCount,
+  calculateMonthlyActivityTypeDays,
+  calculateMonthlyCityCount,
+  calculateMonthlyCityDays,
+  calculateMonthlyRegionCount,
+  calculateMonthlyRegionDays,
+  calculateActivityTypeTotalCount,
+  calculateActivityTypeTotalDays,
+  calculateCityTotalCount,
+  calculateCityTotalDays,
+  calculateRegionTotalCount,
+  calculateRegionTotalDays,
+  calculateParticipantCount,
+  calculateParticipantHours,
+  getActivityTypes,
+  getCities,
+  calculateMonthlyVolunteerCountByType,
+  calculateCityVolunteerCountByType,
+  calculateRegionVolunteerCountByType,
+  calculateVolunteerCountByActivityType,
+  calculateVolunteerCountByRegion,
+  calculateVolunteerCountByCity,
+} from './dataProcessor.js';
+import { getRegionNames, getRegionOrder, getRegionColors, getCityColors, sortCities } from './geography.js';
+
+/**
+ * 統計圖表定義（圖表 1-23）
+ *
+ * 每個圖表以一筆資料描述：編號、標題、圖表種類、資料來源、X 軸（或圓餅分類）與堆疊系列的維度、
+ * 統計函式和顏色。畫面（components/ChartRenderer.jsx）、圖表資料匯出（chartExcelExporter.js）
+ * 和圖表明細（drillDown.js）都讀取這份定義，新增圖表或匯出工作表只需要在 CHARTS 加一筆；
+ * 年度比較（components/YearComparisonCharts.jsx）顯示有 yearComparison 欄位的圖表。
+ * 使用者儲存的自訂圖表（customCharts.js）也轉換成同樣格式的定義，附加在圖表 1-23 之後。
+ *
+ * 圖表種類（kind）：
+ * - stackedBar：堆疊長條圖；匯出每個 X 軸項目一列，最後加「總和」欄
+ * - pie：圓餅圖；匯出「數量」「百分比」和「總和」列
+ * - personBar：人名堆疊長條圖，人數多時分為高值組／其餘組或上下兩張；匯出同 stackedBar
+ * - differenceBar：人名差值長條圖，正負值不同顏色；匯出 columns 定義的明細欄位
+ *
+ * 圖表定義欄位：
+ * {
+ *   id: number | string,      // 自訂圖表為「自訂1」「自訂2」…（也是匯出的 sheet 名稱）
+ *   title: string | (context) => string,  // 不含編號；圓餅圖和人名圖表會自動加上總數或人數
+ *   kind: 'stackedBar' | 'pie' | 'personBar' | 'differenceBar',
+ *   source: 'manpower' | 'hourLog' | 'both', // 需要的檔案
+ *   x: string,                  // X 軸（長條圖）或分類（圓餅圖）的維度，見 DIMENSION_LABELS
+ *   series?: string,            // 堆疊系列的維度
+ *   aggregate: (context) => Array | { rows: Array, seriesKeys: string[] }, // 系列不在 context.series 時返回後者
+ *   spread?: boolean,           // 跨月活動可依日期分配到各月份（標題加註設定）
+ *   volunteersOnly?: boolean,   // 只計入志工人數大於 0 的活動（圖表明細使用）
+ *   drillDown?: { activityType?: string, contentType?: string }, // 圖表明細固定的篩選
+ *   totalLabel?: string,        // 圓餅圖標題的總數名稱
+ *   md?: number,                // 畫面寬度（Grid md），預設整列
+ *   tooltip?: 'hours',          // 人名圖表的提示顯示總時數並略過 0
+ *   hideWhenEmpty?: boolean,    // 沒有資料列時不顯示也不匯出
+ *   hideEmptySeries?: boolean,  // 總和為 0 的系列不顯示也不匯出（其餘系列維持 context.series 的順序）
+ *   exportTotalRow?: boolean,   // 匯出時加「總和」列
+ *   grouping?: 'total' | 'rank', // 人名圖表分組方式：依總值門檻（預設）或依排名前 25%
+ *   splitAt?: number,           // 不分組時，人數達到此值才分成上下兩張（預設一律分成兩張）
+ *   valueKey?: string,          // differenceBar 的數值欄位
+ *   columns?: Array<{key: string, label: string}>, // differenceBar 匯出的欄位
+ *   yearComparison?: {          // 年度比較的圖表（見 getYearComparisonCharts）
+ *     measure: string,          // 人名圖表傳給 calculateParticipantYearComparison，其他依 x 傳給 calculateYearComparison
+ *     title?: string,           // 預設為圖表標題
+ *     relatedCharts?: number[], // 同一張年度比較也對應的其他圖表（只是堆疊系列不同）
+ *   },
+ * }
+ */
+
+/**
+ * 維度名稱（匯出的欄位標題）
+ */
+export const DIMENSION_LABELS = {
+  month: '月份',
+  activityType: '活動類型',
+  city: '縣市',
+  region: '地區',
+  name: '人名',
+  contentType: '參與內容',
+  year: '年份',
+  week: '週',
+  weekday: '星期',
+  volunteer: '志工',
+};
+
+// 回流訓練年份顏色
+const YEAR_COLORS = ['#1976d2', '#82ca9d', '#ffc658', '#8884d8', '#ff7300'];
+
+// 活動類型、縣市、參與內容依序使用的顏色
+const COLOR_PALETTE = [
+  '#8884d8', '#82ca9d', '#ffc658', '#ff7300', '#0088fe',
+  '#00c49f', '#ffbb28', '#ff8042', '#8dd1e1', '#d084d0',
+  '#ffb347', '#87ceeb', '#da70d6', '#20b2aa', '#ff6347',
+  '#4682b4', '#32cd32', '#ff1493', '#00ced1', '#ff8c00',
+  '#9370db', '#3cb371', '#dc143c', '#1e90ff', '#ffd700',
+  '#ff69b4', '#00fa9a', '#ba55d3', '#f0e68c', '#98fb98',
+];
+
+/**
+ * 依序指定調色盤顏色
+ * @param {string[]} keys
+ * @param {string[]} [palette]
+ * @returns {Object} key 對應顏色
+ */
+function buildColorMap(keys, palette = COLOR_PALETTE) {
+  return Object.fromEntries(keys.map((key, index) => [key, palette[index % palette.length]]));
+}
+
+/**
+ * 活動類型的顏色（與圖表 1-4 相同，其他檢視使用）
+ * @param {Array} data - 人力需求表資料
+ * @returns {Object} 活動類型 -> 顏色
+ */
+export function getActivityTypeColors(data) {
+  return buildColorMap(getActivityTypes(calculateMonthlyActivityTypeCount(data)));
+}
+
+/**
+ * 取得資料列中除了指定欄位以外的欄位（沒有系列資訊時的備用方案）
+ * @param {Array} rows
+ * @param {string[]} excludeKeys
+ * @returns {string[]}
+ */
+function getKeysFromRows(rows, excludeKeys) {
+  const keys = new Set();
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!excludeKeys.includes(key)) keys.add(key);
+    });
+  });
+  return Array.from(keys).sort((a, b) => a.localeCompare(b, 'zh-TW'));
+}
+
+/**
+ * 依系列總和遞減排序
+ * @param {Array} rows
+ * @param {string[]} seriesKeys
+ * @returns {Array} 排序後的新陣列
+ */
+function sortByTotal(rows, seriesKeys) {
+  const totalOf = (row) => seriesKeys.reduce((sum, key) => sum + (typeof row[key] === 'number' ? row[key] : 0), 0);
+  return [...rows].sort((a, b) => totalOf(b) - totalOf(a));
+}
+
+/**
+ * 出勤手作時數與回報步道實作帶領時數的差值（只保留差值不為 0 的人，依差值遞減）
+ * @param {Object} context
+ * @returns {Array<{name: string, handcraftHours: number, trailLeadingHours: number, difference: number}>}
+ */
+function calculateHandcraftDifference(context) {
+  const handcraftHours = new Map(
+    calculateParticipantHours(context.data, { aliasMap: context.aliasMap }).map(item => [item.name, item['手作'] || 0])
+  );
+  const trailLeadingHours = new Map(
+    context.hourLogData.data.map(item => [item.name, item['步道實作帶領'] || 0])
+  );
+  const names = new Set([...handcraftHours.keys(), ...trailLeadingHours.keys()]);
+  const rows = [];
+  names.forEach(name => {
+    const handcraft = handcraftHours.get(name) || 0;
+    const trailLeading = trailLeadingHours.get(name) || 0;
+    const difference = handcraft - trailLeading;
+    if (difference !== 0) {
+      rows.push({ name, handcraftHours: handcraft, trailLeadingHours: trailLeading, difference });
+    }
+  });
+  return rows.sort((a, b) => b.difference - a.difference);
+}
+
+/**
+ * 圖表定義（依編號排列，也是畫面和匯出工作表的順序）
+ */
+export const CHARTS = [
+  {
+    id: 1,
+    title: '各月份活動次數統計（依活動類型）',
+    kind: 'stackedBar',
+    source: 'manpower',
+    x: 'month',
+    series: 'activityType',
+    yearComparison: { title: '各月份活動次數', measure: 'count', relatedCharts: [5, 9] },
+    aggregate: ({ data }) => calculateMonthlyActivityTypeCount(data),
+  },
+  {
+    id: 2,
+    title: '各月份活動天數統計（依活動類型）',
+    kind: 'stackedBar',
+    source: 'manpower',
+    x: 'month',
+    series: 'activityType',
+    spread: true,
+    yearComparison: { title: '各月份活動天數', measure: 'days', relatedCharts: [6, 10] },
+    aggregate: ({ data, monthOptions }) => calculateMonthlyActivityTypeDays(data, monthOptions),
+  },
+  {
+    id: 3,
+    title: '依活動類型統計次數',
+    kind: 'pie',
+    source: 'manpower',
+    x: 'activityType',
+    totalLabel: '總次數',
+    md: 6,
+    yearComparison: { measure: 'count' },
+    aggregate: ({ data }) => calculateActivityTypeTotalCount(data),
+  },
+  {
+    id: 4,
+    title: '依活動類型統計天數',
+    kind: 'pie',
+    source: 'manpower',
+    x: 'activityType',
+    totalLabel: '總天數',
+    md: 6,
+    yearComparison: { measure: 'days' },
+    aggregate: ({ data }) => calculateActivityTypeTotalDays(data),
+  },
+  {
+    id: 5,
+    title: '各月份活動次數統計（依縣市）',
+    kind: 'stackedBar',
+    source: 'manpower',
+    x: 'month',
+    series: 'city',
+    aggregate: ({ data }) => calculateMonthlyCityCount(data),
+  },
+  {
+    id: 6,
+    title: '各月份活動天數統計（依縣市）',
+    kind: 'stackedBar',
+    source: 'manpower',
+    x: 'month',
+    series: 'city',
+    spread: true,
+    aggregate: ({ data, monthOptions }) => calculateMonthlyCityDays(data, monthOptions),
+  },
+  {
+    id: 7,
+    title: '依縣市統計次數',
+    kind: 'pie',
+    source: 'manpower',
+    x: 'city',
+    totalLabel: '總次數',
+    md: 6,
+    yearComparison: { measure: 'count' },
+    aggregate: ({ data }) => calculateCityTotalCount(data),
+  },
+  {
+    id: 8,
+    title: '依縣市統計天數',
+    kind: 'pie',
+    source: 'manpower',
+    x: 'city',
+    totalLabel: '總天數',
+    md: 6,
+    yearComparison: { measure: 'days' },
+    aggregate: ({ data }) => calculateCityTotalDays(data),
+  },
+  {
+    id: 9,
+    title: '各月份活動次數統計（依地區）',
+    kind: 'stackedBar',
+    source: 'manpower',
+    x: 'month',
+    series: 'region',
+    hideEmptySeries: true,
+    aggregate: ({ data }) => calculateMonthlyRegionCount(data),
+  },
+  {
+    id: 10,
+    title: '各月份活動天數統計（依地區）',
+    kind: 'stackedBar',
+    source: 'manpower',
+    x: 'month',
+    series: 'region',
+    hideEmptySeries: true,
+    spread: true,
+    aggregate: ({ data, monthOptions }) => calculateMonthlyRegionDays(data, monthOptions),
+  },
+  {
+    id: 11,
+    title: '依地區統計次數',
+    kind: 'pie',
+    source: 'manpower',
+    x: 'region',
+    totalLabel: '總次數',
+    md: 6,
+    yearComparison: { measure: 'count' },
+    aggregate: ({ data }) => calculateRegionTotalCount(data),
+  },
+  {
+    id: 12,
+    title: '依地區統計天數',
+    kind: 'pie',
+    source: 'manpower',
+    x: 'region',
+    totalLabel: '總天數',
+    md: 6,
+    yearComparison: { measure: 'days' },
+    aggregate: ({ data }) => calculateRegionTotalDays(data),
+  },
+  {
+    id: 13,
+    title: '志工人數統計（依月份）',
+    kind: 'stackedBar',
+    source: 'manpower',
+    x: 'month',
+    series: 'activityType',
+    spread: true,
+    volunteersOnly: true,
+    yearComparison: { measure: 'volunteers' },
+    aggregate: ({ data, monthOptions }) => calculateMonthlyVolunteerCountByType(data, monthOptions),
+  },
+  {
+    id: 14,
+    title: '志工人數統計（依縣市）',
+    kind: 'stackedBar',
+    source: 'manpower',
+    x: 'city',
+    series: 'activityType',
+    volunteersOnly: true,
+    // 依圖表 5 的縣市順序，沒有志工的縣市補 0
+    yearComparison: { measure: 'volunteers', relatedCharts: [18] },
+    aggregate: ({ data, series }) => {
+      const rows = new Map(calculateCityVolunteerCountByType(data).map(row => [row.city, row]));
+      return series.city.map(city => rows.get(city) || { city });
+    },
+  },
+  {
+    id: 15,
+    title: '志工人數統計（依地區）',
+    kind: 'stackedBar',
+    source: 'manpower',
+    x: 'region',
+    series: 'activityType',
+    volunteersOnly: true,
+    yearComparison: { measure: 'volunteers', relatedCharts: [17] },
+    aggregate: ({ data }) => calculateRegionVolunteerCountByType(data)
+      .slice()
+      .sort((a, b) => getRegionOrder(a.region) - getRegionOrder(b.region)),
+  },
+  {
+    id: 16,
+    title: '志工人數統計（依活動類型）',
+    kind: 'pie',
+    source: 'manpower',
+    x: 'activityType',
+    volunteersOnly: true,
+    totalLabel: '總人數',
+    md: 4,
+    yearComparison: { measure: 'volunteers' },
+    aggregate: ({ data }) => calculateVolunteerCountByActivityType(data),
+  },
+  {
+    id: 17,
+    title: '志工人數統計（依地區）',
+    kind: 'pie',
+    source: 'manpower',
+    x: 'region',
+    volunteersOnly: true,
+    totalLabel: '總人數',
+    md: 4,
+    aggregate: ({ data }) => calculateVolunteerCountByRegion(data),
+  },
+  {
+    id: 18,
+    title: '志工人數統計（依縣市）',
+    kind: 'pie',
+    source: 'manpower',
+    x: 'city',
+    volunteersOnly: true,
+    totalLabel: '總人數',
+    md: 4,
+    aggregate: ({ data }) => calculateVolunteerCountByCity(data),
+  },
+  {
+    id: 19,
+    title: '出勤活動次數統計',
+    kind: 'personBar',
+    source: 'manpower',
+    x: 'name',
+    series: 'activityType',
+    yearComparison: { measure: 'count' },
+    aggregate: ({ data, aliasMap }) => calculateParticipantCount(data, { aliasMap }),
+  },
+  {
+    id: 20,
+    title: '出勤活動時數統計',
+    kind: 'personBar',
+    source: 'manpower',
+    x: 'name',
+    series: 'activityType',
+    yearComparison: { measure: 'hours' },
+    aggregate: ({ data, aliasMap }) => calculateParticipantHours(data, { aliasMap }),
+  },
+  {
+    id: 21,
+    title: '回報時數統計',
+    kind: 'personBar',
+    source: 'hourLog',
+    x: 'name',
+    series: 'contentType',
+    tooltip: 'hours',
+    aggregate: ({ hourLogData, series }) => sortByTotal(hourLogData.data, series.contentType),
+  },
+  {
+    id: 22,
+    title: ({ hourLogData }) => `${hourLogData.retraining?.startYear}–${hourLogData.retraining?.endYear} 回流訓練時數`,
+    kind: 'personBar',
+    source: 'hourLog',
+    x: 'name',
+    series: 'year',
+    tooltip: 'hours',
+    hideWhenEmpty: true,
+    exportTotalRow: true,
+    drillDown: { contentType: '回流訓練' },
+    aggregate: ({ hourLogData, series }) => sortByTotal(hourLogData.retraining?.data || [], series.year),
+  },
+  {
+    id: 23,
+    title: '出勤手作時數 - 回報步道實作帶領時數',
+    kind: 'differenceBar',
+    source: 'both',
+    x: 'name',
+    hideWhenEmpty: true,
+    grouping: 'rank',
+    splitAt: 30,
+    valueKey: 'difference',
+    columns: [
+      { key: 'name', label: '人名' },
+      { key: 'handcraftHours', label: '出勤手作時數' },
+      { key: 'trailLeadingHours', label: '回報步道實作帶領時數' },
+      { key: 'difference', label: '差值' },
+    ],
+    drillDown: { activityType: '手作', contentType: '步道實作帶領' },
+    aggregate: calculateHandcraftDifference,
+  },
+];
+
+/**
+ * 取得年度比較的圖表（圖表定義中有 yearComparison 的圖表，依編號排列）
+ * @returns {Array<{id: number, title: string, refs: string, groupBy?: string, measure?: string, participantMeasure?: string}>}
+ *   refs 為對應的圖表編號（例如「1、5、9」）；人名圖表為 participantMeasure，其他為 groupBy 和 measure
+ */
+export function getYearComparisonCharts() {
+  return CHARTS.filter(chart => chart.yearComparison).map(chart => {
+    const { title, measure, relatedCharts = [] } = chart.yearComparison;
+    return {
+      id: chart.id,
+      title: title || chart.title,
+      refs: [chart.id, ...relatedCharts].join('、'),
+      ...(chart.x === 'name' ? { participantMeasure: measure } : { groupBy: chart.x, measure }),
+    };
+  });
+}
+
+/**
+ * 取得圖表定義
+ * @param {number} id - 圖表編號
+ * @returns {Object|undefined}
+ */
+export function getChartDefinition(id) {
+  return CHARTS.find(chart => chart.id === id);
+}
+
+/**
+ * 建立圖表共用的資料：系列（活動類型、縣市、地區、參與內容、年份）和顏色
+ * @param {Object} params
+ * @param {Array} [params.data] - 人力需求表資料（統計年度，已套用篩選）
+ * @param {Object|null} [params.hourLogData] - 時數登錄表統計資料
+ * @param {Array} [params.hourLogRecords] - 處理後的時數登錄表資料（自訂圖表使用）
+ * @param {Object} [params.settings]
+ * @param {Object} [params.aliasMap] - 別名映射物件，人名圖表依此合併志工（預設為目前套用的映射表）
+ * @returns {Object} 圖表的 context（aggregate、title 的參數）
+ */
+export function buildChartContext({ data, hourLogData, hourLogRecords, settings, aliasMap } = {}) {
+  const manpowerData = Array.isArray(data) ? data : [];
+  const hasManpower = manpowerData.length > 0;
+  const hasHourLog = !!(hourLogData?.data && hourLogData.data.length > 0);
+  const spreadAcrossMonths = !!settings?.spreadAcrossMonths;
+
+  const series = { activityType: [], city: [], region: [], contentType: [], year: [] };
+  if (hasManpower) {
+    const monthlyCityCount = calculateMonthlyCityCount(manpowerData);
+    series.activityType = getActivityTypes(calculateMonthlyActivityTypeCount(manpowerData));
+    series.city = sortCities(getCities(monthlyCityCount));
+    // 依參考資料的地區順序；沒有資料的地區由圖表的 hideEmptySeries 略過
+    series.region = [...getRegionNames(), '未分類'];
+  }
+  if (hasHourLog) {
+    series.contentType = Array.isArray(hourLogData.contentTypes)
+      ? hourLogData.contentTypes
+      : getKeysFromRows(hourLogData.data, ['name']);
+    const retrainingRows = hourLogData.retraining?.data || [];
+    series.year = hourLogData.retraining?.years?.length > 0
+      ? hourLogData.retraining.years.map(year => String(year))
+      : getKeysFromRows(retrainingRows, ['name']).sort();
+  }
+
+  return {
+    data: manpowerData,
+    hourLogData,
+    hourLogRecords: hourLogRecords || [],
+    reportingYear: settings?.reportingYear,
+    aliasMap,
+    hasManpower,
+    hasHourLog,
+    spreadAcrossMonths,
+    monthOptions: { spreadAcrossMonths },
+    series,
+    colors: {
+      activityType: buildColorMap(series.activityType),
+      // 縣市、地區使用參考資料指定的顏色（見 geography.js）
+      city: { ...buildColorMap(series.city), ...getCityColors() },
+      region: getRegionColors(),
+      contentType: buildColorMap(series.contentType),
+      year: buildColorMap(series.year, YEAR_COLORS),
+    },
+  };
+}
+
+/**
+ * 圖表的資料來源是否已上傳
+ * @param {Object} chart
+ * @param {Object} context
+ * @returns {boolean}
+ */
+function hasSource(chart, context) {
+  if (chart.source === 'manpower') return context.hasManpower;
+  if (chart.source === 'hourLog') return context.hasHourLog;
+  return context.hasManpower && context.hasHourLog;
+}
+
+/**
+ * 圖表標題（含編號；圓餅圖加總數、人名圖表加人數、跨月分配時加註）
+ * @param {Object} chart
+ * @param {Object} context
+ * @param {Array} rows
+ * @returns {string}
+ */
+function getChartTitle(chart, context, rows) {
+  let title = typeof chart.title === 'function' ? chart.title(context) : chart.title;
+  if (chart.spread && context.spreadAcrossMonths) title += '（跨月活動依日期分配）';
+  if (chart.kind === 'pie') {
+    const total = rows.reduce((sum, item) => sum + (item.value || 0), 0);
+    title += `（${chart.totalLabel}：${total}）`;
+  }
+  if (chart.kind === 'personBar' || chart.kind === 'differenceBar') title += `（共 ${rows.length} 位）`;
+  return `${chart.id}. ${title}`;
+}
+
+/**
+ * 計算一張圖表的資料列、標題和顏色
+ * - 沒有對應檔案時返回 null；hideWhenEmpty 的圖表沒有資料列時也返回 null
+ * - 長條圖的資料列會補齊每個系列（沒有值為 0）；hideEmptySeries 的圖表先略過總和為 0 的系列
+ * @param {Object} chart - 圖表定義
+ * @param {Object} context - buildChartContext 的結果
+ * @returns {{chart: Object, title: string, rows: Array, seriesKeys: string[], colors: Object}|null}
+ */
+export function resolveChart(chart, context) {
+  if (!hasSource(chart, context)) return null;
+  const result = chart.aggregate(context);
+  let rows = Array.isArray(result) ? result : result.rows;
+  let seriesKeys = Array.isArray(result)
+    ? (chart.series ? context.series[chart.series] : [])
+    : result.seriesKeys;
+  if (chart.hideEmptySeries) {
+    seriesKeys = seriesKeys.filter(key => rows.some(row => typeof row[key] === 'number' && row[key] !== 0));
+  }
+  if (chart.kind === 'stackedBar' || chart.kind === 'personBar') {
+    rows = rows.map(row => {
+      const result = { [chart.x]: row[chart.x] ?? '' };
+      seriesKeys.forEach(key => {
+        result[key] = typeof row[key] === 'number' ? row[key] : 0;
+      });
+      return result;
+    });
+  }
+  if (chart.hideWhenEmpty && rows.length === 0) return null;
+  return {
+    chart,
+    title: getChartTitle(chart, context, rows),
+    rows,
+    seriesKeys,
+    colors: context.colors[chart.kind === 'pie' ? chart.x : chart.series] || buildColorMap(seriesKeys),
+  };
+}
+
+/**
+ * 依目前的資料計算要顯示（和匯出）的圖表（沒有對應檔案或沒有資料而不顯示的圖表不列出，見 resolveChart）
+ * @param {Object} context - buildChartContext 的結果
+ * @param {Array} [extraCharts] - 附加在圖表 1-23 之後的圖表定義（自訂圖表）
+ * @returns {Array<{chart: Object, title: string, rows: Array, seriesKeys: string[], colors: Object}>}
+ */
+export function resolveCharts(context, extraCharts = []) {
+  return [...CHARTS, ...extraCharts]
+    .map(chart => resolveChart(chart, context))
+    .filter(Boolean);
+}
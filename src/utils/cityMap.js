@@ -0,0 +1,63 @@
+import { calculateCustomChart } from './customCharts.js';
+
+/**
+ * 縣市地圖（依統計量深淺著色的分級著色圖）
+ *
+ * 統計量使用自訂圖表的計算（見 customCharts.js，依縣市、不堆疊），地圖的縣市邊界見 CityMapPanel.jsx。
+ */
+
+/**
+ * 地圖可選的統計量
+ */
+export const CITY_MAP_MEASURES = [
+  { key: 'count', label: '活動次數', description: '各縣市的活動場次（與圖表 7 相同）' },
+  { key: 'days', label: '活動天數', description: '各縣市的活動天數合計（與圖表 8 相同）' },
+  { key: 'personDays', label: '志工人天', description: '志工人數 × 天數（與圖表 18 相同）' },
+  { key: 'hours', label: '志工時數', description: '服勤區人員的出勤時數（計算方式與圖表 20 相同）' },
+];
+
+// 由淺到深的顏色，數值依等距分成 5 級
+const MAP_COLOR_STEPS = ['#e3f2fd', '#90caf9', '#42a5f5', '#1e88e5', '#0d47a1'];
+
+// 沒有活動的縣市
+export const MAP_EMPTY_COLOR = '#f5f5f5';
+
+/**
+ * 計算各縣市的所有統計量
+ * @param {Array} data - 人力需求表資料（已套用篩選）
+ * @returns {Map<string, Object>} 縣市 -> { count, days, personDays, hours }
+ */
+export function calculateCityMapValues(data) {
+  const values = new Map();
+  CITY_MAP_MEASURES.forEach(measure => {
+    const { rows, seriesKeys } = calculateCustomChart(
+      { x: 'city', series: '', measure: measure.key },
+      { manpowerData: data }
+    );
+    rows.forEach(row => {
+      if (!values.has(row.city)) values.set(row.city, {});
+      values.get(row.city)[measure.key] = row[seriesKeys[0]] || 0;
+    });
+  });
+  return values;
+}
+
+/**
+ * 建立顏色分級
+ * @param {number} max - 最大值
+ * @returns {{getColor: Function, legend: Array<{from: number, to: number, color: string}>}}
+ */
+export function buildMapColorScale(max) {
+  const steps = MAP_COLOR_STEPS.length;
+  const size = max > 0 ? max / steps : 0;
+  const round = (value) => Math.round(value * 10) / 10;
+  const legend = size > 0
+    ? MAP_COLOR_STEPS.map((color, index) => ({ from: round(size * index), to: round(size * (index + 1)), color }))
+    : [];
+
+  const getColor = (value) => {
+    if (!(value > 0) || size === 0) return MAP_EMPTY_COLOR;
+    return MAP_COLOR_STEPS[Math.min(steps - 1, Math.floor(value / size))];
+  };
+  return { getColor, legend };
+}
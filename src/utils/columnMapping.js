@@ -0,0 +1,290 @@
+import columnHeaders from '../../columnHeaders.js';
+
+/**
+ * 人力需求表欄位定義
+ * - key：解析後資料使用的欄位名稱
+ * - label：顯示給使用者的標準標題
+ * - required：找不到時是否視為錯誤
+ */
+export const MANPOWER_FIELDS = [
+  { key: 'date', label: '日期', required: true },
+  { key: 'activityName', label: '活動名稱', required: true },
+  { key: 'status', label: '辦理情形', required: false },
+  { key: 'days', label: '天數', required: true },
+  { key: 'activityType', label: '活動類型', required: true },
+  { key: 'city', label: '縣市', required: true },
+  { key: 'volunteerCount', label: '志工人數', required: true },
+  { key: 'hours', label: '可登錄時數', required: true },
+  { key: 'participants', label: '服勤區', required: true },
+];
+
+/**
+ * 時數登錄表欄位定義
+ */
+export const HOUR_LOG_FIELDS = [
+  { key: 'name', label: '志工姓名', required: true },
+  { key: 'date', label: '日期', required: true },
+  { key: 'content', label: '參與內容', required: true },
+  { key: 'hours', label: '參與時數', required: true },
+];
+
+// 尋找標題列時最多往下檢查的列數
+const MAX_HEADER_SCAN_ROWS = 5;
+
+/**
+ * 欄位對應失敗（找不到必要的標題）
+ */
+export class ColumnMappingError extends Error {
+  /**
+   * @param {string} message - 錯誤訊息
+   * @param {Object} details
+   * @param {string} details.sheetName - 工作表名稱
+   * @param {Array<{key: string, label: string}>} details.missingFields - 找不到的欄位
+   */
+  constructor(message, { sheetName, missingFields } = {}) {
+    super(message);
+    this.name = 'ColumnMappingError';
+    this.sheetName = sheetName;
+    this.missingFields = missingFields || [];
+  }
+}
+
+/**
+ * 取得儲存格的文字內容（支援 richText、公式結果、超連結）
+ * @param {*} value - ExcelJS 儲存格的值
+ * @returns {string} 文字內容
+ */
+export function getCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join('');
+    if (value.result !== undefined) return getCellText(value.result);
+    if (value.text !== undefined) return String(value.text);
+    return '';
+  }
+  return String(value);
+}
+
+/**
+ * 正規化標題文字（移除空白、換行和括號中的說明）
+ * 例如："日期\n（月/日）" -> "日期"
+ * @param {string} text - 標題文字
+ * @returns {string} 正規化後的文字
+ */
+function normalizeHeaderText(text) {
+  return String(text || '')
+    .replace(/\([^)]*\)/g, '')
+    .replace(/（[^）]*）/g, '')
+    .replace(/\s+/g, '')
+    .toLowerCase();
+}
+
+/**
+ * 取得欄位的同義詞清單（預設同義詞加上額外設定）
+ * @param {string} kind - 'manpower' | 'hourLog'
+ * @param {string} key - 欄位名稱
+ * @param {Object} [extraSynonyms] - 額外的同義詞 { [key]: string[] }
+ * @returns {string[]} 正規化後的同義詞（長的優先）
+ */
+function getSynonyms(kind, key, extraSynonyms = {}) {
+  const defaults = columnHeaders[kind]?.[key] || [];
+  const extra = extraSynonyms[key] || [];
+  return [...new Set([...extra, ...defaults].map(normalizeHeaderText).filter(Boolean))]
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * 依標題文字比對單一列的欄位
+ * 先比對完全相同的標題，再比對包含同義詞的標題；每個欄位只會對應到一個欄位
+ * @param {Map<number, string>} headers - 欄位編號 -> 正規化後的標題
+ * @param {Array} fields - 欄位定義
+ * @param {Object} synonymsByKey - { [key]: string[] }
+ * @returns {Object} { [key]: 欄位編號 }
+ */
+function matchHeaders(headers, fields, synonymsByKey) {
+  const columns = {};
+  const usedColumns = new Set();
+
+  const tryMatch = (predicate) => {
+    fields.forEach(field => {
+      if (columns[field.key]) return;
+      for (const synonym of synonymsByKey[field.key]) {
+        for (const [col, header] of headers) {
+          if (usedColumns.has(col)) continue;
+          if (predicate(header, synonym)) {
+            columns[field.key] = col;
+            usedColumns.add(col);
+            return;
+          }
+        }
+      }
+    });
+  };
+
+  tryMatch((header, synonym) => header === synonym);
+  tryMatch((header, synonym) => header.includes(synonym));
+
+  return columns;
+}
+
+/**
+ * 依標題文字推測各欄位的欄位編號（不檢查必要欄位）
+ * @param {string[]} texts - 標題列各欄的文字（索引 0 為第 1 欄）
+ * @param {Array} fields - 欄位定義
+ * @param {Object} [options]
+ * @param {string} [options.kind] - 'manpower' | 'hourLog'
+ * @param {Object} [options.synonyms] - 額外的同義詞 { [key]: string[] }
+ * @returns {Object} { [key]: 欄位編號 }
+ */
+export function suggestColumns(texts, fields, options = {}) {
+  const { kind = 'manpower', synonyms = {} } = options;
+  const synonymsByKey = {};
+  fields.forEach(field => {
+    synonymsByKey[field.key] = getSynonyms(kind, field.key, synonyms);
+  });
+
+  const headers = new Map();
+  texts.forEach((text, index) => {
+    const normalized = normalizeHeaderText(text);
+    if (normalized) headers.set(index + 1, normalized);
+  });
+  return matchHeaders(headers, fields, synonymsByKey);
+}
+
+/**
+ * 依標題文字找出工作表中各欄位的欄位編號
+ * 會在前幾列中尋找最符合的一列作為標題列
+ * @param {Object} sheet - ExcelJS 工作表
+ * @param {Array} fields - 欄位定義（MANPOWER_FIELDS 或 HOUR_LOG_FIELDS）
+ * @param {Object} [options]
+ * @param {string} [options.kind] - 'manpower' | 'hourLog'（決定使用哪一組同義詞）
+ * @param {Object} [options.synonyms] - 額外的同義詞 { [key]: string[] }
+ * @param {Array} [options.mappings] - 使用者在欄位對應精靈中儲存的對應（標題相同時優先使用）
+ * @returns {{headerRow: number, columns: Object}} 標題列編號和欄位對應 { [key]: 欄位編號 }
+ * @throws {ColumnMappingError} 找不到必要欄位時
+ */
+export function resolveColumns(sheet, fields, options = {}) {
+  const { kind = 'manpower' } = options;
+
+  const saved = findSavedMapping(sheet, options.mappings);
+  if (saved) {
+    return { headerRow: saved.headerRow, columns: saved.columns };
+  }
+
+  let best = { headerRow: 1, columns: {} };
+  const lastRow = Math.min(sheet.rowCount || 0, MAX_HEADER_SCAN_ROWS);
+  for (let rowNumber = 1; rowNumber <= lastRow; rowNumber++) {
+    const texts = getRowTexts(sheet.getRow(rowNumber), sheet.columnCount);
+    const columns = suggestColumns(texts, fields, options);
+    if (Object.keys(columns).length > Object.keys(best.columns).length) {
+      best = { headerRow: rowNumber, columns };
+    }
+  }
+
+  const missingFields = fields.filter(field => field.required && !best.columns[field.key]);
+  if (missingFields.length > 0) {
+    const details = missingFields
+      .map(field => `${field.label}（可接受的標題：${(columnHeaders[kind]?.[field.key] || [field.label]).join('、')}）`)
+      .join('；');
+    throw new ColumnMappingError(
+      `工作表 "${sheet.name}" 找不到必要欄位：${details}`,
+      { sheetName: sheet.name, missingFields }
+    );
+  }
+
+  return best;
+}
+
+/**
+ * 讀取某一列各欄的文字
+ * @param {Object} row - ExcelJS 列
+ * @param {number} columnCount - 欄位數
+ * @returns {string[]} 各欄文字（索引 0 為第 1 欄）
+ */
+export function getRowTexts(row, columnCount) {
+  const texts = [];
+  for (let col = 1; col <= columnCount; col++) {
+    texts.push(getCellText(row.getCell(col).value).trim());
+  }
+  return texts;
+}
+
+/**
+ * 產生標題列的簽章（用來判斷是否為同一份範本）
+ * @param {string[]} texts - 標題列各欄的文字
+ * @returns {string} 簽章
+ */
+export function getHeaderSignature(texts) {
+  const normalized = texts.map(normalizeHeaderText);
+  while (normalized.length > 0 && !normalized[normalized.length - 1]) {
+    normalized.pop();
+  }
+  return normalized.join('|');
+}
+
+/**
+ * 在已儲存的欄位對應中，尋找標題列與工作表相同的對應
+ * @param {Object} sheet - ExcelJS 工作表
+ * @param {Array} [mappings] - 已儲存的欄位對應
+ * @returns {Object|null} 欄位對應，找不到則返回 null
+ */
+export function findSavedMapping(sheet, mappings) {
+  if (!Array.isArray(mappings) || mappings.length === 0) return null;
+  for (const mapping of mappings) {
+    if (!mapping.headerRow || mapping.headerRow > sheet.rowCount) continue;
+    const texts = getRowTexts(sheet.getRow(mapping.headerRow), sheet.columnCount);
+    if (getHeaderSignature(texts) === mapping.signature) {
+      return mapping;
+    }
+  }
+  return null;
+}
+
+// 欄位對應在 localStorage 中的 key
+const MAPPINGS_STORAGE_KEY = 'activityStatistics.columnMappings';
+
+/**
+ * 讀取已儲存的欄位對應
+ * @param {string} [kind] - 'manpower' | 'hourLog'，不指定則返回全部
+ * @returns {Array} 欄位對應 [{ kind, signature, sheetName, headerRow, columns, year? }]
+ */
+export function loadSavedColumnMappings(kind) {
+  if (typeof localStorage === 'undefined') return [];
+  try {
+    const all = JSON.parse(localStorage.getItem(MAPPINGS_STORAGE_KEY) || '[]');
+    return Array.isArray(all) ? all.filter(mapping => !kind || mapping.kind === kind) : [];
+  } catch (error) {
+    console.warn('讀取欄位對應失敗:', error);
+    return [];
+  }
+}
+
+/**
+ * 儲存欄位對應（同一種表格、相同標題列的舊對應會被取代）
+ * @param {Object} mapping - { kind, signature, sheetName, headerRow, columns, year? }
+ * @returns {Array} 儲存後的全部欄位對應
+ */
+export function saveColumnMapping(mapping) {
+  const others = loadSavedColumnMappings().filter(
+    item => !(item.kind === mapping.kind && item.signature === mapping.signature)
+  );
+  const all = [...others, { ...mapping, savedAt: new Date().toISOString() }];
+  if (typeof localStorage !== 'undefined') {
+    localStorage.setItem(MAPPINGS_STORAGE_KEY, JSON.stringify(all));
+  }
+  return all;
+}
+
+/**
+ * 依欄位對應讀取某一列的欄位值
+ * @param {Object} row - ExcelJS 列
+ * @param {Object} columns - 欄位對應 { [key]: 欄位編號 }
+ * @param {string} key - 欄位名稱
+ * @returns {*} 儲存格的值，欄位不存在則返回 null
+ */
+export function getFieldValue(row, columns, key) {
+  const col = columns[key];
+  if (!col) return null;
+  return row.getCell(col).value;
+}
@@ -0,0 +1,193 @@
+import reportType from '../../reportType.js';
+
+/**
+ * 時數登錄表「參與內容」的分類
+ *
+ * 預設分類定義在專案根目錄的 reportType.js，可在「管理參與內容分類」修改（保存在工作區）。
+ * 每筆登錄依分類的 priority（大的優先，相同時依清單順序）逐一比對關鍵字，
+ * 第一個符合的分類即為該筆的參與內容分類，都不符合時歸入「未分類」。
+ *
+ * 分類格式：
+ * {
+ *   name: string,                // 分類名稱
+ *   keywords: string[],          // 包含任一關鍵字即符合；"/.../" 為正規表示式
+ *   priority: number,
+ *   group: 'core' | 'exception',
+ *   excludeFromTotals: boolean,  // 不計入時數統計
+ * }
+ */
+
+export const CONTENT_GROUPS = [
+  { key: 'core', label: '核心' },
+  { key: 'exception', label: '例外情況' },
+];
+
+export const EMPTY_CONTENT_TYPE = { name: '', keywords: [], priority: 10, group: 'core', excludeFromTotals: false };
+
+/**
+ * 目前使用的分類；比對順序依分類清單快取
+ */
+let taxonomy = null;
+const matcherCache = new WeakMap();
+
+/**
+ * 取得內建的分類（reportType.js）
+ * @returns {Array} 分類清單
+ */
+export function getDefaultContentTaxonomy() {
+  return reportType.map(item => ({ ...EMPTY_CONTENT_TYPE, ...item, keywords: [...item.keywords] }));
+}
+
+/**
+ * 取得目前使用的分類
+ * @returns {Array} 分類清單
+ */
+export function getContentTaxonomy() {
+  if (taxonomy === null) {
+    taxonomy = getDefaultContentTaxonomy();
+  }
+  return taxonomy;
+}
+
+/**
+ * 替換目前使用的分類（分類編輯器修改後立即套用）
+ * @param {Array|null} list - 分類清單，傳入 null 則恢復為內建的分類
+ */
+export function setContentTaxonomy(list) {
+  taxonomy = list ? list.map(item => ({ ...item, keywords: [...item.keywords] })) : null;
+}
+
+/**
+ * 解析正規表示式關鍵字（"/.../flags"）
+ * @param {string} keyword
+ * @returns {RegExp|null} 不是正規表示式時返回 null
+ * @throws {SyntaxError} 正規表示式格式錯誤時
+ */
+function parseRegexKeyword(keyword) {
+  const match = /^\/(.+)\/([a-z]*)$/.exec(keyword);
+  // 去掉 g、y：test() 會記住上次的位置
+  return match ? new RegExp(match[1], match[2].replace(/[gy]/g, '')) : null;
+}
+
+/**
+ * 檢查關鍵字
+ * @param {string} keyword
+ * @returns {string|null} 錯誤訊息，沒有問題時返回 null
+ */
+export function validateKeyword(keyword) {
+  if (typeof keyword !== 'string' || !keyword.trim()) return '關鍵字不能是空白';
+  try {
+    parseRegexKeyword(keyword.trim());
+    return null;
+  } catch (error) {
+    return `正規表示式「${keyword}」格式錯誤：${error.message}`;
+  }
+}
+
+/**
+ * 檢查並整理分類清單（分類編輯器套用前）
+ * @param {*} list
+ * @returns {Array} 整理後的分類清單（去除空白、重複的關鍵字）
+ * @throws {Error} 格式錯誤時
+ */
+export function validateContentTaxonomy(list) {
+  if (!Array.isArray(list)) {
+    throw new Error('參與內容分類必須是陣列');
+  }
+  const names = new Set();
+  return list.map((item, index) => {
+    const name = String(item?.name || '').trim();
+    if (!name) throw new Error(`第 ${index + 1} 個分類沒有名稱`);
+    if (name === '未分類') throw new Error('分類名稱不能是「未分類」');
+    if (names.has(name)) throw new Error(`分類「${name}」重複`);
+    names.add(name);
+
+    const keywords = Array.from(new Set((item.keywords || []).map(keyword => String(keyword).trim())));
+    if (keywords.length === 0) throw new Error(`分類「${name}」沒有關鍵字`);
+    keywords.forEach(keyword => {
+      const error = validateKeyword(keyword);
+      if (error) throw new Error(`分類「${name}」：${error}`);
+    });
+
+    const priority = Number(item.priority);
+    return {
+      name,
+      keywords,
+      priority: Number.isFinite(priority) ? priority : 0,
+      group: CONTENT_GROUPS.some(group => group.key === item.group) ? item.group : 'core',
+      excludeFromTotals: !!item.excludeFromTotals,
+    };
+  });
+}
+
+/**
+ * 依優先順序排列的比對函式（每份分類清單建立一次）
+ * @param {Array} [list] - 分類清單（預設為目前套用的分類）
+ * @returns {Array<{category: Object, test: Function}>}
+ */
+function getMatchers(list = getContentTaxonomy()) {
+  if (!matcherCache.has(list)) {
+    matcherCache.set(list, list
+      .map((category, index) => ({ category, index }))
+      .sort((a, b) => (b.category.priority || 0) - (a.category.priority || 0) || a.index - b.index)
+      .map(({ category }) => {
+        const tests = category.keywords.map(keyword => {
+          const regex = parseRegexKeyword(keyword);
+          return regex ? (content) => regex.test(content) : (content) => content.includes(keyword);
+        });
+        return { category, test: (content) => tests.some(test => test(content)) };
+      }));
+  }
+  return matcherCache.get(list);
+}
+
+/**
+ * 找出參與內容的分類
+ * @param {string} content - 參與內容
+ * @param {Array} [list] - 分類清單（預設為目前套用的分類）
+ * @returns {Object|null} 符合的分類，都不符合時返回 null
+ */
+export function matchContentType(content, list) {
+  if (!content || typeof content !== 'string') return null;
+  const matched = getMatchers(list).find(matcher => matcher.test(content));
+  return matched ? matched.category : null;
+}
+
+/**
+ * 把參與內容加入分類的關鍵字（「未分類」指定分類時使用）
+ * @param {Array} list - 分類清單
+ * @param {string} name - 分類名稱
+ * @param {string} content - 參與內容
+ * @returns {Array} 新的分類清單
+ */
+export function addContentTypeKeyword(list, name, content) {
+  const keyword = String(content || '').trim();
+  return list.map(category => (
+    category.name === name && keyword && !category.keywords.includes(keyword)
+      ? { ...category, keywords: [...category.keywords, keyword] }
+      : category
+  ));
+}
+
+/**
+ * 整理「未分類」的參與內容（依內容合併，登錄筆數多的在前）
+ * @param {Array} processedData - 處理後的時數登錄表數據（processHourLogData 的結果）
+ * @returns {Array<{content: string, count: number, hours: number, records: Array}>}
+ */
+export function collectUncategorizedContents(processedData) {
+  const groups = new Map();
+  processedData.forEach(record => {
+    if (record.matchedContentType !== '未分類') return;
+    const content = String(record.content || '').trim();
+    if (!groups.has(content)) {
+      groups.set(content, { content, count: 0, hours: 0, records: [] });
+    }
+    const group = groups.get(content);
+    group.count++;
+    group.hours += record.hours || 0;
+    group.records.push(record);
+  });
+  return Array.from(groups.values()).sort((a, b) =>
+    b.count - a.count || a.content.localeCompare(b.content, 'zh-TW')
+  );
+}
@@ -0,0 +1,417 @@
+import {
+  getParticipantCredits,
+  getWeekStart,
+  splitActivityPeriods,
+  calculateVolunteerPersonDays,
+} from './dataProcessor.js';
+import { getMonth, getYear, formatMonth, isValidDate } from './dateParser.js';
+import { getRegion, getRegionOrder, sortCities } from './geography.js';
+import { countsTowardTotals } from './hourLogProcessor.js';
+
+/**
+ * 自訂圖表（樞紐分析式）
+ *
+ * 使用者選擇 X 軸維度、堆疊系列維度（可不選）和統計量，依目前篩選後的資料即時計算。
+ * 儲存的自訂圖表保存在工作區，轉換成 chartRegistry.js 的圖表定義後，
+ * 與圖表 1-23 一起顯示在統計圖表、匯出到「下載圖表資料」，也可以點選查看明細。
+ *
+ * 自訂圖表格式：
+ * {
+ *   id: string,         // 建立時產生，不會改變
+ *   title: string,      // 空字串時使用預設標題（統計量和維度）
+ *   x: string,          // X 軸維度，見 CUSTOM_CHART_DIMENSIONS
+ *   series: string,     // 堆疊系列維度，空字串表示不堆疊
+ *   measure: string,    // 統計量，見 CUSTOM_CHART_MEASURES
+ * }
+ *
+ * 資料來源：選了「參與內容」時使用時數登錄表（只統計統計年度，不含不計入時數統計的分類），否則使用人力需求表。
+ * 月份、週、星期依活動開始日期（或時數登錄日期）；選了「志工」時每位參與人員分開計算。
+ * 開啟「跨月活動依日期分配天數」時，依月份或週的天數、志工人天、時數與圖表 2、13 相同，
+ * 依實際日期分配到各月份或各週（次數和志工人數仍依開始日期）。
+ */
+
+/**
+ * 可選的維度（sources 為可使用的資料來源）
+ */
+export const CUSTOM_CHART_DIMENSIONS = [
+  { key: 'month', label: '月份', sources: ['manpower', 'hourLog'] },
+  { key: 'week', label: '週', sources: ['manpower', 'hourLog'] },
+  { key: 'weekday', label: '星期', sources: ['manpower', 'hourLog'] },
+  { key: 'activityType', label: '活動類型', sources: ['manpower'] },
+  { key: 'city', label: '縣市', sources: ['manpower'] },
+  { key: 'region', label: '地區', sources: ['manpower'] },
+  { key: 'volunteer', label: '志工', sources: ['manpower', 'hourLog'] },
+  { key: 'contentType', label: '參與內容', sources: ['hourLog'] },
+];
+
+/**
+ * 可選的統計量（sources 為可使用的資料來源）
+ */
+export const CUSTOM_CHART_MEASURES = [
+  {
+    key: 'count',
+    label: '次數',
+    description: '活動次數；依志工時為出勤次數；時數登錄表為登錄筆數',
+    sources: ['manpower', 'hourLog'],
+  },
+  {
+    key: 'days',
+    label: '天數',
+    description: '活動天數；依志工時為該志工計入的天數',
+    sources: ['manpower'],
+  },
+  {
+    key: 'personDays',
+    label: '志工人天',
+    description: '志工人數 × 天數（與圖表 13-18 相同）；依志工時為該志工計入的天數',
+    sources: ['manpower'],
+  },
+  {
+    key: 'hours',
+    label: '時數',
+    description: '服勤區人員的出勤時數（與圖表 20 相同）；時數登錄表為回報時數',
+    sources: ['manpower', 'hourLog'],
+  },
+  {
+    key: 'volunteers',
+    label: '志工人數（不重複）',
+    description: '不重複的志工（標準名稱）人數',
+    sources: ['manpower', 'hourLog'],
+  },
+];
+
+export const EMPTY_CUSTOM_CHART = { id: '', title: '', x: 'month', series: '', measure: 'count' };
+
+const WEEKDAYS = ['週一', '週二', '週三', '週四', '週五', '週六', '週日'];
+
+const DATE_DIMENSIONS = ['month', 'week', 'weekday'];
+
+// 跨月活動可依日期分配的統計量
+const SPREAD_MEASURES = ['days', 'personDays', 'hours'];
+
+/**
+ * 取得維度或統計量的名稱
+ * @param {Array} list - CUSTOM_CHART_DIMENSIONS 或 CUSTOM_CHART_MEASURES
+ * @param {string} key
+ * @returns {string}
+ */
+function getLabel(list, key) {
+  return list.find(item => item.key === key)?.label || key;
+}
+
+/**
+ * 自訂圖表使用的資料來源
+ * @param {Object} definition - 自訂圖表
+ * @returns {'manpower'|'hourLog'}
+ */
+export function getCustomChartSource(definition) {
+  return definition.x === 'contentType' || definition.series === 'contentType' ? 'hourLog' : 'manpower';
+}
+
+/**
+ * 檢查自訂圖表的設定
+ * @param {Object} definition - 自訂圖表
+ * @returns {string|null} 錯誤訊息，沒有問題時返回 null
+ */
+export function validateCustomChart(definition) {
+  const source = getCustomChartSource(definition);
+  const dimension = CUSTOM_CHART_DIMENSIONS.find(item => item.key === definition.x);
+  const series = CUSTOM_CHART_DIMENSIONS.find(item => item.key === definition.series);
+  const measure = CUSTOM_CHART_MEASURES.find(item => item.key === definition.measure);
+  if (!dimension) return '請選擇 X 軸';
+  if (!measure) return '請選擇統計量';
+  if (definition.series && !series) return '堆疊系列不正確';
+  if (definition.series === definition.x) return 'X 軸和堆疊系列不能相同';
+  const sourceLabel = source === 'hourLog' ? '時數登錄表' : '人力需求表';
+  const invalid = [dimension, series, measure].find(item => item && !item.sources.includes(source));
+  if (invalid) return `「${invalid.label}」不能和「參與內容」一起使用（${sourceLabel}沒有這個欄位）`;
+  return null;
+}
+
+/**
+ * 自訂圖表的預設標題，例如「時數（依縣市、活動類型）」
+ * @param {Object} definition - 自訂圖表
+ * @returns {string}
+ */
+export function getCustomChartTitle(definition) {
+  if (definition.title && definition.title.trim()) return definition.title.trim();
+  const dimensions = [definition.x, definition.series].filter(Boolean).map(key => getLabel(CUSTOM_CHART_DIMENSIONS, key));
+  return `${getLabel(CUSTOM_CHART_MEASURES, definition.measure)}（依${dimensions.join('、')}）`;
+}
+
+/**
+ * 跨月活動要分配到的期間：依月份或週、且統計量可以分配時為 'month' 或 'week'
+ * （同時選了月份和週時依週分配，月份取該週週一所在的月份）
+ * @param {Object} definition - 自訂圖表
+ * @returns {'month'|'week'|null}
+ */
+function getSpreadPeriod(definition) {
+  if (!SPREAD_MEASURES.includes(definition.measure) || getCustomChartSource(definition) !== 'manpower') return null;
+  const dimensions = [definition.x, definition.series];
+  if (dimensions.includes('week')) return 'week';
+  if (dimensions.includes('month')) return 'month';
+  return null;
+}
+
+/**
+ * 取得計算單位：人力需求表每筆活動一個單位（依志工時每位參與人員一個單位），時數登錄表每筆登錄一個單位
+ * 跨月活動依日期分配時，每個單位再依月份或週拆開，period 為 splitActivityPeriods 的期間（fraction 為比例）
+ * @param {Object} definition - 自訂圖表
+ * @param {Object} sources
+ * @param {Array} [sources.manpowerData]
+ * @param {Array} [sources.hourLogRecords]
+ * @param {Object} [options]
+ * @param {number} [options.reportingYear] - 時數登錄表只統計此年度
+ * @param {boolean} [options.spreadAcrossMonths] - 跨月活動依實際日期分配到各月份或各週
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {Array<{record: Object, credits?: Array, byVolunteer?: boolean, hourLog?: boolean, period?: Object}>}
+ */
+function getUnits(definition, { manpowerData = [], hourLogRecords = [] } = {}, options = {}) {
+  const needsDate = [definition.x, definition.series].some(key => DATE_DIMENSIONS.includes(key));
+  const units = [];
+
+  if (getCustomChartSource(definition) === 'hourLog') {
+    hourLogRecords.forEach(record => {
+      if (!((record.hours || 0) > 0) || !countsTowardTotals(record)) return;
+      if (!isValidDate(record.date)) {
+        if (needsDate || typeof options.reportingYear === 'number') return;
+      } else if (typeof options.reportingYear === 'number' && getYear(record.date) !== options.reportingYear) {
+        return;
+      }
+      units.push({ record, hourLog: true });
+    });
+    return units;
+  }
+
+  const byVolunteer = definition.x === 'volunteer' || definition.series === 'volunteer';
+  const period = options.spreadAcrossMonths ? getSpreadPeriod(definition) : null;
+  manpowerData.forEach(record => {
+    if (needsDate && !isValidDate(record.date)) return;
+    const credits = getParticipantCredits(record, { aliasMap: options.aliasMap });
+    const recordUnits = byVolunteer
+      ? credits.map(credit => ({ record, credits: [credit], byVolunteer }))
+      : [{ record, credits }];
+    if (!period) {
+      units.push(...recordUnits);
+      return;
+    }
+    const periods = splitActivityPeriods(record, { period });
+    recordUnits.forEach(unit => {
+      periods.forEach(share => units.push({ ...unit, period: share }));
+    });
+  });
+  return units;
+}
+
+/**
+ * 計算單位在維度上的值和排序鍵
+ * @param {Object} unit
+ * @param {string} dimension
+ * @returns {{label: string, order: number}}
+ */
+function getUnitKey(unit, dimension) {
+  const { record, period } = unit;
+  const date = record.date;
+  switch (dimension) {
+    case 'month': {
+      const year = period ? period.year : getYear(date);
+      const month = period ? period.month : getMonth(date);
+      return { label: formatMonth(year, month), order: year * 100 + month };
+    }
+    case 'week': {
+      const weekStart = period?.weekStart || getWeekStart(date);
+      return {
+        label: `${weekStart.getFullYear()}/${weekStart.getMonth() + 1}/${weekStart.getDate()} 當週`,
+        order: weekStart.getTime(),
+      };
+    }
+    case 'weekday': {
+      const index = (date.getDay() + 6) % 7;
+      return { label: WEEKDAYS[index], order: index };
+    }
+    case 'activityType':
+      return { label: record.activityType || '未分類', order: 0 };
+    case 'city':
+      return { label: record.city || '未分類', order: 0 };
+    case 'region':
+      return { label: getRegion(record.city || '未分類'), order: 0 };
+    case 'volunteer':
+      return { label: unit.hourLog ? (record.standardName || record.name) : unit.credits[0].name, order: 0 };
+    case 'contentType':
+      return { label: record.matchedContentType || '未分類', order: 0 };
+    default:
+      return { label: '未分類', order: 0 };
+  }
+}
+
+/**
+ * 計算單位的統計值
+ * @param {Object} unit
+ * @param {string} measure
+ * @returns {number}
+ */
+function getUnitValue(unit, measure) {
+  const { record } = unit;
+  if (unit.hourLog) {
+    return measure === 'hours' ? record.hours || 0 : 1;
+  }
+  const credit = unit.byVolunteer ? unit.credits[0] : null;
+  // 依日期分配到各期間時的比例
+  const fraction = unit.period ? unit.period.fraction : 1;
+  switch (measure) {
+    case 'days':
+      return (credit ? credit.days : record.days || 0) * fraction;
+    case 'personDays':
+      return (credit
+        ? calculateVolunteerPersonDays(1, credit.days)
+        : calculateVolunteerPersonDays(record.volunteerCount || 0, record.days || 0)) * fraction;
+    case 'hours':
+      return unit.credits.reduce((sum, item) => sum + item.hours, 0) * fraction;
+    case 'count':
+    default:
+      return 1;
+  }
+}
+
+/**
+ * 計算單位中的志工（標準名稱）
+ * @param {Object} unit
+ * @returns {string[]}
+ */
+function getUnitVolunteers(unit) {
+  if (unit.hourLog) return [unit.record.standardName || unit.record.name];
+  return unit.credits.map(credit => credit.name);
+}
+
+/**
+ * 依維度排序分類值：月份、週、星期依時間，縣市、地區依北中南東，其餘依總和遞減
+ * @param {string} dimension
+ * @param {string[]} labels
+ * @param {Map} orders - 分類值的排序鍵
+ * @param {Map} totals - 分類值的總和
+ * @returns {string[]}
+ */
+function sortLabels(dimension, labels, orders, totals) {
+  if (DATE_DIMENSIONS.includes(dimension)) {
+    return [...labels].sort((a, b) => orders.get(a) - orders.get(b));
+  }
+  if (dimension === 'city') return sortCities(labels);
+  if (dimension === 'region') return [...labels].sort((a, b) => getRegionOrder(a) - getRegionOrder(b));
+  return [...labels].sort((a, b) => (totals.get(b) - totals.get(a)) || a.localeCompare(b, 'zh-TW'));
+}
+
+/**
+ * 計算自訂圖表的資料列
+ * @param {Object} definition - 自訂圖表
+ * @param {Object} sources
+ * @param {Array} [sources.manpowerData] - 人力需求表資料（已套用篩選）
+ * @param {Array} [sources.hourLogRecords] - 處理後的時數登錄表資料（已套用篩選）
+ * @param {Object} [options]
+ * @param {number} [options.reportingYear] - 時數登錄表只統計此年度
+ * @param {boolean} [options.spreadAcrossMonths] - 跨月活動依實際日期分配到各月份或各週（見 getUnits）
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {{rows: Array, seriesKeys: string[]}} 每個 X 軸值一列（X 軸欄位為 definition.x），
+ *   沒有堆疊系列時只有一個以統計量名稱命名的系列
+ */
+export function calculateCustomChart(definition, sources, options = {}) {
+  const measureLabel = getLabel(CUSTOM_CHART_MEASURES, definition.measure);
+  const distinct = definition.measure === 'volunteers';
+  const cells = new Map();
+  const orders = { x: new Map(), series: new Map() };
+
+  getUnits(definition, sources, options).forEach(unit => {
+    const x = getUnitKey(unit, definition.x);
+    const series = definition.series ? getUnitKey(unit, definition.series) : { label: measureLabel, order: 0 };
+    orders.x.set(x.label, x.order);
+    orders.series.set(series.label, series.order);
+    if (!cells.has(x.label)) cells.set(x.label, new Map());
+    const row = cells.get(x.label);
+    if (distinct) {
+      if (!row.has(series.label)) row.set(series.label, new Set());
+      getUnitVolunteers(unit).forEach(name => row.get(series.label).add(name));
+    } else {
+      row.set(series.label, (row.get(series.label) || 0) + getUnitValue(unit, definition.measure));
+    }
+  });
+
+  const xTotals = new Map();
+  const seriesTotals = new Map();
+  const values = new Map();
+  cells.forEach((row, xLabel) => {
+    const rowValues = new Map();
+    row.forEach((cell, seriesLabel) => {
+      const value = Math.round((distinct ? cell.size : cell) * 100) / 100;
+      rowValues.set(seriesLabel, value);
+      xTotals.set(xLabel, (xTotals.get(xLabel) || 0) + value);
+      seriesTotals.set(seriesLabel, (seriesTotals.get(seriesLabel) || 0) + value);
+    });
+    values.set(xLabel, rowValues);
+  });
+
+  const xLabels = sortLabels(definition.x, Array.from(cells.keys()), orders.x, xTotals);
+  const seriesKeys = definition.series
+    ? sortLabels(definition.series, Array.from(orders.series.keys()), orders.series, seriesTotals)
+    : [measureLabel];
+
+  const rows = xLabels.map(xLabel => {
+    const row = { [definition.x]: xLabel };
+    seriesKeys.forEach(key => {
+      row[key] = values.get(xLabel).get(key) || 0;
+    });
+    return row;
+  });
+  return { rows, seriesKeys };
+}
+
+/**
+ * 找出構成自訂圖表某一段的計算單位（圖表明細使用）
+ * @param {Object} definition - 自訂圖表
+ * @param {{xValue: string, seriesKey?: string}} selection
+ * @param {Object} sources - 同 calculateCustomChart
+ * @param {Object} [options] - 同 calculateCustomChart
+ * @returns {Array<{record: Object, credits?: Array, byVolunteer?: boolean, hourLog?: boolean}>}
+ */
+export function getCustomChartUnits(definition, { xValue, seriesKey } = {}, sources, options = {}) {
+  return getUnits(definition, sources, options).filter(unit => {
+    if (getUnitKey(unit, definition.x).label !== String(xValue)) return false;
+    return !definition.series || seriesKey === undefined || getUnitKey(unit, definition.series).label === seriesKey;
+  });
+}
+
+/**
+ * 將儲存的自訂圖表轉換成圖表定義（見 chartRegistry.js），編號為「自訂1」「自訂2」…
+ * 依志工的圖表使用人名長條圖（人數多時分組顯示）
+ * @param {Array} customCharts - 儲存的自訂圖表
+ * @returns {Array} 圖表定義
+ */
+export function getCustomChartDefinitions(customCharts = []) {
+  return customCharts
+    .filter(definition => !validateCustomChart(definition))
+    .map((definition, index) => ({
+      id: `自訂${index + 1}`,
+      title: getCustomChartTitle(definition),
+      kind: definition.x === 'volunteer' ? 'personBar' : 'stackedBar',
+      source: getCustomChartSource(definition),
+      x: definition.x,
+      series: definition.series || undefined,
+      spread: !!getSpreadPeriod(definition),
+      custom: definition,
+      aggregate: (context) => calculateCustomChart(
+        definition,
+        { manpowerData: context.data, hourLogRecords: context.hourLogRecords },
+        {
+          reportingYear: context.reportingYear,
+          spreadAcrossMonths: context.spreadAcrossMonths,
+          aliasMap: context.aliasMap,
+        }
+      ),
+    }));
+}
+
+/**
+ * 建立新的自訂圖表 id
+ * @returns {string}
+ */
+export function createCustomChartId() {
+  return `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
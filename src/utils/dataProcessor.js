@@ -1,5 +1,7 @@
-import { getMonth, getYear, formatMonth } from './dateParser.js';
+import { getMonth, getYear, formatMonth, getDefaultReportingYear, getDaysBetween } from './dateParser.js';
 import { normalizeName } from './nameAliases.js';
+import { reportDiagnostic } from './diagnostics.js';
+import { getRegion, getRegionOrder, compareCities } from './geography.js';
 
 /**
  * 解析名字中的日期格式，提取真實名字和計算天數
@@ -10,7 +12,8 @@ import { normalizeName } from './nameAliases.js';
  * - 建宇(6/30-7/1) -> { name: '建宇', days: 2 }
  * @param {string} nameWithDate - 包含日期的名字
  * @param {Date} activityDate - 活動日期（用於處理只有日期沒有月份的情況）
- * @returns {Object} { name: string, days: number, error?: string }
+ * @returns {Object} { name: string, days: number, startDate?: Date, endDate?: Date, error?: string }
+ *   有日期且解析成功時包含起訖日期
  */
 function parseNameWithDate(nameWithDate, activityDate = null) {
   if (!nameWithDate || typeof nameWithDate !== 'string') {
@@ -34,12 +37,13 @@ function parseNameWithDate(nameWithDate, activityDate = null) {
     return { name: '', days: 0, error: `無法提取名字: ${trimmed}` };
   }
 
-  // 預設年份為 2025（與 dateParser 一致）
-  const defaultYear = 2025;
+  // 年份以活動日期為準（活動日期已依統計年度解析），沒有活動日期時使用預設統計年度
+  let defaultYear = getDefaultReportingYear();
   
-  // 從活動日期獲取月份（如果有的話）
+  // 從活動日期獲取年份和月份（如果有的話）
   let defaultMonth = null;
   if (activityDate && activityDate instanceof Date && !isNaN(activityDate.getTime())) {
+    defaultYear = activityDate.getFullYear();
     defaultMonth = activityDate.getMonth() + 1; // getMonth() 返回 0-11
   }
 
@@ -123,7 +127,7 @@ function parseNameWithDate(nameWithDate, activityDate = null) {
           return { name, days: 0, error: `日期範圍無效: ${dateStr}` };
         }
 
-        return { name, days };
+        return { name, days, startDate, endDate };
       }
     } else {
       // 單一日期格式（例如：8/23）
@@ -144,13 +148,176 @@ function parseNameWithDate(nameWithDate, activityDate = null) {
         return { name, days: 0, error: `日期無效: ${dateStr}` };
       }
 
-      return { name, days: 1 };
+      return { name, days: 1, startDate: date, endDate: date };
     }
   } catch (error) {
     return { name, days: 0, error: `解析日期時發生錯誤: ${error.message}` };
   }
 }
 
+/**
+ * 記錄服勤區人名解析錯誤（見 diagnostics.js）
+ * 無法提取名字時該人員會被略過（error），日期無法解析時改用可登錄時數（warning）
+ * @param {Array|undefined} diagnostics - 診斷訊息陣列
+ * @param {Object} record - 活動資料
+ * @param {string} name - 原始人名
+ * @param {Object} parsed - parseNameWithDate 的結果
+ */
+function reportParticipantError(diagnostics, record, name, parsed) {
+  reportDiagnostic(diagnostics, {
+    severity: parsed.name ? 'warning' : 'error',
+    source: 'manpower',
+    sheetName: record.sheetName,
+    rowNumber: record.rowNumber,
+    field: '服勤區',
+    value: name,
+    reason: parsed.name
+      ? `${parsed.error}，時數改用可登錄時數`
+      : `${parsed.error}，已略過此人員`,
+  });
+}
+
+/**
+ * 檢查服勤區人名格式（例如 建宇(21-22) 的日期範圍），把有問題的人名加入診斷訊息
+ * @param {Array} data - 過濾後的資料
+ * @param {Object} [options]
+ * @param {Array} [options.diagnostics] - 診斷訊息陣列
+ */
+export function checkParticipants(data, options = {}) {
+  data.forEach(record => {
+    record.participants.forEach(participant => {
+      const name = typeof participant === 'object' && participant.name ? participant.name : participant;
+      const parsed = parseNameWithDate(name, record.date);
+      if (parsed.error) {
+        reportParticipantError(options.diagnostics, record, name, parsed);
+      }
+    });
+  });
+}
+
+// 分配天數時最多展開的天數（避免結束日期輸入錯誤時產生過多資料）
+const MAX_SPREAD_DAYS = 366;
+
+/**
+ * 取得日期所在週的週一
+ * @param {Date} date
+ * @returns {Date}
+ */
+export function getWeekStart(date) {
+  const weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+  return weekStart;
+}
+
+/**
+ * 活動涵蓋的每一天（從開始日期到結束日期，最多 MAX_SPREAD_DAYS 天）
+ * @param {Object} record - 活動資料（date 為開始日期，endDate 為結束日期）
+ * @returns {Date[]}
+ */
+export function getActivityDates(record) {
+  const startDate = record.date;
+  const endDate = record.endDate && record.endDate > startDate ? record.endDate : startDate;
+  const totalDays = Math.min(getDaysBetween(startDate, endDate), MAX_SPREAD_DAYS);
+  return Array.from({ length: totalDays }, (_, i) =>
+    new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + i)
+  );
+}
+
+/**
+ * 將活動依實際涵蓋的日期分配到各月份或各週
+ * 例如 6/30-7/1 -> [{ 6月, fraction: 0.5 }, { 7月, fraction: 0.5 }]
+ * 沒有結束日期或只在同一期間內時，全部歸入開始日期的期間
+ * @param {Object} record - 活動資料（date 為開始日期，endDate 為結束日期）
+ * @param {Object} [options]
+ * @param {string} [options.period] - 'month'（預設）| 'week'（週一為一週的開始，自訂圖表依週統計時使用）
+ * @returns {Array<{key: string, year: number, month: number, weekStart?: Date, fraction: number}>}
+ *   fraction 為該期間佔活動總天數的比例（總和為 1）
+ */
+export function splitActivityPeriods(record, options = {}) {
+  const { period = 'month' } = options;
+  const dates = getActivityDates(record);
+  const totalDays = dates.length;
+
+  const periods = new Map();
+  dates.forEach(day => {
+    const periodStart = period === 'week' ? getWeekStart(day) : day;
+    const year = getYear(periodStart);
+    const month = getMonth(periodStart);
+    const key = period === 'week'
+      ? `${year}-${month}-${periodStart.getDate()}`
+      : `${year}-${month}`;
+
+    if (!periods.has(key)) {
+      periods.set(key, {
+        key,
+        year,
+        month,
+        ...(period === 'week' ? { weekStart: periodStart } : {}),
+        days: 0,
+      });
+    }
+    periods.get(key).days++;
+  });
+
+  return Array.from(periods.values()).map(({ days, ...rest }) => ({
+    ...rest,
+    fraction: days / totalDays,
+  }));
+}
+
+/**
+ * 取得活動在各月份所佔的比例（圖表 2、6、10、13 使用）
+ * @param {Object} record - 活動資料
+ * @param {Object} [options]
+ * @param {boolean} [options.spreadAcrossMonths] - 是否依實際日期分配到各月份（否則全部歸入開始月份）
+ * @returns {Array<{year: number, month: number, fraction: number}>}
+ */
+function getMonthShares(record, options = {}) {
+  if (!options.spreadAcrossMonths) {
+    return [{ year: getYear(record.date), month: getMonth(record.date), fraction: 1 }];
+  }
+  return splitActivityPeriods(record, { period: 'month' });
+}
+
+/**
+ * 四捨五入到小數第二位（分配到各月份的天數可能有小數）
+ * @param {number} value
+ * @returns {number}
+ */
+function roundShare(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 取得單筆活動服勤區中的原始人名（已移除名字後面的日期，尚未套用別名映射）
+ * @param {Object} record - 活動資料
+ * @returns {string[]} 原始人名陣列
+ */
+export function getParticipantNames(record) {
+  const names = [];
+  record.participants.forEach(participant => {
+    const name = typeof participant === 'object' && participant.name ? participant.name : participant;
+    const parsed = parseNameWithDate(name, record.date);
+    if (parsed.name) names.push(parsed.name);
+  });
+  return names;
+}
+
+/**
+ * 統計服勤區中出現的原始人名（已移除名字後面的日期，尚未套用別名映射）
+ * @param {Array} data - 過濾後的資料
+ * @returns {Map<string, number>} 原始人名 -> 出現次數
+ */
+export function getParticipantNameCounts(data) {
+  const counts = new Map();
+  data.forEach(record => {
+    getParticipantNames(record).forEach(name => {
+      counts.set(name, (counts.get(name) || 0) + 1);
+    });
+  });
+  return counts;
+}
+
 /**
  * 過濾掉取消的活動
  * @param {Array} data - 原始資料
@@ -202,32 +369,34 @@ export function calculateMonthlyActivityTypeCount(data) {
 /**
  * 計算按月份和活動類型的統計（天數）
  * @param {Array} data - 過濾後的資料
+ * @param {Object} [options]
+ * @param {boolean} [options.spreadAcrossMonths] - 跨月活動的天數依實際日期分配到各月份
  * @returns {Array} 統計資料
  */
-export function calculateMonthlyActivityTypeDays(data) {
+export function calculateMonthlyActivityTypeDays(data, options = {}) {
   const stats = {};
   
   data.forEach(record => {
-    const year = getYear(record.date);
-    const month = getMonth(record.date);
-    const key = `${year}-${month}`;
-    const monthLabel = formatMonth(year, month);
     const activityType = record.activityType || '未分類';
     const days = record.days || 0;
     
-    if (!stats[key]) {
-      stats[key] = {
-        month: monthLabel,
-        year,
-        monthNum: month,
-      };
-    }
-    
-    if (!stats[key][activityType]) {
-      stats[key][activityType] = 0;
-    }
-    
-    stats[key][activityType] += days;
+    getMonthShares(record, options).forEach(({ year, month, fraction }) => {
+      const key = `${year}-${month}`;
+      
+      if (!stats[key]) {
+        stats[key] = {
+          month: formatMonth(year, month),
+          year,
+          monthNum: month,
+        };
+      }
+      
+      if (!stats[key][activityType]) {
+        stats[key][activityType] = 0;
+      }
+      
+      stats[key][activityType] = roundShare(stats[key][activityType] + days * fraction);
+    });
   });
   
   return Object.values(stats).sort((a, b) => {
@@ -275,32 +444,34 @@ export function calculateMonthlyCityCount(data) {
 /**
  * 計算按月份和縣市的統計（天數）
  * @param {Array} data - 過濾後的資料
+ * @param {Object} [options]
+ * @param {boolean} [options.spreadAcrossMonths] - 跨月活動的天數依實際日期分配到各月份
  * @returns {Array} 統計資料
  */
-export function calculateMonthlyCityDays(data) {
+export function calculateMonthlyCityDays(data, options = {}) {
   const stats = {};
   
   data.forEach(record => {
-    const year = getYear(record.date);
-    const month = getMonth(record.date);
-    const key = `${year}-${month}`;
-    const monthLabel = formatMonth(year, month);
     const city = record.city || '未分類';
     const days = record.days || 0;
     
-    if (!stats[key]) {
-      stats[key] = {
-        month: monthLabel,
-        year,
-        monthNum: month,
-      };
-    }
-    
-    if (!stats[key][city]) {
-      stats[key][city] = 0;
-    }
-    
-    stats[key][city] += days;
+    getMonthShares(record, options).forEach(({ year, month, fraction }) => {
+      const key = `${year}-${month}`;
+      
+      if (!stats[key]) {
+        stats[key] = {
+          month: formatMonth(year, month),
+          year,
+          monthNum: month,
+        };
+      }
+      
+      if (!stats[key][city]) {
+        stats[key][city] = 0;
+      }
+      
+      stats[key][city] = roundShare(stats[key][city] + days * fraction);
+    });
   });
   
   return Object.values(stats).sort((a, b) => {
@@ -314,11 +485,13 @@ export function calculateMonthlyCityDays(data) {
  * 處理名字後面有日期的情況（例如：建宇(8/23)）
  * 按活動類型分組統計
  * @param {Array} data - 過濾後的資料
+ * @param {Object} [options]
+ * @param {Array} [options.diagnostics] - 診斷訊息陣列，人名格式錯誤會加入此陣列
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
  * @returns {Array} 統計資料 [{ name: string, [活動類型1]: number, [活動類型2]: number, ... }]
  */
-export function calculateParticipantCount(data) {
+export function calculateParticipantCount(data, options = {}) {
   const stats = {};
-  const errors = [];
   const activityTypesSet = new Set();
   
   // 先收集所有活動類型
@@ -345,9 +518,9 @@ export function calculateParticipantCount(data) {
       // 解析名字中的日期（傳入活動日期以處理只有日期沒有月份的情況）
       const parsed = parseNameWithDate(name, record.date);
       
-      // 如果有錯誤，記錄錯誤訊息
+      // 如果有錯誤，記錄診斷訊息
       if (parsed.error) {
-        errors.push(`第 ${record.rowNumber} 行，參與人員 "${name}": ${parsed.error}`);
+        reportParticipantError(options.diagnostics, record, name, parsed);
       }
       
       // 提取真實名字
@@ -357,7 +530,7 @@ export function calculateParticipantCount(data) {
       }
       
       // 使用別名映射將人名轉換為標準名稱
-      const normalizedName = normalizeName(realName);
+      const normalizedName = normalizeName(realName, options.aliasMap);
       
       // 次數統計：每個活動記錄中的每個參與人員都只算1次
       // 日期信息只用於計算時數，不影響次數統計
@@ -372,12 +545,6 @@ export function calculateParticipantCount(data) {
     });
   });
   
-  // 如果有錯誤，打印錯誤訊息
-  if (errors.length > 0) {
-    console.error('參與人員次數統計錯誤：');
-    errors.forEach(error => console.error('  -', error));
-  }
-  
   // 轉換為陣列格式，並計算總次數用於排序
   const result = Object.entries(stats).map(([name, typeCounts]) => {
     const total = Object.values(typeCounts).reduce((sum, count) => sum + count, 0);
@@ -388,17 +555,103 @@ export function calculateParticipantCount(data) {
   return result.map(({ total, ...rest }) => rest);
 }
 
+/**
+ * 計算單筆活動中每位參與人員計入的天數和時數（使用別名映射合併）
+ * 時數：日期前綴的天數 × 8 小時，其次是名字後面日期的天數 × 8 小時，否則使用記錄中的時數
+ * 天數：同上的天數，沒有日期時使用活動天數
+ * 出勤日期：同上的日期，沒有日期時為活動的起訖日期
+ * @param {Object} record - 活動資料
+ * @param {Object} [options]
+ * @param {Array} [options.diagnostics] - 診斷訊息陣列，人名格式錯誤會加入此陣列
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {Array<{rawName: string, name: string, days: number, hours: number, startDate: Date, endDate: Date}>}
+ *   rawName 為去掉日期後的原始人名，name 為標準名稱；無法提取名字的人員不列入
+ */
+export function getParticipantCredits(record, options = {}) {
+  const recordHours = record.hours || 0;
+  const credits = [];
+  record.participants.forEach(participant => {
+    // 處理新格式：participant 可能是 { name: string, days: number, startDate, endDate } 或 string
+    let name, daysFromPrefix = 0, prefixDates = null;
+    
+    if (typeof participant === 'object' && participant.name) {
+      // 新格式：日期前綴格式（例如：11/29-30：盈瑩）
+      name = participant.name;
+      daysFromPrefix = participant.days || 0;
+      if (daysFromPrefix > 0 && participant.startDate) {
+        prefixDates = { startDate: participant.startDate, endDate: participant.endDate };
+      }
+    } else {
+      // 舊格式：純字串（可能包含名字後面的日期，例如：盈瑩(11/29)）
+      name = participant;
+    }
+    
+    // 解析名字中的日期（傳入活動日期以處理只有日期沒有月份的情況）
+    const parsed = parseNameWithDate(name, record.date);
+    
+    // 如果有錯誤，記錄診斷訊息
+    if (parsed.error) {
+      reportParticipantError(options.diagnostics, record, name, parsed);
+    }
+    
+    // 提取真實名字
+    const realName = parsed.name;
+    if (!realName) {
+      return; // 跳過無法提取名字的情況
+    }
+    
+    // 優先使用日期前綴的天數（新格式），其次使用名字中解析出的日期（舊格式：名字後面的日期）
+    const creditedDays = daysFromPrefix > 0 ? daysFromPrefix : parsed.days;
+    // 出勤日期的來源與天數相同，沒有日期時為活動的起訖日期
+    let dates = { startDate: record.date, endDate: record.endDate > record.date ? record.endDate : record.date };
+    if (prefixDates) {
+      dates = prefixDates;
+    } else if (daysFromPrefix <= 0 && parsed.days > 0) {
+      dates = { startDate: parsed.startDate, endDate: parsed.endDate };
+    }
+    
+    credits.push({
+      rawName: realName,
+      // 使用別名映射將人名轉換為標準名稱
+      name: normalizeName(realName, options.aliasMap),
+      days: creditedDays > 0 ? creditedDays : (record.days || 0),
+      // 沒有日期時使用記錄中的時數
+      hours: creditedDays > 0 ? creditedDays * 8 : recordHours,
+      ...dates,
+    });
+  });
+  return credits;
+}
+
+/**
+ * 只保留服勤區中的指定志工（依標準名稱比對，保留原始寫法和日期）
+ * @param {Object} record - 活動資料
+ * @param {Set<string>} names - 要保留的標準名稱
+ * @param {Object} [aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {Object} 新的活動資料，participants 只包含指定志工
+ */
+export function keepParticipants(record, names, aliasMap) {
+  const participants = record.participants.filter(participant => {
+    const name = typeof participant === 'object' && participant.name ? participant.name : participant;
+    const realName = parseNameWithDate(name, record.date).name;
+    return !!realName && names.has(normalizeName(realName, aliasMap));
+  });
+  return { ...record, participants };
+}
+
 /**
  * 計算按人名的活動參與時數（使用別名映射合併）
  * 處理名字後面有日期的情況（例如：建宇(8/23)）
  * 如果名字中有日期，時數 = 天數 × 8小時；否則使用記錄中的時數
  * 按活動類型分組統計
  * @param {Array} data - 過濾後的資料
+ * @param {Object} [options]
+ * @param {Array} [options.diagnostics] - 診斷訊息陣列，人名格式錯誤會加入此陣列
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
  * @returns {Array} 統計資料 [{ name: string, [活動類型1]: number, [活動類型2]: number, ... }]
  */
-export function calculateParticipantHours(data) {
+export function calculateParticipantHours(data, options = {}) {
   const stats = {};
-  const errors = [];
   const activityTypesSet = new Set();
   
   // 先收集所有活動類型
@@ -408,52 +661,8 @@ export function calculateParticipantHours(data) {
   });
   
   data.forEach(record => {
-    const recordHours = record.hours || 0;
     const activityType = record.activityType || '未分類';
-    record.participants.forEach(participant => {
-      // 處理新格式：participant 可能是 { name: string, days: number } 或 string
-      let name, daysFromPrefix = 0;
-      
-      if (typeof participant === 'object' && participant.name) {
-        // 新格式：日期前綴格式（例如：11/29-30：盈瑩）
-        name = participant.name;
-        daysFromPrefix = participant.days || 0;
-      } else {
-        // 舊格式：純字串（可能包含名字後面的日期，例如：盈瑩(11/29)）
-        name = participant;
-      }
-      
-      // 解析名字中的日期（傳入活動日期以處理只有日期沒有月份的情況）
-      const parsed = parseNameWithDate(name, record.date);
-      
-      // 如果有錯誤，記錄錯誤訊息
-      if (parsed.error) {
-        errors.push(`第 ${record.rowNumber} 行，參與人員 "${name}": ${parsed.error}`);
-      }
-      
-      // 提取真實名字
-      const realName = parsed.name;
-      if (!realName) {
-        return; // 跳過無法提取名字的情況
-      }
-      
-      // 使用別名映射將人名轉換為標準名稱
-      const normalizedName = normalizeName(realName);
-      
-      // 計算時數
-      let hours = 0;
-      
-      // 優先使用日期前綴的天數（新格式）
-      if (daysFromPrefix > 0) {
-        hours = daysFromPrefix * 8;
-      } else if (parsed.days > 0) {
-        // 其次使用名字中解析出的日期（舊格式：名字後面的日期）
-        hours = parsed.days * 8;
-      } else {
-        // 否則使用記錄中的時數
-        hours = recordHours;
-      }
-      
+    getParticipantCredits(record, options).forEach(({ name: normalizedName, hours }) => {
       if (!stats[normalizedName]) {
         stats[normalizedName] = {};
         // 初始化所有活動類型為 0
@@ -465,12 +674,6 @@ export function calculateParticipantHours(data) {
     });
   });
   
-  // 如果有錯誤，打印錯誤訊息
-  if (errors.length > 0) {
-    console.error('參與人員時數統計錯誤：');
-    errors.forEach(error => console.error('  -', error));
-  }
-  
   // 轉換為陣列格式，並計算總時數用於排序
   const result = Object.entries(stats).map(([name, typeHours]) => {
     const total = Object.values(typeHours).reduce((sum, hours) => sum + hours, 0);
@@ -541,36 +744,6 @@ export function calculateActivityTypeTotalDays(data) {
     .sort((a, b) => b.value - a.value);
 }
 
-/**
- * 縣市區域分類（北中南東）- 用於排序
- */
-const cityRegionsForSort = {
-  // 北部
-  '台北市': 1, '新北市': 1, '桃園市': 1, '新竹市': 1, '新竹縣': 1,
-  '基隆市': 1, '宜蘭縣': 1,
-  // 中部
-  '台中市': 2, '苗栗縣': 2, '彰化縣': 2, '南投縣': 2, '雲林縣': 2,
-  // 南部
-  '高雄市': 3, '台南市': 3, '嘉義市': 3, '嘉義縣': 3, '屏東縣': 3, '澎湖縣': 3,
-  // 東部
-  '花蓮縣': 4, '台東縣': 4,
-};
-
-/**
- * 區域內排序順序（如果同區域有多個縣市）
- */
-const cityOrderForSort = {
-  // 北部
-  '台北市': 1, '新北市': 2, '桃園市': 3, '新竹市': 4, '新竹縣': 5,
-  '基隆市': 6, '宜蘭縣': 7,
-  // 中部
-  '台中市': 1, '苗栗縣': 2, '彰化縣': 3, '南投縣': 4, '雲林縣': 5,
-  // 南部
-  '高雄市': 1, '台南市': 2, '嘉義市': 3, '嘉義縣': 4, '屏東縣': 5, '澎湖縣': 6,
-  // 東部
-  '花蓮縣': 1, '台東縣': 2,
-};
-
 /**
  * 計算依縣市的總次數統計（用於圓餅圖）
  * @param {Array} data - 過濾後的資料
@@ -590,29 +763,7 @@ export function calculateCityTotalCount(data) {
   // 按照北中南東的順序排序，未分類放在最後
   return Object.entries(stats)
     .map(([name, value]) => ({ name, value }))
-    .sort((a, b) => {
-      // 明確處理「未分類」，讓它始終排在最後
-      if (a.name === '未分類' && b.name !== '未分類') return 1;
-      if (a.name !== '未分類' && b.name === '未分類') return -1;
-      if (a.name === '未分類' && b.name === '未分類') return 0;
-      
-      const regionA = cityRegionsForSort[a.name] || 99; // 未定義的縣市放在最後（但未分類已經處理過了）
-      const regionB = cityRegionsForSort[b.name] || 99;
-      
-      if (regionA !== regionB) {
-        return regionA - regionB;
-      }
-      
-      // 同區域內按順序排序
-      const orderA = cityOrderForSort[a.name] || 999;
-      const orderB = cityOrderForSort[b.name] || 999;
-      if (orderA !== orderB) {
-        return orderA - orderB;
-      }
-      
-      // 如果都是未定義的縣市（且不是未分類），按名稱排序
-      return a.name.localeCompare(b.name, 'zh-TW');
-    });
+    .sort((a, b) => compareCities(a.name, b.name));
 }
 
 /**
@@ -635,29 +786,7 @@ export function calculateCityTotalDays(data) {
   // 按照北中南東的順序排序，未分類放在最後
   return Object.entries(stats)
     .map(([name, value]) => ({ name, value }))
-    .sort((a, b) => {
-      // 明確處理「未分類」，讓它始終排在最後
-      if (a.name === '未分類' && b.name !== '未分類') return 1;
-      if (a.name !== '未分類' && b.name === '未分類') return -1;
-      if (a.name === '未分類' && b.name === '未分類') return 0;
-      
-      const regionA = cityRegionsForSort[a.name] || 99; // 未定義的縣市放在最後（但未分類已經處理過了）
-      const regionB = cityRegionsForSort[b.name] || 99;
-      
-      if (regionA !== regionB) {
-        return regionA - regionB;
-      }
-      
-      // 同區域內按順序排序
-      const orderA = cityOrderForSort[a.name] || 999;
-      const orderB = cityOrderForSort[b.name] || 999;
-      if (orderA !== orderB) {
-        return orderA - orderB;
-      }
-      
-      // 如果都是未定義的縣市（且不是未分類），按名稱排序
-      return a.name.localeCompare(b.name, 'zh-TW');
-    });
+    .sort((a, b) => compareCities(a.name, b.name));
 }
 
 /**
@@ -679,11 +808,7 @@ export function calculateRegionTotalCount(data) {
   
   return Object.entries(stats)
     .map(([name, value]) => ({ name, value }))
-    .sort((a, b) => {
-      // 按照北中南東的順序排序
-      const order = { '北部': 1, '中部': 2, '南部': 3, '東部': 4, '未分類': 5 };
-      return (order[a.name] || 99) - (order[b.name] || 99);
-    });
+    .sort((a, b) => getRegionOrder(a.name) - getRegionOrder(b.name));
 }
 
 /**
@@ -706,11 +831,7 @@ export function calculateRegionTotalDays(data) {
   
   return Object.entries(stats)
     .map(([name, value]) => ({ name, value }))
-    .sort((a, b) => {
-      // 按照北中南東的順序排序
-      const order = { '北部': 1, '中部': 2, '南部': 3, '東部': 4, '未分類': 5 };
-      return (order[a.name] || 99) - (order[b.name] || 99);
-    });
+    .sort((a, b) => getRegionOrder(a.name) - getRegionOrder(b.name));
 }
 
 /**
@@ -730,30 +851,6 @@ export function getCities(statsData) {
   return Array.from(cities).sort();
 }
 
-/**
- * 縣市區域分類（北中南東）
- */
-const cityRegions = {
-  // 北部
-  '台北市': '北部', '新北市': '北部', '桃園市': '北部', '新竹市': '北部', '新竹縣': '北部',
-  '基隆市': '北部', '宜蘭縣': '北部',
-  // 中部
-  '台中市': '中部', '苗栗縣': '中部', '彰化縣': '中部', '南投縣': '中部', '雲林縣': '中部',
-  // 南部
-  '高雄市': '南部', '台南市': '南部', '嘉義市': '南部', '嘉義縣': '南部', '屏東縣': '南部', '澎湖縣': '南部',
-  // 東部
-  '花蓮縣': '東部', '台東縣': '東部',
-};
-
-/**
- * 將縣市轉換為地區
- * @param {string} city - 縣市名稱
- * @returns {string} 地區名稱（北部、中部、南部、東部、未分類）
- */
-function getRegion(city) {
-  return cityRegions[city] || '未分類';
-}
-
 /**
  * 計算按月份和地區的統計（次數）
  * @param {Array} data - 過濾後的資料
@@ -794,33 +891,35 @@ export function calculateMonthlyRegionCount(data) {
 /**
  * 計算按月份和地區的統計（天數）
  * @param {Array} data - 過濾後的資料
+ * @param {Object} [options]
+ * @param {boolean} [options.spreadAcrossMonths] - 跨月活動的天數依實際日期分配到各月份
  * @returns {Array} 統計資料
  */
-export function calculateMonthlyRegionDays(data) {
+export function calculateMonthlyRegionDays(data, options = {}) {
   const stats = {};
   
   data.forEach(record => {
-    const year = getYear(record.date);
-    const month = getMonth(record.date);
-    const key = `${year}-${month}`;
-    const monthLabel = formatMonth(year, month);
     const city = record.city || '未分類';
     const region = getRegion(city);
     const days = record.days || 0;
     
-    if (!stats[key]) {
-      stats[key] = {
-        month: monthLabel,
-        year,
-        monthNum: month,
-      };
-    }
-    
-    if (!stats[key][region]) {
-      stats[key][region] = 0;
-    }
-    
-    stats[key][region] += days;
+    getMonthShares(record, options).forEach(({ year, month, fraction }) => {
+      const key = `${year}-${month}`;
+      
+      if (!stats[key]) {
+        stats[key] = {
+          month: formatMonth(year, month),
+          year,
+          monthNum: month,
+        };
+      }
+      
+      if (!stats[key][region]) {
+        stats[key][region] = 0;
+      }
+      
+      stats[key][region] = roundShare(stats[key][region] + days * fraction);
+    });
   });
   
   return Object.values(stats).sort((a, b) => {
@@ -836,7 +935,7 @@ export function calculateMonthlyRegionDays(data) {
  * @param {number} days - 天數
  * @returns {number} 計算後的人數
  */
-function calculateVolunteerPersonDays(volunteerCount, days) {
+export function calculateVolunteerPersonDays(volunteerCount, days) {
   if (!volunteerCount || volunteerCount <= 0) return 0;
   // 如果天數小於1，使用1；否則使用實際天數
   const effectiveDays = days < 1 ? 1 : days;
@@ -846,16 +945,14 @@ function calculateVolunteerPersonDays(volunteerCount, days) {
 /**
  * 計算按月份和活動類型的志工人數統計
  * @param {Array} data - 過濾後的資料
+ * @param {Object} [options]
+ * @param {boolean} [options.spreadAcrossMonths] - 跨月活動的志工人天依實際日期分配到各月份
  * @returns {Array} 統計資料
  */
-export function calculateMonthlyVolunteerCountByType(data) {
+export function calculateMonthlyVolunteerCountByType(data, options = {}) {
   const stats = {};
   
   data.forEach(record => {
-    const year = getYear(record.date);
-    const month = getMonth(record.date);
-    const key = `${year}-${month}`;
-    const monthLabel = formatMonth(year, month);
     const activityType = record.activityType || '未分類';
     const volunteerCount = record.volunteerCount || 0;
     const days = record.days || 0;
@@ -864,19 +961,23 @@ export function calculateMonthlyVolunteerCountByType(data) {
     const personDays = calculateVolunteerPersonDays(volunteerCount, days);
     if (personDays <= 0) return;
     
-    if (!stats[key]) {
-      stats[key] = {
-        month: monthLabel,
-        year,
-        monthNum: month,
-      };
-    }
-    
-    if (!stats[key][activityType]) {
-      stats[key][activityType] = 0;
-    }
-    
-    stats[key][activityType] += personDays;
+    getMonthShares(record, options).forEach(({ year, month, fraction }) => {
+      const key = `${year}-${month}`;
+      
+      if (!stats[key]) {
+        stats[key] = {
+          month: formatMonth(year, month),
+          year,
+          monthNum: month,
+        };
+      }
+      
+      if (!stats[key][activityType]) {
+        stats[key][activityType] = 0;
+      }
+      
+      stats[key][activityType] = roundShare(stats[key][activityType] + personDays * fraction);
+    });
   });
   
   return Object.values(stats).sort((a, b) => {
@@ -1012,11 +1113,7 @@ export function calculateVolunteerCountByRegion(data) {
   
   return Object.entries(stats)
     .map(([name, value]) => ({ name, value }))
-    .sort((a, b) => {
-      // 按照北中南東的順序排序
-      const order = { '北部': 1, '中部': 2, '南部': 3, '東部': 4, '未分類': 5 };
-      return (order[a.name] || 99) - (order[b.name] || 99);
-    });
+    .sort((a, b) => getRegionOrder(a.name) - getRegionOrder(b.name));
 }
 
 /**
@@ -1046,25 +1143,172 @@ export function calculateVolunteerCountByCity(data) {
   // 按照北中南東的順序排序，未分類放在最後
   return Object.entries(stats)
     .map(([name, value]) => ({ name, value }))
-    .sort((a, b) => {
-      // 明確處理「未分類」，讓它始終排在最後
-      if (a.name === '未分類' && b.name !== '未分類') return 1;
-      if (a.name !== '未分類' && b.name === '未分類') return -1;
-      if (a.name === '未分類' && b.name === '未分類') return 0;
-      
-      const regionA = cityRegionsForSort[a.name] || 99;
-      const regionB = cityRegionsForSort[b.name] || 99;
-      
-      if (regionA !== regionB) {
-        return regionA - regionB;
+    .sort((a, b) => compareCities(a.name, b.name));
+}
+
+/**
+ * 取得資料的年份（優先使用工作表年份，其次使用活動日期的年份）
+ * @param {Object} record - 活動資料
+ * @returns {number} 年份
+ */
+function getRecordYear(record) {
+  return typeof record.year === 'number' ? record.year : getYear(record.date);
+}
+
+/**
+ * 取得資料中出現的所有年份（用於年度比較圖表）
+ * @param {Array} data - 過濾後的資料
+ * @returns {number[]} 年份陣列（遞增排序）
+ */
+export function getDataYears(data) {
+  const years = new Set();
+  data.forEach(record => {
+    const year = getRecordYear(record);
+    if (year) years.add(year);
+  });
+  return Array.from(years).sort((a, b) => a - b);
+}
+
+/**
+ * 依分類維度取得資料的分類值
+ * @param {Object} record - 活動資料
+ * @param {string} groupBy - 'month' | 'activityType' | 'city' | 'region'
+ * @returns {string|number} 分類值
+ */
+function getGroupValue(record, groupBy) {
+  switch (groupBy) {
+    case 'month':
+      return getMonth(record.date);
+    case 'activityType':
+      return record.activityType || '未分類';
+    case 'city':
+      return record.city || '未分類';
+    case 'region':
+      return getRegion(record.city || '未分類');
+    default:
+      return '未分類';
+  }
+}
+
+/**
+ * 依統計量取得資料的數值
+ * @param {Object} record - 活動資料
+ * @param {string} measure - 'count'（次數）| 'days'（天數）| 'volunteers'（志工人數 × 天數）
+ * @returns {number} 數值
+ */
+function getMeasureValue(record, measure) {
+  switch (measure) {
+    case 'days':
+      return record.days || 0;
+    case 'volunteers':
+      return calculateVolunteerPersonDays(record.volunteerCount || 0, record.days || 0);
+    case 'count':
+    default:
+      return 1;
+  }
+}
+
+/**
+ * 依分類排序年度比較資料（月份依 1-12 月、縣市與地區依北中南東、其餘依總和降序）
+ * @param {Array} rows - 年度比較資料
+ * @param {string} groupBy - 分類維度
+ * @param {string[]} yearKeys - 年份欄位
+ * @returns {Array} 排序後的資料
+ */
+function sortYearComparisonRows(rows, groupBy, yearKeys) {
+  const totalOf = (row) => yearKeys.reduce((sum, key) => sum + (row[key] || 0), 0);
+
+  if (groupBy === 'month') {
+    return rows.sort((a, b) => a.monthNum - b.monthNum);
+  }
+  if (groupBy === 'region') {
+    return rows.sort((a, b) => getRegionOrder(a.name) - getRegionOrder(b.name));
+  }
+  if (groupBy === 'city') {
+    return rows.sort((a, b) => compareCities(a.name, b.name));
+  }
+  return rows.sort((a, b) => totalOf(b) - totalOf(a));
+}
+
+/**
+ * 計算年度比較統計（每個分類一列，每個年份一個欄位，用於並排柱狀圖）
+ * 例如：groupBy = 'month', measure = 'count' -> [{ name: '1月', monthNum: 1, '2023': 3, '2024': 5, '2025': 4 }, ...]
+ * @param {Array} data - 過濾後的資料（包含多個年份）
+ * @param {Object} options
+ * @param {string} options.groupBy - 'month' | 'activityType' | 'city' | 'region'
+ * @param {string} options.measure - 'count' | 'days' | 'volunteers'
+ * @param {boolean} [options.spreadAcrossMonths] - 依月份統計天數或志工人數時，跨月活動依實際日期分配到各月份
+ * @returns {{data: Array, years: string[]}} 統計資料和年份欄位
+ */
+export function calculateYearComparison(data, options = {}) {
+  const { groupBy = 'month', measure = 'count' } = options;
+  const yearKeys = getDataYears(data).map(String);
+  const stats = {};
+
+  data.forEach(record => {
+    const value = getMeasureValue(record, measure);
+    if (value <= 0) return;
+
+    const yearKey = String(getRecordYear(record));
+    // 依月份統計天數或志工人數時，跨月活動可依實際日期分配到各月份
+    const shares = groupBy === 'month' && measure !== 'count'
+      ? getMonthShares(record, options).map(({ month, fraction }) => ({ group: month, fraction }))
+      : [{ group: getGroupValue(record, groupBy), fraction: 1 }];
+
+    shares.forEach(({ group, fraction }) => {
+      if (!stats[group]) {
+        stats[group] = groupBy === 'month'
+          ? { name: `${group}月`, monthNum: group }
+          : { name: group };
+        yearKeys.forEach(key => {
+          stats[group][key] = 0;
+        });
       }
-      
-      const orderA = cityOrderForSort[a.name] || 999;
-      const orderB = cityOrderForSort[b.name] || 999;
-      if (orderA !== orderB) {
-        return orderA - orderB;
+
+      stats[group][yearKey] = roundShare(stats[group][yearKey] + value * fraction);
+    });
+  });
+
+  return {
+    data: sortYearComparisonRows(Object.values(stats), groupBy, yearKeys),
+    years: yearKeys,
+  };
+}
+
+/**
+ * 計算出勤活動次數或時數的年度比較（每位志工一列，每個年份一個欄位）
+ * 使用與圖表 19、20 相同的計算方式（別名映射、名字後日期、日期前綴）
+ * @param {Array} data - 過濾後的資料（包含多個年份）
+ * @param {Object} options
+ * @param {string} options.measure - 'count'（出勤次數）| 'hours'（出勤時數）
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {{data: Array, years: string[]}} 統計資料和年份欄位（依總和降序）
+ */
+export function calculateParticipantYearComparison(data, options = {}) {
+  const { measure = 'count', aliasMap } = options;
+  const years = getDataYears(data);
+  const yearKeys = years.map(String);
+  const stats = {};
+
+  years.forEach(year => {
+    const yearData = data.filter(record => getRecordYear(record) === year);
+    const yearStats = measure === 'hours'
+      ? calculateParticipantHours(yearData, { aliasMap })
+      : calculateParticipantCount(yearData, { aliasMap });
+
+    yearStats.forEach(({ name, ...typeValues }) => {
+      if (!stats[name]) {
+        stats[name] = { name };
+        yearKeys.forEach(key => {
+          stats[name][key] = 0;
+        });
       }
-      
-      return a.name.localeCompare(b.name, 'zh-TW');
+      stats[name][String(year)] = Object.values(typeValues).reduce((sum, value) => sum + value, 0);
     });
+  });
+
+  return {
+    data: sortYearComparisonRows(Object.values(stats), 'name', yearKeys),
+    years: yearKeys,
+  };
 }
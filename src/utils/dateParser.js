@@ -1,147 +1,285 @@
 /**
- * 解析各種日期格式（2025年表格專用）
- * 支援格式：
- * - "1/3-5" -> 2025/1/3 至 2025/1/5（返回開始日期）
- * - "11/21-11/25" -> 2025/11/21 至 2025/11/25（返回開始日期）
- * - "1/3" -> 2025/1/3
- * - 括號中的內容（星期）會被忽略
+ * 取得預設統計年度（今年）
+ * @returns {number} 年份
+ */
+export function getDefaultReportingYear() {
+  return new Date().getFullYear();
+}
+
+/**
+ * 日期解析規則（每筆資料會記錄依哪一種規則解析，方便檢查特殊輸入）
+ * - label：顯示名稱
+ * - unusual：非標準格式，匯入檢查結果會列為提示
+ */
+export const DATE_RULES = {
+  date: { label: '日期儲存格', unusual: false },
+  excelSerial: { label: 'Excel 日期序號', unusual: false },
+  monthDay: { label: '月/日（M/D）', unusual: false },
+  chineseMonthDay: { label: '中文月日（M月D日）', unusual: true },
+  isoDate: { label: '西元年月日（YYYY/MM/DD）', unusual: false },
+  chineseDate: { label: '中文西元年月日（YYYY年M月D日）', unusual: false },
+  rocDate: { label: '民國年月日（YYY/M/D）', unusual: true },
+  rocChineseDate: { label: '中文民國年月日（YYY年M月D日）', unusual: true },
+  compactDate: { label: '連續數字西元年月日（YYYYMMDD）', unusual: true },
+  rocCompactDate: { label: '連續數字民國年月日（YYYMMDD）', unusual: true },
+  usDate: { label: '月/日/年（M/D/YYYY）', unusual: true },
+};
+
+// 民國紀年與西元紀年的差
+const ROC_YEAR_OFFSET = 1911;
+
+// 日期範圍最多允許的天數（超過視為結束日期輸入錯誤，例如 "1/3-1/2" 不會變成將近一年的活動）
+export const MAX_RANGE_DAYS = 31;
+
+/**
+ * 建立日期並驗證年月日是否有效（例如 2/30 無效）
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {Date|null}
+ */
+function createValidDate(year, month, day) {
+  if (year < 1900 || year > 2100) return null;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * 將全形數字與符號轉為半形，並統一分隔符號
+ * 例如："２０２５／０３／０５" -> "2025/03/05"、"3/5～7" -> "3/5-7"、"3/5至3/7" -> "3/5-3/7"
+ * @param {string} str
+ * @returns {string}
+ */
+function toHalfWidth(str) {
+  return str
+    .replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0))
+    .replace(/[／]/g, '/')
+    .replace(/[．]/g, '.')
+    .replace(/[－‐–—～〜~]/g, '-')
+    .replace(/[至到]/g, '-')
+    .replace(/　/g, ' ');
+}
+
+/**
+ * 移除括號內容（星期資訊）、時間（例如 "下午 3:00:00"）和空白
+ * 同時處理中文括號（全形）和英文括號（半形）
+ * @param {string} str
+ * @returns {string}
+ */
+function stripExtras(str) {
+  return str
+    .replace(/\([^)]*\)/g, '')
+    .replace(/（[^）]*）/g, '')
+    .replace(/\s*(上午|下午|AM|PM)?\s*\d{1,2}:\d{2}(:\d{2})?\s*(AM|PM)?\s*$/i, '')
+    .replace(/\s+/g, '')
+    .trim();
+}
+
+/**
+ * 單一日期的解析規則（依序比對，第一個符合的規則為準）
+ * toDate 返回 Date 或 null
+ */
+const SINGLE_DATE_RULES = [
+  {
+    rule: 'isoDate',
+    pattern: /^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})$/,
+    toDate: (m) => createValidDate(+m[1], +m[2], +m[3]),
+  },
+  {
+    rule: 'chineseDate',
+    pattern: /^(\d{4})年(\d{1,2})月(\d{1,2})[日號号]?$/,
+    toDate: (m) => createValidDate(+m[1], +m[2], +m[3]),
+  },
+  {
+    // 民國年：3 位數（例如 114），或有「民國」前綴的 2-3 位數
+    rule: 'rocDate',
+    pattern: /^(?:(?:民國|民国)(\d{2,3})|(\d{3}))[/.-](\d{1,2})[/.-](\d{1,2})$/,
+    toDate: (m) => createValidDate(+(m[1] || m[2]) + ROC_YEAR_OFFSET, +m[3], +m[4]),
+  },
+  {
+    rule: 'rocChineseDate',
+    pattern: /^(?:(?:民國|民国)(\d{2,3})|(\d{3}))年(\d{1,2})月(\d{1,2})[日號号]?$/,
+    toDate: (m) => createValidDate(+(m[1] || m[2]) + ROC_YEAR_OFFSET, +m[3], +m[4]),
+  },
+  {
+    rule: 'compactDate',
+    pattern: /^(\d{4})(\d{2})(\d{2})$/,
+    toDate: (m) => createValidDate(+m[1], +m[2], +m[3]),
+  },
+  {
+    rule: 'rocCompactDate',
+    pattern: /^(\d{3})(\d{2})(\d{2})$/,
+    toDate: (m) => createValidDate(+m[1] + ROC_YEAR_OFFSET, +m[2], +m[3]),
+  },
+  {
+    rule: 'usDate',
+    pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/,
+    toDate: (m) => createValidDate(+m[3], +m[1], +m[2]),
+  },
+  {
+    // 沒有年份的日期歸入統計年度
+    rule: 'monthDay',
+    pattern: /^(\d{1,2})\/(\d{1,2})$/,
+    toDate: (m, defaultYear) => createValidDate(defaultYear, +m[1], +m[2]),
+  },
+  {
+    rule: 'chineseMonthDay',
+    pattern: /^(\d{1,2})月(\d{1,2})[日號号]?$/,
+    toDate: (m, defaultYear) => createValidDate(defaultYear, +m[1], +m[2]),
+  },
+];
+
+/**
+ * 依規則解析單一日期字串
+ * @param {string} text - 已正規化的日期字串
+ * @param {number} defaultYear - 沒有年份時使用的年份
+ * @returns {{date: Date, rule: string}|null}
+ */
+function matchSingleDate(text, defaultYear) {
+  for (const { rule, pattern, toDate } of SINGLE_DATE_RULES) {
+    const match = text.match(pattern);
+    if (match) {
+      const date = toDate(match, defaultYear);
+      if (date) return { date, rule };
+    }
+  }
+  return null;
+}
+
+/**
+ * 解析日期範圍的結束日期（可省略開始日期已有的年、月）
+ * - 完整日期："2025/3/7"、"114/3/7"
+ * - 月/日："3/7"、"3月7日"、"0307"（只有 12 月跨到 1 月時視為跨年，例如 "12/30-1/2"）
+ * - 只有日："7"、"7日"（沿用開始日期的年月）
+ * @param {string} text - 已正規化的結束日期字串
+ * @param {Date} startDate - 開始日期
+ * @returns {Date|null} 結束日期（必須不早於開始日期，且範圍不超過 MAX_RANGE_DAYS 天）
+ */
+function parseRangeEnd(text, startDate) {
+  const year = startDate.getFullYear();
+  let endDate = null;
+
+  const full = matchSingleDate(text, year);
+  const monthDay = text.match(/^(\d{1,2})\/(\d{1,2})$/)
+    || text.match(/^(\d{1,2})月(\d{1,2})[日號号]?$/)
+    || text.match(/^(\d{2})(\d{2})$/);
+  const dayOnly = text.match(/^(\d{1,2})[日號号]?$/);
+
+  if (monthDay) {
+    endDate = createValidDate(year, +monthDay[1], +monthDay[2]);
+    if (endDate && endDate < startDate && startDate.getMonth() === 11 && +monthDay[1] === 1) {
+      endDate = createValidDate(year + 1, +monthDay[1], +monthDay[2]);
+    }
+  } else if (dayOnly) {
+    endDate = createValidDate(year, startDate.getMonth() + 1, +dayOnly[1]);
+  } else if (full) {
+    endDate = full.date;
+  }
+
+  if (!endDate || endDate < startDate || getDaysBetween(startDate, endDate) > MAX_RANGE_DAYS) {
+    return null;
+  }
+  return endDate;
+}
+
+/**
+ * 將各種日期輸入正規化為開始與結束日期，並記錄符合的規則
+ * 支援格式（以統計年度 2025 為例）：
+ * - Excel 日期儲存格、Excel 日期序號
+ * - "1/3"、"3月5日" -> 2025/1/3、2025/3/5（沒有年份時歸入統計年度）
+ * - "2025/03/05"、"2025-3-5"、"2025.3.5"、"2025年3月5日"、"3/5/2025"
+ * - 民國年："114/3/5"、"114年3月5日"、"民國114年3月5日"、"1140305"
+ * - 連續數字："20250305"
+ * - 全形數字與符號："２０２５／０３／０５"
+ * - 日期範圍："1/3-5"、"6/30-7/1"、"12/30-1/2"（跨年）、"20250305-06"、"114/3/5~7"、"3/5至3/7"
+ *   （結束日期無法解析、早於開始日期或超過 MAX_RANGE_DAYS 天時只保留開始日期，並記錄在 invalidRangeEnd）
+ * - 括號中的內容（星期）和時間會被忽略
+ * 不使用 new Date(字串) 的寬鬆解析（結果會因瀏覽器和語系而不同）
  * @param {string|number|Date} dateValue - Excel 中的日期值
- * @returns {Date|null} 解析後的 Date 物件（開始日期），失敗則返回 null
+ * @param {Object} [options]
+ * @param {number} [options.year] - 統計年度（預設為今年）
+ * @returns {{startDate: Date, endDate: Date, rule: string, isRange: boolean, normalized: boolean, invalidRangeEnd?: string}|null}
+ *   rule 為 DATE_RULES 的 key（範圍時為開始日期的規則），normalized 表示有轉換全形字元或分隔符號，
+ *   invalidRangeEnd 為沒有採用的結束日期文字（匯入檢查結果會列為警告）
  */
-export function parseDate(dateValue) {
-  if (!dateValue) return null;
-  
+export function normalizeDate(dateValue, options = {}) {
+  if (dateValue === null || dateValue === undefined || dateValue === '') return null;
+
+  const single = (date, rule, normalized = false) => (
+    date ? { startDate: date, endDate: date, rule, isRange: false, normalized } : null
+  );
+
   // 如果已經是 Date 物件
   if (dateValue instanceof Date) {
-    return isNaN(dateValue.getTime()) ? null : dateValue;
+    return single(isNaN(dateValue.getTime()) ? null : dateValue, 'date');
   }
-  
-  // 如果是數字（Excel 日期序列號）
+
+  // 如果是數字
   if (typeof dateValue === 'number') {
-    // Excel 日期從 1900-01-01 開始計算（但 Excel 錯誤地認為 1900 是閏年）
+    // 數字儲存格中的 20250305 或 1140305 視為連續數字日期
+    if (Number.isInteger(dateValue) && dateValue >= 1000000) {
+      return normalizeDate(String(dateValue), options);
+    }
+    // Excel 日期序列號：Excel 日期從 1900-01-01 開始計算（但 Excel 錯誤地認為 1900 是閏年）
     // 所以需要減去 1 天
     const excelEpoch = new Date(1899, 11, 30);
     const date = new Date(excelEpoch.getTime() + dateValue * 24 * 60 * 60 * 1000);
-    return isNaN(date.getTime()) ? null : date;
-  }
-  
-  // 轉換為字串
-  let dateStr = String(dateValue).trim();
-  if (!dateStr) return null;
-  
-  // 移除括號及其內容（星期資訊）
-  // 同時處理中文括號（全形）和英文括號（半形）
-  dateStr = dateStr
-    .replace(/\([^)]*\)/g, '')  // 移除英文括號及其內容
-    .replace(/（[^）]*）/g, '')  // 移除中文括號及其內容
-    .trim();
-  
-  // 預設年份為 2025
-  const defaultYear = 2025;
-  
-  // 處理日期範圍格式：如 "1/3-5" 或 "11/21-11/25"
-  // 先檢查是否有範圍符號 "-"
-  if (dateStr.includes('-')) {
-    const parts = dateStr.split('-');
-    if (parts.length === 2) {
-      const startPart = parts[0].trim();
-      const endPart = parts[1].trim();
-      
-      // 解析開始日期
-      // 格式可能是 "1/3" 或 "11/21"
-      const startMatch = startPart.match(/^(\d{1,2})\/(\d{1,2})$/);
-      if (startMatch) {
-        const month = parseInt(startMatch[1], 10);
-        const day = parseInt(startMatch[2], 10);
-        
-        // 驗證並建立開始日期
-        if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-          const startDate = new Date(defaultYear, month - 1, day);
-          if (startDate.getFullYear() === defaultYear && 
-              startDate.getMonth() === month - 1 && 
-              startDate.getDate() === day) {
-            // 返回開始日期（用於統計月份）
-            return startDate;
-          }
-        }
-      }
-    }
+    return single(isNaN(date.getTime()) ? null : date, 'excelSerial');
   }
-  
-  // 處理單一日期格式：如 "1/3" 或 "11/21"
-  const singleDateMatch = dateStr.match(/^(\d{1,2})\/(\d{1,2})$/);
-  if (singleDateMatch) {
-    const month = parseInt(singleDateMatch[1], 10);
-    const day = parseInt(singleDateMatch[2], 10);
-    
-    if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-      const date = new Date(defaultYear, month - 1, day);
-      if (date.getFullYear() === defaultYear && 
-          date.getMonth() === month - 1 && 
-          date.getDate() === day) {
-        return date;
-      }
-    }
+
+  const original = String(dateValue).trim();
+  if (!original) return null;
+
+  const halfWidth = toHalfWidth(original);
+  const normalized = halfWidth !== original;
+  const text = stripExtras(halfWidth);
+  if (!text) return null;
+
+  // 沒有年份的日期歸入統計年度
+  const defaultYear = typeof options.year === 'number' ? options.year : getDefaultReportingYear();
+
+  // 先嘗試單一日期
+  const matched = matchSingleDate(text, defaultYear);
+  if (matched) {
+    return single(matched.date, matched.rule, normalized);
   }
-  
-  // 嘗試其他標準格式（保留原有邏輯作為備用）
-  const patterns = [
-    // YYYY/MM/DD 或 YYYY/M/D
-    /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/,
-    // YYYY-MM-DD 或 YYYY-M-D
-    /^(\d{4})-(\d{1,2})-(\d{1,2})$/,
-    // YYYY年MM月DD日
-    /^(\d{4})年(\d{1,2})月(\d{1,2})日$/,
-    // MM/DD/YYYY 或 M/D/YYYY
-    /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/,
-    // YYYY.MM.DD
-    /^(\d{4})\.(\d{1,2})\.(\d{1,2})$/,
-  ];
-  
-  for (const pattern of patterns) {
-    const match = dateStr.match(pattern);
-    if (match) {
-      let year, month, day;
-      
-      if (pattern.source.includes('年')) {
-        // YYYY年MM月DD日
-        year = parseInt(match[1], 10);
-        month = parseInt(match[2], 10);
-        day = parseInt(match[3], 10);
-      } else if (pattern.source.startsWith('^\\d{4}')) {
-        // YYYY/MM/DD 或 YYYY-MM-DD
-        year = parseInt(match[1], 10);
-        month = parseInt(match[2], 10);
-        day = parseInt(match[3], 10);
-      } else {
-        // MM/DD/YYYY
-        month = parseInt(match[1], 10);
-        day = parseInt(match[2], 10);
-        year = parseInt(match[3], 10);
-      }
-      
-      // 驗證日期有效性
-      if (year >= 1900 && year <= 2100 && month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-        const date = new Date(year, month - 1, day);
-        // 驗證日期是否正確
-        if (date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day) {
-          return date;
-        }
-      }
+
+  // 再嘗試日期範圍：依序嘗試每個 "-" 的位置（"2025-03-05-06" 要在第三個 "-" 分開）
+  let startOnly = null;
+  for (let index = text.indexOf('-'); index !== -1; index = text.indexOf('-', index + 1)) {
+    const start = matchSingleDate(text.slice(0, index), defaultYear);
+    if (!start) continue;
+    const endDate = parseRangeEnd(text.slice(index + 1), start.date);
+    if (endDate) {
+      return { startDate: start.date, endDate, rule: start.rule, isRange: true, normalized };
     }
+    // 結束日期無法解析時，至少保留開始日期
+    if (!startOnly) startOnly = { ...start, invalidRangeEnd: text.slice(index + 1) };
   }
-  
-  // 嘗試使用 JavaScript 內建的 Date 解析
-  const parsed = new Date(dateStr);
-  if (!isNaN(parsed.getTime())) {
-    return parsed;
+  if (startOnly) {
+    return { ...single(startOnly.date, startOnly.rule, normalized), isRange: true, invalidRangeEnd: startOnly.invalidRangeEnd };
   }
-  
-  // 所有方法都失敗
-  console.warn('無法解析日期:', dateValue);
+
   return null;
 }
 
+/**
+ * 解析各種日期格式（沒有年份的日期會歸入統計年度），格式見 normalizeDate
+ * 日期範圍（例如 "1/3-5"、"6/30-7/1"）返回開始日期
+ * @param {string|number|Date} dateValue - Excel 中的日期值
+ * @param {Object} [options]
+ * @param {number} [options.year] - 統計年度（預設為今年）
+ * @returns {Date|null} 解析後的 Date 物件（開始日期），失敗則返回 null
+ */
+export function parseDate(dateValue, options = {}) {
+  const result = normalizeDate(dateValue, options);
+  return result ? result.startDate : null;
+}
+
 /**
  * 取得日期的月份（1-12）
  * @param {Date} date 
@@ -172,3 +310,63 @@ export function formatMonth(year, month) {
   return `${year}年${month}月`;
 }
 
+/**
+ * 是否為有效日期
+ * @param {*} date
+ * @returns {boolean}
+ */
+export function isValidDate(date) {
+  return date instanceof Date && !isNaN(date.getTime());
+}
+
+/**
+ * 日期的鍵（YYYY-MM-DD，使用本地時間）
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 顯示日期（跨日活動顯示起訖日期，例如 2025/6/30 - 2025/7/1）
+ * @param {Date} date
+ * @param {Date} [endDate]
+ * @returns {string} 不是有效日期時為空字串
+ */
+export function formatDate(date, endDate) {
+  if (!isValidDate(date)) return '';
+  const start = date.toLocaleDateString('zh-TW');
+  if (!isValidDate(endDate) || endDate.getTime() === date.getTime()) return start;
+  return `${start} - ${endDate.toLocaleDateString('zh-TW')}`;
+}
+
+/**
+ * 解析活動日期並保留開始與結束日期，格式見 normalizeDate
+ * - "1/3-5" -> { startDate: 1/3, endDate: 1/5 }
+ * - "6/30-7/1" -> { startDate: 6/30, endDate: 7/1 }
+ * - 單一日期 -> 開始與結束日期相同
+ * @param {string|number|Date} dateValue - Excel 中的日期值
+ * @param {Object} [options] - 同 parseDate
+ * @returns {{startDate: Date, endDate: Date, rule: string, invalidRangeEnd?: string}|null} 失敗則返回 null
+ */
+export function parseDateSpan(dateValue, options = {}) {
+  const result = normalizeDate(dateValue, options);
+  return result
+    ? { startDate: result.startDate, endDate: result.endDate, rule: result.rule, invalidRangeEnd: result.invalidRangeEnd }
+    : null;
+}
+
+/**
+ * 計算兩個日期之間的天數（包含開始和結束日期）
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {number} 天數
+ */
+export function getDaysBetween(startDate, endDate) {
+  const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  return Math.round((end.getTime() - start.getTime()) / (1000 * 60 * 60 * 24)) + 1;
+}
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeDate } from './dateParser.js';
+
+const day = (year, month, date) => new Date(year, month - 1, date).getTime();
+
+test('12 月跨到 1 月的範圍視為跨年', () => {
+  const result = normalizeDate('12/30-1/2', { year: 2025 });
+  assert.equal(result.startDate.getTime(), day(2025, 12, 30));
+  assert.equal(result.endDate.getTime(), day(2026, 1, 2));
+  assert.equal(result.invalidRangeEnd, undefined);
+});
+
+test('結束日期早於開始日期時不跨年，只保留開始日期並記錄結束日期', () => {
+  const result = normalizeDate('1/3-1/2', { year: 2025 });
+  assert.equal(result.startDate.getTime(), day(2025, 1, 3));
+  assert.equal(result.endDate.getTime(), day(2025, 1, 3));
+  assert.equal(result.invalidRangeEnd, '1/2');
+});
+
+test('超過 31 天的範圍不採用結束日期', () => {
+  assert.equal(normalizeDate('3/1-5/1', { year: 2025 }).invalidRangeEnd, '5/1');
+  assert.equal(normalizeDate('3/1-3/31', { year: 2025 }).endDate.getTime(), day(2025, 3, 31));
+});
@@ -0,0 +1,98 @@
+/**
+ * 匯入檢查結果（診斷訊息）
+ *
+ * 解析與統計函式接受 options.diagnostics（陣列），會把略過或可疑的資料列加入陣列；
+ * 沒有傳入時沿用原本的 console.warn 輸出。
+ *
+ * 診斷訊息格式：
+ * {
+ *   severity: 'error' | 'warning' | 'info',
+ *   source: 'manpower' | 'hourLog',
+ *   sheetName: string,
+ *   rowNumber: number | null,
+ *   field: string,        // 欄位名稱（例如「日期」、「服勤區」）
+ *   value: string,        // 原始儲存格內容
+ *   reason: string,       // 原因說明
+ * }
+ */
+
+/**
+ * 嚴重程度（依顯示順序）
+ */
+export const DIAGNOSTIC_SEVERITIES = [
+  { key: 'error', label: '錯誤', description: '資料列或人名已被略過，沒有計入統計' },
+  { key: 'warning', label: '警告', description: '資料已計入統計，但內容可疑（例如改用預設值），請確認' },
+  { key: 'info', label: '提示', description: '僅供參考' },
+];
+
+export const DIAGNOSTIC_SOURCES = {
+  manpower: '人力需求表',
+  hourLog: '時數登錄表',
+};
+
+/**
+ * 將儲存格的值轉為顯示用的文字
+ * @param {*} value - 儲存格的值
+ * @returns {string}
+ */
+function formatRawValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(t => t.text).join('');
+    if (value.result !== undefined) return formatRawValue(value.result);
+    if (value.text !== undefined) return String(value.text);
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * 記錄一筆診斷訊息
+ * @param {Array|undefined} diagnostics - 診斷訊息陣列（未提供則輸出到 console）
+ * @param {Object} entry - { severity, source, sheetName, rowNumber, field, value, reason }
+ */
+export function reportDiagnostic(diagnostics, entry) {
+  const diagnostic = {
+    severity: entry.severity || 'warning',
+    source: entry.source || '',
+    sheetName: entry.sheetName || '',
+    rowNumber: entry.rowNumber ?? null,
+    field: entry.field || '',
+    value: formatRawValue(entry.value),
+    reason: entry.reason || '',
+  };
+
+  if (Array.isArray(diagnostics)) {
+    diagnostics.push(diagnostic);
+    return;
+  }
+
+  const location = [
+    diagnostic.sheetName && `工作表 ${diagnostic.sheetName}`,
+    diagnostic.rowNumber && `第 ${diagnostic.rowNumber} 行`,
+  ].filter(Boolean).join(' ');
+  console.warn(`${location}：${diagnostic.reason}`, diagnostic.value);
+}
+
+/**
+ * 依嚴重程度分組（依 DIAGNOSTIC_SEVERITIES 的順序，每組內依來源、工作表、列號排序）
+ * @param {Array} diagnostics - 診斷訊息陣列
+ * @returns {Array<{severity: string, label: string, description: string, items: Array}>} 只包含有資料的分組
+ */
+export function groupDiagnosticsBySeverity(diagnostics) {
+  const sourceOrder = Object.keys(DIAGNOSTIC_SOURCES);
+  const compare = (a, b) =>
+    sourceOrder.indexOf(a.source) - sourceOrder.indexOf(b.source) ||
+    a.sheetName.localeCompare(b.sheetName, 'zh-TW') ||
+    (a.rowNumber || 0) - (b.rowNumber || 0);
+
+  return DIAGNOSTIC_SEVERITIES
+    .map(({ key, label, description }) => ({
+      severity: key,
+      label,
+      description,
+      items: diagnostics.filter(item => item.severity === key).sort(compare),
+    }))
+    .filter(group => group.items.length > 0);
+}
@@ -0,0 +1,283 @@
+import { getParticipantCredits, getParticipantNames, splitActivityPeriods } from './dataProcessor.js';
+import { getRegion } from './geography.js';
+import { getMonth, getYear, formatMonth, isValidDate } from './dateParser.js';
+import { getChartDefinition } from './chartRegistry.js';
+import { getCustomChartDefinitions, getCustomChartUnits } from './customCharts.js';
+import { countsTowardTotals } from './hourLogProcessor.js';
+
+/**
+ * 圖表明細（下鑽）
+ *
+ * 點選圖表的長條區段、圓餅切片或人名長條時，找出構成該數值的原始資料列。
+ * 每個圖表的 X 軸（或圓餅分類）、堆疊系列和固定條件來自 chartRegistry.js 的圖表定義：
+ * - spread：設定「跨月活動依日期分配天數」時，月份依實際日期判斷
+ * - volunteersOnly：只計入志工人數大於 0 的活動
+ * - source 為 hourLog：只使用時數登錄表
+ * - drillDown.activityType / drillDown.contentType：固定的活動類型、參與內容
+ * 篩選方式與 dataProcessor.js、hourLogProcessor.js 的統計相同；自訂圖表使用 customCharts.js 的計算單位。
+ */
+
+/**
+ * 人力需求表明細的欄位
+ */
+export const MANPOWER_DRILL_DOWN_COLUMNS = [
+  { key: 'sheetName', label: '工作表' },
+  { key: 'rowNumber', label: '列號', type: 'number' },
+  { key: 'date', label: '開始日期', type: 'date' },
+  { key: 'endDate', label: '結束日期', type: 'date' },
+  { key: 'activityName', label: '活動名稱' },
+  { key: 'activityType', label: '活動類型' },
+  { key: 'city', label: '縣市' },
+  { key: 'region', label: '地區' },
+  { key: 'days', label: '天數', type: 'number' },
+  { key: 'volunteerCount', label: '志工人數', type: 'number' },
+  { key: 'participants', label: '服勤區' },
+];
+
+/**
+ * 人名圖表（19、20、23）額外顯示的欄位：該志工在活動中計入的天數和時數
+ */
+export const VOLUNTEER_DRILL_DOWN_COLUMNS = [
+  { key: 'creditedDays', label: '計入天數', type: 'number' },
+  { key: 'creditedHours', label: '計入時數', type: 'number' },
+];
+
+/**
+ * 時數登錄表明細的欄位
+ */
+export const HOUR_LOG_DRILL_DOWN_COLUMNS = [
+  { key: 'sheetName', label: '工作表' },
+  { key: 'rowNumber', label: '列號', type: 'number' },
+  { key: 'date', label: '日期', type: 'date' },
+  { key: 'name', label: '登錄姓名' },
+  { key: 'standardName', label: '標準名稱' },
+  { key: 'content', label: '參與內容' },
+  { key: 'contentType', label: '分類' },
+  { key: 'hours', label: '時數', type: 'number' },
+];
+
+/**
+ * 活動所屬的月份標籤（與圖表 X 軸相同）
+ * @param {Object} record
+ * @param {boolean} spread - 是否依實際日期分配到各月份
+ * @returns {string[]}
+ */
+function getRecordMonthLabels(record, spread) {
+  if (!isValidDate(record.date)) return [];
+  if (!spread) return [formatMonth(getYear(record.date), getMonth(record.date))];
+  return splitActivityPeriods(record, { period: 'month' }).map(({ year, month }) => formatMonth(year, month));
+}
+
+/**
+ * 人力需求表活動的欄位值
+ * @param {Object} record
+ * @param {string} field - activityType | city | region
+ * @returns {string}
+ */
+function getRecordValue(record, field) {
+  const city = record.city || '未分類';
+  if (field === 'activityType') return record.activityType || '未分類';
+  if (field === 'city') return city;
+  if (field === 'region') return getRegion(city);
+  return '';
+}
+
+/**
+ * 轉為明細表格的資料列
+ * @param {Object} record - 人力需求表活動
+ * @param {Array} [credits] - 該志工在活動中的出勤（人名圖表）
+ * @returns {Object}
+ */
+function toManpowerRow(record, credits) {
+  const row = {
+    sheetName: record.sheetName,
+    rowNumber: record.rowNumber,
+    date: record.date,
+    endDate: isValidDate(record.endDate) ? record.endDate : record.date,
+    activityName: record.activityName,
+    activityType: record.activityType || '未分類',
+    city: record.city || '未分類',
+    region: getRegion(record.city || '未分類'),
+    days: record.days || 0,
+    volunteerCount: record.volunteerCount || 0,
+    participants: getParticipantNames(record).join('、'),
+  };
+  if (credits) {
+    row.creditedDays = credits.reduce((sum, credit) => sum + credit.days, 0);
+    row.creditedHours = credits.reduce((sum, credit) => sum + credit.hours, 0);
+  }
+  return row;
+}
+
+/**
+ * 轉為明細表格的資料列
+ * @param {Object} record - 處理後的時數登錄表資料
+ * @returns {Object}
+ */
+function toHourLogRow(record) {
+  return {
+    sheetName: record.sheetName,
+    rowNumber: record.rowNumber,
+    date: record.date,
+    name: record.name,
+    standardName: record.standardName,
+    content: record.content || '',
+    contentType: record.matchedContentType || '未分類',
+    hours: record.hours || 0,
+  };
+}
+
+/**
+ * 明細對話框的標題
+ * @param {number|string} chart - 圖表編號
+ * @param {string} xValue
+ * @param {string} [seriesKey]
+ * @returns {string}
+ */
+function getTitle(chart, xValue, seriesKey) {
+  return [`圖表 ${chart}`, [xValue, seriesKey].filter(Boolean).join('・')].join('：');
+}
+
+/**
+ * 找出構成自訂圖表某一段的原始資料列（依志工時附上該志工計入的天數和時數）
+ * @param {Object} definition - 自訂圖表的圖表定義（getCustomChartDefinitions 的項目）
+ * @param {{xValue: string, seriesKey?: string}} selection
+ * @param {Object} sources
+ * @param {Object} options
+ * @returns {Object} 同 getChartDrillDown
+ */
+function getCustomChartDrillDown(definition, { xValue, seriesKey }, sources, options) {
+  const units = getCustomChartUnits(definition.custom, { xValue, seriesKey }, sources, {
+    reportingYear: options.reportingYear,
+    spreadAcrossMonths: !!options.spreadAcrossMonths,
+  });
+  const byVolunteer = definition.x === 'volunteer' || definition.series === 'volunteer';
+  const manpowerRows = [];
+  const hourLogRows = [];
+  units.forEach(unit => {
+    if (unit.hourLog) {
+      hourLogRows.push(toHourLogRow(unit.record));
+    } else {
+      manpowerRows.push(toManpowerRow(unit.record, byVolunteer ? unit.credits : undefined));
+    }
+  });
+
+  return {
+    chart: definition.id,
+    title: getTitle(definition.id, String(xValue), seriesKey),
+    volunteer: definition.x === 'volunteer' ? String(xValue) : null,
+    manpowerColumns: byVolunteer
+      ? [...MANPOWER_DRILL_DOWN_COLUMNS, ...VOLUNTEER_DRILL_DOWN_COLUMNS]
+      : MANPOWER_DRILL_DOWN_COLUMNS,
+    manpowerRows,
+    hourLogColumns: HOUR_LOG_DRILL_DOWN_COLUMNS,
+    hourLogRows,
+  };
+}
+
+/**
+ * 找出構成圖表某一段的原始資料列
+ * @param {number|string} chart - 圖表編號（1-23，自訂圖表為「自訂1」…）
+ * @param {Object} selection
+ * @param {string} selection.xValue - 點選的 X 軸項目或圓餅分類（月份標籤、縣市、人名等）
+ * @param {string} [selection.seriesKey] - 點選的堆疊系列（活動類型、縣市、參與內容、年份等）
+ * @param {Object} sources
+ * @param {Array} [sources.manpowerData] - 圖表使用的人力需求表資料
+ * @param {Array} [sources.hourLogRecords] - 處理後的時數登錄表資料
+ * @param {Object} [options]
+ * @param {boolean} [options.spreadAcrossMonths] - 與圖表相同的設定
+ * @param {number} [options.reportingYear] - 統計年度（圖表 21、23 和自訂圖表的時數登錄只統計此年度）
+ * @param {Array} [options.customCharts] - 儲存的自訂圖表（與畫面相同的順序）
+ * @returns {{
+ *   chart: number|string, title: string, volunteer: string|null,
+ *   manpowerColumns: Array, manpowerRows: Array,
+ *   hourLogColumns: Array, hourLogRows: Array,
+ * }|null} 沒有此圖表時返回 null；volunteer 為人名圖表點選的志工
+ */
+export function getChartDrillDown(chart, { xValue, seriesKey } = {}, sources = {}, options = {}) {
+  const definition = getChartDefinition(chart)
+    || getCustomChartDefinitions(options.customCharts).find(item => item.id === chart);
+  if (!definition || xValue === undefined || xValue === null) return null;
+  if (definition.custom) return getCustomChartDrillDown(definition, { xValue, seriesKey }, sources, options);
+  const { manpowerData = [], hourLogRecords = [] } = sources;
+  const { x, series, spread, volunteersOnly } = definition;
+  const { activityType: fixedActivityType, contentType: fixedContentType } = definition.drillDown || {};
+  const hourLogOnly = definition.source === 'hourLog';
+  const xText = String(xValue);
+  const volunteer = x === 'name' ? xText : null;
+
+  const manpowerRows = [];
+  if (!hourLogOnly) {
+    manpowerData.forEach(record => {
+      if (volunteersOnly && !(record.volunteerCount > 0)) return;
+      if (fixedActivityType && (record.activityType || '未分類') !== fixedActivityType) return;
+      if (seriesKey !== undefined && series && getRecordValue(record, series) !== seriesKey) return;
+
+      if (x === 'month') {
+        if (!getRecordMonthLabels(record, spread && !!options.spreadAcrossMonths).includes(xText)) return;
+      } else if (x === 'name') {
+        const credits = getParticipantCredits(record).filter(credit => credit.name === xText);
+        if (credits.length === 0) return;
+        manpowerRows.push(toManpowerRow(record, credits));
+        return;
+      } else if (getRecordValue(record, x) !== xText) {
+        return;
+      }
+      manpowerRows.push(toManpowerRow(record));
+    });
+  }
+
+  const hourLogRows = [];
+  if (hourLogOnly || fixedContentType) {
+    hourLogRecords.forEach(record => {
+      if (record.standardName !== xText || !((record.hours || 0) > 0) || !countsTowardTotals(record)) return;
+      const contentType = record.matchedContentType || '未分類';
+      const year = isValidDate(record.date) ? getYear(record.date) : 0;
+      if (fixedContentType && contentType !== fixedContentType) return;
+      if (series === 'contentType' && seriesKey !== undefined && contentType !== seriesKey) return;
+      if (series === 'year') {
+        if (seriesKey !== undefined && String(year) !== String(seriesKey)) return;
+      } else if (typeof options.reportingYear === 'number' && year !== options.reportingYear) {
+        return;
+      }
+      hourLogRows.push(toHourLogRow(record));
+    });
+  }
+
+  return {
+    chart,
+    title: getTitle(chart, xText, seriesKey),
+    volunteer,
+    manpowerColumns: volunteer
+      ? [...MANPOWER_DRILL_DOWN_COLUMNS, ...VOLUNTEER_DRILL_DOWN_COLUMNS]
+      : MANPOWER_DRILL_DOWN_COLUMNS,
+    manpowerRows,
+    hourLogColumns: HOUR_LOG_DRILL_DOWN_COLUMNS,
+    hourLogRows,
+  };
+}
+
+/**
+ * 依欄位排序明細資料列（日期、數字、文字）
+ * @param {Array} rows
+ * @param {Object} column - 欄位定義（key、type）
+ * @param {'asc'|'desc'} direction
+ * @returns {Array} 排序後的新陣列
+ */
+export function sortDrillDownRows(rows, column, direction) {
+  const sign = direction === 'desc' ? -1 : 1;
+  const getValue = (row) => {
+    const value = row[column.key];
+    if (column.type === 'date') return isValidDate(value) ? value.getTime() : -Infinity;
+    if (column.type === 'number') return typeof value === 'number' ? value : -Infinity;
+    return value === undefined || value === null ? '' : String(value);
+  };
+  return [...rows].sort((a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    if (typeof valueA === 'string' || typeof valueB === 'string') {
+      return sign * String(valueA).localeCompare(String(valueB), 'zh-TW');
+    }
+    return sign * (valueA - valueB);
+  });
+}
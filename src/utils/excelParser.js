@@ -1,5 +1,11 @@
 import ExcelJS from 'exceljs';
-import { parseDate } from './dateParser.js';
+import { parseDateSpan, getDefaultReportingYear, MAX_RANGE_DAYS } from './dateParser.js';
+import { MANPOWER_FIELDS, ColumnMappingError, resolveColumns, getFieldValue } from './columnMapping.js';
+import { reportDiagnostic } from './diagnostics.js';
+import { normalizeCity } from './geography.js';
+
+// 無法解析的日期範圍
+const NO_DATE_RANGE = { days: 0, startDate: null, endDate: null };
 
 /**
  * 解析日期範圍，計算天數
@@ -9,17 +15,18 @@ import { parseDate } from './dateParser.js';
  * - "6/30-7/1" -> 2天（跨月）
  * @param {string} dateStr - 日期字串
  * @param {Date} activityDate - 活動日期（用於確定年份和處理只有日期沒有月份的情況）
- * @returns {number} 天數
+ * @returns {{days: number, startDate: Date|null, endDate: Date|null}} 天數和起訖日期，無法解析時天數為 0
  */
 function parseDateRange(dateStr, activityDate = null) {
-  if (!dateStr) return 0;
+  if (!dateStr) return NO_DATE_RANGE;
   
   const trimmed = dateStr.trim();
-  const defaultYear = 2025;
+  let defaultYear = getDefaultReportingYear();
   
-  // 從活動日期獲取月份（如果有的話）
+  // 從活動日期獲取年份和月份（如果有的話）
   let defaultMonth = null;
   if (activityDate && activityDate instanceof Date && !isNaN(activityDate.getTime())) {
+    defaultYear = activityDate.getFullYear();
     defaultMonth = activityDate.getMonth() + 1;
   }
   
@@ -35,21 +42,21 @@ function parseDateRange(dateStr, activityDate = null) {
       // 解析開始日期
       if (startPart.includes('/')) {
         const startMatch = startPart.match(/^(\d{1,2})\/(\d{1,2})$/);
-        if (!startMatch) return 0;
+        if (!startMatch) return NO_DATE_RANGE;
         startMonth = parseInt(startMatch[1], 10);
         startDay = parseInt(startMatch[2], 10);
       } else {
-        if (defaultMonth === null) return 0;
+        if (defaultMonth === null) return NO_DATE_RANGE;
         startMonth = defaultMonth;
         const day = parseInt(startPart, 10);
-        if (isNaN(day)) return 0;
+        if (isNaN(day)) return NO_DATE_RANGE;
         startDay = day;
       }
       
       // 解析結束日期
       if (endPart.includes('/')) {
         const endMatch = endPart.match(/^(\d{1,2})\/(\d{1,2})$/);
-        if (!endMatch) return 0;
+        if (!endMatch) return NO_DATE_RANGE;
         endMonth = parseInt(endMatch[1], 10);
         endDay = parseInt(endMatch[2], 10);
       } else {
@@ -59,7 +66,7 @@ function parseDateRange(dateStr, activityDate = null) {
           endMonth = defaultMonth || startMonth;
         }
         const day = parseInt(endPart, 10);
-        if (isNaN(day)) return 0;
+        if (isNaN(day)) return NO_DATE_RANGE;
         endDay = day;
       }
       
@@ -69,27 +76,29 @@ function parseDateRange(dateStr, activityDate = null) {
       
       if (startDate.getMonth() !== startMonth - 1 || startDate.getDate() !== startDay ||
           endDate.getMonth() !== endMonth - 1 || endDate.getDate() !== endDay) {
-        return 0;
+        return NO_DATE_RANGE;
       }
       
       const diffTime = endDate.getTime() - startDate.getTime();
       const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-      return diffDays + 1; // 包含開始和結束日期
+      if (diffDays < 0) return NO_DATE_RANGE;
+      return { days: diffDays + 1, startDate, endDate }; // 包含開始和結束日期
     }
+    return NO_DATE_RANGE;
   } else {
     // 單一日期格式
     const singleMatch = trimmed.match(/^(\d{1,2})\/(\d{1,2})$/);
-    if (!singleMatch) return 0;
+    if (!singleMatch) return NO_DATE_RANGE;
     
     const month = parseInt(singleMatch[1], 10);
     const day = parseInt(singleMatch[2], 10);
     
-    if (month < 1 || month > 12 || day < 1 || day > 31) return 0;
+    if (month < 1 || month > 12 || day < 1 || day > 31) return NO_DATE_RANGE;
     
     const date = new Date(defaultYear, month - 1, day);
-    if (date.getMonth() !== month - 1 || date.getDate() !== day) return 0;
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) return NO_DATE_RANGE;
     
-    return 1;
+    return { days: 1, startDate: date, endDate: date };
   }
 }
 
@@ -101,9 +110,11 @@ function parseDateRange(dateStr, activityDate = null) {
  * - "11/29：武治、岱華" -> 武治和岱華各算1天
  * @param {string|number} value - 服勤區欄位的值
  * @param {Date} activityDate - 活動日期（用於解析日期範圍）
- * @returns {Array<{name: string, days: number}>} 人名和天數陣列，days為0表示沒有日期信息
+ * @param {Function} [onInvalidDate] - 日期前綴無法解析時呼叫，參數為 (日期字串, 該行內容)
+ * @returns {Array<{name: string, days: number, startDate: Date|null, endDate: Date|null}>}
+ *   人名、天數和日期前綴的起訖日期，days為0表示沒有日期信息
  */
-function parseParticipants(value, activityDate = null) {
+function parseParticipants(value, activityDate = null, onInvalidDate = null) {
   if (!value) return [];
   
   let str = String(value).trim();
@@ -131,7 +142,10 @@ function parseParticipants(value, activityDate = null) {
       const namesStr = datePrefixMatch[2];
       
       // 解析日期範圍，計算天數
-      const days = parseDateRange(dateStr, activityDate);
+      const { days, startDate, endDate } = parseDateRange(dateStr, activityDate);
+      if (days === 0 && onInvalidDate) {
+        onInvalidDate(dateStr, line);
+      }
       
       // 解析人名（支援頓號、中文逗號、英文逗號）
       const nameSeparators = /[、，,]+/;
@@ -140,9 +154,9 @@ function parseParticipants(value, activityDate = null) {
         .map(name => name.trim())
         .filter(name => name.length > 0);
       
-      // 為每個人名添加天數信息
+      // 為每個人名添加天數和日期信息
       names.forEach(name => {
-        result.push({ name, days });
+        result.push({ name, days, startDate, endDate });
       });
     } else {
       // 沒有日期前綴，使用原有邏輯
@@ -153,7 +167,7 @@ function parseParticipants(value, activityDate = null) {
         .filter(name => name.length > 0);
       
       names.forEach(name => {
-        result.push({ name, days: 0 }); // days為0表示沒有日期信息
+        result.push({ name, days: 0, startDate: null, endDate: null }); // days為0表示沒有日期信息
       });
     }
   });
@@ -162,46 +176,116 @@ function parseParticipants(value, activityDate = null) {
 }
 
 /**
- * 讀取 Excel 檔案並解析資料
+ * 判斷工作表名稱是否為年份（例如 "2025"），是則返回年份
+ * @param {string} sheetName - 工作表名稱
+ * @returns {number|null} 年份，不是年份則返回 null
+ */
+export function getSheetYear(sheetName) {
+  const match = String(sheetName || '').trim().match(/^(\d{4})$/);
+  if (!match) return null;
+  const year = parseInt(match[1], 10);
+  return year >= 1900 && year <= 2100 ? year : null;
+}
+
+/**
+ * 讀取 Excel 檔案並解析所有以年份命名的工作表（例如 "2023"、"2024"、"2025"）
+ * 欄位依標題文字尋找（見 columnHeaders.js），每筆資料會標記所屬年份（year）和工作表名稱（sheetName）
  * @param {File} file - Excel 檔案
- * @returns {Promise<Array>} 解析後的資料陣列
+ * @param {Object} [options]
+ * @param {Object} [options.synonyms] - 額外的欄位標題同義詞 { [欄位名稱]: string[] }
+ * @param {Array} [options.mappings] - 欄位對應精靈儲存的對應（含工作表名稱、年份、標題列、欄位編號）
+ * @param {Array} [options.diagnostics] - 診斷訊息陣列，略過或可疑的資料列會加入此陣列（見 diagnostics.js）
+ * @returns {Promise<Array>} 解析後的資料陣列（依工作表年份排序）
+ * @throws {ColumnMappingError} 找不到工作表或工作表缺少必要欄位時
  */
-export async function parseExcelFile(file) {
+export async function parseExcelFile(file, options = {}) {
   const workbook = new ExcelJS.Workbook();
   const buffer = await file.arrayBuffer();
   await workbook.xlsx.load(buffer);
   
-  // 尋找名為 "2025" 的 sheet
-  const sheet = workbook.getWorksheet('2025');
-  if (!sheet) {
-    throw new Error('找不到名為 "2025" 的工作表');
+  // 尋找所有以年份命名的 sheet
+  let yearSheets = workbook.worksheets
+    .map(sheet => ({ sheet, year: getSheetYear(sheet.name) }))
+    .filter(item => item.year !== null);
+  
+  // 沒有以年份命名的 sheet 時，改用欄位對應精靈中指定的 sheet
+  if (yearSheets.length === 0 && Array.isArray(options.mappings)) {
+    yearSheets = options.mappings
+      .filter(mapping => mapping.sheetName && typeof mapping.year === 'number')
+      .map(mapping => ({ sheet: workbook.getWorksheet(mapping.sheetName), year: mapping.year }))
+      .filter(item => item.sheet);
   }
   
+  if (yearSheets.length === 0) {
+    throw new ColumnMappingError('找不到以年份命名的工作表（例如 "2025"）');
+  }
+  
+  yearSheets.sort((a, b) => a.year - b.year);
+  
+  return yearSheets.flatMap(({ sheet, year }) => parseManpowerSheet(sheet, year, options));
+}
+
+/**
+ * 解析單一年份的人力需求表工作表
+ * @param {Object} sheet - ExcelJS 工作表
+ * @param {number} year - 工作表年份（只有月/日的日期會歸入此年份）
+ * @param {Object} [options] - 同 parseExcelFile
+ * @returns {Array} 解析後的資料陣列
+ */
+function parseManpowerSheet(sheet, year, options = {}) {
+  // 依標題文字尋找欄位（找不到必要欄位會拋出 ColumnMappingError）
+  const { headerRow, columns } = resolveColumns(sheet, MANPOWER_FIELDS, {
+    kind: 'manpower',
+    synonyms: options.synonyms,
+    mappings: options.mappings,
+  });
+  
   const data = [];
+  const report = (rowNumber, field, value, reason, severity = 'error') => {
+    reportDiagnostic(options.diagnostics, {
+      severity,
+      source: 'manpower',
+      sheetName: sheet.name,
+      rowNumber,
+      field,
+      value,
+      reason,
+    });
+  };
   
-  // 從第 2 行開始讀取（假設第 1 行是標題）
+  // 從標題列的下一行開始讀取
   sheet.eachRow((row, rowNumber) => {
-    if (rowNumber === 1) return; // 跳過標題行
+    if (rowNumber <= headerRow) return; // 跳過標題行
     
     try {
-      // 讀取各欄位
-      // A: 日期, B: 活動名稱, C: 辦理情形, D: 天數, E: 活動類型, G: 縣市, L: 志工人數, N: 可登錄時數, Q: 服勤區
-      const dateValue = row.getCell('A').value;
-      const activityName = row.getCell('B').value;
-      const status = row.getCell('C').value;
-      const daysValue = row.getCell('D').value;
-      const activityType = row.getCell('E').value;
-      const city = row.getCell('G').value;
-      const volunteerCountValue = row.getCell('L').value;
-      const hoursValue = row.getCell('N').value;
-      const participantsValue = row.getCell('Q').value;
+      // 讀取各欄位：日期、活動名稱、辦理情形、天數、活動類型、縣市、志工人數、可登錄時數、服勤區
+      const dateValue = getFieldValue(row, columns, 'date');
+      const activityName = getFieldValue(row, columns, 'activityName');
+      const status = getFieldValue(row, columns, 'status');
+      const daysValue = getFieldValue(row, columns, 'days');
+      const activityType = getFieldValue(row, columns, 'activityType');
+      const city = getFieldValue(row, columns, 'city');
+      const volunteerCountValue = getFieldValue(row, columns, 'volunteerCount');
+      const hoursValue = getFieldValue(row, columns, 'hours');
+      const participantsValue = getFieldValue(row, columns, 'participants');
+      
+      // 跳過空行
+      if (!dateValue && !activityName && !participantsValue) {
+        return;
+      }
       
-      // 解析日期
-      const date = parseDate(dateValue);
-      if (!date) {
-        console.warn(`第 ${rowNumber} 行：無法解析日期`, dateValue);
+      // 解析日期（保留日期範圍的開始與結束日期，例如 6/30-7/1）
+      const span = parseDateSpan(dateValue, { year });
+      if (!span) {
+        report(rowNumber, '日期', dateValue, '無法解析日期，已略過此列');
         return; // 跳過無法解析日期的行
       }
+      const { startDate: date, endDate, rule: dateRule } = span;
+      if (span.invalidRangeEnd) {
+        report(rowNumber, '日期', dateValue,
+          `結束日期「${span.invalidRangeEnd}」無法解析、早於開始日期或超過 ${MAX_RANGE_DAYS} 天，以 ${date.toLocaleDateString('zh-TW')} 單日活動計算`,
+          'warning');
+      }
       
       // 解析天數
       let days = 0;
@@ -231,25 +315,32 @@ export async function parseExcelFile(file) {
       }
       
       // 解析服勤區人名（傳入活動日期以處理日期範圍）
-      const participants = parseParticipants(participantsValue, date);
+      const participants = parseParticipants(participantsValue, date, (dateStr, line) => {
+        report(rowNumber, '服勤區', line, `無法解析日期範圍 "${dateStr}"，這些人員的時數改用可登錄時數`, 'warning');
+      });
       
       // 建立資料物件
       const record = {
-        date,
+        date, // 開始日期
+        endDate, // 結束日期（單日活動與開始日期相同）
+        dateRule, // 符合的日期規則（DATE_RULES 的 key）
         activityName: String(activityName || '').trim(),
         status: String(status || '').trim(),
         days,
         activityType: String(activityType || '').trim(),
-        city: String(city || '').trim(),
+        city: normalizeCity(city), // 標準名稱（見 geography.js）
+        rawCity: String(city || '').trim(), // Excel 中的寫法（參考資料變更時重新轉換）
         volunteerCount,
         hours,
-        participants, // 現在是 { name: string, days: number }[] 格式
+        participants, // { name: string, days: number, startDate: Date|null, endDate: Date|null }[] 格式
+        year,
+        sheetName: sheet.name,
         rowNumber,
       };
       
       data.push(record);
     } catch (error) {
-      console.warn(`第 ${rowNumber} 行解析錯誤:`, error);
+      report(rowNumber, '', '', `解析錯誤，已略過此列：${error.message || error}`);
     }
   });
   
@@ -0,0 +1,191 @@
+import { keepParticipants } from './dataProcessor.js';
+import { getRegion } from './geography.js';
+import { getMonth, isValidDate } from './dateParser.js';
+import { getVolunteerNames } from './volunteerProfile.js';
+
+/**
+ * 全域篩選條件
+ *
+ * 篩選後的資料會用於所有統計圖表（圖表 1-23）和圖表資料匯出。
+ * 活動類型、縣市、地區、活動名稱只有人力需求表有，時數登錄表只套用日期、月份和志工條件；
+ * 設定了這些條件時，使用時數登錄表的圖表（21-23、依參與內容的自訂圖表）無法篩選到相同範圍，
+ * 不顯示也不匯出（見 hasManpowerOnlyFilters）。
+ *
+ * 篩選條件格式：
+ * {
+ *   startDate: string,        // 開始日期（YYYY-MM-DD，空字串表示不限）
+ *   endDate: string,          // 結束日期（YYYY-MM-DD，空字串表示不限）
+ *   months: number[],         // 月份（1-12，依活動開始日期）
+ *   activityTypes: string[],
+ *   cities: string[],
+ *   regions: string[],
+ *   activityName: string,     // 活動名稱包含的文字
+ *   volunteers: string[],     // 志工標準名稱
+ * }
+ */
+
+export const EMPTY_FILTERS = {
+  startDate: '',
+  endDate: '',
+  months: [],
+  activityTypes: [],
+  cities: [],
+  regions: [],
+  activityName: '',
+  volunteers: [],
+};
+
+export const FILTER_MONTHS = Array.from({ length: 12 }, (_, index) => index + 1);
+
+/**
+ * 將 YYYY-MM-DD 轉為當地時間的日期
+ * @param {string} value
+ * @param {boolean} [endOfDay] - 是否取當天結束時間
+ * @returns {Date|null}
+ */
+function parseDateInput(value, endOfDay = false) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (endOfDay) date.setHours(23, 59, 59, 999);
+  return date;
+}
+
+/**
+ * 是否有設定任何篩選條件
+ * @param {Object} filters
+ * @returns {boolean}
+ */
+export function hasActiveFilters(filters) {
+  return describeFilters(filters).length > 0;
+}
+
+/**
+ * 是否設定了只有人力需求表有的篩選條件（活動類型、縣市、地區、活動名稱）
+ * @param {Object} filters
+ * @returns {boolean}
+ */
+export function hasManpowerOnlyFilters(filters) {
+  const { activityTypes, cities, regions, activityName } = { ...EMPTY_FILTERS, ...filters };
+  return activityTypes.length > 0 || cities.length > 0 || regions.length > 0 || !!(activityName && activityName.trim());
+}
+
+/**
+ * 篩選條件的選項（從統計年度的資料中收集）
+ * @param {Object} sources
+ * @param {Array} [sources.manpowerData] - 人力需求表資料
+ * @param {Array} [sources.hourLogRecords] - 處理後的時數登錄表資料
+ * @param {Object} [sources.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @param {Object} [sources.geography] - 縣市與地區參考資料（預設為目前套用的資料）
+ * @returns {{activityTypes: string[], cities: string[], regions: string[], volunteers: string[]}}
+ */
+export function getFilterOptions({ manpowerData = [], hourLogRecords = [], aliasMap, geography } = {}) {
+  const activityTypes = new Set();
+  const cities = new Set();
+  const regions = new Set();
+  manpowerData.forEach(record => {
+    const city = record.city || '未分類';
+    activityTypes.add(record.activityType || '未分類');
+    cities.add(city);
+    regions.add(getRegion(city, geography));
+  });
+  const sort = (values) => Array.from(values).sort((a, b) => a.localeCompare(b, 'zh-TW'));
+  return {
+    activityTypes: sort(activityTypes),
+    cities: sort(cities),
+    regions: sort(regions),
+    volunteers: getVolunteerNames({ manpowerData, hourLogRecords, aliasMap }),
+  };
+}
+
+/**
+ * 篩選人力需求表資料
+ * - 日期區間：活動期間與區間重疊即保留
+ * - 志工：只保留有所選志工參與的活動，服勤區也只保留所選志工（圖表 19、20 只顯示所選志工）
+ * @param {Array} data - 人力需求表資料
+ * @param {Object} filters - 篩選條件（見檔案開頭說明）
+ * @param {Object} [options]
+ * @param {Object} [options.aliasMap] - 別名映射物件，志工條件依此比對標準名稱（預設為目前套用的映射表）
+ * @param {Object} [options.geography] - 縣市與地區參考資料，地區條件依此判斷（預設為目前套用的資料）
+ * @returns {Array} 篩選後的資料
+ */
+export function filterManpowerData(data, filters, options = {}) {
+  const { months, activityTypes, cities, regions, volunteers } = { ...EMPTY_FILTERS, ...filters };
+  const start = parseDateInput(filters?.startDate);
+  const end = parseDateInput(filters?.endDate, true);
+  const keyword = (filters?.activityName || '').trim().toLowerCase();
+  const volunteerSet = new Set(volunteers);
+
+  const result = [];
+  data.forEach(record => {
+    const city = record.city || '未分類';
+    if (start || end || months.length > 0) {
+      if (!isValidDate(record.date)) return;
+      const endDate = isValidDate(record.endDate) ? record.endDate : record.date;
+      if (start && endDate.getTime() < start.getTime()) return;
+      if (end && record.date.getTime() > end.getTime()) return;
+      if (months.length > 0 && !months.includes(getMonth(record.date))) return;
+    }
+    if (activityTypes.length > 0 && !activityTypes.includes(record.activityType || '未分類')) return;
+    if (cities.length > 0 && !cities.includes(city)) return;
+    if (regions.length > 0 && !regions.includes(getRegion(city, options.geography))) return;
+    if (keyword && !(record.activityName || '').toLowerCase().includes(keyword)) return;
+
+    if (volunteerSet.size > 0) {
+      const narrowed = keepParticipants(record, volunteerSet, options.aliasMap);
+      if (narrowed.participants.length === 0) return;
+      result.push(narrowed);
+      return;
+    }
+    result.push(record);
+  });
+  return result;
+}
+
+/**
+ * 篩選處理後的時數登錄表資料（只套用日期區間、月份和志工）
+ * @param {Array} records - 處理後的時數登錄表資料（processHourLogData 的結果）
+ * @param {Object} filters - 篩選條件（見檔案開頭說明）
+ * @returns {Array} 篩選後的資料
+ */
+export function filterHourLogRecords(records, filters) {
+  const { months, volunteers } = { ...EMPTY_FILTERS, ...filters };
+  const start = parseDateInput(filters?.startDate);
+  const end = parseDateInput(filters?.endDate, true);
+  const volunteerSet = new Set(volunteers);
+
+  return records.filter(record => {
+    if (start || end || months.length > 0) {
+      if (!isValidDate(record.date)) return false;
+      if (start && record.date.getTime() < start.getTime()) return false;
+      if (end && record.date.getTime() > end.getTime()) return false;
+      if (months.length > 0 && !months.includes(getMonth(record.date))) return false;
+    }
+    return volunteerSet.size === 0 || volunteerSet.has(record.standardName);
+  });
+}
+
+/**
+ * 列出目前設定的篩選條件（畫面摘要和匯出的篩選條件工作表使用）
+ * @param {Object} filters - 篩選條件（見檔案開頭說明）
+ * @returns {Array<{label: string, value: string}>} 沒有設定任何條件時為空陣列
+ */
+export function describeFilters(filters) {
+  const { startDate, endDate, months, activityTypes, cities, regions, activityName, volunteers } = {
+    ...EMPTY_FILTERS,
+    ...filters,
+  };
+  const items = [];
+  if (startDate || endDate) {
+    items.push({ label: '日期', value: `${startDate || '不限'} ～ ${endDate || '不限'}` });
+  }
+  if (months.length > 0) {
+    items.push({ label: '月份', value: [...months].sort((a, b) => a - b).map(month => `${month}月`).join('、') });
+  }
+  if (activityTypes.length > 0) items.push({ label: '活動類型', value: activityTypes.join('、') });
+  if (cities.length > 0) items.push({ label: '縣市', value: cities.join('、') });
+  if (regions.length > 0) items.push({ label: '地區', value: regions.join('、') });
+  if (activityName && activityName.trim()) items.push({ label: '活動名稱包含', value: activityName.trim() });
+  if (volunteers.length > 0) items.push({ label: '志工', value: volunteers.join('、') });
+  return items;
+}
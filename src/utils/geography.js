@@ -0,0 +1,307 @@
+import cityRegions from '../../cityRegions.js';
+
+/**
+ * 縣市與地區的參考資料
+ *
+ * 預設值定義在專案根目錄的 cityRegions.js，可在「管理縣市與地區」修改（保存在工作區）。
+ * 人力需求表的縣市在解析時轉成標準名稱（normalizeCity），圖表、篩選、匯出和明細
+ * 都從這裡取得縣市所屬地區、排列順序和顏色。
+ *
+ * 格式：
+ * {
+ *   regions: Array<{name: string, color: string}>,
+ *   cities: Array<{name: string, aliases: string[], region: string, color: string}>,
+ * }
+ */
+
+export const UNCLASSIFIED = '未分類';
+
+// 「未分類」地區的顏色
+const UNCLASSIFIED_COLOR = '#cccccc';
+
+export const EMPTY_CITY = { name: '', aliases: [], region: '', color: '' };
+
+/**
+ * 目前使用的參考資料；查詢表依參考資料物件快取
+ */
+let geography = null;
+const lookups = new WeakMap();
+
+/**
+ * 取得內建的參考資料（cityRegions.js）
+ * @returns {{regions: Array, cities: Array}}
+ */
+export function getDefaultGeography() {
+  return {
+    regions: cityRegions.regions.map(region => ({ ...region })),
+    cities: cityRegions.cities.map(city => ({ ...EMPTY_CITY, ...city, aliases: [...city.aliases] })),
+  };
+}
+
+/**
+ * 取得目前使用的參考資料
+ * @returns {{regions: Array, cities: Array}}
+ */
+export function getGeography() {
+  if (geography === null) {
+    geography = getDefaultGeography();
+  }
+  return geography;
+}
+
+/**
+ * 替換目前使用的參考資料（編輯器修改後立即套用）
+ * @param {Object|null} value - 參考資料，傳入 null 則恢復為內建的資料
+ */
+export function setGeography(value) {
+  geography = value
+    ? {
+      regions: value.regions.map(region => ({ ...region })),
+      cities: value.cities.map(city => ({ ...city, aliases: [...city.aliases] })),
+    }
+    : null;
+}
+
+/**
+ * 比對用的寫法：去除空白，「臺」視為「台」
+ * @param {string} value
+ * @returns {string}
+ */
+function toLookupKey(value) {
+  return String(value || '').replace(/\s+/g, '').replace(/臺/g, '台');
+}
+
+/**
+ * 檢查並整理參考資料（編輯器套用前）
+ * @param {*} value
+ * @returns {{regions: Array, cities: Array}} 整理後的參考資料（去除空白、重複的別名）
+ * @throws {Error} 格式錯誤時
+ */
+export function validateGeography(value) {
+  if (!value || !Array.isArray(value.regions) || !Array.isArray(value.cities)) {
+    throw new Error('縣市與地區必須包含 regions 和 cities 陣列');
+  }
+  if (value.regions.length === 0) {
+    throw new Error('至少需要一個地區');
+  }
+  const isColor = (color) => color === '' || /^#[0-9a-fA-F]{6}$/.test(color);
+
+  const regionNames = new Set();
+  const regions = value.regions.map((item, index) => {
+    const name = String(item?.name || '').trim();
+    if (!name) throw new Error(`第 ${index + 1} 個地區沒有名稱`);
+    if (name === UNCLASSIFIED) throw new Error(`地區名稱不能是「${UNCLASSIFIED}」`);
+    if (regionNames.has(name)) throw new Error(`地區「${name}」重複`);
+    regionNames.add(name);
+    const color = String(item.color || '').trim();
+    if (!isColor(color)) throw new Error(`地區「${name}」的顏色格式錯誤：${color}`);
+    return { name, color };
+  });
+
+  // 標準名稱和別名都不能重複（比對時不分「臺」、「台」）
+  const owners = new Map();
+  const claim = (spelling, cityName) => {
+    const key = toLookupKey(spelling);
+    const owner = owners.get(key);
+    if (owner && owner !== cityName) {
+      throw new Error(`「${spelling}」同時是「${owner}」和「${cityName}」的寫法`);
+    }
+    owners.set(key, cityName);
+  };
+
+  const cities = value.cities.map((item, index) => {
+    const name = String(item?.name || '').trim();
+    if (!name) throw new Error(`第 ${index + 1} 個縣市沒有名稱`);
+    if (name === UNCLASSIFIED) throw new Error(`縣市名稱不能是「${UNCLASSIFIED}」`);
+    if (owners.get(toLookupKey(name)) === name) throw new Error(`縣市「${name}」重複`);
+    claim(name, name);
+
+    const region = String(item.region || '').trim();
+    if (!regionNames.has(region)) throw new Error(`縣市「${name}」的地區「${region}」不存在`);
+    const color = String(item.color || '').trim();
+    if (!isColor(color)) throw new Error(`縣市「${name}」的顏色格式錯誤：${color}`);
+
+    const aliases = Array.from(new Set((item.aliases || []).map(alias => String(alias).trim())))
+      .filter(alias => alias && alias !== name);
+    return { name, aliases, region, color };
+  });
+  cities.forEach(city => city.aliases.forEach(alias => claim(alias, city.name)));
+
+  return { regions, cities };
+}
+
+/**
+ * 查詢表（每份參考資料建立一次）
+ * @param {{regions: Array, cities: Array}} [value] - 參考資料（預設為目前套用的資料）
+ * @returns {{cityByKey: Map, regionOrder: Map, cityOrder: Map}}
+ */
+function getLookup(value = getGeography()) {
+  if (!lookups.has(value)) {
+    const { regions, cities } = value;
+    const regionOrder = new Map(regions.map((region, index) => [region.name, index]));
+    const cityByKey = new Map();
+    const cityOrder = new Map();
+    cities.forEach((city, index) => {
+      cityByKey.set(toLookupKey(city.name), city);
+      city.aliases.forEach(alias => cityByKey.set(toLookupKey(alias), city));
+      cityOrder.set(city.name, [regionOrder.get(city.region) ?? regions.length, index]);
+    });
+    lookups.set(value, { cityByKey, regionOrder, cityOrder });
+  }
+  return lookups.get(value);
+}
+
+/**
+ * 將縣市的寫法轉成標準名稱（例如「臺北市」、「台北」轉成「台北市」）
+ * @param {*} value - Excel 中的縣市
+ * @returns {string} 標準名稱，找不到時返回去除前後空白的原始文字
+ */
+export function normalizeCity(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return '';
+  const city = getLookup().cityByKey.get(toLookupKey(text));
+  return city ? city.name : text;
+}
+
+/**
+ * 縣市是否在參考資料中（標準名稱或別名）
+ * @param {string} value
+ * @param {Object} [geographyValue] - 參考資料（預設為目前套用的資料）
+ * @returns {boolean}
+ */
+export function isKnownCity(value, geographyValue) {
+  return getLookup(geographyValue).cityByKey.has(toLookupKey(value));
+}
+
+/**
+ * 將縣市轉換為地區
+ * @param {string} city - 縣市名稱
+ * @param {Object} [geographyValue] - 參考資料（預設為目前套用的資料）
+ * @returns {string} 地區名稱，不在參考資料中的縣市為「未分類」
+ */
+export function getRegion(city, geographyValue) {
+  const matched = city ? getLookup(geographyValue).cityByKey.get(toLookupKey(city)) : null;
+  return matched ? matched.region : UNCLASSIFIED;
+}
+
+/**
+ * 地區名稱（依顯示順序）
+ * @returns {string[]}
+ */
+export function getRegionNames() {
+  return getGeography().regions.map(region => region.name);
+}
+
+/**
+ * 地區的排序鍵（依參考資料的順序，未分類在所有地區之後）
+ * @param {string} region
+ * @returns {number}
+ */
+export function getRegionOrder(region) {
+  const { regionOrder } = getLookup();
+  if (regionOrder.has(region)) return regionOrder.get(region);
+  return region === UNCLASSIFIED ? regionOrder.size : 99;
+}
+
+/**
+ * 比較兩個縣市的順序：先按地區，再按地區內順序，不在參考資料中的縣市依名稱，未分類放在最後
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function compareCities(a, b) {
+  if (a === UNCLASSIFIED || b === UNCLASSIFIED) return (a === UNCLASSIFIED) - (b === UNCLASSIFIED);
+  const { cityOrder } = getLookup();
+  const [regionA, orderA] = cityOrder.get(a) || [99, 999];
+  const [regionB, orderB] = cityOrder.get(b) || [99, 999];
+  if (regionA !== regionB) return regionA - regionB;
+  if (orderA !== orderB) return orderA - orderB;
+  return a.localeCompare(b, 'zh-TW');
+}
+
+/**
+ * 縣市排序（見 compareCities）
+ * @param {string[]} cities
+ * @returns {string[]} 排序後的新陣列
+ */
+export function sortCities(cities) {
+  return [...cities].sort(compareCities);
+}
+
+/**
+ * 地區顏色（包含「未分類」）
+ * @returns {Object} 地區名稱 -> 顏色
+ */
+export function getRegionColors() {
+  const colors = { [UNCLASSIFIED]: UNCLASSIFIED_COLOR };
+  getGeography().regions.forEach(region => {
+    if (region.color) colors[region.name] = region.color;
+  });
+  return colors;
+}
+
+/**
+ * 有指定顏色的縣市
+ * @returns {Object} 縣市標準名稱 -> 顏色
+ */
+export function getCityColors() {
+  const colors = {};
+  getGeography().cities.forEach(city => {
+    if (city.color) colors[city.name] = city.color;
+  });
+  return colors;
+}
+
+/**
+ * 依目前的參考資料重新轉換人力需求表的縣市（參考資料變更後使用，不需要重新解析檔案）
+ * @param {Array} data - 人力需求表資料（excelParser 的結果，rawCity 為 Excel 中的原始寫法）
+ * @returns {Array} 縣市有變更的資料列會換成新的物件
+ */
+export function renormalizeCities(data) {
+  return data.map(record => {
+    const city = normalizeCity(record.rawCity ?? record.city);
+    return city === record.city ? record : { ...record, city };
+  });
+}
+
+/**
+ * 整理不在參考資料中的縣市（依寫法合併，活動筆數多的在前）
+ * @param {Array} data - 人力需求表資料
+ * @param {Object} [geographyValue] - 參考資料（預設為目前套用的資料）
+ * @returns {Array<{city: string, count: number, records: Array}>}
+ */
+export function collectUnknownCities(data, geographyValue) {
+  const groups = new Map();
+  data.forEach(record => {
+    const city = record.city || '';
+    if (!city || isKnownCity(city, geographyValue)) return;
+    if (!groups.has(city)) {
+      groups.set(city, { city, count: 0, records: [] });
+    }
+    const group = groups.get(city);
+    group.count++;
+    group.records.push(record);
+  });
+  return Array.from(groups.values()).sort((a, b) =>
+    b.count - a.count || a.city.localeCompare(b.city, 'zh-TW')
+  );
+}
+
+/**
+ * 把寫法加入縣市的別名（編輯器中指定未知縣市時使用）
+ * @param {Object} value - 參考資料
+ * @param {string} name - 縣市標準名稱
+ * @param {string} alias - 寫法
+ * @returns {Object} 新的參考資料
+ */
+export function addCityAlias(value, name, alias) {
+  const text = String(alias || '').trim();
+  return {
+    ...value,
+    cities: value.cities.map(city => (
+      city.name === name && text && text !== city.name && !city.aliases.includes(text)
+        ? { ...city, aliases: [...city.aliases, text] }
+        : city
+    )),
+  };
+}
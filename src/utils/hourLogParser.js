@@ -1,46 +1,93 @@
 import ExcelJS from 'exceljs';
-import { parseDate } from './dateParser.js';
+import { normalizeDate, getDefaultReportingYear, DATE_RULES, MAX_RANGE_DAYS } from './dateParser.js';
+import { HOUR_LOG_FIELDS, ColumnMappingError, resolveColumns, getFieldValue } from './columnMapping.js';
+import { reportDiagnostic } from './diagnostics.js';
 
 /**
  * 讀取時數登錄表 Excel 檔案並解析資料
  * @param {File} file - Excel 檔案
+ * @param {Object} [options]
+ * @param {number} [options.year] - 統計年度（只有月/日的日期會歸入此年度，預設為今年）
+ * @param {Object} [options.synonyms] - 額外的欄位標題同義詞 { [欄位名稱]: string[] }
+ * @param {Array} [options.mappings] - 欄位對應精靈儲存的對應（含工作表名稱、標題列、欄位編號）
+ * @param {Array} [options.diagnostics] - 診斷訊息陣列，略過的資料列會加入此陣列（見 diagnostics.js）
  * @returns {Promise<Array>} 解析後的資料陣列
+ * @throws {ColumnMappingError} 找不到工作表或工作表缺少必要欄位時
  */
-export async function parseHourLogFile(file) {
+export async function parseHourLogFile(file, options = {}) {
+  const year = typeof options.year === 'number' ? options.year : getDefaultReportingYear();
   const workbook = new ExcelJS.Workbook();
   const buffer = await file.arrayBuffer();
   await workbook.xlsx.load(buffer);
   
-  // 尋找名為 "表單回應" 的 sheet
-  const sheet = workbook.getWorksheet('表單回應');
+  // 尋找名為 "表單回應" 的 sheet，找不到時改用欄位對應精靈中指定的 sheet
+  const mappedSheet = (options.mappings || [])
+    .map(mapping => mapping.sheetName && workbook.getWorksheet(mapping.sheetName))
+    .find(Boolean);
+  const sheet = workbook.getWorksheet('表單回應') || mappedSheet;
   if (!sheet) {
-    throw new Error('找不到名為 "表單回應" 的工作表');
+    throw new ColumnMappingError('找不到名為 "表單回應" 的工作表');
   }
   
+  // 依標題文字尋找欄位（找不到必要欄位會拋出 ColumnMappingError）
+  const { headerRow, columns } = resolveColumns(sheet, HOUR_LOG_FIELDS, {
+    kind: 'hourLog',
+    synonyms: options.synonyms,
+    mappings: options.mappings,
+  });
+  
   const data = [];
+  const report = (rowNumber, field, value, reason, severity = 'error') => {
+    reportDiagnostic(options.diagnostics, {
+      severity,
+      source: 'hourLog',
+      sheetName: sheet.name,
+      rowNumber,
+      field,
+      value,
+      reason,
+    });
+  };
   
-  // 從第 2 行開始讀取（假設第 1 行是標題）
+  // 從標題列的下一行開始讀取
   sheet.eachRow((row, rowNumber) => {
-    if (rowNumber === 1) return; // 跳過標題行
+    if (rowNumber <= headerRow) return; // 跳過標題行
     
     try {
-      // 讀取各欄位
-      // B: 志工姓名, C: 日期, D: 參與內容, F: 參與時數
-      const nameValue = row.getCell('B').value;
-      const dateValue = row.getCell('C').value;
-      const contentValue = row.getCell('D').value;
-      const hoursValue = row.getCell('F').value;
+      // 讀取各欄位：志工姓名、日期、參與內容、參與時數
+      const nameValue = getFieldValue(row, columns, 'name');
+      const dateValue = getFieldValue(row, columns, 'date');
+      const contentValue = getFieldValue(row, columns, 'content');
+      const hoursValue = getFieldValue(row, columns, 'hours');
       
       // 跳過空行
       if (!nameValue && !dateValue && !contentValue && !hoursValue) {
         return;
       }
       
-      // 解析日期
-      const date = parseDate(dateValue);
-      if (!date) {
+      // 解析日期（支援民國年、全形數字、YYYYMMDD 和日期範圍，見 normalizeDate）
+      const parsedDate = normalizeDate(dateValue, { year });
+      if (!parsedDate) {
+        report(rowNumber, '日期', dateValue, '無法解析日期，已略過此列');
         return; // 跳過無法解析日期的行
       }
+      const { startDate: date, endDate, rule: dateRule } = parsedDate;
+      
+      if (parsedDate.invalidRangeEnd) {
+        report(rowNumber, '日期', dateValue,
+          `結束日期「${parsedDate.invalidRangeEnd}」無法解析、早於開始日期或超過 ${MAX_RANGE_DAYS} 天，以開始日期 ${date.toLocaleDateString('zh-TW')} 計算`,
+          'warning');
+      } else if (DATE_RULES[dateRule]?.unusual || parsedDate.normalized) {
+        // 非標準的日期格式列為提示，方便檢查是否解析正確
+        const notes = [
+          DATE_RULES[dateRule]?.label,
+          parsedDate.isRange && '日期範圍',
+          parsedDate.normalized && '已轉換全形字元或分隔符號',
+        ].filter(Boolean).join('、');
+        const formatted = date.toLocaleDateString('zh-TW');
+        const formattedEnd = endDate > date ? ` 至 ${endDate.toLocaleDateString('zh-TW')}` : '';
+        report(rowNumber, '日期', dateValue, `依「${notes}」解析為 ${formatted}${formattedEnd}`, 'info');
+      }
       
       // 解析時數
       let hours = 0;
@@ -54,18 +101,25 @@ export async function parseHourLogFile(file) {
       // 建立資料物件
       const record = {
         name: String(nameValue || '').trim(),
-        date,
+        date, // 開始日期
+        endDate, // 結束日期（單日與開始日期相同）
+        dateRule, // 符合的日期規則（DATE_RULES 的 key）
         content: String(contentValue || '').trim(),
         hours,
+        sheetName: sheet.name,
         rowNumber,
       };
       
       // 只添加有效的記錄（至少要有姓名和時數）
-      if (record.name && record.hours > 0) {
+      if (!record.name) {
+        report(rowNumber, '志工姓名', nameValue, '沒有志工姓名，已略過此列');
+      } else if (record.hours <= 0) {
+        report(rowNumber, '參與時數', hoursValue, '參與時數為空或不是正數，已略過此列');
+      } else {
         data.push(record);
       }
     } catch (error) {
-      console.warn(`第 ${rowNumber} 行解析錯誤:`, error);
+      report(rowNumber, '', '', `解析錯誤，已略過此列：${error.message || error}`);
     }
   });
   
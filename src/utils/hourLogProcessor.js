@@ -1,35 +1,36 @@
-import { getLastNameTwoChars, findNameByLastTwoChars } from './nameAliases.js';
-import reportType from '../../reportType.js';
-import { getYear } from './dateParser.js';
+import { getLastNameTwoChars, matchHourLogName } from './nameAliases.js';
+import { matchContentType, getContentTaxonomy } from './contentTaxonomy.js';
+import { getYear, getDefaultReportingYear } from './dateParser.js';
+import { reportDiagnostic } from './diagnostics.js';
 
 /**
- * 根據參與內容匹配 reportType
- * @param {string} content - 參與內容
- * @returns {string|null} 匹配到的 reportType，如果沒有匹配則返回 null
+ * 是否計入時數統計（分類設定為「不計入時數統計」的登錄不計入）
+ * @param {Object} record - 處理後的時數登錄表資料
+ * @returns {boolean}
  */
-function matchReportType(content) {
-  if (!content || typeof content !== 'string') return null;
-  
-  // 檢查參與內容是否包含 reportType 中的任何一個字串
-  for (const type of reportType) {
-    if (content.includes(type)) {
-      return type;
-    }
-  }
-  
-  return null;
+export function countsTowardTotals(record) {
+  return !record.excludedFromTotals;
 }
 
 /**
  * 處理時數登錄表數據
  * 提取志工姓名最後兩個字元，使用 nameAliases 進行比對，統計時數
- * 同時檢查參與內容是否匹配 reportType
+ * 無法確定是哪一位志工時（見 matchHourLogName）以完整姓名統計，並標記 ambiguousCandidates（見 collectAmbiguousNames）
+ * 同時依參與內容分類（見 contentTaxonomy.js）找出每筆的分類
  * @param {Array} data - 時數登錄表原始數據
+ * @param {Object} [options]
+ * @param {Array} [options.diagnostics] - 診斷訊息陣列，找不到姓名對應、姓名對應到多位志工或找不到參與內容分類時會加入此陣列
+ * @param {Iterable<string>} [options.rosterNames] - 服勤區中出現的原始人名（與時數登錄表的姓名一起找出最後兩字相同的姓名）
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @param {Array} [options.taxonomy] - 參與內容分類清單（預設為目前套用的分類）
  * @returns {Array} 處理後的數據，包含標準化姓名和分類後的參與內容
  */
-export function processHourLogData(data) {
+export function processHourLogData(data, options = {}) {
   const processed = [];
-  const errors = [];
+  const knownNames = new Set(options.rosterNames || []);
+  data.forEach(record => {
+    if (record.name) knownNames.add(String(record.name).trim());
+  });
   
   data.forEach(record => {
     const originalName = record.name;
@@ -38,53 +39,102 @@ export function processHourLogData(data) {
     // 提取姓名最後兩個字元
     const lastTwoChars = getLastNameTwoChars(originalName);
     
-    // 在 nameAliases 中查找對應的標準名稱
-    const standardName = findNameByLastTwoChars(lastTwoChars);
+    // 在 nameAliases 中查找對應的標準名稱（完整姓名優先，其次最後兩字）
+    const { standardName, matched, ambiguous, candidates, similarNames } = matchHourLogName(originalName, {
+      knownNames,
+      aliasMap: options.aliasMap,
+    });
     
-    if (!standardName) {
-      // 找不到對應的別名，記錄錯誤
-      const errorMsg = `找不到志工姓名對應: ${originalName} (最後兩字: ${lastTwoChars})`;
-      errors.push(errorMsg);
-      console.error(errorMsg);
+    if (ambiguous) {
+      // 最後兩字對應到多位志工（如林志明、王志明），或有其他姓名的最後兩字相同（如林一荷、王一荷），不自動合併
+      const detail = candidates.length > 1
+        ? `對應到多位志工（${candidates.join('、')}）`
+        : `對應到「${candidates[0]}」，但「${similarNames.join('、')}」的最後兩字也相同`;
+      reportDiagnostic(options.diagnostics, {
+        severity: 'warning',
+        source: 'hourLog',
+        sheetName: record.sheetName,
+        rowNumber: record.rowNumber,
+        field: '志工姓名',
+        value: originalName,
+        reason: `姓名最後兩字「${lastTwoChars}」${detail}，暫以「${standardName}」統計，請在「姓名待確認」選擇`,
+      });
+    } else if (!matched) {
+      // 找不到對應的別名，以完整姓名統計
+      reportDiagnostic(options.diagnostics, {
+        severity: 'warning',
+        source: 'hourLog',
+        sheetName: record.sheetName,
+        rowNumber: record.rowNumber,
+        field: '志工姓名',
+        value: originalName,
+        reason: `找不到志工姓名對應（最後兩字：${lastTwoChars}），以「${standardName}」統計`,
+      });
     }
     
-    // 檢查參與內容是否匹配 reportType
+    // 依參與內容分類的關鍵字和優先順序比對
     const originalContent = record.content || '';
-    const matchedType = matchReportType(originalContent);
+    const matchedType = matchContentType(originalContent, options.taxonomy);
     
     if (!matchedType) {
-      // 沒有匹配到任何 reportType，記錄錯誤
-      const errorMsg = `找不到參與內容分類: "${originalContent}" (第 ${record.rowNumber} 行)`;
-      errors.push(errorMsg);
-      console.error(errorMsg);
+      // 沒有符合的分類，歸入「未分類」
+      reportDiagnostic(options.diagnostics, {
+        severity: 'warning',
+        source: 'hourLog',
+        sheetName: record.sheetName,
+        rowNumber: record.rowNumber,
+        field: '參與內容',
+        value: originalContent,
+        reason: '找不到參與內容分類，歸入「未分類」',
+      });
     }
     
-    // 使用匹配到的 reportType 或原始內容
     processed.push({
       ...record,
-      standardName: standardName || lastTwoChars || originalName,
-      matchedContentType: matchedType || '未分類',
+      standardName,
+      ambiguousCandidates: ambiguous ? candidates : null,
+      matchedContentType: matchedType ? matchedType.name : '未分類',
+      contentGroup: matchedType ? matchedType.group : null,
+      excludedFromTotals: !!matchedType?.excludeFromTotals,
     });
   });
   
-  // 如果有錯誤，打印錯誤訊息
-  if (errors.length > 0) {
-    console.error('時數登錄表處理錯誤：');
-    errors.forEach(error => console.error('  -', error));
-  }
-  
   return processed;
 }
 
 /**
- * 計算各志工依參與內容分類的時數
- * 使用 reportType 作為分類標準
+ * 整理「姓名待確認」清單：無法確定是哪一位志工、需要選擇的時數登錄表姓名（見 matchHourLogName）
+ * @param {Array} processedData - 處理後的時數登錄表數據（processHourLogData 的結果）
+ * @returns {Array<{name: string, candidates: string[], count: number, hours: number, records: Array}>}
+ *   依姓名排序；records 為該姓名的所有登錄資料
+ */
+export function collectAmbiguousNames(processedData) {
+  const groups = new Map();
+  processedData.forEach(record => {
+    if (!record.ambiguousCandidates) return;
+    const name = String(record.name).trim();
+    if (!groups.has(name)) {
+      groups.set(name, { name, candidates: record.ambiguousCandidates, count: 0, hours: 0, records: [] });
+    }
+    const group = groups.get(name);
+    group.count++;
+    group.hours += record.hours || 0;
+    group.records.push(record);
+  });
+  return Array.from(groups.values()).sort((a, b) => a.name.localeCompare(b.name, 'zh-TW'));
+}
+
+/**
+ * 計算各志工依參與內容分類的時數（僅統計年度內的資料，圖表 21）
+ * 使用參與內容分類（contentTaxonomy.js）作為分類標準，不計入時數統計的分類略過
  * @param {Array} processedData - 處理後的時數登錄表數據
- * @returns {Array} 統計資料 [{ name: string, [參與內容1]: number, [參與內容2]: number, ... }]
+ * @param {Object} [options]
+ * @param {number} [options.year] - 統計年度（預設為今年）
+ * @returns {{data: Array, contentTypes: Array}} 統計資料 [{ name: string, [參與內容1]: number, [參與內容2]: number, ... }]
  */
-export function calculateVolunteerHoursByContent(processedData) {
-  // 預設僅統計 2025 年（保留既有圖表 21 的行為）
-  return calculateVolunteerHoursByContentWithOptions(processedData, { year: 2025 });
+export function calculateVolunteerHoursByContent(processedData, options = {}) {
+  const year = typeof options.year === 'number' ? options.year : getDefaultReportingYear();
+  return calculateVolunteerHoursByContentWithOptions(processedData, { year });
 }
 
 /**
@@ -98,8 +148,11 @@ export function calculateVolunteerHoursByContent(processedData) {
  */
 export function calculateVolunteerHoursByContentWithOptions(processedData, options = {}) {
   const stats = {};
-  // 使用 reportType 作為內容類型集合（加上「未分類」）
-  const contentTypes = new Set([...reportType, '未分類']);
+  // 使用參與內容分類作為內容類型集合（不含不計入時數統計的分類，加上「未分類」）
+  const contentTypes = new Set([
+    ...getContentTaxonomy().filter(category => !category.excludeFromTotals).map(category => category.name),
+    '未分類',
+  ]);
   const {
     years,
     year,
@@ -117,9 +170,10 @@ export function calculateVolunteerHoursByContentWithOptions(processedData, optio
     if (yearsSet && !yearsSet.has(recordYear)) return;
     if (!yearsSet && useYearRange && (recordYear < startYear || recordYear > endYear)) return;
     if (!yearsSet && !useYearRange && useSingleYear && recordYear !== year) return;
+    if (!countsTowardTotals(record)) return;
 
     const name = record.standardName;
-    // 使用匹配到的 reportType 或「未分類」
+    // 使用符合的分類或「未分類」
     const content = record.matchedContentType || '未分類';
     const hours = record.hours || 0;
     
@@ -141,7 +195,7 @@ export function calculateVolunteerHoursByContentWithOptions(processedData, optio
   // 轉換為陣列格式，適合圖表顯示
   const result = Object.entries(stats).map(([name, contents]) => {
     const item = { name };
-    // 為每個 reportType 添加數值（如果該志工沒有該類型，則為0）
+    // 為每個分類添加數值（如果該志工沒有該類型，則為0）
     contentTypes.forEach(content => {
       item[content] = contents[content] || 0;
     });
@@ -163,7 +217,7 @@ export function calculateVolunteerHoursByContentWithOptions(processedData, optio
     return totalB - totalA;
   });
   
-  // 過濾掉沒有數據的 reportType（只保留有數據的類型）
+  // 過濾掉沒有數據的分類（只保留有數據的類型）
   const usedContentTypes = new Set();
   result.forEach(item => {
     Object.keys(item).forEach(key => {
@@ -204,6 +258,7 @@ export function calculateVolunteerTotalHoursForContentType(processedData, option
     if (yearsSet && !yearsSet.has(recordYear)) return;
     if (!yearsSet && useYearRange && (recordYear < startYear || recordYear > endYear)) return;
     if (!yearsSet && !useYearRange && useSingleYear && recordYear !== year) return;
+    if (!countsTowardTotals(record)) return;
 
     const name = record.standardName;
     const hours = record.hours || 0;
@@ -246,6 +301,7 @@ export function calculateVolunteerHoursForContentTypeByYear(processedData, optio
   processedData.forEach(record => {
     const recordYear = record?.date ? getYear(record.date) : 0;
     if (years.length > 0 && !yearsSet.has(recordYear)) return;
+    if (!countsTowardTotals(record)) return;
 
     const name = record.standardName;
     const hours = record.hours || 0;
@@ -276,3 +332,22 @@ export function calculateVolunteerHoursForContentTypeByYear(processedData, optio
 
   return { data, years, contentType, startYear, endYear };
 }
+
+/**
+ * 計算圖表 21-23 使用的時數登錄表統計資料：統計年度依參與內容的時數（圖表 21）和近三年回流訓練時數（圖表 22）
+ * @param {Array} processedData - 處理後的時數登錄表數據
+ * @param {Object} options
+ * @param {number} options.year - 統計年度
+ * @returns {{data: Array, contentTypes: Array, retraining: Object}}
+ */
+export function calculateHourLogChartData(processedData, options = {}) {
+  const year = typeof options.year === 'number' ? options.year : getDefaultReportingYear();
+  return {
+    ...calculateVolunteerHoursByContent(processedData, { year }),
+    retraining: calculateVolunteerHoursForContentTypeByYear(processedData, {
+      contentType: '回流訓練',
+      startYear: year - 2,
+      endYear: year,
+    }),
+  };
+}
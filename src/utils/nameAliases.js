@@ -1,4 +1,5 @@
-import nameAliases from '../../nameAliases.json';
+// 加上 type: 'json' 讓 Node 也能直接載入（generateReport.js）
+import nameAliases from '../../nameAliases.json' with { type: 'json' };
 
 /**
  * 別名映射表
@@ -12,20 +13,36 @@ let aliasMap = null;
  */
 export function getAliasMap() {
   if (aliasMap === null) {
-    aliasMap = nameAliases || {};
+    aliasMap = getDefaultAliasMap();
   }
   return aliasMap;
 }
 
+/**
+ * 取得建置時內建的別名映射表（nameAliases.json）
+ * @returns {Object} 別名映射物件 { 原始名稱: 標準名稱 }
+ */
+export function getDefaultAliasMap() {
+  return { ...(nameAliases || {}) };
+}
+
+/**
+ * 替換目前使用的別名映射表（別名編輯器修改後立即套用）
+ * @param {Object|null} map - 別名映射物件，傳入 null 則恢復為內建的映射表
+ */
+export function setAliasMap(map) {
+  aliasMap = map ? { ...map } : null;
+}
+
 /**
  * 將人名轉換為標準名稱（使用別名映射）
  * @param {string} name - 原始人名
+ * @param {Object} [map] - 別名映射物件（預設為目前套用的映射表）
  * @returns {string} 標準名稱
  */
-export function normalizeName(name) {
+export function normalizeName(name, map = getAliasMap()) {
   if (!name) return name;
   
-  const map = getAliasMap();
   // 如果映射表中存在，返回標準名稱；否則返回原始名稱
   return map[name] || name;
 }
@@ -33,11 +50,12 @@ export function normalizeName(name) {
 /**
  * 將人名陣列轉換為標準名稱陣列
  * @param {string[]} names - 原始人名陣列
+ * @param {Object} [map] - 別名映射物件（預設為目前套用的映射表）
  * @returns {string[]} 標準名稱陣列
  */
-export function normalizeNames(names) {
+export function normalizeNames(names, map = getAliasMap()) {
   if (!names || !Array.isArray(names)) return [];
-  return names.map(name => normalizeName(name));
+  return names.map(name => normalizeName(name, map));
 }
 
 /**
@@ -56,29 +74,77 @@ export function getLastNameTwoChars(name) {
 }
 
 /**
- * 根據最後兩個字元在 nameAliases 中查找對應的標準名稱
+ * 找出最後兩個字元相同的所有標準名稱（不重複）
+ * 例如映射表有 "林志明": "林志明" 和 "王志明": "王志明" 時，「志明」對應到兩位志工
  * @param {string} lastTwoChars - 姓名的最後兩個字元
- * @returns {string|null} 標準名稱，如果找不到則返回 null
+ * @param {Object} [map] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {string[]} 標準名稱陣列
  */
-export function findNameByLastTwoChars(lastTwoChars) {
-  if (!lastTwoChars || lastTwoChars.length === 0) return null;
-  
-  const map = getAliasMap();
+export function findCanonicalsByLastTwoChars(lastTwoChars, map = getAliasMap()) {
+  if (!lastTwoChars || lastTwoChars.length === 0) return [];
 
-  // 最常見情境：映射表直接以「最後兩字」作為 key
-  // 例如："彥甫": "小侯"
+  const canonicals = new Set();
   if (map[lastTwoChars]) {
-    return map[lastTwoChars];
+    canonicals.add(map[lastTwoChars]);
   }
+  Object.entries(map).forEach(([key, value]) => {
+    if (getLastNameTwoChars(key) === lastTwoChars) {
+      canonicals.add(value);
+    }
+  });
+  return Array.from(canonicals);
+}
 
-  // 否則：允許 key 是更完整的名字（例如：王彥甫 -> 小侯），用 key 的最後兩字來比對
-  for (const [key, value] of Object.entries(map)) {
-    const keyLastTwo = getLastNameTwoChars(key);
-    if (keyLastTwo === lastTwoChars) {
-      return value; // 返回標準名稱
+/**
+ * 找出最後兩個字元相同的其他完整姓名（三個字以上，不含姓名本身）
+ * 例如「林一荷」和「王一荷」都出現時，即使映射表只有「一荷」，也無法確定兩人都是一荷
+ * @param {string} name - 完整姓名（已去除空白）
+ * @param {Iterable<string>} [knownNames] - 時數登錄表和服勤區中出現的原始姓名
+ * @param {Object} [map] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {string[]} 依出現順序，映射表的 key 在前
+ */
+function findSimilarFullNames(name, knownNames = [], map = getAliasMap()) {
+  const lastTwoChars = getLastNameTwoChars(name);
+  const similar = new Set();
+  [...Object.keys(map), ...knownNames].forEach(other => {
+    const trimmed = String(other || '').trim();
+    if (trimmed.length > 2 && trimmed !== name && getLastNameTwoChars(trimmed) === lastTwoChars) {
+      similar.add(trimmed);
     }
-  }
-  
-  return null;
+  });
+  return Array.from(similar);
 }
 
+/**
+ * 比對時數登錄表姓名的標準名稱
+ * 映射表中有完整姓名時優先使用（別名編輯器設定或「姓名待確認」選擇的對應），否則以最後兩個字元比對。
+ * 以下情況無法確定是哪一位志工（ambiguous），不合併，暫以完整姓名統計：
+ * - 最後兩字對應到多位志工（映射表有「林志明」「王志明」）
+ * - 有其他完整姓名的最後兩字相同（時數登錄表或服勤區同時出現「林一荷」「王一荷」）
+ * 映射表中找不到對應時以完整姓名統計
+ * @param {string} name - 時數登錄表中的原始姓名
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.knownNames] - 時數登錄表和服勤區中出現的原始姓名（找出最後兩字相同的其他姓名）
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {{standardName: string, matched: boolean, ambiguous: boolean, candidates: string[], similarNames: string[]}}
+ *   matched 表示在映射表中找到唯一的對應；ambiguous 時 candidates 為可能的標準名稱，similarNames 為最後兩字相同的其他姓名
+ */
+export function matchHourLogName(name, options = {}) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  const result = { standardName: trimmed, matched: false, ambiguous: false, candidates: [], similarNames: [] };
+  if (!trimmed) return result;
+
+  const map = options.aliasMap || getAliasMap();
+  if (map[trimmed]) {
+    return { ...result, standardName: map[trimmed], matched: true, candidates: [map[trimmed]] };
+  }
+
+  const candidates = findCanonicalsByLastTwoChars(getLastNameTwoChars(trimmed), map);
+  if (candidates.length === 0) return result;
+
+  const similarNames = trimmed.length > 2 ? findSimilarFullNames(trimmed, options.knownNames, map) : [];
+  if (candidates.length > 1 || similarNames.length > 0) {
+    return { ...result, ambiguous: true, candidates, similarNames };
+  }
+  return { ...result, standardName: candidates[0], matched: true, candidates };
+}
@@ -0,0 +1,58 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setAliasMap, normalizeName, matchHourLogName } from './nameAliases.js';
+import { processHourLogData, collectAmbiguousNames } from './hourLogProcessor.js';
+
+afterEach(() => {
+  setAliasMap(null);
+});
+
+test('最後兩字相同的兩個完整姓名（映射表只有名字）不會合併，列入姓名待確認', () => {
+  setAliasMap({ 一荷: '一荷' });
+  const knownNames = ['林一荷', '王一荷'];
+
+  const lin = matchHourLogName('林一荷', { knownNames });
+  assert.equal(lin.ambiguous, true);
+  assert.equal(lin.standardName, '林一荷');
+  assert.deepEqual(lin.candidates, ['一荷']);
+  assert.deepEqual(lin.similarNames, ['王一荷']);
+
+  const diagnostics = [];
+  const records = processHourLogData([
+    { name: '林一荷', hours: 2, content: '', sheetName: '2025', rowNumber: 2 },
+    { name: '王一荷', hours: 3, content: '', sheetName: '2025', rowNumber: 3 },
+  ], { diagnostics });
+  assert.deepEqual(records.map(record => record.standardName), ['林一荷', '王一荷']);
+  assert.deepEqual(collectAmbiguousNames(records).map(item => item.name).sort(), ['林一荷', '王一荷'].sort());
+  assert.equal(diagnostics.filter(item => item.field === '志工姓名').length, 2);
+});
+
+test('只有一個完整姓名時仍以最後兩字合併', () => {
+  setAliasMap({ 一荷: '一荷' });
+  const result = matchHourLogName('林一荷', { knownNames: ['林一荷'] });
+  assert.equal(result.ambiguous, false);
+  assert.equal(result.matched, true);
+  assert.equal(result.standardName, '一荷');
+});
+
+test('選擇結果保存後，最後兩字相同的另一個姓名仍需確認', () => {
+  setAliasMap({ 一荷: '一荷', 林一荷: '一荷' });
+  assert.equal(matchHourLogName('林一荷').standardName, '一荷');
+  assert.equal(matchHourLogName('王一荷').ambiguous, true);
+});
+
+test('找不到對應的姓名以完整姓名統計，不以最後兩字合併', () => {
+  setAliasMap({ 一荷: '一荷' });
+  const result = matchHourLogName('陳大文');
+  assert.equal(result.matched, false);
+  assert.equal(result.ambiguous, false);
+  assert.equal(result.standardName, '陳大文');
+});
+
+test('傳入的別名映射取代目前套用的映射表', () => {
+  setAliasMap({ 一荷: '一荷' });
+  const aliasMap = { 林一荷: '林一荷' };
+  assert.equal(normalizeName('林一荷', aliasMap), '林一荷');
+  assert.equal(matchHourLogName('王一荷', { aliasMap }).matched, false);
+  assert.equal(matchHourLogName('王一荷').standardName, '一荷');
+});
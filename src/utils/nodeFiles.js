@@ -0,0 +1,43 @@
+import fs from 'fs';
+import path from 'path';
+import { validateAliasMap } from './aliasManager.js';
+
+/**
+ * 命令列工具（generateReport.js、extractNames.js）讀取檔案用，只能在 Node 中使用，網頁不會載入此檔案
+ */
+
+/**
+ * 讀取 Excel 檔案，轉成解析工具使用的格式（與瀏覽器的 File 相同，提供 arrayBuffer()）
+ * @param {string} filePath
+ * @returns {{name: string, arrayBuffer: Function}}
+ * @throws {Error} 找不到檔案時
+ */
+export function readExcelFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`找不到檔案：${filePath}`);
+  }
+  const buffer = fs.readFileSync(filePath);
+  return {
+    name: path.basename(filePath),
+    arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length),
+  };
+}
+
+/**
+ * 讀取人名別名映射檔案（格式檢查與別名編輯器的匯入相同）
+ * @param {string} filePath
+ * @returns {Object} 別名映射物件
+ * @throws {Error} 找不到檔案或格式錯誤時
+ */
+export function readAliasFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`找不到別名檔案：${filePath}`);
+  }
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`別名檔案不是有效的 JSON：${error.message}`);
+  }
+  return validateAliasMap(json);
+}
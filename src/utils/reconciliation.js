@@ -0,0 +1,182 @@
+import { getParticipantCredits } from './dataProcessor.js';
+import { getYear, isValidDate } from './dateParser.js';
+
+/**
+ * 出勤與時數登錄核對
+ *
+ * 圖表 23 只比較每個人的「手作」出勤時數和「步道實作帶領」回報時數總和，
+ * 這裡把每一筆服勤區出勤（人力需求表）和時數登錄表的登錄依標準名稱和日期配對，
+ * 找出是哪一場活動造成差異。
+ *
+ * 核對結果格式：
+ * {
+ *   status: 'matched' | 'hoursMismatch' | 'missingReport' | 'unrostered',
+ *   name: string,                 // 標準名稱
+ *   date: Date,                   // 活動開始日期（服勤區無此人時為登錄日期）
+ *   activity: Object | null,      // 服勤區出勤：活動資料 + rawName、days、hours
+ *   entries: Array,               // 配對到的時數登錄資料
+ *   rosterHours: number,          // 出勤時數（與圖表 20 相同）
+ *   reportedHours: number,        // 登錄時數合計
+ *   difference: number,           // 出勤時數 - 登錄時數
+ * }
+ */
+
+/**
+ * 核對結果分類（依顯示順序）
+ */
+export const RECONCILIATION_STATUSES = [
+  { key: 'hoursMismatch', label: '時數不符', description: '服勤區與時數登錄表都有，但時數不同' },
+  { key: 'missingReport', label: '未回報', description: '服勤區有此人，但時數登錄表沒有對應日期的登錄' },
+  { key: 'unrostered', label: '服勤區無此人', description: '時數登錄表有登錄，但服勤區沒有對應日期的活動' },
+  { key: 'matched', label: '相符', description: '服勤區與時數登錄表的時數相同' },
+];
+
+// 預設與圖表 23 相同：出勤的「手作」活動對應回報的「步道實作帶領」
+export const DEFAULT_RECONCILIATION_OPTIONS = {
+  activityType: '手作',
+  contentType: '步道實作帶領',
+  toleranceDays: 1,
+  hoursTolerance: 0,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 日期與活動期間相差的天數（在期間內為 0）
+ * @param {Date} date - 登錄日期
+ * @param {Date} start - 活動開始日期
+ * @param {Date} end - 活動結束日期
+ * @returns {number}
+ */
+function getDistanceInDays(date, start, end) {
+  const time = date.getTime();
+  if (time < start.getTime()) return Math.round((start.getTime() - time) / DAY_MS);
+  if (time > end.getTime()) return Math.round((time - end.getTime()) / DAY_MS);
+  return 0;
+}
+
+/**
+ * 四捨五入到小數點後兩位
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 核對服勤區出勤與時數登錄表
+ * 每筆登錄依標準名稱配對到日期最接近的出勤（登錄日期需在活動期間前後 toleranceDays 天內），
+ * 一場多天的活動可以配對多筆登錄（例如每天各登錄一筆）
+ * @param {Object} sources
+ * @param {Array} [sources.manpowerData] - 人力需求表資料（統計年度）
+ * @param {Array} [sources.hourLogRecords] - 處理後的時數登錄表資料（processHourLogData 的結果）
+ * @param {Object} [options]
+ * @param {string} [options.activityType] - 只核對此活動類型的出勤（空字串表示全部）
+ * @param {string} [options.contentType] - 只核對此參與內容分類的登錄（空字串表示全部）
+ * @param {number} [options.toleranceDays] - 登錄日期與活動期間可相差的天數
+ * @param {number} [options.hoursTolerance] - 時數可相差多少仍視為相符
+ * @param {number} [options.year] - 只核對此年度的登錄（與圖表 21 相同）
+ * @returns {Array} 核對結果（見檔案開頭說明），依日期、姓名排序
+ */
+export function reconcileActivities({ manpowerData = [], hourLogRecords = [] } = {}, options = {}) {
+  const { activityType, contentType, toleranceDays, hoursTolerance } = { ...DEFAULT_RECONCILIATION_OPTIONS, ...options };
+  const tolerance = Math.max(0, Number(toleranceDays) || 0);
+
+  // 服勤區出勤（每位參與人員一筆）
+  const participations = [];
+  manpowerData.forEach(record => {
+    if (activityType && (record.activityType || '未分類') !== activityType) return;
+    if (!isValidDate(record.date)) return;
+    const endDate = isValidDate(record.endDate) ? record.endDate : record.date;
+    getParticipantCredits(record).forEach(credit => {
+      participations.push({
+        name: credit.name,
+        start: record.date,
+        end: endDate,
+        activity: { ...record, rawName: credit.rawName, days: credit.days, hours: credit.hours },
+        entries: [],
+      });
+    });
+  });
+
+  const participationsByName = new Map();
+  participations.forEach(participation => {
+    if (!participationsByName.has(participation.name)) participationsByName.set(participation.name, []);
+    participationsByName.get(participation.name).push(participation);
+  });
+
+  // 時數登錄：配對到日期最接近的出勤
+  const unrostered = [];
+  hourLogRecords.forEach(entry => {
+    if (contentType && (entry.matchedContentType || '未分類') !== contentType) return;
+    if (!isValidDate(entry.date)) return;
+    if (typeof options.year === 'number' && getYear(entry.date) !== options.year) return;
+
+    let best = null;
+    let bestDistance = Infinity;
+    (participationsByName.get(entry.standardName) || []).forEach(participation => {
+      const distance = getDistanceInDays(entry.date, participation.start, participation.end);
+      if (distance <= tolerance && distance < bestDistance) {
+        best = participation;
+        bestDistance = distance;
+      }
+    });
+
+    if (best) {
+      best.entries.push(entry);
+    } else {
+      unrostered.push(entry);
+    }
+  });
+
+  const results = participations.map(participation => {
+    const rosterHours = participation.activity.hours;
+    const reportedHours = participation.entries.reduce((sum, entry) => sum + (entry.hours || 0), 0);
+    const difference = round(rosterHours - reportedHours);
+    let status = 'missingReport';
+    if (participation.entries.length > 0) {
+      status = Math.abs(difference) <= (Number(hoursTolerance) || 0) ? 'matched' : 'hoursMismatch';
+    }
+    return {
+      status,
+      name: participation.name,
+      date: participation.start,
+      activity: participation.activity,
+      entries: participation.entries,
+      rosterHours: round(rosterHours),
+      reportedHours: round(reportedHours),
+      difference,
+    };
+  });
+
+  unrostered.forEach(entry => {
+    results.push({
+      status: 'unrostered',
+      name: entry.standardName,
+      date: entry.date,
+      activity: null,
+      entries: [entry],
+      rosterHours: 0,
+      reportedHours: round(entry.hours || 0),
+      difference: round(-(entry.hours || 0)),
+    });
+  });
+
+  return results.sort((a, b) =>
+    a.date.getTime() - b.date.getTime() || a.name.localeCompare(b.name, 'zh-TW')
+  );
+}
+
+/**
+ * 統計各分類的筆數
+ * @param {Array} results - reconcileActivities 的結果
+ * @returns {Object} { [status]: number }
+ */
+export function countReconciliationStatuses(results) {
+  const counts = Object.fromEntries(RECONCILIATION_STATUSES.map(({ key }) => [key, 0]));
+  results.forEach(result => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+  });
+  return counts;
+}
@@ -0,0 +1,152 @@
+import { getParticipantCredits } from './dataProcessor.js';
+import { getMonth, getYear, formatMonth, isValidDate } from './dateParser.js';
+
+/**
+ * 人力需求與排班分析
+ *
+ * 比較人力需求表的「志工人數」（需求人數）與「服勤區」實際排入的人數（依標準名稱去除重複）。
+ */
+
+/**
+ * 活動的人力狀態（依顯示順序）
+ */
+export const STAFFING_STATUSES = [
+  { key: 'understaffed', label: '人力不足', description: '服勤區人數少於需求人數' },
+  { key: 'overstaffed', label: '人力超額', description: '服勤區人數多於需求人數' },
+  { key: 'filled', label: '人數相符', description: '服勤區人數等於需求人數' },
+  { key: 'noPlan', label: '未填需求', description: '志工人數欄位空白或為 0' },
+];
+
+/**
+ * 計算補足率（排入人數 / 需求人數）
+ * @param {number} assigned
+ * @param {number} planned
+ * @returns {number|null} 百分比（四捨五入到整數），沒有需求人數時返回 null
+ */
+function getFillRate(assigned, planned) {
+  if (!planned) return null;
+  return Math.round((assigned / planned) * 100);
+}
+
+/**
+ * 判斷活動的人力狀態
+ * @param {number} assigned
+ * @param {number} planned
+ * @returns {string} STAFFING_STATUSES 的 key
+ */
+function getStaffingStatus(assigned, planned) {
+  if (!planned) return 'noPlan';
+  if (assigned < planned) return 'understaffed';
+  if (assigned > planned) return 'overstaffed';
+  return 'filled';
+}
+
+/**
+ * 依指定欄位彙總
+ * @param {Array} activities - 各活動的人力資料
+ * @param {Function} getGroup - (activity) => { key, label } 或 null（不列入）
+ * @returns {Array<{key: string, label: string, activityCount: number, planned: number, assigned: number, shortage: number, fillRate: number|null, understaffed: number, overstaffed: number}>}
+ */
+function summarize(activities, getGroup) {
+  const groups = new Map();
+  activities.forEach(activity => {
+    const group = getGroup(activity);
+    if (!group) return;
+    if (!groups.has(group.key)) {
+      groups.set(group.key, {
+        key: group.key,
+        label: group.label,
+        activityCount: 0,
+        planned: 0,
+        assigned: 0,
+        shortage: 0,
+        understaffed: 0,
+        overstaffed: 0,
+      });
+    }
+    const summary = groups.get(group.key);
+    summary.activityCount++;
+    // 補足率只計算有填需求人數的活動
+    if (activity.planned > 0) {
+      summary.planned += activity.planned;
+      summary.assigned += activity.assigned;
+    }
+    summary.shortage += Math.max(0, activity.gap);
+    if (activity.status === 'understaffed') summary.understaffed++;
+    if (activity.status === 'overstaffed') summary.overstaffed++;
+  });
+  return Array.from(groups.values()).map(summary => ({
+    ...summary,
+    fillRate: getFillRate(summary.assigned, summary.planned),
+  }));
+}
+
+/**
+ * 分析每場活動的需求人數與服勤區人數
+ * @param {Array} data - 過濾後的資料（統計年度）
+ * @param {Object} [options]
+ * @param {Date} [options.today] - 今天（判斷活動是否尚未結束，預設為現在）
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {{
+ *   activities: Array<{record: Object, date: Date, endDate: Date, activityName: string, activityType: string, city: string, planned: number, assigned: number, gap: number, fillRate: number|null, status: string, upcoming: boolean}>,
+ *   openActivities: Array,
+ *   byMonth: Array, byCity: Array, byActivityType: Array,
+ *   totals: {activityCount: number, planned: number, assigned: number, fillRate: number|null, counts: Object},
+ * }}
+ *   gap 為需求人數 - 服勤區人數（正數表示不足）；openActivities 為尚未結束且人力不足的活動（依日期排序）
+ */
+export function analyzeStaffing(data, options = {}) {
+  const today = options.today instanceof Date ? new Date(options.today) : new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const activities = data.map(record => {
+    const planned = record.volunteerCount || 0;
+    const assigned = new Set(getParticipantCredits(record, { aliasMap: options.aliasMap }).map(credit => credit.name)).size;
+    const endDate = isValidDate(record.endDate) ? record.endDate : record.date;
+    return {
+      record,
+      date: record.date,
+      endDate,
+      activityName: record.activityName,
+      activityType: record.activityType || '未分類',
+      city: record.city || '未分類',
+      planned,
+      assigned,
+      gap: planned ? planned - assigned : 0,
+      fillRate: getFillRate(assigned, planned),
+      status: getStaffingStatus(assigned, planned),
+      upcoming: isValidDate(endDate) && endDate.getTime() >= today.getTime(),
+    };
+  }).sort((a, b) => (isValidDate(a.date) ? a.date.getTime() : 0) - (isValidDate(b.date) ? b.date.getTime() : 0));
+
+  const counts = Object.fromEntries(STAFFING_STATUSES.map(({ key }) => [key, 0]));
+  activities.forEach(activity => {
+    counts[activity.status]++;
+  });
+
+  const plannedActivities = activities.filter(activity => activity.planned > 0);
+  const planned = plannedActivities.reduce((sum, activity) => sum + activity.planned, 0);
+  const assigned = plannedActivities.reduce((sum, activity) => sum + activity.assigned, 0);
+
+  return {
+    activities,
+    openActivities: activities.filter(activity => activity.upcoming && activity.status === 'understaffed'),
+    byMonth: summarize(activities, activity => {
+      if (!isValidDate(activity.date)) return null;
+      const year = getYear(activity.date);
+      const month = getMonth(activity.date);
+      return { key: `${year}-${String(month).padStart(2, '0')}`, label: formatMonth(year, month) };
+    }).sort((a, b) => a.key.localeCompare(b.key)),
+    byCity: summarize(activities, activity => ({ key: activity.city, label: activity.city }))
+      .sort((a, b) => b.shortage - a.shortage || b.planned - a.planned),
+    byActivityType: summarize(activities, activity => ({ key: activity.activityType, label: activity.activityType }))
+      .sort((a, b) => b.shortage - a.shortage || b.planned - a.planned),
+    totals: {
+      activityCount: activities.length,
+      planned,
+      assigned,
+      fillRate: getFillRate(assigned, planned),
+      counts,
+    },
+  };
+}
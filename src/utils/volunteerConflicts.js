@@ -0,0 +1,122 @@
+import { getParticipantCredits } from './dataProcessor.js';
+import { reportDiagnostic } from './diagnostics.js';
+
+/**
+ * 志工重複排班檢查
+ *
+ * 同一位志工（依標準名稱）的出勤日期在兩筆活動中重疊時視為重複排班。
+ * 出勤日期優先使用服勤區的日期前綴（11/29-30：盈瑩）或名字後面的日期（建宇(8/23)），
+ * 沒有日期時為活動的起訖日期（見 getParticipantCredits）。
+ */
+
+/**
+ * 顯示日期（月/日）
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDay(date) {
+  return `${date.getMonth() + 1}/${date.getDate()}`;
+}
+
+/**
+ * 顯示日期範圍（同一天只顯示一個日期）
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {string}
+ */
+export function formatDayRange(start, end) {
+  return start.getTime() === end.getTime() ? formatDay(start) : `${formatDay(start)}-${formatDay(end)}`;
+}
+
+/**
+ * 顯示資料列的位置
+ * @param {Object} record
+ * @returns {string}
+ */
+function formatLocation(record) {
+  return `工作表 ${record.sheetName} 第 ${record.rowNumber} 行`;
+}
+
+/**
+ * 每位志工的出勤（同一筆活動重複列出時合併為一筆）
+ * @param {Array} data - 人力需求表資料
+ * @param {Object} [aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {Map<string, Array<{record: Object, rawName: string, startDate: Date, endDate: Date}>>} 標準名稱 -> 出勤
+ */
+function collectAssignments(data, aliasMap) {
+  const assignments = new Map();
+  data.forEach(record => {
+    const byName = new Map();
+    getParticipantCredits(record, { aliasMap }).forEach(({ name, rawName, startDate, endDate }) => {
+      const existing = byName.get(name);
+      if (existing) {
+        if (startDate < existing.startDate) existing.startDate = startDate;
+        if (endDate > existing.endDate) existing.endDate = endDate;
+        return;
+      }
+      byName.set(name, { record, rawName, startDate, endDate });
+    });
+    byName.forEach((assignment, name) => {
+      if (!assignments.has(name)) assignments.set(name, []);
+      assignments.get(name).push(assignment);
+    });
+  });
+  return assignments;
+}
+
+/**
+ * 找出同一位志工日期重疊的出勤
+ * @param {Array} data - 人力需求表資料（已過濾取消的活動）
+ * @param {Object} [options]
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {Array<{name: string, start: Date, end: Date, sameCity: boolean, assignments: Array}>}
+ *   assignments 為兩筆出勤 { record, rawName, startDate, endDate }（開始日期較早的在前），
+ *   start、end 為重疊的日期；依志工名稱、重疊開始日期排序
+ */
+export function findVolunteerConflicts(data, options = {}) {
+  const conflicts = [];
+  collectAssignments(data, options.aliasMap).forEach((items, name) => {
+    const sorted = [...items].sort((a, b) => a.startDate - b.startDate);
+    sorted.forEach((a, index) => {
+      for (let j = index + 1; j < sorted.length && sorted[j].startDate <= a.endDate; j++) {
+        const b = sorted[j];
+        conflicts.push({
+          name,
+          start: b.startDate,
+          end: a.endDate < b.endDate ? a.endDate : b.endDate,
+          sameCity: (a.record.city || '') === (b.record.city || ''),
+          assignments: [a, b],
+        });
+      }
+    });
+  });
+  return conflicts.sort((a, b) => a.name.localeCompare(b.name, 'zh-TW') || a.start - b.start);
+}
+
+/**
+ * 檢查志工重複排班，每組重疊的出勤加入一筆診斷訊息（記在開始日期較晚的資料列）
+ * 不同縣市為警告，同一縣市（可能是同一天的上下午場次）為提示
+ * @param {Array} data - 人力需求表資料（已過濾取消的活動）
+ * @param {Object} [options]
+ * @param {Array} [options.diagnostics] - 診斷訊息陣列
+ * @param {Object} [options.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {Array} findVolunteerConflicts 的結果
+ */
+export function checkVolunteerConflicts(data, options = {}) {
+  const conflicts = findVolunteerConflicts(data, { aliasMap: options.aliasMap });
+  conflicts.forEach(conflict => {
+    const [first, second] = conflict.assignments;
+    reportDiagnostic(options.diagnostics, {
+      severity: conflict.sameCity ? 'info' : 'warning',
+      source: 'manpower',
+      sheetName: second.record.sheetName,
+      rowNumber: second.record.rowNumber,
+      field: '服勤區',
+      value: second.rawName,
+      reason: `志工「${conflict.name}」${formatDayRange(conflict.start, conflict.end)} 同時排在`
+        + `${formatLocation(first.record)}的「${first.record.activityName}」（${first.record.city || '未填縣市'}），`
+        + `此列為「${second.record.activityName}」（${second.record.city || '未填縣市'}）`,
+    });
+  });
+  return conflicts;
+}
@@ -0,0 +1,207 @@
+import { getParticipantCredits } from './dataProcessor.js';
+import { getMonth, getYear, formatMonth, isValidDate } from './dateParser.js';
+import { countsTowardTotals } from './hourLogProcessor.js';
+
+/**
+ * 依日期排序（沒有日期的排在最後）
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareByDate(a, b) {
+  const timeA = isValidDate(a.date) ? a.date.getTime() : Infinity;
+  const timeB = isValidDate(b.date) ? b.date.getTime() : Infinity;
+  if (timeA !== timeB) return timeA < timeB ? -1 : 1;
+  return 0;
+}
+
+/**
+ * 四捨五入到小數點後兩位
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 取得 Map 中的統計物件（不存在則建立）
+ * @param {Map} map
+ * @param {string|number} key
+ * @param {Function} create - () => 初始物件
+ * @returns {Object}
+ */
+function getEntry(map, key, create) {
+  if (!map.has(key)) map.set(key, create());
+  return map.get(key);
+}
+
+/**
+ * 列出所有志工的標準名稱（人力需求表與時數登錄表），供搜尋志工使用
+ * @param {Object} sources
+ * @param {Array} [sources.manpowerData] - 人力需求表資料
+ * @param {Array} [sources.hourLogRecords] - 處理後的時數登錄表資料（processHourLogData 的結果）
+ * @param {Object} [sources.aliasMap] - 別名映射物件（預設為目前套用的映射表）
+ * @returns {string[]} 標準名稱（依名稱排序）
+ */
+export function getVolunteerNames({ manpowerData = [], hourLogRecords = [], aliasMap } = {}) {
+  const names = new Set();
+  manpowerData.forEach(record => {
+    getParticipantCredits(record, { aliasMap }).forEach(credit => names.add(credit.name));
+  });
+  hourLogRecords.forEach(record => {
+    if (record.standardName) names.add(record.standardName);
+  });
+  return Array.from(names).sort((a, b) => a.localeCompare(b, 'zh-TW'));
+}
+
+/**
+ * 建立志工檔案：列出志工參與的所有活動和時數登錄資料，並依活動類型、月份、年度統計
+ * 活動的天數和時數與圖表 19、20 相同（見 getParticipantCredits）
+ * 不計入時數統計的參與內容分類（見 contentTaxonomy.js）只列在時數登錄和依參與內容的統計，不計入時數合計
+ * @param {string} name - 志工標準名稱
+ * @param {Object} sources
+ * @param {Array} [sources.manpowerData] - 人力需求表資料（所有年度）
+ * @param {Array} [sources.hourLogRecords] - 處理後的時數登錄表資料（processHourLogData 的結果）
+ * @returns {{
+ *   name: string,
+ *   activities: Array<{date: Date, endDate: Date, activityName: string, activityType: string, city: string, rawName: string, days: number, hours: number, year: number, sheetName: string, rowNumber: number}>,
+ *   hourLogEntries: Array<{date: Date, content: string, contentType: string, excludedFromTotals: boolean, rawName: string, hours: number, sheetName: string, rowNumber: number}>,
+ *   totals: {activityCount: number, activityDays: number, activityHours: number, hourLogCount: number, hourLogHours: number},
+ *   byActivityType: Array<{type: string, count: number, days: number, hours: number}>,
+ *   byContentType: Array<{type: string, excludedFromTotals: boolean, count: number, hours: number}>,
+ *   byMonth: Array<{key: string, label: string, activityCount: number, activityHours: number, hourLogHours: number}>,
+ *   byYear: Array<{year: number, activityCount: number, activityDays: number, activityHours: number, hourLogHours: number}>,
+ *   firstDate: Date|null,
+ *   lastDate: Date|null,
+ * }}
+ */
+export function buildVolunteerProfile(name, { manpowerData = [], hourLogRecords = [] } = {}) {
+  const activities = [];
+  manpowerData.forEach(record => {
+    getParticipantCredits(record)
+      .filter(credit => credit.name === name)
+      .forEach(credit => {
+        activities.push({
+          date: record.date,
+          endDate: record.endDate || record.date,
+          activityName: record.activityName,
+          activityType: record.activityType || '未分類',
+          city: record.city,
+          rawName: credit.rawName,
+          days: credit.days,
+          hours: credit.hours,
+          year: record.year || (isValidDate(record.date) ? getYear(record.date) : null),
+          sheetName: record.sheetName,
+          rowNumber: record.rowNumber,
+        });
+      });
+  });
+  activities.sort(compareByDate);
+
+  const hourLogEntries = hourLogRecords
+    .filter(record => record.standardName === name)
+    .map(record => ({
+      date: record.date,
+      content: record.content || '',
+      contentType: record.matchedContentType || '未分類',
+      excludedFromTotals: !countsTowardTotals(record),
+      rawName: record.name,
+      hours: record.hours || 0,
+      sheetName: record.sheetName,
+      rowNumber: record.rowNumber,
+    }))
+    .sort(compareByDate);
+
+  const byActivityType = new Map();
+  const byContentType = new Map();
+  const byMonth = new Map();
+  const byYear = new Map();
+  const getMonthEntry = (date) => {
+    const key = `${getYear(date)}-${String(getMonth(date)).padStart(2, '0')}`;
+    return getEntry(byMonth, key, () => ({
+      key,
+      label: formatMonth(getYear(date), getMonth(date)),
+      activityCount: 0,
+      activityHours: 0,
+      hourLogHours: 0,
+    }));
+  };
+  const getYearEntry = (year) => getEntry(byYear, year, () => ({
+    year,
+    activityCount: 0,
+    activityDays: 0,
+    activityHours: 0,
+    hourLogHours: 0,
+  }));
+
+  activities.forEach(activity => {
+    const type = getEntry(byActivityType, activity.activityType, () => ({
+      type: activity.activityType,
+      count: 0,
+      days: 0,
+      hours: 0,
+    }));
+    type.count++;
+    type.days += activity.days;
+    type.hours += activity.hours;
+
+    if (isValidDate(activity.date)) {
+      const month = getMonthEntry(activity.date);
+      month.activityCount++;
+      month.activityHours += activity.hours;
+    }
+    if (activity.year) {
+      const year = getYearEntry(activity.year);
+      year.activityCount++;
+      year.activityDays += activity.days;
+      year.activityHours += activity.hours;
+    }
+  });
+
+  hourLogEntries.forEach(entry => {
+    const type = getEntry(byContentType, entry.contentType, () => ({
+      type: entry.contentType,
+      excludedFromTotals: entry.excludedFromTotals,
+      count: 0,
+      hours: 0,
+    }));
+    type.count++;
+    type.hours += entry.hours;
+
+    // 不計入時數統計的分類只列在依參與內容的統計
+    if (entry.excludedFromTotals) return;
+    if (isValidDate(entry.date)) {
+      getMonthEntry(entry.date).hourLogHours += entry.hours;
+      getYearEntry(getYear(entry.date)).hourLogHours += entry.hours;
+    }
+  });
+
+  const dates = [...activities, ...hourLogEntries]
+    .flatMap(item => [item.date, item.endDate])
+    .filter(isValidDate)
+    .map(date => date.getTime());
+
+  const roundValues = (item) => Object.fromEntries(
+    Object.entries(item).map(([key, value]) => [key, typeof value === 'number' && key !== 'year' ? round(value) : value])
+  );
+
+  return {
+    name,
+    activities,
+    hourLogEntries,
+    totals: {
+      activityCount: activities.length,
+      activityDays: round(activities.reduce((sum, activity) => sum + activity.days, 0)),
+      activityHours: round(activities.reduce((sum, activity) => sum + activity.hours, 0)),
+      hourLogCount: hourLogEntries.length,
+      hourLogHours: round(hourLogEntries.reduce((sum, entry) => (entry.excludedFromTotals ? sum : sum + entry.hours), 0)),
+    },
+    byActivityType: Array.from(byActivityType.values()).map(roundValues).sort((a, b) => b.hours - a.hours),
+    byContentType: Array.from(byContentType.values()).map(roundValues).sort((a, b) => b.hours - a.hours),
+    byMonth: Array.from(byMonth.values()).map(roundValues).sort((a, b) => a.key.localeCompare(b.key)),
+    byYear: Array.from(byYear.values()).map(roundValues).sort((a, b) => a.year - b.year),
+    firstDate: dates.length > 0 ? new Date(Math.min(...dates)) : null,
+    lastDate: dates.length > 0 ? new Date(Math.max(...dates)) : null,
+  };
+}
@@ -0,0 +1,47 @@
+import ExcelJS from 'exceljs';
+import { getRowTexts } from './columnMapping.js';
+
+/**
+ * 讀取 Excel 檔案中每個工作表的前幾列（用於欄位對應精靈）
+ * @param {File} file - Excel 檔案
+ * @param {Object} [options]
+ * @param {number} [options.maxRows] - 每個工作表讀取的列數（預設 8）
+ * @returns {Promise<Array<{name: string, rowCount: number, columnCount: number, rows: string[][]}>>}
+ */
+export async function readWorkbookPreview(file, options = {}) {
+  const { maxRows = 8 } = options;
+  const workbook = new ExcelJS.Workbook();
+  const buffer = await file.arrayBuffer();
+  await workbook.xlsx.load(buffer);
+
+  return workbook.worksheets.map(sheet => {
+    const columnCount = sheet.columnCount || 0;
+    const rows = [];
+    const lastRow = Math.min(sheet.rowCount || 0, maxRows);
+    for (let rowNumber = 1; rowNumber <= lastRow; rowNumber++) {
+      rows.push(getRowTexts(sheet.getRow(rowNumber), columnCount));
+    }
+    return {
+      name: sheet.name,
+      rowCount: sheet.rowCount || 0,
+      columnCount,
+      rows,
+    };
+  });
+}
+
+/**
+ * 將欄位編號轉換為 Excel 欄位字母（1 -> A、27 -> AA）
+ * @param {number} col - 欄位編號（從 1 開始）
+ * @returns {string} 欄位字母
+ */
+export function getColumnLetter(col) {
+  let letter = '';
+  let n = col;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letter = String.fromCharCode(65 + remainder) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
@@ -0,0 +1,161 @@
+/**
+ * 工作區儲存（IndexedDB）
+ *
+ * 每個工作區保存上傳的 Excel 檔案（File 物件）、檔名、上傳時間、設定和人名別名，
+ * 重新整理頁面後可以還原上次的工作階段；同一台電腦的不同使用者可以使用不同名稱的工作區。
+ *
+ * 工作區格式：
+ * {
+ *   name: string,
+ *   updatedAt: string,              // ISO 時間
+ *   settings: Object,               // App 的 settings
+ *   aliases: Object | null,         // 別名編輯器修改後的人名別名映射，null 表示使用內建的 nameAliases.json
+ *   rejectedSuggestions: string[],  // 別名編輯器中已略過的合併建議
+ *   customCharts: Object[],         // 自訂圖表（見 customCharts.js）
+ *   contentTaxonomy: Object[] | null, // 參與內容分類（見 contentTaxonomy.js），null 表示使用內建的 reportType.js
+ *   geography: Object | null,       // 縣市與地區（見 geography.js），null 表示使用內建的 cityRegions.js
+ *   manpower: { file: File, fileName: string, uploadedAt: string } | null,
+ *   hourLog: { file: File, fileName: string, uploadedAt: string } | null,
+ * }
+ */
+
+const DB_NAME = 'activityStatistics';
+const DB_VERSION = 1;
+const WORKSPACE_STORE = 'workspaces';
+
+// 最後使用的工作區名稱在 localStorage 中的 key
+const LAST_WORKSPACE_STORAGE_KEY = 'activityStatistics.lastWorkspace';
+
+export const DEFAULT_WORKSPACE_NAME = '預設工作區';
+
+/**
+ * 將 IndexedDB request 轉為 Promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * 開啟資料庫（第一次使用時建立 object store）
+ * @returns {Promise<IDBDatabase|null>} 瀏覽器不支援 IndexedDB 時返回 null
+ */
+async function openDatabase() {
+  if (typeof indexedDB === 'undefined') return null;
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(WORKSPACE_STORE)) {
+      db.createObjectStore(WORKSPACE_STORE, { keyPath: 'name' });
+    }
+  };
+  return requestToPromise(request);
+}
+
+/**
+ * 在 object store 上執行一個操作
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} 操作結果，瀏覽器不支援 IndexedDB 時返回 null
+ */
+async function withStore(mode, operation) {
+  const db = await openDatabase();
+  if (!db) return null;
+  try {
+    const store = db.transaction(WORKSPACE_STORE, mode).objectStore(WORKSPACE_STORE);
+    return await requestToPromise(operation(store));
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * 取得所有工作區（依更新時間由新到舊）
+ * @returns {Promise<Array>} 工作區陣列
+ */
+export async function listWorkspaces() {
+  const workspaces = (await withStore('readonly', store => store.getAll())) || [];
+  return workspaces.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+/**
+ * 讀取工作區
+ * @param {string} name - 工作區名稱
+ * @returns {Promise<Object|null>} 工作區，不存在則返回 null
+ */
+export async function loadWorkspace(name) {
+  return (await withStore('readonly', store => store.get(name))) || null;
+}
+
+/**
+ * 更新工作區（與既有內容合併，不存在則建立）
+ * @param {string} name - 工作區名稱
+ * @param {Object} patch - 要更新的欄位，例如 { settings } 或 { manpower: { file, fileName, uploadedAt } }
+ * @returns {Promise<Object>} 更新後的工作區
+ */
+export async function saveWorkspace(name, patch) {
+  const merge = (existing) => ({
+    manpower: null,
+    hourLog: null,
+    settings: null,
+    ...existing,
+    ...patch,
+    name,
+    updatedAt: new Date().toISOString(),
+  });
+
+  const db = await openDatabase();
+  if (!db) return merge(null);
+  try {
+    // 讀取和寫入在同一個 readwrite 交易中：同時保存的多個修改會依序執行，不會互相覆蓋
+    const store = db.transaction(WORKSPACE_STORE, 'readwrite').objectStore(WORKSPACE_STORE);
+    const workspace = merge(await requestToPromise(store.get(name)));
+    await requestToPromise(store.put(workspace));
+    return workspace;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * 刪除工作區
+ * @param {string} name - 工作區名稱
+ */
+export async function deleteWorkspace(name) {
+  await withStore('readwrite', store => store.delete(name));
+}
+
+/**
+ * 建立要保存到工作區的檔案資訊
+ * @param {File} file - 上傳的檔案
+ * @returns {{file: File, fileName: string, uploadedAt: string}}
+ */
+export function createStoredFile(file) {
+  return {
+    file,
+    fileName: file.name,
+    uploadedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * 取得最後使用的工作區名稱
+ * @returns {string}
+ */
+export function getLastWorkspaceName() {
+  if (typeof localStorage === 'undefined') return DEFAULT_WORKSPACE_NAME;
+  return localStorage.getItem(LAST_WORKSPACE_STORAGE_KEY) || DEFAULT_WORKSPACE_NAME;
+}
+
+/**
+ * 記錄最後使用的工作區名稱
+ * @param {string} name
+ */
+export function setLastWorkspaceName(name) {
+  if (typeof localStorage === 'undefined') return;
+  localStorage.setItem(LAST_WORKSPACE_STORAGE_KEY, name);
+}